@@ -10,9 +10,11 @@
      */
     function init() {
         bindProviderSwitch();
+        bindModelSelect();
         bindTestConnection();
         bindApiKeyToggle();
         bindLocationRepeater();
+        bindTemplateRepeater();
     }
 
     /**
@@ -42,12 +44,76 @@
      */
     function updateProviderFields(provider) {
         // Hide all model dropdowns and API key wrappers
-        $('.wp-ai-schema-model-select').hide();
+        $('.wp-ai-schema-model-wrapper').hide();
         $('.wp-ai-schema-api-key-wrapper').hide();
 
         // Show the ones matching the selected provider
-        $('.wp-ai-schema-model-select[data-provider="' + provider + '"]').show();
+        $('.wp-ai-schema-model-wrapper[data-provider="' + provider + '"]').show();
         $('.wp-ai-schema-api-key-wrapper[data-provider="' + provider + '"]').show();
+
+        // Rows that only apply to one provider (custom endpoint settings)
+        $('.wp-ai-schema-provider-row').addClass('hidden');
+        $('.wp-ai-schema-provider-row-' + provider).removeClass('hidden');
+    }
+
+    /**
+     * Show the free-text model field when "Custom model..." is selected
+     */
+    function bindModelSelect() {
+        $(document).on('change', '.wp-ai-schema-model-select', function() {
+            var isCustom = $(this).val() === wpAiSchemaAdmin.custom_model;
+            var $custom = $(this).siblings('.wp-ai-schema-model-custom');
+
+            $custom.toggleClass('hidden', !isCustom);
+
+            if (isCustom) {
+                $custom.trigger('focus');
+            }
+        });
+    }
+
+    /**
+     * Get the model chosen for a provider (custom ID or dropdown value)
+     *
+     * @param {string} provider Provider slug.
+     * @return {string} Model ID, or empty if none entered.
+     */
+    function getSelectedModel(provider) {
+        var $select = $('.wp-ai-schema-model-select[data-provider="' + provider + '"]');
+
+        if ($select.val() === wpAiSchemaAdmin.custom_model) {
+            return $.trim($select.siblings('.wp-ai-schema-model-custom').val());
+        }
+
+        return $select.val() || '';
+    }
+
+    /**
+     * Replace a provider's model options with the discovered list
+     *
+     * The chosen model stays selected; if the provider no longer lists it,
+     * it is kept as an extra option so saving doesn't silently change it.
+     *
+     * @param {string} provider Provider slug.
+     * @param {Object} models   Model ID => display name.
+     */
+    function fillModelSelect(provider, models) {
+        var $select = $('.wp-ai-schema-model-select[data-provider="' + provider + '"]');
+        var selected = getSelectedModel(provider);
+
+        $select.empty();
+
+        $.each(models, function(id, name) {
+            $('<option>').val(id).text(name).appendTo($select);
+        });
+
+        if (selected && !Object.prototype.hasOwnProperty.call(models, selected)) {
+            $('<option>').val(selected).text(selected).appendTo($select);
+        }
+
+        $('<option>').val(wpAiSchemaAdmin.custom_model).text(wpAiSchemaAdmin.i18n.custom_model).appendTo($select);
+
+        $select.val(selected || $select.find('option').first().val()).trigger('change');
     }
 
     /**
@@ -63,6 +129,12 @@
             var $status = $wrapper.find('.wp-ai-schema-connection-status');
             var $apiKeyField = $wrapper.find('.wp-ai-schema-api-key');
             var apiKey = $apiKeyField.val();
+            var settings = {};
+
+            // Unsaved provider settings (e.g. the custom base URL) so the test uses what's on screen
+            $('.wp-ai-schema-provider-setting[data-provider="' + provider + '"]').each(function() {
+                settings[$(this).data('setting')] = $(this).val();
+            });
 
             // Disable button and show loading state
             $button.prop('disabled', true).text(wpAiSchemaAdmin.i18n.testing);
@@ -76,13 +148,25 @@
                     action: 'wp_ai_schema_test_connection',
                     nonce: wpAiSchemaAdmin.nonce,
                     provider: provider,
-                    api_key: apiKey
+                    api_key: apiKey,
+                    model: getSelectedModel(provider),
+                    settings: settings
                 },
                 success: function(response) {
+                    var data = response.data || {};
+                    var message = data.message || '';
+
+                    if (data.models) {
+                        fillModelSelect(provider, data.models);
+                        message += ' ' + wpAiSchemaAdmin.i18n.models_found.replace('%d', Object.keys(data.models).length);
+                    } else if (data.models_error) {
+                        message += ' ' + wpAiSchemaAdmin.i18n.models_error + ': ' + data.models_error;
+                    }
+
                     if (response.success) {
-                        $status.removeClass('testing error').addClass('success').text(response.data.message);
+                        $status.removeClass('testing error').addClass('success').text(message);
                     } else {
-                        $status.removeClass('testing success').addClass('error').text(response.data.message);
+                        $status.removeClass('testing success').addClass('error').text(message);
                     }
                 },
                 error: function(xhr, status, error) {
@@ -244,6 +328,75 @@
         }
     }
 
+    /**
+     * Bind schema template repeater functionality
+     */
+    function bindTemplateRepeater() {
+        var $container = $('#ai-jsonld-templates');
+
+        if ($container.length === 0) {
+            return;
+        }
+
+        $('#ai-jsonld-add-template').on('click', function(e) {
+            e.preventDefault();
+
+            // Clone the first template as a blank row
+            var $template = clearTemplate($container.find('.ai-jsonld-template').first().clone());
+
+            $container.append($template);
+            reindexTemplates();
+            $template.find('input[type="text"]').first().trigger('focus');
+        });
+
+        // Remove template (delegated). The last one is only cleared, since
+        // the form needs a row to clone and empty rows aren't saved.
+        $container.on('click', '.ai-jsonld-remove-template', function(e) {
+            e.preventDefault();
+
+            var $template = $(this).closest('.ai-jsonld-template');
+
+            if ($container.find('.ai-jsonld-template').length <= 1) {
+                clearTemplate($template);
+                return;
+            }
+
+            $template.slideUp(300, function() {
+                $(this).remove();
+                reindexTemplates();
+            });
+        });
+    }
+
+    /**
+     * Clear every field of a template row
+     */
+    function clearTemplate($template) {
+        $template.find('input[type="checkbox"]').prop('checked', false);
+        $template.find('input:not([type="checkbox"]), textarea').val('');
+
+        return $template;
+    }
+
+    /**
+     * Reindex template field names after adding or removing a row
+     */
+    function reindexTemplates() {
+        $('#ai-jsonld-templates .ai-jsonld-template').each(function(index) {
+            var $template = $(this);
+            $template.attr('data-index', index);
+
+            $template.find('input, textarea').each(function() {
+                var $field = $(this);
+                var name = $field.attr('name');
+
+                if (name) {
+                    $field.attr('name', name.replace(/^wp_ai_schema_templates\[\d+\]/, 'wp_ai_schema_templates[' + index + ']'));
+                }
+            });
+        });
+    }
+
     // Initialize on document ready
     $(document).ready(init);
 
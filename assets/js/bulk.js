@@ -0,0 +1,430 @@
+/**
+ * AI JSON-LD Generator - Bulk Generation JS
+ */
+
+(function($) {
+    'use strict';
+
+    var queue = [];
+    var failed = [];
+    var counts = { total: 0, generated: 0, cached: 0, failed: 0 };
+    var running = false;
+    var pauseRequested = false;
+    var waitTimer = null;
+
+    /**
+     * Initialize the bulk generation page
+     */
+    function init() {
+        if (!$('.ai-jsonld-bulk-table').length) {
+            return;
+        }
+
+        bindFilters();
+        bindSelection();
+        bindQueueButtons();
+        loadStatuses();
+
+        $(window).on('beforeunload', function() {
+            if (running) {
+                return wpAiSchemaBulk.i18n.leave_warning;
+            }
+        });
+    }
+
+    /**
+     * Fill %d / %1$d-style placeholders in a translated string
+     */
+    function formatString(template, values) {
+        var index = 0;
+
+        return template.replace(/%(?:(\d+)\$)?d/g, function(match, position) {
+            return values[position ? parseInt(position, 10) - 1 : index++];
+        });
+    }
+
+    /**
+     * Get the table row for a post
+     */
+    function getRow(postId) {
+        return $('.ai-jsonld-bulk-table tr[data-post-id="' + postId + '"]');
+    }
+
+    /**
+     * Load schema statuses in batches (hashing content is slow for many posts)
+     */
+    function loadStatuses() {
+        var ids = $('.ai-jsonld-bulk-table tbody tr').map(function() {
+            return $(this).data('post-id');
+        }).get();
+
+        function nextBatch() {
+            var batch = ids.splice(0, wpAiSchemaBulk.batch_size);
+
+            if (!batch.length) {
+                return;
+            }
+
+            $.ajax({
+                url: wpAiSchemaBulk.ajax_url,
+                type: 'POST',
+                timeout: 60000,
+                data: {
+                    action: 'wp_ai_schema_bulk_status',
+                    nonce: wpAiSchemaBulk.nonce,
+                    post_ids: batch
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $.each(response.data.statuses, function(postId, info) {
+                            setRowStatus(postId, info);
+                        });
+                    }
+                },
+                complete: function() {
+                    applyFilters();
+                    nextBatch();
+                }
+            });
+        }
+
+        nextBatch();
+    }
+
+    /**
+     * Show a post's schema status in its row
+     *
+     * @param {number} postId Post ID.
+     * @param {Object} info   { status, generated, error }.
+     */
+    function setRowStatus(postId, info) {
+        var $row = getRow(postId);
+
+        $row.attr('data-status', info.status);
+        $row.find('.ai-jsonld-bulk-status')
+            .attr('class', 'ai-jsonld-bulk-status ai-jsonld-bulk-status-' + info.status)
+            .attr('title', info.error || '')
+            .text(wpAiSchemaBulk.i18n['status_' + info.status]);
+        $row.find('.column-generated').text(info.generated || '—');
+    }
+
+    /**
+     * Show queue progress for a row
+     *
+     * @param {number} postId Post ID.
+     * @param {string} state  queued, generating, generated, cached, failed, waiting or '' to clear.
+     * @param {string} text   Text to show.
+     */
+    function setRowProgress(postId, state, text) {
+        getRow(postId).find('.ai-jsonld-bulk-row-progress')
+            .attr('class', 'ai-jsonld-bulk-row-progress' + (state ? ' ai-jsonld-bulk-progress-' + state : ''))
+            .text(text);
+    }
+
+    /**
+     * Bind the post type and status filters
+     */
+    function bindFilters() {
+        $('#wp_ai_schema_bulk_post_type, #wp_ai_schema_bulk_status').on('change', function() {
+            applyFilters();
+        });
+    }
+
+    /**
+     * Show only rows matching the filters (hidden rows are deselected)
+     */
+    function applyFilters() {
+        var postType = $('#wp_ai_schema_bulk_post_type').val();
+        var status = $('#wp_ai_schema_bulk_status').val();
+
+        $('.ai-jsonld-bulk-table tbody tr').each(function() {
+            var $row = $(this);
+            var visible = (!postType || $row.data('post-type') === postType) &&
+                (!status || $row.attr('data-status') === status);
+
+            $row.toggleClass('hidden', !visible);
+
+            if (!visible) {
+                $row.find('.ai-jsonld-bulk-select').prop('checked', false);
+            }
+        });
+
+        updateCounts();
+    }
+
+    /**
+     * Count rows per status for the selected post type
+     */
+    function updateCounts() {
+        var postType = $('#wp_ai_schema_bulk_post_type').val();
+        var totals = {};
+        var parts = [];
+
+        $('.ai-jsonld-bulk-table tbody tr').each(function() {
+            var $row = $(this);
+            var status = $row.attr('data-status');
+
+            if (status && (!postType || $row.data('post-type') === postType)) {
+                totals[status] = (totals[status] || 0) + 1;
+            }
+        });
+
+        $.each(['none', 'outdated', 'current', 'manual', 'error'], function(i, status) {
+            if (totals[status]) {
+                parts.push(wpAiSchemaBulk.i18n['status_' + status] + ': ' + totals[status]);
+            }
+        });
+
+        $('#wp_ai_schema_bulk_counts').text(parts.join(' · '));
+    }
+
+    /**
+     * Bind the select-all checkbox
+     */
+    function bindSelection() {
+        $('#wp_ai_schema_bulk_select_all').on('change', function() {
+            $('.ai-jsonld-bulk-table tbody tr:not(.hidden) .ai-jsonld-bulk-select').prop('checked', $(this).is(':checked'));
+        });
+    }
+
+    /**
+     * Bind start, pause/resume and retry buttons
+     */
+    function bindQueueButtons() {
+        $('#wp_ai_schema_bulk_start').on('click', function(e) {
+            e.preventDefault();
+
+            var ids = $('.ai-jsonld-bulk-select:checked').map(function() {
+                return parseInt($(this).val(), 10);
+            }).get();
+
+            if (!ids.length) {
+                $('#wp_ai_schema_bulk_progress').text(wpAiSchemaBulk.i18n.nothing);
+                return;
+            }
+
+            startQueue(ids);
+        });
+
+        $('#wp_ai_schema_bulk_pause').on('click', function(e) {
+            e.preventDefault();
+
+            if (running) {
+                pauseQueue();
+            } else {
+                resumeQueue();
+            }
+        });
+
+        $('#wp_ai_schema_bulk_retry').on('click', function(e) {
+            e.preventDefault();
+
+            startQueue(failed.slice());
+        });
+    }
+
+    /**
+     * Start a new queue run
+     *
+     * @param {Array} ids Post IDs to process, in order.
+     */
+    function startQueue(ids) {
+        queue = ids;
+        failed = [];
+        counts = { total: ids.length, generated: 0, cached: 0, failed: 0 };
+
+        $.each(ids, function(i, postId) {
+            setRowProgress(postId, 'queued', wpAiSchemaBulk.i18n.queued);
+        });
+
+        $('#wp_ai_schema_bulk_retry').addClass('hidden');
+        resumeQueue();
+    }
+
+    /**
+     * Stop after the current post (or right away while waiting)
+     */
+    function pauseQueue() {
+        pauseRequested = true;
+
+        if (waitTimer) {
+            clearInterval(waitTimer);
+            waitTimer = null;
+            setPaused();
+            return;
+        }
+
+        $('#wp_ai_schema_bulk_pause').prop('disabled', true);
+        $('#wp_ai_schema_bulk_progress').text(wpAiSchemaBulk.i18n.pausing);
+    }
+
+    /**
+     * Continue processing the queue
+     */
+    function resumeQueue() {
+        running = true;
+        pauseRequested = false;
+
+        $('#wp_ai_schema_bulk_start, #wp_ai_schema_bulk_select_all, .ai-jsonld-bulk-select').prop('disabled', true);
+        $('#wp_ai_schema_bulk_pause').removeClass('hidden').prop('disabled', false).text(wpAiSchemaBulk.i18n.pause);
+        $('.ai-jsonld-bulk-spinner').addClass('is-active');
+
+        processNext();
+    }
+
+    /**
+     * Put the controls into the paused state
+     */
+    function setPaused() {
+        running = false;
+
+        if (queue.length) {
+            setRowProgress(queue[0], 'queued', wpAiSchemaBulk.i18n.queued);
+        }
+
+        $('.ai-jsonld-bulk-spinner').removeClass('is-active');
+        $('#wp_ai_schema_bulk_pause').prop('disabled', false).text(wpAiSchemaBulk.i18n.resume);
+        $('#wp_ai_schema_bulk_progress').text(describeProgress() + ' ' + wpAiSchemaBulk.i18n.paused);
+    }
+
+    /**
+     * Reset the controls once the queue is empty
+     */
+    function setFinished() {
+        running = false;
+
+        $('.ai-jsonld-bulk-spinner').removeClass('is-active');
+        $('#wp_ai_schema_bulk_start, #wp_ai_schema_bulk_select_all, .ai-jsonld-bulk-select').prop('disabled', false);
+        $('#wp_ai_schema_bulk_pause').addClass('hidden');
+        $('#wp_ai_schema_bulk_retry').toggleClass('hidden', !failed.length);
+        $('#wp_ai_schema_bulk_progress').text(describeProgress() + ' ' + wpAiSchemaBulk.i18n.finished);
+    }
+
+    /**
+     * Summary line for the current run
+     */
+    function describeProgress() {
+        return formatString(wpAiSchemaBulk.i18n.progress, [
+            counts.generated + counts.cached + counts.failed,
+            counts.total,
+            counts.generated,
+            counts.cached,
+            counts.failed
+        ]);
+    }
+
+    /**
+     * Generate schema for the next post in the queue
+     */
+    function processNext() {
+        if (pauseRequested) {
+            setPaused();
+            return;
+        }
+
+        if (!queue.length) {
+            setFinished();
+            return;
+        }
+
+        var postId = queue[0];
+        var deepAnalysis = $('#wp_ai_schema_bulk_deep').is(':checked');
+
+        setRowProgress(postId, 'generating', wpAiSchemaBulk.i18n.generating);
+        $('#wp_ai_schema_bulk_progress').text(describeProgress());
+
+        $.ajax({
+            url: wpAiSchemaBulk.ajax_url,
+            type: 'POST',
+            timeout: deepAnalysis ? 300000 : 150000, // Same limits as the metabox
+            data: {
+                action: 'wp_ai_schema_bulk_generate',
+                nonce: wpAiSchemaBulk.nonce,
+                post_id: postId,
+                force: $('#wp_ai_schema_bulk_force').is(':checked') ? 1 : 0,
+                deep_analysis: deepAnalysis ? 1 : 0
+            },
+            success: function(response) {
+                var data = response.data || {};
+
+                // Rows stay visible until the filters are changed, so progress can be followed
+                if (data.post) {
+                    setRowStatus(postId, data.post);
+                    updateCounts();
+                }
+
+                if (response.success) {
+                    completePost(postId, data.cached ? 'cached' : 'generated', wpAiSchemaBulk.i18n[data.cached ? 'cached' : 'generated']);
+                } else if (data.rate_limited && data.wait_time) {
+                    waitAndRetry(postId, data.wait_time, 'waiting');
+                } else if (data.cooldown && data.wait_time) {
+                    waitAndRetry(postId, data.wait_time + 1, 'cooldown');
+                } else if (data.budget_exceeded) {
+                    // Every remaining post would fail the same way
+                    pauseRequested = true;
+                    setPaused();
+                    $('#wp_ai_schema_bulk_progress').text(data.message);
+                } else {
+                    completePost(postId, 'failed', wpAiSchemaBulk.i18n.failed + ': ' + (data.message || wpAiSchemaBulk.i18n.request_error));
+                }
+            },
+            error: function(xhr, status, error) {
+                completePost(postId, 'failed', wpAiSchemaBulk.i18n.request_error + (error ? ': ' + error : ''));
+            }
+        });
+    }
+
+    /**
+     * Record the outcome for a post and move on after the configured pause
+     *
+     * @param {number} postId Post ID.
+     * @param {string} result generated, cached or failed.
+     * @param {string} text   Row progress text.
+     */
+    function completePost(postId, result, text) {
+        queue.shift();
+        counts[result]++;
+
+        if (result === 'failed') {
+            failed.push(postId);
+        }
+
+        setRowProgress(postId, result, text);
+        $('#wp_ai_schema_bulk_progress').text(describeProgress());
+
+        // Cached results made no API call, so there is nothing to space out
+        var delay = result === 'cached' ? 0 : Math.max(0, parseInt($('#wp_ai_schema_bulk_delay').val(), 10) || 0);
+
+        setTimeout(processNext, delay * 1000);
+    }
+
+    /**
+     * Count down a rate limit or cooldown, then retry the same post
+     *
+     * @param {number} postId  Post ID.
+     * @param {number} seconds Seconds to wait.
+     * @param {string} reason  'waiting' (rate limit) or 'cooldown'.
+     */
+    function waitAndRetry(postId, seconds, reason) {
+        var remaining = seconds;
+
+        setRowProgress(postId, 'waiting', formatString(wpAiSchemaBulk.i18n[reason], [remaining]));
+
+        waitTimer = setInterval(function() {
+            remaining--;
+
+            if (remaining > 0) {
+                setRowProgress(postId, 'waiting', formatString(wpAiSchemaBulk.i18n[reason], [remaining]));
+                return;
+            }
+
+            clearInterval(waitTimer);
+            waitTimer = null;
+            processNext();
+        }, 1000);
+    }
+
+    // Initialize on document ready
+    $(document).ready(init);
+
+})(jQuery);
@@ -0,0 +1,233 @@
+/**
+ * AI JSON-LD Generator - Coverage Dashboard JS
+ */
+
+(function($) {
+    'use strict';
+
+    var escapeHtml = window.wpAiSchemaHtml.escape;
+
+    var STATES = ['current', 'outdated', 'manual', 'error', 'none'];
+
+    var posts = [];
+
+    /**
+     * Initialize the dashboard
+     */
+    function init() {
+        if (!$('.ai-jsonld-dashboard').length) {
+            return;
+        }
+
+        $('#wp_ai_schema_dashboard_rescan').on('click', function(e) {
+            e.preventDefault();
+            scan();
+        });
+
+        scan();
+    }
+
+    /**
+     * Fill %d / %1$d-style placeholders in a translated string
+     */
+    function formatString(template, values) {
+        var index = 0;
+
+        return template.replace(/%(?:(\d+)\$)?d/g, function(match, position) {
+            return values[position ? parseInt(position, 10) - 1 : index++];
+        });
+    }
+
+    /**
+     * Scan all published posts batch by batch, re-rendering as results arrive
+     */
+    function scan() {
+        var $progress = $('#wp_ai_schema_dashboard_progress');
+        var $spinner = $('.ai-jsonld-dashboard-spinner');
+
+        posts = [];
+        $('#wp_ai_schema_dashboard_rescan').addClass('hidden');
+        $spinner.addClass('is-active');
+
+        function nextBatch(offset) {
+            $.ajax({
+                url: wpAiSchemaDashboard.ajax_url,
+                type: 'POST',
+                timeout: 60000,
+                data: {
+                    action: 'wp_ai_schema_coverage',
+                    nonce: wpAiSchemaDashboard.nonce,
+                    offset: offset
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        finish(wpAiSchemaDashboard.i18n.scan_error + ': ' + (response.data.message || ''));
+                        return;
+                    }
+
+                    posts = posts.concat(response.data.posts);
+                    render();
+
+                    if (response.data.posts.length && response.data.next_offset < response.data.total) {
+                        $progress.text(formatString(wpAiSchemaDashboard.i18n.scanning, [posts.length, response.data.total]));
+                        nextBatch(response.data.next_offset);
+                    } else {
+                        finish(formatString(wpAiSchemaDashboard.i18n.scanned, [posts.length]));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    finish(wpAiSchemaDashboard.i18n.scan_error + (error ? ': ' + error : ''));
+                }
+            });
+        }
+
+        function finish(message) {
+            $spinner.removeClass('is-active');
+            $progress.text(message);
+            $('#wp_ai_schema_dashboard_rescan').removeClass('hidden');
+        }
+
+        nextBatch(0);
+    }
+
+    /**
+     * Render all dashboard sections from the posts scanned so far
+     */
+    function render() {
+        renderCoverage();
+        renderTypes();
+        renderPostTable('#wp_ai_schema_dashboard_outdated', posts.filter(function(post) {
+            return post.state === 'outdated';
+        }), null);
+        renderPostTable('#wp_ai_schema_dashboard_errors', posts.filter(function(post) {
+            return post.state === 'error';
+        }), 'error');
+        renderPostTable('#wp_ai_schema_dashboard_suppressed', posts.filter(function(post) {
+            return post.suppressed;
+        }), 'suppressed');
+    }
+
+    /**
+     * Per post type counts with a stacked bar
+     */
+    function renderCoverage() {
+        var i18n = wpAiSchemaDashboard.i18n;
+        var totals = {};
+        var html = '<table class="widefat striped ai-jsonld-dashboard-table"><thead><tr><th></th><th class="ai-jsonld-dashboard-bar-column"></th>';
+
+        $.each(STATES, function(i, state) {
+            html += '<th class="num">' + escapeHtml(i18n['status_' + state]) + '</th>';
+        });
+
+        html += '<th class="num">' + escapeHtml(i18n.total) + '</th><th class="num">' + escapeHtml(i18n.coverage) + '</th></tr></thead><tbody>';
+
+        $.each(posts, function(i, post) {
+            totals[post.post_type] = totals[post.post_type] || { total: 0 };
+            totals[post.post_type][post.state] = (totals[post.post_type][post.state] || 0) + 1;
+            totals[post.post_type].total++;
+        });
+
+        $.each(wpAiSchemaDashboard.post_types, function(postType, label) {
+            var counts = totals[postType] || { total: 0 };
+            var withSchema = counts.total - (counts.none || 0) - (counts.error || 0);
+            var bar = '';
+
+            $.each(STATES, function(i, state) {
+                if (counts[state]) {
+                    bar += '<span class="ai-jsonld-dashboard-segment ai-jsonld-dashboard-' + state + '" style="width:' +
+                        (counts[state] / counts.total * 100) + '%" title="' + escapeHtml(i18n['status_' + state] + ': ' + counts[state]) + '"></span>';
+                }
+            });
+
+            html += '<tr><td>' + escapeHtml(label) + '</td><td><span class="ai-jsonld-dashboard-bar">' + bar + '</span></td>';
+
+            $.each(STATES, function(i, state) {
+                html += '<td class="num">' + (counts[state] || 0) + '</td>';
+            });
+
+            html += '<td class="num">' + counts.total + '</td>';
+            html += '<td class="num">' + (counts.total ? Math.round(withSchema / counts.total * 100) + '%' : '&mdash;') + '</td></tr>';
+        });
+
+        $('#wp_ai_schema_dashboard_coverage').html(html + '</tbody></table>');
+    }
+
+    /**
+     * Distribution of the primary @type across posts with schema
+     */
+    function renderTypes() {
+        var i18n = wpAiSchemaDashboard.i18n;
+        var counts = {};
+        var max = 0;
+        var html = '';
+
+        $.each(posts, function(i, post) {
+            if (post.state === 'none') {
+                return;
+            }
+
+            // An errored post may still have schema from an earlier run
+            if (post.state === 'error' && !post.schema_type) {
+                return;
+            }
+
+            var type = post.schema_type || i18n.untyped;
+            counts[type] = (counts[type] || 0) + 1;
+            max = Math.max(max, counts[type]);
+        });
+
+        var types = Object.keys(counts).sort(function(a, b) {
+            return counts[b] - counts[a] || a.localeCompare(b);
+        });
+
+        if (!types.length) {
+            $('#wp_ai_schema_dashboard_types').html('<p class="description">' + escapeHtml(i18n.no_types) + '</p>');
+            return;
+        }
+
+        html += '<ul class="ai-jsonld-dashboard-types">';
+
+        $.each(types, function(i, type) {
+            html += '<li><span class="ai-jsonld-dashboard-type-label">' + escapeHtml(type) + '</span>';
+            html += '<span class="ai-jsonld-dashboard-type-bar"><span style="width:' + (counts[type] / max * 100) + '%"></span></span>';
+            html += '<span class="ai-jsonld-dashboard-type-count">' + counts[type] + '</span></li>';
+        });
+
+        $('#wp_ai_schema_dashboard_types').html(html + '</ul>');
+    }
+
+    /**
+     * Table of posts linking to their editors
+     *
+     * @param {string}      selector Container selector.
+     * @param {Array}       rows     Posts to list.
+     * @param {string|null} detail   Post field to show as a second column.
+     */
+    function renderPostTable(selector, rows, detail) {
+        var i18n = wpAiSchemaDashboard.i18n;
+
+        if (!rows.length) {
+            $(selector).html('<p class="description">' + escapeHtml(i18n.none_listed) + '</p>');
+            return;
+        }
+
+        var html = '<table class="widefat striped ai-jsonld-dashboard-table"><tbody>';
+
+        $.each(rows, function(i, post) {
+            html += '<tr><td><a href="' + escapeHtml(post.edit_link) + '">' + escapeHtml(post.title) + '</a></td>';
+            html += '<td>' + escapeHtml(wpAiSchemaDashboard.post_types[post.post_type] || post.post_type) + '</td>';
+
+            if (detail) {
+                html += '<td>' + escapeHtml(post[detail]) + '</td>';
+            }
+
+            html += '<td class="ai-jsonld-dashboard-edit"><a href="' + escapeHtml(post.edit_link) + '" class="button button-small">' + escapeHtml(i18n.edit) + '</a></td></tr>';
+        });
+
+        $(selector).html(html + '</tbody></table>');
+    }
+
+    // Initialize on document ready
+    $(document).ready(init);
+
+})(jQuery);
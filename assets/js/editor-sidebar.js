@@ -0,0 +1,677 @@
+/**
+ * AI JSON-LD Generator - Block Editor Sidebar
+ *
+ * Generate, preview, diagnostics and frontend verification for the block
+ * editor, using the same AJAX actions as the classic metabox. Editor state
+ * comes from the core/editor store so the sidebar can warn when unsaved
+ * changes won't be part of the generation.
+ */
+
+(function(wp, window) {
+    'use strict';
+
+    var el = wp.element.createElement;
+    var Fragment = wp.element.Fragment;
+    var useState = wp.element.useState;
+    var useEffect = wp.element.useEffect;
+    var useSelect = wp.data.useSelect;
+    var useDispatch = wp.data.useDispatch;
+    var __ = wp.i18n.__;
+    var sprintf = wp.i18n.sprintf;
+    var components = wp.components;
+    var editorPlugins = wp.editor && wp.editor.PluginSidebar ? wp.editor : wp.editPost;
+
+    var config = window.wpAiSchemaSidebar;
+    var SIDEBAR_NAME = 'wp-ai-schema-sidebar';
+
+    /**
+     * POST to an admin-ajax action
+     *
+     * @param {string} action  AJAX action name.
+     * @param {Object} data    Extra request fields.
+     * @param {number} timeout Timeout in milliseconds.
+     * @return {Promise} Resolves with the { success, data } response.
+     */
+    function ajaxRequest(action, data, timeout) {
+        var body = new window.URLSearchParams();
+        var controller = new window.AbortController();
+        var timer = setTimeout(function() {
+            controller.abort();
+        }, timeout || 30000);
+
+        body.append('action', action);
+        body.append('nonce', config.nonce);
+        body.append('post_id', config.post_id);
+
+        Object.keys(data || {}).forEach(function(key) {
+            body.append(key, data[key]);
+        });
+
+        return window.fetch(config.ajax_url, {
+            method: 'POST',
+            credentials: 'same-origin',
+            body: body,
+            signal: controller.signal
+        }).then(function(response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+        }).catch(function(error) {
+            if (error.name === 'AbortError') {
+                throw new Error(__('Request timed out. The AI may be busy - please try again.', 'wp-ai-seo-schema-generator'));
+            }
+            throw error;
+        }).finally(function() {
+            clearTimeout(timer);
+        });
+    }
+
+    /**
+     * Pretty-print schema JSON, falling back to the raw string
+     */
+    function prettyPrint(schema) {
+        try {
+            return JSON.stringify(JSON.parse(schema), null, 2);
+        } catch (e) {
+            return schema;
+        }
+    }
+
+    /**
+     * Structural changes between two schemas (none if either is missing or invalid)
+     */
+    function diffSchemas(previousSchema, schema) {
+        if (!previousSchema || !schema) {
+            return [];
+        }
+
+        try {
+            return window.wpAiSchemaDiff.diff(JSON.parse(previousSchema), JSON.parse(schema));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Format a Unix timestamp with the site's date and time format
+     */
+    function formatTimestamp(timestamp) {
+        return wp.date.dateI18n(config.date_format, new Date(timestamp * 1000));
+    }
+
+    /**
+     * Turn a wpAiSchemaValidator issue into a message
+     *
+     * @param {Object} issue Validator issue.
+     * @return {string}
+     */
+    function describeIssue(issue) {
+        var p = issue.params;
+
+        switch (issue.code) {
+            case 'missing_context':
+                return __('Missing or non-Schema.org @context', 'wp-ai-seo-schema-generator');
+            case 'unknown_type':
+                /* translators: %s: Schema.org type */
+                return sprintf(__('Unknown @type "%s"', 'wp-ai-seo-schema-generator'), p.type);
+            case 'unknown_property':
+                /* translators: 1: Schema.org type, 2: property name */
+                return sprintf(__('"%2$s" is not a known property of %1$s', 'wp-ai-seo-schema-generator'), p.type, p.property);
+            case 'missing_required':
+                /* translators: 1: Schema.org type, 2: property name */
+                return sprintf(__('%1$s is missing required property "%2$s"', 'wp-ai-seo-schema-generator'), p.type, p.property);
+            case 'missing_required_one_of':
+                /* translators: 1: Schema.org type, 2: comma-separated property names */
+                return sprintf(__('%1$s needs at least one of: %2$s', 'wp-ai-seo-schema-generator'), p.type, p.options);
+            case 'missing_recommended':
+                /* translators: 1: Schema.org type, 2: property name */
+                return sprintf(__('%1$s is missing recommended property "%2$s"', 'wp-ai-seo-schema-generator'), p.type, p.property);
+            case 'invalid_date':
+                /* translators: %s: property value */
+                return sprintf(__('"%s" is not an ISO 8601 date', 'wp-ai-seo-schema-generator'), p.value);
+            case 'invalid_url':
+                /* translators: %s: property value */
+                return sprintf(__('"%s" is not an absolute URL', 'wp-ai-seo-schema-generator'), p.value);
+            case 'dangling_reference':
+                /* translators: %s: @id value */
+                return sprintf(__('No node with @id "%s" in the schema', 'wp-ai-seo-schema-generator'), p.value);
+        }
+
+        return issue.code;
+    }
+
+    /**
+     * Compare the page's JSON-LD blocks with the stored schema
+     *
+     * @param {Array}  blocks Script contents.
+     * @param {string} schema Stored schema JSON.
+     * @return {Object} Result of wpAiSchemaVerify.compare() with a message.
+     */
+    function checkBlocks(blocks, schema) {
+        var result = window.wpAiSchemaVerify.compare(blocks, schema);
+
+        if (!result.schema_found) {
+            result.message = __('Schema not found via browser check', 'wp-ai-seo-schema-generator');
+        } else if (result.schema_match) {
+            result.message = __('Schema found via browser check!', 'wp-ai-seo-schema-generator');
+        } else {
+            result.message = __('Schema found but does not match', 'wp-ai-seo-schema-generator');
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch the page and check its JSON-LD blocks
+     *
+     * @param {string} url    Page URL.
+     * @param {string} schema Stored schema JSON.
+     * @return {Promise} Resolves with the result of checkBlocks().
+     */
+    function verifyViaFetch(url, schema) {
+        return window.fetch(url, { credentials: 'same-origin', cache: 'no-store' }).then(function(response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.text();
+        }).then(function(html) {
+            return checkBlocks(window.wpAiSchemaVerify.extractBlocks(html), schema);
+        });
+    }
+
+    /**
+     * Message for a duplicate or conflicting entity on the page
+     */
+    function verifyIssueMessage(issue) {
+        var entity = issue.type + (issue.id ? ' ' + issue.id : (issue.name ? ' "' + issue.name + '"' : ''));
+        var blocks = issue.blocks.map(function(index) {
+            return '#' + (index + 1);
+        }).join(', ');
+
+        if (issue.code === 'conflict') {
+            /* translators: 1: entity type and @id or name, 2: block numbers, 3: property names */
+            return sprintf(__('%1$s is described differently (blocks %2$s): %3$s', 'wp-ai-seo-schema-generator'), entity, blocks, issue.properties.join(', '));
+        }
+
+        /* translators: 1: entity type and @id or name, 2: block numbers */
+        return sprintf(__('%1$s is output more than once (blocks %2$s)', 'wp-ai-seo-schema-generator'), entity, blocks);
+    }
+
+    /**
+     * Blocks found on the page plus duplicate and conflicting entities
+     */
+    function VerifyDetails(props) {
+        var result = props.result;
+
+        if (!result.blocks || !result.blocks.length) {
+            return null;
+        }
+
+        var issues = (result.issues || []).filter(function(issue) {
+            return issue.code !== 'invalid_block';
+        });
+
+        return el(Fragment, null,
+            el('ul', { className: 'ai-jsonld-sidebar-verify-blocks' }, result.blocks.map(function(block, index) {
+                var types = block.valid
+                    ? (block.types.join(', ') || __('no typed entities', 'wp-ai-seo-schema-generator'))
+                    : __('invalid JSON', 'wp-ai-seo-schema-generator');
+
+                return el('li', { key: index },
+                    /* translators: 1: block number, 2: schema types in the block */
+                    sprintf(__('Block %1$d: %2$s', 'wp-ai-seo-schema-generator'), index + 1, types),
+                    block.ours ? ' (' + __('this plugin', 'wp-ai-seo-schema-generator') + ')' : null
+                );
+            })),
+            result.missing && result.missing.length ? el('p', null,
+                /* translators: %s: schema types */
+                sprintf(__('Not on the page: %s', 'wp-ai-seo-schema-generator'), result.missing.map(function(entity) {
+                    return [].concat(entity['@type']).join(', ');
+                }).join('; '))
+            ) : null,
+            issues.length ? el('ul', { className: 'ai-jsonld-sidebar-verify-issues' }, issues.map(function(issue, index) {
+                return el('li', { key: index }, verifyIssueMessage(issue));
+            })) : null
+        );
+    }
+
+    /**
+     * Sources of JSON-LD on the live page, their overlaps and the merge mode toggle
+     */
+    function ConflictReport(props) {
+        var report = props.report;
+
+        return el('div', { className: 'ai-jsonld-sidebar-conflicts' },
+            el('h4', null, __('JSON-LD sources on the live page', 'wp-ai-seo-schema-generator')),
+            el('ul', null, report.sources.map(function(source) {
+                return el('li', { key: source.source }, el('strong', null, source.source), ': ', source.types.join(', ') || __('no typed entities', 'wp-ai-seo-schema-generator'));
+            })),
+            report.overlaps.length ? el('ul', { className: 'ai-jsonld-sidebar-overlaps' }, report.overlaps.map(function(overlap) {
+                /* translators: 1: schema type, 2: comma-separated source names */
+                var text = sprintf(__('%1$s is output by %2$s.', 'wp-ai-seo-schema-generator'), overlap.type, overlap.sources.join(', '));
+
+                if (overlap.conflicts.length) {
+                    /* translators: %s: property names */
+                    text += ' ' + sprintf(__('They disagree on: %s.', 'wp-ai-seo-schema-generator'), overlap.conflicts.join(', '));
+                }
+                if (overlap.shared_id) {
+                    text += ' ' + __('They share an @id.', 'wp-ai-seo-schema-generator');
+                }
+
+                return el('li', { key: overlap.type, className: overlap.conflicts.length ? 'is-conflict' : '' }, text);
+            })) : null,
+            // Merge mode needs a plugin with a graph filter; it can always be turned off again
+            report.merge.host || report.merge.enabled ? el(components.CheckboxControl, {
+                label: report.merge.host
+                    /* translators: %s: SEO plugin name */
+                    ? sprintf(__('Merge into the %s schema graph', 'wp-ai-seo-schema-generator'), report.merge.host)
+                    : __('Merge into the SEO plugin schema graph (no supported plugin is outputting schema)', 'wp-ai-seo-schema-generator'),
+                help: __('Instead of a second block, this post\'s entities join the SEO plugin\'s @graph. Entities with the same @id or a type the page has once (such as Organization or WebPage) are combined; the SEO plugin\'s values win.', 'wp-ai-seo-schema-generator'),
+                checked: report.merge.enabled,
+                disabled: props.disabled || !report.merge.host,
+                onChange: props.onMergeChange
+            }) : null
+        );
+    }
+
+    /**
+     * Notice type for a verification result
+     */
+    function verifyStatus(result) {
+        var conflicts = (result.issues || []).some(function(issue) {
+            return issue.code === 'conflict';
+        });
+
+        if (result.schema_found) {
+            return result.schema_match && !conflicts ? 'success' : 'warning';
+        }
+        return 'error';
+    }
+
+    /**
+     * Cache status line
+     */
+    function StatusLine(props) {
+        var status = props.status;
+
+        if (!status.has_schema) {
+            return el('p', { className: 'ai-jsonld-sidebar-status' }, __('No schema generated yet', 'wp-ai-seo-schema-generator'));
+        }
+
+        if (status.manual_override) {
+            return el('p', { className: 'ai-jsonld-sidebar-status is-manual' },
+                /* translators: %s: formatted date and time */
+                sprintf(__('Manually edited: %s', 'wp-ai-seo-schema-generator'), formatTimestamp(status.edited_at))
+            );
+        }
+
+        return el('p', { className: 'ai-jsonld-sidebar-status ' + (status.is_current ? 'is-current' : 'is-outdated') },
+            status.is_current
+                ? __('Schema is current', 'wp-ai-seo-schema-generator')
+                : __('Content has changed since last generation', 'wp-ai-seo-schema-generator'),
+            status.generated_at ? el('br') : null,
+            status.generated_at
+                /* translators: %s: formatted date and time */
+                ? el('small', null, sprintf(__('Last generated: %s', 'wp-ai-seo-schema-generator'), formatTimestamp(status.generated_at)))
+                : null
+        );
+    }
+
+    /**
+     * Sidebar contents
+     */
+    function SchemaSidebar() {
+        var editor = useSelect(function(select) {
+            var store = select('core/editor');
+
+            return {
+                isDirty: store.isEditedPostDirty(),
+                isSaving: store.isSavingPost() || store.isAutosavingPost(),
+                status: store.getCurrentPostAttribute('status'),
+                permalink: store.getPermalink()
+            };
+        }, []);
+        var savePost = useDispatch('core/editor').savePost;
+
+        var _schema = useState(config.schema || '');
+        var schema = _schema[0], setSchema = _schema[1];
+        var _status = useState(config.cache_status);
+        var status = _status[0], setStatus = _status[1];
+        var _previous = useState(config.previous_schema || '');
+        var previousSchema = _previous[0], setPreviousSchema = _previous[1];
+        var _typeHints = useState(config.type_hint && config.type_hint !== 'auto' ? config.type_hint.split(',') : []);
+        var typeHints = _typeHints[0], setTypeHints = _typeHints[1];
+        var _force = useState(false);
+        var force = _force[0], setForce = _force[1];
+        var _frontend = useState(false);
+        var fetchFrontend = _frontend[0], setFetchFrontend = _frontend[1];
+        var _deep = useState(false);
+        var deepAnalysis = _deep[0], setDeepAnalysis = _deep[1];
+        var _busy = useState('');
+        var busy = _busy[0], setBusy = _busy[1];
+        var _notice = useState(null);
+        var notice = _notice[0], setNotice = _notice[1];
+        var _issues = useState(null);
+        var issues = _issues[0], setIssues = _issues[1];
+        var _diagnostics = useState(null);
+        var diagnostics = _diagnostics[0], setDiagnostics = _diagnostics[1];
+        var _verify = useState(null);
+        var verifyResult = _verify[0], setVerifyResult = _verify[1];
+        var _conflicts = useState(null);
+        var conflictReport = _conflicts[0], setConflictReport = _conflicts[1];
+
+        var isPublished = editor.status === 'publish';
+        var changes = diffSchemas(previousSchema, schema);
+
+        // A regeneration that changed nothing needs no decision
+        useEffect(function() {
+            if (previousSchema && schema && !changes.length) {
+                resolveDiff('accept', true);
+            }
+        }, [previousSchema, schema]);
+
+        function generate() {
+            setBusy(deepAnalysis ? 'deep' : 'generate');
+            setNotice(null);
+            setIssues(null);
+
+            ajaxRequest('wp_ai_schema_generate', {
+                type_hint: typeHints.length ? typeHints.join(',') : 'auto',
+                force: force ? 1 : 0,
+                fetch_frontend: fetchFrontend && isPublished ? 1 : 0,
+                deep_analysis: deepAnalysis ? 1 : 0
+            }, deepAnalysis ? 300000 : 150000).then(function(response) {
+                var data = response.data || {};
+
+                if (!response.success) {
+                    setNotice({ status: data.cooldown ? 'info' : 'error', message: data.message || __('Error generating schema', 'wp-ai-seo-schema-generator') });
+                    return;
+                }
+
+                setSchema(data.schema);
+                setForce(false);
+                setStatus({
+                    has_schema: true,
+                    is_current: !data.manual_override,
+                    generated_at: data.generated_at || 0,
+                    manual_override: !!data.manual_override,
+                    edited_at: data.edited_at || 0
+                });
+
+                if (data.cached) {
+                    setNotice({ status: 'info', message: data.message });
+                    return;
+                }
+
+                setPreviousSchema(data.previous_schema || '');
+                setNotice({
+                    status: 'success',
+                    message: data.two_pass
+                        ? __('Schema generated with deep analysis!', 'wp-ai-seo-schema-generator')
+                        : __('Schema generated successfully!', 'wp-ai-seo-schema-generator')
+                });
+                runDiagnostics();
+            }).catch(function(error) {
+                setNotice({ status: 'error', message: __('Error generating schema', 'wp-ai-seo-schema-generator') + ': ' + error.message });
+            }).finally(function() {
+                setBusy('');
+            });
+        }
+
+        function saveAndGenerate() {
+            Promise.resolve(savePost()).then(function() {
+                if (wp.data.select('core/editor').didPostSaveRequestSucceed()) {
+                    generate();
+                }
+            });
+        }
+
+        function resolveDiff(decision, silent) {
+            if (!silent) {
+                setBusy(decision);
+            }
+
+            ajaxRequest('wp_ai_schema_' + decision + '_schema').then(function(response) {
+                var data = response.data || {};
+
+                if (!response.success) {
+                    setNotice({ status: 'error', message: data.message || __('Error updating schema', 'wp-ai-seo-schema-generator') });
+                    return;
+                }
+
+                setPreviousSchema('');
+
+                if (decision === 'reject') {
+                    setSchema(data.schema || '');
+                    setStatus(data.cache_status);
+                    setNotice({ status: 'success', message: data.message });
+                }
+            }).catch(function(error) {
+                setNotice({ status: 'error', message: __('Error updating schema', 'wp-ai-seo-schema-generator') + ': ' + error.message });
+            }).finally(function() {
+                if (!silent) {
+                    setBusy('');
+                }
+            });
+        }
+
+        function validate() {
+            var data;
+
+            try {
+                data = JSON.parse(schema);
+            } catch (e) {
+                setIssues([{ severity: 'error', path: '$', message: __('Invalid JSON', 'wp-ai-seo-schema-generator') + ': ' + e.message }]);
+                return;
+            }
+
+            setIssues(window.wpAiSchemaValidator.validate(data, config.schema_reference).map(function(issue) {
+                return { severity: issue.severity, path: issue.path, message: describeIssue(issue) };
+            }));
+        }
+
+        function copy() {
+            window.navigator.clipboard.writeText(schema).then(function() {
+                setNotice({ status: 'success', message: __('Copied to clipboard!', 'wp-ai-seo-schema-generator') });
+            }, function() {
+                setNotice({ status: 'error', message: __('Failed to copy', 'wp-ai-seo-schema-generator') });
+            });
+        }
+
+        function runDiagnostics() {
+            setBusy('diagnostics');
+
+            ajaxRequest('wp_ai_schema_diagnose').then(function(response) {
+                setDiagnostics(response.success ? response.data : { error: (response.data && response.data.message) || __('Error running diagnostics', 'wp-ai-seo-schema-generator') });
+            }).catch(function(error) {
+                setDiagnostics({ error: __('Error running diagnostics', 'wp-ai-seo-schema-generator') + ': ' + error.message });
+            }).finally(function() {
+                setBusy('');
+            });
+        }
+
+        function setMergeMode(enabled) {
+            setBusy('merge');
+
+            ajaxRequest('wp_ai_schema_set_merge_mode', { enabled: enabled ? 1 : 0 }).then(function(response) {
+                if (!response.success) {
+                    throw new Error(response.data && response.data.message);
+                }
+                setNotice({ status: 'success', message: response.data.message });
+                runConflictReport();
+            }).catch(function(error) {
+                setNotice({ status: 'error', message: error.message || __('Could not change merge mode.', 'wp-ai-seo-schema-generator') });
+                setBusy('');
+            });
+        }
+
+        // Fetches the live page, so it only runs when asked for
+        function runConflictReport() {
+            setBusy('sources');
+
+            ajaxRequest('wp_ai_schema_conflict_report').then(function(response) {
+                setConflictReport(response.success ? response.data : { error: (response.data && response.data.message) || __('Could not fetch the live page.', 'wp-ai-seo-schema-generator') });
+            }).catch(function(error) {
+                setConflictReport({ error: __('Could not fetch the live page.', 'wp-ai-seo-schema-generator') + ' ' + error.message });
+            }).finally(function() {
+                setBusy('');
+            });
+        }
+
+        function verifyViaBackend() {
+            return ajaxRequest('wp_ai_schema_verify_frontend').then(function(response) {
+                if (!response.data.blocks) {
+                    return response.data;
+                }
+
+                // Same comparison as the browser check, on the blocks the server fetched
+                var result = checkBlocks(response.data.blocks, schema);
+                result.message = response.data.message;
+                return result;
+            });
+        }
+
+        function verify() {
+            setBusy('verify');
+            setVerifyResult(null);
+
+            // Drafts can only be checked from the browser (the preview needs the login cookie)
+            var check = verifyViaFetch(editor.permalink, schema).then(function(result) {
+                return result.schema_found || !isPublished ? result : verifyViaBackend();
+            }, function() {
+                return isPublished
+                    ? verifyViaBackend()
+                    : { schema_found: false, message: __('Post is not published. Use preview to verify.', 'wp-ai-seo-schema-generator') };
+            });
+
+            check.then(setVerifyResult).catch(function(error) {
+                setVerifyResult({ schema_found: false, message: __('Error verifying frontend', 'wp-ai-seo-schema-generator') + ': ' + error.message });
+            }).finally(function() {
+                setBusy('');
+            });
+        }
+
+        var generating = busy === 'generate' || busy === 'deep';
+        var summary = window.wpAiSchemaDiff.summarize(changes);
+
+        return el(Fragment, null,
+            el(components.PanelBody, { title: __('Generate', 'wp-ai-seo-schema-generator') },
+                el(StatusLine, { status: status }),
+                editor.isDirty ? el(components.Notice, {
+                    status: 'warning',
+                    isDismissible: false,
+                    actions: [{ label: __('Save and generate', 'wp-ai-seo-schema-generator'), onClick: saveAndGenerate, disabled: editor.isSaving || !!busy }]
+                }, __('This post has unsaved changes. Generation reads the last saved version, so save first to include them.', 'wp-ai-seo-schema-generator')) : null,
+                el(components.FormTokenField, {
+                    label: __('Schema type hints (empty to auto-detect)', 'wp-ai-seo-schema-generator'),
+                    value: typeHints,
+                    suggestions: config.type_options,
+                    __experimentalExpandOnFocus: true,
+                    onChange: function(tokens) {
+                        // Only known types; tokens may come back as { value } objects
+                        setTypeHints(tokens.map(function(token) {
+                            return typeof token === 'string' ? token : token.value;
+                        }).filter(function(type, index, types) {
+                            return config.type_options.indexOf(type) !== -1 && types.indexOf(type) === index;
+                        }));
+                    }
+                }),
+                el(components.CheckboxControl, {
+                    label: __('Force regenerate (ignore cache)', 'wp-ai-seo-schema-generator'),
+                    checked: force,
+                    onChange: setForce
+                }),
+                isPublished ? el(components.CheckboxControl, {
+                    label: __('Fetch from frontend', 'wp-ai-seo-schema-generator'),
+                    help: __('Fetches the live page to extract content. Useful for page builders like Bricks, Elementor, etc.', 'wp-ai-seo-schema-generator'),
+                    checked: fetchFrontend,
+                    onChange: setFetchFrontend
+                }) : null,
+                el(components.CheckboxControl, {
+                    label: __('Deep content analysis (2-pass)', 'wp-ai-seo-schema-generator'),
+                    help: __('Recommended for testimonials', 'wp-ai-seo-schema-generator'),
+                    checked: deepAnalysis,
+                    onChange: setDeepAnalysis
+                }),
+                el('div', { className: 'ai-jsonld-sidebar-actions' },
+                    el(components.Button, { variant: 'primary', onClick: generate, isBusy: generating, disabled: !!busy || editor.isSaving },
+                        busy === 'deep'
+                            ? __('Analyzing content...', 'wp-ai-seo-schema-generator')
+                            : (generating ? __('Generating...', 'wp-ai-seo-schema-generator') : __('Generate JSON-LD', 'wp-ai-seo-schema-generator'))
+                    ),
+                    generating ? el(components.Spinner) : null
+                ),
+                notice ? el(components.Notice, { status: notice.status, onRemove: function() { setNotice(null); } }, notice.message) : null,
+                changes.length ? el('div', { className: 'ai-jsonld-sidebar-diff' },
+                    el('p', null,
+                        /* translators: 1: added count, 2: removed count, 3: changed count */
+                        sprintf(__('%1$d added, %2$d removed, %3$d changed', 'wp-ai-seo-schema-generator'), summary.added, summary.removed, summary.changed),
+                        el('br'),
+                        el('small', null, __('The page keeps the current schema until you accept the new one.', 'wp-ai-seo-schema-generator'))
+                    ),
+                    el('ul', { className: 'ai-jsonld-sidebar-diff-list' }, changes.map(function(change, index) {
+                        return el('li', { key: index, className: 'is-' + change.type }, el('code', null, change.path));
+                    })),
+                    el(components.Button, { variant: 'primary', isBusy: busy === 'accept', disabled: !!busy, onClick: function() { resolveDiff('accept'); } }, __('Accept', 'wp-ai-seo-schema-generator')),
+                    ' ',
+                    el(components.Button, { variant: 'secondary', isBusy: busy === 'reject', disabled: !!busy, onClick: function() { resolveDiff('reject'); } }, __('Reject', 'wp-ai-seo-schema-generator'))
+                ) : null
+            ),
+            el(components.PanelBody, { title: __('Generated Schema', 'wp-ai-seo-schema-generator'), initialOpen: !!schema },
+                schema ? el(Fragment, null,
+                    el('pre', { className: 'ai-jsonld-sidebar-preview' }, prettyPrint(schema)),
+                    el('div', { className: 'ai-jsonld-sidebar-actions' },
+                        el(components.Button, { variant: 'secondary', onClick: copy }, __('Copy', 'wp-ai-seo-schema-generator')),
+                        el(components.Button, { variant: 'secondary', onClick: validate }, __('Validate', 'wp-ai-seo-schema-generator'))
+                    ),
+                    issues ? (issues.length
+                        ? el('ul', { className: 'ai-jsonld-sidebar-issues' }, issues.map(function(issue, index) {
+                            return el('li', { key: index, className: 'is-' + issue.severity }, el('code', null, issue.path), ' ', issue.message);
+                        }))
+                        : el(components.Notice, { status: 'success', isDismissible: false }, __('Valid JSON-LD: no Schema.org issues found', 'wp-ai-seo-schema-generator'))
+                    ) : null
+                ) : el('p', null, __('No schema generated yet.', 'wp-ai-seo-schema-generator'))
+            ),
+            el(components.PanelBody, { title: __('Frontend Output Status', 'wp-ai-seo-schema-generator'), initialOpen: false },
+                el('div', { className: 'ai-jsonld-sidebar-actions' },
+                    el(components.Button, { variant: 'secondary', onClick: runDiagnostics, isBusy: busy === 'diagnostics', disabled: !!busy }, __('Run Diagnostics', 'wp-ai-seo-schema-generator')),
+                    el(components.Button, { variant: 'secondary', onClick: verify, isBusy: busy === 'verify', disabled: !!busy || !schema }, __('Verify Frontend', 'wp-ai-seo-schema-generator')),
+                    isPublished ? el(components.Button, { variant: 'secondary', onClick: runConflictReport, isBusy: busy === 'sources', disabled: !!busy }, __('Check Sources', 'wp-ai-seo-schema-generator')) : null
+                ),
+                diagnostics && diagnostics.error ? el(components.Notice, { status: 'error', isDismissible: false }, diagnostics.error) : null,
+                diagnostics && !diagnostics.error ? el(Fragment, null,
+                    el(components.Notice, { status: diagnostics.will_output ? 'success' : 'warning', isDismissible: false }, diagnostics.summary),
+                    el('ul', { className: 'ai-jsonld-sidebar-checks' }, Object.keys(diagnostics.checks).map(function(key) {
+                        var check = diagnostics.checks[key];
+                        var state = check.pass ? 'pass' : (check.warning ? 'warning' : (check.info ? 'info' : 'fail'));
+
+                        return el('li', { key: key, className: 'is-' + state }, el('strong', null, check.label), el('br'), check.message);
+                    }))
+                ) : null,
+                verifyResult ? el(components.Notice, { status: verifyStatus(verifyResult), isDismissible: false },
+                    verifyResult.message,
+                    el(VerifyDetails, { result: verifyResult })
+                ) : null,
+                conflictReport && conflictReport.error ? el(components.Notice, { status: 'error', isDismissible: false }, conflictReport.error) : null,
+                conflictReport && !conflictReport.error ? el(ConflictReport, {
+                    report: conflictReport,
+                    onMergeChange: setMergeMode,
+                    disabled: !!busy
+                }) : null
+            )
+        );
+    }
+
+    wp.plugins.registerPlugin(SIDEBAR_NAME, {
+        icon: 'editor-code',
+        render: function() {
+            return el(Fragment, null,
+                el(editorPlugins.PluginSidebarMoreMenuItem, { target: SIDEBAR_NAME }, __('AI JSON-LD Generator', 'wp-ai-seo-schema-generator')),
+                el(editorPlugins.PluginSidebar, { name: SIDEBAR_NAME, title: __('AI JSON-LD Generator', 'wp-ai-seo-schema-generator') },
+                    el(SchemaSidebar)
+                )
+            );
+        }
+    });
+})(window.wp, window);
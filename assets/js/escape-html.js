@@ -0,0 +1,35 @@
+/**
+ * AI JSON-LD Generator - HTML Escaping
+ *
+ * Escapes text for admin markup built as strings, attribute values included
+ * (schema values such as @id or URLs end up in href and data attributes).
+ * Shared by the admin scripts so there is one escaping rule. Exposed as
+ * window.wpAiSchemaHtml.
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Escape text for insertion as HTML, including attribute values
+     *
+     * @param {*} text Text (null and undefined give an empty string).
+     * @return {string}
+     */
+    function escape(text) {
+        if (text === null || text === undefined) {
+            return '';
+        }
+
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    window.wpAiSchemaHtml = {
+        escape: escape
+    };
+})(window);
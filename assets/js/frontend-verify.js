@@ -0,0 +1,253 @@
+/**
+ * AI JSON-LD Generator - Frontend Verification
+ *
+ * Reads every JSON-LD block from a fetched page with DOMParser (any attribute
+ * order, a nonce or other plugins' blocks) and compares them with the stored
+ * schema entity by entity. Arrays and @graph wrappers are flattened and keys
+ * are sorted first, so formatting and key order do not matter. Entities that
+ * share an @id, or a type a page should only describe once, are checked for
+ * duplicates and conflicting values. Returns issue codes; the caller turns
+ * them into messages. Exposed as window.wpAiSchemaVerify.
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Types a page normally describes once, compared even when their @id differs
+     * (WP_AI_Schema_Conflict_Detector::SINGLE_TYPES, from wpAiSchemaVerifyConfig)
+     */
+    var SINGLE_TYPES = (window.wpAiSchemaVerifyConfig && window.wpAiSchemaVerifyConfig.single_types) || [];
+
+    /**
+     * Check for a plain object (not an array or null)
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * JSON text with object keys sorted, so key order does not affect comparison
+     *
+     * @param {*} value JSON value.
+     * @return {string}
+     */
+    function canonical(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(canonical).join(',') + ']';
+        }
+
+        if (isObject(value)) {
+            return '{' + Object.keys(value).sort().map(function(key) {
+                return JSON.stringify(key) + ':' + canonical(value[key]);
+            }).join(',') + '}';
+        }
+
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Top-level entities of a JSON-LD document, without @context
+     *
+     * @param {*} value Parsed document.
+     * @return {Array}
+     */
+    function getEntities(value) {
+        var entities = [];
+
+        if (Array.isArray(value)) {
+            value.forEach(function(item) {
+                entities = entities.concat(getEntities(item));
+            });
+            return entities;
+        }
+
+        if (!isObject(value)) {
+            return entities;
+        }
+
+        if (Array.isArray(value['@graph'])) {
+            return getEntities(value['@graph']);
+        }
+
+        var entity = {};
+
+        Object.keys(value).forEach(function(key) {
+            if (key !== '@context') {
+                entity[key] = value[key];
+            }
+        });
+
+        if (entity['@type']) {
+            entities.push(entity);
+        }
+
+        return entities;
+    }
+
+    /**
+     * Find the JSON-LD script blocks in a page
+     *
+     * @param {string} html Page HTML.
+     * @return {Array} Script contents, in page order.
+     */
+    function extractBlocks(html) {
+        var doc = new window.DOMParser().parseFromString(html, 'text/html');
+        var scripts = doc.querySelectorAll('script[type]');
+        var blocks = [];
+
+        for (var i = 0; i < scripts.length; i++) {
+            // type="application/ld+json; charset=utf-8" is still JSON-LD
+            if (scripts[i].getAttribute('type').split(';')[0].trim().toLowerCase() === 'application/ld+json') {
+                blocks.push(scripts[i].textContent.trim());
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Scalar properties two descriptions of the same entity disagree on
+     *
+     * @param {Object} a First entity.
+     * @param {Object} b Second entity.
+     * @return {Array} Property names.
+     */
+    function conflictingProperties(a, b) {
+        return Object.keys(a).filter(function(key) {
+            var x = a[key];
+            var y = b[key];
+
+            if (key === '@type' || !(key in b) || x === null || y === null || typeof x === 'object' || typeof y === 'object') {
+                return false;
+            }
+
+            return String(x).trim() !== String(y).trim();
+        });
+    }
+
+    /**
+     * Compare the page's JSON-LD blocks with the stored schema
+     *
+     * @param {Array}  blocks Script contents from extractBlocks() or the backend check.
+     * @param {string} schema Stored schema JSON.
+     * @return {Object} {
+     *     schema_found: whether the page has any JSON-LD,
+     *     schema_match: whether every stored entity is on the page,
+     *     missing:      stored entities not on the page,
+     *     blocks:       [{ valid, ours, types }] per block,
+     *     issues:       [{ code, type, id, name, blocks, properties }]
+     * }
+     */
+    function compare(blocks, schema) {
+        var stored = [];
+        var storedKeys = {};
+        var pageKeys = {};
+        var entities = [];
+        var info = [];
+        var issues = [];
+
+        try {
+            stored = getEntities(JSON.parse(schema));
+        } catch (e) {
+            // Nothing to match against - still report what is on the page
+        }
+
+        stored.forEach(function(entity) {
+            storedKeys[canonical(entity)] = true;
+        });
+
+        blocks.forEach(function(text, index) {
+            var parsed;
+
+            try {
+                parsed = JSON.parse(text);
+            } catch (e) {
+                info.push({ valid: false, ours: false, types: [] });
+                issues.push({ code: 'invalid_block', blocks: [index] });
+                return;
+            }
+
+            var blockEntities = getEntities(parsed);
+            var types = [];
+            var ours = blockEntities.length > 0;
+
+            blockEntities.forEach(function(entity) {
+                var key = canonical(entity);
+
+                pageKeys[key] = true;
+                ours = ours && !!storedKeys[key];
+                types = types.concat(entity['@type']);
+                entities.push({ entity: entity, key: key, block: index });
+            });
+
+            info.push({ valid: true, ours: ours, types: types });
+        });
+
+        var missing = stored.filter(function(entity) {
+            return !pageKeys[canonical(entity)];
+        });
+
+        // Group entities by @id and by single-instance type, then compare within each group
+        var groups = {};
+
+        entities.forEach(function(item) {
+            var groupKeys = [];
+
+            if (typeof item.entity['@id'] === 'string' && item.entity['@id'] !== '') {
+                groupKeys.push('id:' + item.entity['@id']);
+            }
+
+            [].concat(item.entity['@type']).forEach(function(type) {
+                if (SINGLE_TYPES.indexOf(type) !== -1) {
+                    groupKeys.push('type:' + type);
+                }
+            });
+
+            groupKeys.forEach(function(key) {
+                (groups[key] = groups[key] || []).push(item);
+            });
+        });
+
+        var reported = {};
+
+        Object.keys(groups).forEach(function(key) {
+            var group = groups[key];
+
+            for (var i = 1; i < group.length; i++) {
+                var first = group[0];
+                var other = group[i];
+                var pair = entities.indexOf(first) + '-' + entities.indexOf(other);
+
+                if (reported[pair]) {
+                    continue;
+                }
+                reported[pair] = true;
+
+                var properties = first.key === other.key ? [] : conflictingProperties(first.entity, other.entity);
+
+                issues.push({
+                    code: properties.length ? 'conflict' : 'duplicate',
+                    type: [].concat(first.entity['@type']).join(', '),
+                    id: first.entity['@id'] || '',
+                    name: typeof first.entity.name === 'string' ? first.entity.name : '',
+                    blocks: first.block === other.block ? [first.block] : [first.block, other.block],
+                    properties: properties
+                });
+            }
+        });
+
+        return {
+            schema_found: blocks.length > 0,
+            schema_match: stored.length > 0 && missing.length === 0,
+            missing: missing,
+            blocks: info,
+            issues: issues
+        };
+    }
+
+    window.wpAiSchemaVerify = {
+        extractBlocks: extractBlocks,
+        compare: compare
+    };
+})(window);
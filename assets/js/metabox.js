@@ -5,10 +5,15 @@
 (function($) {
     'use strict';
 
+    var escapeHtml = window.wpAiSchemaHtml.escape;
+
     var cooldownTimer = null;
     var cooldownRemaining = 0;
     var progressTimer = null;
     var progressStep = 0;
+    var editOriginal = null;
+    var editValidateTimer = null;
+    var revisionCache = {};
 
     /**
      * Debug logging - outputs to browser console when enabled
@@ -40,10 +45,27 @@
      */
     function init() {
         bindGenerateButton();
+        bindSteeringControls();
+        bindTemplateControls();
+        bindCancelButton();
         bindCopyButton();
         bindValidateButton();
+        bindSaveTemplateButton();
+        bindEditButtons();
+        bindViewToggle();
+        bindDiffButtons();
+        bindHistoryButtons();
+        bindFindingsButtons();
         bindDiagnosticsButton();
         bindVerifyFrontendButton();
+        bindCheckSourcesButton();
+        bindMergeModeToggle();
+        resumeStoredJob();
+
+        // A regeneration from an earlier visit may still await accept/reject
+        if (wpAiSchemaMetabox.previous_schema) {
+            showSchemaDiff(wpAiSchemaMetabox.previous_schema, $('#wp_ai_schema_schema_preview').val());
+        }
     }
 
     /**
@@ -56,6 +78,177 @@
         });
     }
 
+    /**
+     * Ticked type hints as a comma-separated list, or 'auto' if none
+     */
+    function getTypeHint() {
+        var types = $('#wp_ai_schema_type_hint input[type="checkbox"]:checked').map(function() {
+            return this.value;
+        }).get();
+
+        return types.length ? types.join(',') : 'auto';
+    }
+
+    /**
+     * Bind the pinned property add and remove buttons
+     */
+    function bindSteeringControls() {
+        $('#wp_ai_schema_add_pinned').on('click', function(e) {
+            e.preventDefault();
+            var $row = $($.trim($('#wp_ai_schema_pinned_template').html())).appendTo('#wp_ai_schema_pinned_properties');
+            $row.find('.ai-jsonld-pinned-name').trigger('focus');
+        });
+
+        $('#wp_ai_schema_pinned_properties').on('click', '.ai-jsonld-pinned-remove', function(e) {
+            e.preventDefault();
+            $(this).closest('.ai-jsonld-pinned-row').remove();
+        });
+    }
+
+    /**
+     * Instructions, pinned properties and template to send with a generation request
+     *
+     * Pinned properties go as a JSON list of { name, value } rows so that
+     * removing the last one still reaches the server. The template is only
+     * sent when the post has templates to choose from.
+     */
+    function getSteeringData() {
+        var rows = [];
+
+        $('#wp_ai_schema_pinned_properties .ai-jsonld-pinned-row').each(function() {
+            var name = $.trim($(this).find('.ai-jsonld-pinned-name').val());
+
+            if (name) {
+                rows.push({ name: name, value: $(this).find('.ai-jsonld-pinned-value').val() });
+            }
+        });
+
+        var data = {
+            instructions: $('#wp_ai_schema_instructions').val() || '',
+            pinned_properties: JSON.stringify(rows)
+        };
+
+        if ($('#wp_ai_schema_template').length) {
+            data.template_id = $('#wp_ai_schema_template').val() || '';
+        }
+
+        return data;
+    }
+
+    /**
+     * Bind the template select and apply button
+     */
+    function bindTemplateControls() {
+        var $select = $('#wp_ai_schema_template');
+
+        $select.on('change', function() {
+            $('#wp_ai_schema_apply_template').prop('disabled', !$select.val());
+        });
+
+        $('#wp_ai_schema_apply_template').on('click', function(e) {
+            e.preventDefault();
+            applyTemplate();
+        });
+    }
+
+    /**
+     * Fill the selected template for this post and store it, without the AI
+     */
+    function applyTemplate() {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var $button = $('#wp_ai_schema_apply_template');
+        var templateId = $('#wp_ai_schema_template').val();
+
+        if (!templateId || isEditing()) {
+            return;
+        }
+
+        if ($.trim($('#wp_ai_schema_schema_preview').val()) && !window.confirm(i18n.apply_template_confirm)) {
+            return;
+        }
+
+        $button.prop('disabled', true).text(i18n.applying_template);
+
+        $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'wp_ai_schema_apply_template',
+                nonce: wpAiSchemaMetabox.nonce,
+                post_id: wpAiSchemaMetabox.post_id,
+                template_id: templateId
+            },
+            success: function(response) {
+                if (response.success) {
+                    setPreviewSchema(response.data.schema);
+                    showMessage('success', response.data.message);
+                    updateManualStatus(response.data.edited_at);
+
+                    // Applying a template settles any pending regeneration
+                    hideSchemaDiff();
+                    refreshHistoryIfOpen();
+
+                    $('#wp_ai_schema_copy, #wp_ai_schema_validate, #wp_ai_schema_save_template, #wp_ai_schema_verify_frontend').prop('disabled', false);
+
+                    setTimeout(function() {
+                        runDiagnostics();
+                    }, 500);
+                } else {
+                    showMessage('error', response.data.message || i18n.apply_template_error);
+                }
+            },
+            error: function(xhr, status, error) {
+                showMessage('error', i18n.apply_template_error + (error ? ': ' + error : ''));
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(i18n.apply_template);
+            }
+        });
+    }
+
+    /**
+     * Bind cancel button click
+     */
+    function bindCancelButton() {
+        $('#wp_ai_schema_cancel').on('click', function(e) {
+            e.preventDefault();
+            cancelGeneration();
+        });
+    }
+
+    /**
+     * Abort the in-flight generation request (streaming or AJAX)
+     */
+    function cancelGeneration() {
+        if (activeStream) {
+            activeStream.close();
+        }
+
+        if (activeXhr) {
+            activeXhr.abort();
+        }
+
+        // Closing the stream no longer stops the server (so reloads can reattach),
+        // so tell it explicitly to stop calling the provider
+        if (currentJobId) {
+            $.ajax({
+                url: wpAiSchemaMetabox.rest_url + 'wp-ai-schema/v1/cancel',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': wpAiSchemaMetabox.rest_nonce },
+                data: {
+                    post_id: wpAiSchemaMetabox.post_id,
+                    nonce: wpAiSchemaMetabox.nonce,
+                    job_id: currentJobId
+                }
+            });
+        }
+
+        debugLog('Generation cancelled', { jobId: currentJobId });
+        showMessage('info', wpAiSchemaMetabox.i18n.cancelled);
+        finishGeneration();
+    }
+
     /**
      * Start progress indicator
      */
@@ -153,29 +346,101 @@
     ];
 
     /**
-     * Active EventSource for streaming
+     * Active SSE stream handle (see sse-client.js)
+     */
+    var activeStream = null;
+
+    /**
+     * jqXHR for the active AJAX generation request
+     */
+    var activeXhr = null;
+
+    /**
+     * ID of the streaming generation job in progress
+     */
+    var currentJobId = null;
+
+    /**
+     * Pass 2 text received so far (null when no schema is streaming in)
+     */
+    var streamText = null;
+
+    /**
+     * Preview content from before the stream, put back if generation fails
+     */
+    var streamSaved = null;
+
+    /**
+     * Pending throttled refresh of the streaming preview
+     */
+    var streamRenderTimer = null;
+
+    /**
+     * Pass 1 findings shown in the review panel, and the ID to continue them with
+     */
+    var findingsSections = null;
+    var findingsReviewId = null;
+
+    /**
+     * Items the user added to the findings, keyed by section
+     */
+    var findingsAdded = {};
+
+    /**
+     * sessionStorage key for this post's running job
+     */
+    function jobStorageKey() {
+        return 'wpAiSchemaJob_' + wpAiSchemaMetabox.post_id;
+    }
+
+    /**
+     * Read the stored job ID (sessionStorage may be unavailable)
+     */
+    function getStoredJob() {
+        try {
+            return window.sessionStorage.getItem(jobStorageKey());
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Store the running job ID for this tab
+     */
+    function storeJob(jobId) {
+        try {
+            window.sessionStorage.setItem(jobStorageKey(), jobId);
+        } catch (e) {
+            debugLog('Could not store job ID', e);
+        }
+    }
+
+    /**
+     * Forget the stored job ID
      */
-    var activeEventSource = null;
+    function clearStoredJob() {
+        try {
+            window.sessionStorage.removeItem(jobStorageKey());
+        } catch (e) {
+            // Nothing stored
+        }
+    }
 
     /**
      * Generate schema via AJAX or Streaming
      */
     function generateSchema() {
-        var $button = $('#wp_ai_schema_generate');
-        var $spinner = $('.ai-jsonld-spinner');
-        var $preview = $('#wp_ai_schema_schema_preview');
-        var $message = $('#wp_ai_schema_message');
-        var $status = $('.ai-jsonld-status');
-
-        var typeHint = $('#wp_ai_schema_type_hint').val();
+        var typeHint = getTypeHint();
         var forceRegenerate = $('#wp_ai_schema_force_regenerate').is(':checked');
         var fetchFrontend = $('#wp_ai_schema_fetch_frontend').is(':checked');
         var deepAnalysis = $('#wp_ai_schema_deep_analysis').is(':checked');
 
+        // A new generation replaces findings still waiting for review
+        hideFindings();
+        clearStoredJob();
+
         // Disable button and show loading state
-        $button.prop('disabled', true).addClass('generating');
-        $spinner.addClass('is-active');
-        $message.removeClass('success error info').addClass('hidden');
+        setGeneratingState();
 
         // Debug: Log request
         debugLog('Request Parameters', {
@@ -195,18 +460,68 @@
         }
     }
 
+    /**
+     * Put the generate controls into their busy state
+     */
+    function setGeneratingState() {
+        $('#wp_ai_schema_generate').prop('disabled', true).addClass('generating');
+        $('.ai-jsonld-spinner').addClass('is-active');
+        $('#wp_ai_schema_message').removeClass('success error info').addClass('hidden');
+        $('#wp_ai_schema_cancel').removeClass('hidden');
+        $('#wp_ai_schema_accept_schema, #wp_ai_schema_reject_schema').prop('disabled', true);
+    }
+
     /**
      * Generate schema with streaming (real-time progress)
      */
     function generateSchemaStreaming() {
-        var $button = $('#wp_ai_schema_generate');
-        var $spinner = $('.ai-jsonld-spinner');
-        var $preview = $('#wp_ai_schema_schema_preview');
+        var typeHint = getTypeHint();
+        var forceRegenerate = $('#wp_ai_schema_force_regenerate').is(':checked');
+        var fetchFrontend = $('#wp_ai_schema_fetch_frontend').is(':checked');
+
+        openStream($.extend({
+            post_id: wpAiSchemaMetabox.post_id,
+            nonce: wpAiSchemaMetabox.nonce,
+            type_hint: typeHint,
+            force: forceRegenerate ? 1 : 0,
+            fetch_frontend: fetchFrontend ? 1 : 0,
+            review_findings: $('#wp_ai_schema_review_findings').is(':checked') ? 1 : 0
+        }, getSteeringData()), null);
+    }
+
+    /**
+     * Reattach to a generation job left running by a reload or dropped connection
+     */
+    function resumeStoredJob() {
+        var jobId = getStoredJob();
+
+        if (!jobId || !wpAiSchemaMetabox.rest_url) {
+            return;
+        }
+
+        debugLog('Resuming generation job', { jobId: jobId });
+
+        setGeneratingState();
+        openStream(null, jobId);
+    }
+
+    /**
+     * Open the generation stream, starting a new job or reattaching to one
+     *
+     * Once the server has announced a job ID, dropped connections reconnect
+     * with that ID and Last-Event-ID instead of starting over.
+     *
+     * @param {Object|null} requestData Request body for a new job.
+     * @param {string|null} jobId       Job to reattach to, or null for a new one.
+     */
+    function openStream(requestData, jobId) {
         var startTime = Date.now();
 
+        currentJobId = jobId;
+
         // Close any existing connection
-        if (activeEventSource) {
-            activeEventSource.close();
+        if (activeStream) {
+            activeStream.close();
         }
 
         // Build the streaming URL
@@ -215,70 +530,50 @@
         debugLog('Starting streaming request', { url: streamUrl });
 
         // Show initial status
-        updateStreamingStatus('Connecting...');
+        updateStreamingStatus(jobId ? wpAiSchemaMetabox.i18n.resuming : 'Connecting...');
 
-        // Use fetch with POST for the streaming request
-        fetch(streamUrl, {
+        // POST the request and parse the SSE response
+        activeStream = wpAiSchemaSSE.connect(streamUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'X-WP-Nonce': wpAiSchemaMetabox.rest_nonce
             },
-            body: JSON.stringify({
-                post_id: wpAiSchemaMetabox.post_id,
-                nonce: wpAiSchemaMetabox.nonce
-            })
-        }).then(function(response) {
-            if (!response.ok) {
-                throw new Error('HTTP ' + response.status);
-            }
-
-            var reader = response.body.getReader();
-            var decoder = new TextDecoder();
-            var buffer = '';
-
-            function processStream() {
-                return reader.read().then(function(result) {
-                    if (result.done) {
-                        debugLog('Stream complete', { elapsed: (Date.now() - startTime) / 1000 + 's' });
-                        return;
-                    }
+            body: function() {
+                // Without a job ID a retry would start the generation over
+                return JSON.stringify(currentJobId ? {
+                    post_id: wpAiSchemaMetabox.post_id,
+                    nonce: wpAiSchemaMetabox.nonce,
+                    job_id: currentJobId
+                } : requestData);
+            },
+            reconnect: function() {
+                return !!currentJobId;
+            },
+            maxRetries: 5,
+            onEvent: function(event) {
+                var parsed;
 
-                    buffer += decoder.decode(result.value, { stream: true });
-
-                    // Process complete events in buffer
-                    var lines = buffer.split('\n');
-                    buffer = lines.pop(); // Keep incomplete line in buffer
-
-                    lines.forEach(function(line) {
-                        line = line.trim();
-                        if (!line) return;
-
-                        if (line.startsWith('event: ')) {
-                            // Store event type for next data line
-                            window._sseEventType = line.substring(7);
-                        } else if (line.startsWith('data: ')) {
-                            var eventType = window._sseEventType || 'message';
-                            var data = line.substring(6);
-
-                            try {
-                                var parsed = JSON.parse(data);
-                                handleStreamEvent(eventType, parsed, startTime);
-                            } catch (e) {
-                                debugLog('Parse error', { data: data, error: e });
-                            }
-                        }
-                    });
+                try {
+                    parsed = JSON.parse(event.data);
+                } catch (e) {
+                    debugLog('Parse error', { data: event.data, error: e });
+                    return;
+                }
 
-                    return processStream();
-                });
+                handleStreamEvent(event.type, parsed, startTime);
+            },
+            onClose: function() {
+                // Ended without a complete or error event and couldn't reattach
+                debugLog('Stream closed early', { elapsed: (Date.now() - startTime) / 1000 + 's' });
+                showMessage('error', wpAiSchemaMetabox.i18n.stream_lost);
+                finishGeneration();
+            },
+            onError: function(error) {
+                debugLog('Streaming error', error);
+                showMessage('error', 'Streaming failed: ' + error.message);
+                finishGeneration();
             }
-
-            return processStream();
-        }).catch(function(error) {
-            debugLog('Streaming error', error);
-            showMessage('error', 'Streaming failed: ' + error.message);
-            finishGeneration();
         });
     }
 
@@ -287,7 +582,6 @@
      */
     function handleStreamEvent(eventType, data, startTime) {
         var $button = $('#wp_ai_schema_generate');
-        var $preview = $('#wp_ai_schema_schema_preview');
         var elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
 
         // Don't log keepalives (too noisy)
@@ -296,6 +590,12 @@
         }
 
         switch (eventType) {
+            case 'job':
+                // Remember the job so a reload can reattach to it
+                currentJobId = data.job_id;
+                storeJob(data.job_id);
+                break;
+
             case 'debug':
                 // Show debug info in console
                 console.group('%c[AI Schema Debug] ' + (data.phase || 'info'), 'color: #ff6b00; font-weight: bold;');
@@ -321,10 +621,17 @@
                 var statusText = data.message || 'Processing...';
                 updateStreamingStatus(statusText + ' (' + elapsed + 's)');
 
-                // Log findings if present
-                if (data.findings) {
-                    console.log('%c[AI Schema] Content found:', 'color: #28a745; font-weight: bold;', data.findings);
+                break;
+
+            case 'findings':
+                if (data.review_id) {
+                    // Pass 1 stopped for review. Keep the job stored so a reload shows the findings again.
+                    finishGeneration(true);
+                    storeJob(data.review_id);
+                    showMessage('info', wpAiSchemaMetabox.i18n.findings_ready);
                 }
+
+                renderFindings(data.sections || {}, data.review_id || null);
                 break;
 
             case 'content':
@@ -334,109 +641,355 @@
                     updateStreamingStatus('AI analyzing... ' + chars + ' chars (' + elapsed + 's)');
                 } else if (data.phase === 'pass2') {
                     updateStreamingStatus('Building schema... ' + chars + ' chars (' + elapsed + 's)');
+                    appendStreamPreview(data.chunk || '');
                 }
                 break;
 
             case 'complete':
-                // Success! Update the preview
+                // Success! Replace the streamed text with the saved schema
                 var schema = data.schema;
-                try {
-                    var formatted = JSON.stringify(JSON.parse(schema), null, 2);
-                    $preview.val(formatted);
-                } catch (e) {
-                    $preview.val(schema);
-                }
+                endStreamPreview(false);
+                setPreviewSchema(schema);
+
+                showMessage('success', (data.message || 'Schema generated with streaming!') + describeAppliedOptions(data.options));
 
-                showMessage('success', data.message || 'Schema generated with streaming!');
-                updateStatus(true, Math.floor(Date.now() / 1000));
+                if (data.manual_override) {
+                    updateManualStatus(data.edited_at);
+                } else {
+                    updateStatus(true, data.generated_at || Math.floor(Date.now() / 1000));
+                }
 
                 // Enable copy and validate buttons
-                $('#wp_ai_schema_copy, #wp_ai_schema_validate').prop('disabled', false);
+                $('#wp_ai_schema_copy, #wp_ai_schema_validate, #wp_ai_schema_save_template').prop('disabled', false);
                 $('#wp_ai_schema_force_regenerate').prop('checked', false);
 
+                if (!data.cached) {
+                    updateUsage(data.usage_summary);
+                    showSchemaDiff(data.previous_schema, schema);
+                }
+
                 console.log('%c[AI Schema] Complete!', 'color: #28a745; font-weight: bold; font-size: 14px;');
                 console.log('  Total time: ' + elapsed + 's');
 
                 finishGeneration();
 
-                // Auto-run diagnostics
-                setTimeout(function() {
-                    runDiagnostics();
-                }, 500);
+                // Auto-run diagnostics (not for cached results)
+                if (!data.cached) {
+                    setTimeout(function() {
+                        runDiagnostics();
+                    }, 500);
+                }
                 break;
 
             case 'error':
-                showMessage('error', data.message || 'An error occurred');
+                // A stored job that has since expired - just reset quietly
+                if (data.job_missing) {
+                    debugLog('Stored job no longer available', data);
+                    finishGeneration(true);
+                    break;
+                }
+
+                // Reset first so a rate-limit wait isn't replaced by the default cooldown
                 finishGeneration();
+                handleError(data);
                 break;
         }
     }
 
     /**
      * Finish generation (cleanup)
+     *
+     * @param {boolean} skipCooldown Re-enable Generate immediately (nothing was sent to the AI).
      */
-    function finishGeneration() {
+    function finishGeneration(skipCooldown) {
         var $button = $('#wp_ai_schema_generate');
         var $spinner = $('.ai-jsonld-spinner');
 
         stopProgress();
+        endStreamPreview(true);
         $spinner.removeClass('is-active');
         $button.removeClass('generating').text(wpAiSchemaMetabox.i18n.generate);
         $button.prop('disabled', false);
+        $('#wp_ai_schema_cancel').addClass('hidden');
+        $('#wp_ai_schema_accept_schema, #wp_ai_schema_reject_schema').prop('disabled', false);
 
-        if (activeEventSource) {
-            activeEventSource.close();
-            activeEventSource = null;
+        // The request has finished or been aborted - drop the handles
+        if (activeStream) {
+            activeStream.close();
+            activeStream = null;
         }
+        activeXhr = null;
+        currentJobId = null;
+        clearStoredJob();
+        refreshHistoryIfOpen();
 
-        startCooldown();
+        if (!skipCooldown) {
+            startCooldown();
+        }
     }
 
     /**
-     * Generate schema via traditional AJAX (fallback)
+     * Bind the findings review controls
      */
-    function generateSchemaAjax(deepAnalysis) {
-        var $button = $('#wp_ai_schema_generate');
-        var $spinner = $('.ai-jsonld-spinner');
-        var $preview = $('#wp_ai_schema_schema_preview');
+    function bindFindingsButtons() {
+        var $deep = $('#wp_ai_schema_deep_analysis');
 
-        var typeHint = $('#wp_ai_schema_type_hint').val();
-        var forceRegenerate = $('#wp_ai_schema_force_regenerate').is(':checked');
-        var fetchFrontend = $('#wp_ai_schema_fetch_frontend').is(':checked');
+        // Findings can only be reviewed on the streaming path
+        $deep.on('change', function() {
+            $('.ai-jsonld-option-review').toggleClass('hidden', !$deep.is(':checked') || !wpAiSchemaMetabox.rest_url);
+        });
 
-        // Start progress indicator (use different steps for two-pass)
-        if (deepAnalysis) {
-            startTwoPassProgress();
-        } else {
-            startProgress();
-        }
+        $('#wp_ai_schema_findings_continue').on('click', function(e) {
+            e.preventDefault();
+            continueFromFindings();
+        });
 
-        // Build request data
-        var requestData = {
-            action: 'wp_ai_schema_generate',
-            nonce: wpAiSchemaMetabox.nonce,
-            post_id: wpAiSchemaMetabox.post_id,
-            type_hint: typeHint,
-            force: forceRegenerate ? 1 : 0,
-            fetch_frontend: fetchFrontend ? 1 : 0,
-            deep_analysis: deepAnalysis ? 1 : 0
-        };
+        $('#wp_ai_schema_findings_discard').on('click', function(e) {
+            e.preventDefault();
+            hideFindings();
+            clearStoredJob();
+            showMessage('info', wpAiSchemaMetabox.i18n.findings_discarded);
+        });
 
-        // Make AJAX request
-        $.ajax({
-            url: wpAiSchemaMetabox.ajax_url,
-            type: 'POST',
-            timeout: deepAnalysis ? 300000 : 150000, // 5 min for two-pass, 2.5 min for single pass
-            data: requestData,
-            success: function(response) {
-                // Debug: Log full response
-                debugLog('Full Response', response);
+        $('#wp_ai_schema_findings_panel').on('click', '.ai-jsonld-finding-add', function(e) {
+            e.preventDefault();
+            addFinding($(this).closest('.ai-jsonld-findings-section'));
+        });
 
-                // Debug: Log timing info prominently if available
-                if (response.data && response.data.debug && response.data.debug.timing) {
-                    var t = response.data.debug.timing;
-                    console.log('%c[AI Schema Timing]', 'color: #28a745; font-weight: bold; font-size: 14px;');
-                    console.log('  Pass 1 (Content Analysis): ' + (t.pass1_seconds || '?') + 's');
+        $('#wp_ai_schema_findings_panel').on('click', '.ai-jsonld-finding-remove', function(e) {
+            e.preventDefault();
+            var $item = $(this).closest('li');
+
+            findingsAdded[$item.data('section')].splice($item.data('added'), 1);
+            renderFindings(findingsSections, findingsReviewId);
+        });
+    }
+
+    /**
+     * One-line summary of a finding from its main fields
+     *
+     * @param {Object} item   Finding from pass 1.
+     * @param {Array}  fields Fields to show, most important first.
+     * @return {string}
+     */
+    function describeFinding(item, fields) {
+        var parts = [];
+
+        for (var i = 0; i < fields.length; i++) {
+            if (item && item[fields[i]]) {
+                parts.push(String(item[fields[i]]));
+            }
+        }
+
+        var text = parts.join(' \u2014 ');
+
+        return text.length > 160 ? text.substring(0, 157) + '...' : text;
+    }
+
+    /**
+     * Show the pass 1 findings, editable when they await review
+     *
+     * Checkboxes keep or drop the items pass 1 found (by index) and a small
+     * form per section adds items it missed. Read-only otherwise.
+     *
+     * @param {Object}      sections Section => items from pass 1.
+     * @param {string|null} reviewId ID to continue with, or null if pass 2 runs without review.
+     */
+    function renderFindings(sections, reviewId) {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var fieldsBySection = wpAiSchemaMetabox.findings_sections || {};
+        var keep = {};
+        var html = '';
+
+        // Re-rendering after an add or remove keeps the user's ticks
+        $('#wp_ai_schema_findings_panel .ai-jsonld-finding-keep').each(function() {
+            keep[$(this).data('section') + ':' + $(this).data('index')] = $(this).is(':checked');
+        });
+
+        if (sections !== findingsSections || reviewId !== findingsReviewId) {
+            findingsAdded = {};
+            keep = {};
+        }
+
+        findingsSections = sections;
+        findingsReviewId = reviewId;
+
+        if (reviewId) {
+            html += '<p class="ai-jsonld-findings-hint">' + escapeHtml(i18n.findings_review) + '</p>';
+        }
+
+        $.each(fieldsBySection, function(section, fields) {
+            var items = sections[section] || [];
+            var added = findingsAdded[section] || [];
+            var key;
+
+            // Without a review only sections with content are worth showing
+            if (!reviewId && !items.length) {
+                return;
+            }
+
+            html += '<div class="ai-jsonld-findings-section" data-section="' + escapeHtml(section) + '">';
+            html += '<h5>' + escapeHtml(i18n['findings_' + section] || section) + ' (' + (items.length + added.length) + ')</h5>';
+            html += '<ul>';
+
+            for (var i = 0; i < items.length; i++) {
+                key = section + ':' + i;
+                html += '<li>';
+                if (reviewId) {
+                    html += '<label><input type="checkbox" class="ai-jsonld-finding-keep" data-section="' + escapeHtml(section) + '" data-index="' + i + '"' + (keep[key] === false ? '' : ' checked') + ' /> ';
+                    html += escapeHtml(describeFinding(items[i], fields)) + '</label>';
+                } else {
+                    html += escapeHtml(describeFinding(items[i], fields));
+                }
+                html += '</li>';
+            }
+
+            for (var j = 0; j < added.length; j++) {
+                html += '<li class="ai-jsonld-finding-added" data-section="' + escapeHtml(section) + '" data-added="' + j + '">';
+                html += escapeHtml(describeFinding(added[j], fields));
+                html += ' <button type="button" class="button-link ai-jsonld-finding-remove">' + escapeHtml(i18n.findings_remove) + '</button>';
+                html += '</li>';
+            }
+
+            if (!items.length && !added.length) {
+                html += '<li class="ai-jsonld-findings-none">' + escapeHtml(i18n.findings_none) + '</li>';
+            }
+
+            html += '</ul>';
+
+            if (reviewId) {
+                html += '<div class="ai-jsonld-finding-form">';
+                for (var k = 0; k < fields.length; k++) {
+                    html += '<input type="text" class="ai-jsonld-finding-field" data-field="' + escapeHtml(fields[k]) + '" placeholder="' + escapeHtml(i18n['field_' + fields[k]] || fields[k]) + '" />';
+                }
+                html += '<button type="button" class="button button-small ai-jsonld-finding-add">' + escapeHtml(i18n.findings_add) + '</button>';
+                html += '</div>';
+            }
+
+            html += '</div>';
+        });
+
+        $('#wp_ai_schema_findings_panel').html(html);
+        $('#wp_ai_schema_findings .ai-jsonld-findings-actions').toggleClass('hidden', !reviewId);
+        $('#wp_ai_schema_findings').toggleClass('hidden', !html);
+    }
+
+    /**
+     * Add the item typed into a section's form to the findings
+     *
+     * @param {jQuery} $section Findings section element.
+     */
+    function addFinding($section) {
+        var section = $section.data('section');
+        var item = {};
+        var filled = false;
+
+        $section.find('.ai-jsonld-finding-field').each(function() {
+            var value = $.trim($(this).val());
+
+            if (value) {
+                item[$(this).data('field')] = value;
+                filled = true;
+            }
+        });
+
+        if (!filled) {
+            return;
+        }
+
+        findingsAdded[section] = findingsAdded[section] || [];
+        findingsAdded[section].push(item);
+        renderFindings(findingsSections, findingsReviewId);
+    }
+
+    /**
+     * Run pass 2 on the reviewed findings
+     */
+    function continueFromFindings() {
+        var findings = {};
+
+        if (!findingsReviewId) {
+            return;
+        }
+
+        $.each(wpAiSchemaMetabox.findings_sections || {}, function(section) {
+            findings[section] = { keep: [], add: findingsAdded[section] || [] };
+        });
+
+        $('#wp_ai_schema_findings_panel .ai-jsonld-finding-keep:checked').each(function() {
+            findings[$(this).data('section')].keep.push($(this).data('index'));
+        });
+
+        var reviewId = findingsReviewId;
+
+        // The panel stays as a record of what pass 2 was given
+        $('#wp_ai_schema_findings .ai-jsonld-findings-actions').addClass('hidden');
+        $('#wp_ai_schema_findings_panel').find('input, button').prop('disabled', true);
+        findingsReviewId = null;
+
+        setGeneratingState();
+        openStream({
+            post_id: wpAiSchemaMetabox.post_id,
+            nonce: wpAiSchemaMetabox.nonce,
+            review_id: reviewId,
+            findings: findings
+        }, null);
+    }
+
+    /**
+     * Hide the findings panel and forget its state
+     */
+    function hideFindings() {
+        findingsSections = null;
+        findingsReviewId = null;
+        findingsAdded = {};
+        $('#wp_ai_schema_findings').addClass('hidden');
+        $('#wp_ai_schema_findings_panel').empty();
+    }
+
+    /**
+     * Generate schema via traditional AJAX (fallback)
+     */
+    function generateSchemaAjax(deepAnalysis) {
+        var $button = $('#wp_ai_schema_generate');
+
+        var typeHint = getTypeHint();
+        var forceRegenerate = $('#wp_ai_schema_force_regenerate').is(':checked');
+        var fetchFrontend = $('#wp_ai_schema_fetch_frontend').is(':checked');
+
+        // Start progress indicator (use different steps for two-pass)
+        if (deepAnalysis) {
+            startTwoPassProgress();
+        } else {
+            startProgress();
+        }
+
+        // Build request data
+        var requestData = $.extend({
+            action: 'wp_ai_schema_generate',
+            nonce: wpAiSchemaMetabox.nonce,
+            post_id: wpAiSchemaMetabox.post_id,
+            type_hint: typeHint,
+            force: forceRegenerate ? 1 : 0,
+            fetch_frontend: fetchFrontend ? 1 : 0,
+            deep_analysis: deepAnalysis ? 1 : 0
+        }, getSteeringData());
+
+        // Make AJAX request
+        activeXhr = $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: deepAnalysis ? 300000 : 150000, // 5 min for two-pass, 2.5 min for single pass
+            data: requestData,
+            success: function(response) {
+                // Debug: Log full response
+                debugLog('Full Response', response);
+
+                // Debug: Log timing info prominently if available
+                if (response.data && response.data.debug && response.data.debug.timing) {
+                    var t = response.data.debug.timing;
+                    console.log('%c[AI Schema Timing]', 'color: #28a745; font-weight: bold; font-size: 14px;');
+                    console.log('  Pass 1 (Content Analysis): ' + (t.pass1_seconds || '?') + 's');
                     console.log('  Pass 2 (Schema Generation): ' + (t.pass2_seconds || '?') + 's');
                     console.log('  Pass 2 Payload Size: ' + (t.pass2_payload_kb || '?') + ' KB');
                     console.log('  Total Time: ' + (t.total_seconds || '?') + 's');
@@ -450,12 +1003,7 @@
 
                     // Update preview
                     var schema = response.data.schema;
-                    try {
-                        var formatted = JSON.stringify(JSON.parse(schema), null, 2);
-                        $preview.val(formatted);
-                    } catch (e) {
-                        $preview.val(schema);
-                    }
+                    setPreviewSchema(schema);
 
                     // Show success message
                     var messageText;
@@ -466,17 +1014,26 @@
                     } else {
                         messageText = wpAiSchemaMetabox.i18n.success;
                     }
-                    showMessage('success', messageText);
+                    showMessage('success', messageText + describeAppliedOptions(response.data.options));
 
                     // Update status
-                    updateStatus(true, response.data.generated_at);
+                    if (response.data.manual_override) {
+                        updateManualStatus(response.data.edited_at);
+                    } else {
+                        updateStatus(true, response.data.generated_at);
+                    }
 
                     // Enable copy and validate buttons
-                    $('#wp_ai_schema_copy, #wp_ai_schema_validate').prop('disabled', false);
+                    $('#wp_ai_schema_copy, #wp_ai_schema_validate, #wp_ai_schema_save_template').prop('disabled', false);
 
                     // Reset force regenerate checkbox
                     $('#wp_ai_schema_force_regenerate').prop('checked', false);
 
+                    if (!response.data.cached) {
+                        updateUsage(response.data.usage_summary);
+                        showSchemaDiff(response.data.previous_schema, schema);
+                    }
+
                     // Auto-run diagnostics after successful generation (not for cached results)
                     if (!response.data.cached) {
                         setTimeout(function() {
@@ -488,6 +1045,11 @@
                 }
             },
             error: function(xhr, status, error) {
+                // Cancelled by the user - cancelGeneration() shows the message
+                if (status === 'abort') {
+                    return;
+                }
+
                 var errorMsg = wpAiSchemaMetabox.i18n.error;
                 if (status === 'timeout') {
                     errorMsg = wpAiSchemaMetabox.i18n.timeout || 'Request timed out. The AI may be busy - please try again.';
@@ -496,19 +1058,54 @@
                 }
                 showMessage('error', errorMsg);
             },
-            complete: function() {
-                // Ensure progress is stopped (in case of error)
-                stopProgress();
-
-                $spinner.removeClass('is-active');
-                $button.removeClass('generating').text(wpAiSchemaMetabox.i18n.generate);
+            complete: function(xhr, status) {
+                // cancelGeneration() resets the UI itself
+                if (status === 'abort') {
+                    return;
+                }
 
-                // Re-enable button after cooldown
-                startCooldown();
+                // Stop progress, reset the button and start the cooldown
+                finishGeneration();
             }
         });
     }
 
+    /**
+     * Describe which generation options took effect, for the completion message
+     *
+     * @param {Object} options Applied options reported by the server.
+     * @return {string} Sentence to append, or empty string.
+     */
+    function describeAppliedOptions(options) {
+        if (!options) {
+            return '';
+        }
+
+        var i18n = wpAiSchemaMetabox.i18n;
+        var parts = [];
+        var typeLabel = !options.type_hint || options.type_hint === 'auto' ? i18n.applied_type_auto : options.type_hint.split(',').join(', ');
+
+        parts.push(i18n.applied_type_hint.replace('%s', typeLabel));
+
+        if (options.force) {
+            parts.push(i18n.applied_forced);
+        }
+
+        if (options.content_source === 'frontend') {
+            parts.push(i18n.applied_frontend);
+        } else if (options.fetch_frontend) {
+            parts.push(i18n.applied_frontend_failed);
+        } else {
+            parts.push(i18n.applied_post_content);
+        }
+
+        if (options.template) {
+            parts.push(i18n.applied_template.replace('%s', options.template));
+        }
+
+        return ' ' + i18n.applied_options.replace('%s', parts.join(', '));
+    }
+
     /**
      * Handle error response
      */
@@ -544,137 +1141,1431 @@
         // Update button text with countdown
         updateCooldownText();
 
-        cooldownTimer = setInterval(function() {
-            cooldownRemaining--;
+        cooldownTimer = setInterval(function() {
+            cooldownRemaining--;
+
+            if (cooldownRemaining <= 0) {
+                clearInterval(cooldownTimer);
+                cooldownTimer = null;
+                $button.prop('disabled', isEditing()).text(wpAiSchemaMetabox.i18n.generate);
+            } else {
+                updateCooldownText();
+            }
+        }, 1000);
+    }
+
+    /**
+     * Update cooldown button text
+     */
+    function updateCooldownText() {
+        var $button = $('#wp_ai_schema_generate');
+        var text = wpAiSchemaMetabox.i18n.cooldown.replace('%d', cooldownRemaining);
+        $button.prop('disabled', true).text(text);
+    }
+
+    /**
+     * Show message
+     */
+    function showMessage(type, text) {
+        var $message = $('#wp_ai_schema_message');
+        $message
+            .removeClass('hidden success error info')
+            .addClass(type)
+            .text(text);
+    }
+
+    /**
+     * Update status display
+     */
+    function updateStatus(isCurrent, generatedAt) {
+        var $status = $('.ai-jsonld-status');
+        var statusHtml = '';
+
+        if (isCurrent) {
+            statusHtml += '<span class="ai-jsonld-status-label ai-jsonld-status-current">' +
+                wpAiSchemaMetabox.i18n.schema_current + '</span>';
+        } else {
+            statusHtml += '<span class="ai-jsonld-status-label ai-jsonld-status-outdated">' +
+                wpAiSchemaMetabox.i18n.schema_outdated + '</span>';
+        }
+
+        if (generatedAt) {
+            var date = new Date(generatedAt * 1000);
+            var formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+            statusHtml += '<span class="ai-jsonld-generated-time">Last generated: ' + formattedDate + '</span>';
+        }
+
+        $status.html(statusHtml);
+    }
+
+    /**
+     * Update status display for a hand-edited schema
+     */
+    function updateManualStatus(editedAt) {
+        var statusHtml = '<span class="ai-jsonld-status-label ai-jsonld-status-manual">' +
+            wpAiSchemaMetabox.i18n.schema_manual + '</span>';
+
+        if (editedAt) {
+            var date = new Date(editedAt * 1000);
+            var formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+            statusHtml += '<span class="ai-jsonld-generated-time">' +
+                wpAiSchemaMetabox.i18n.edited_at.replace('%s', formattedDate) + '</span>';
+        }
+
+        $('.ai-jsonld-status').html(statusHtml);
+    }
+
+    /**
+     * Show the token usage and estimated cost of the last generation
+     *
+     * @param {string} summary Summary from the server (empty hides the line).
+     */
+    function updateUsage(summary) {
+        $('#wp_ai_schema_usage').text(summary || '').toggleClass('hidden', !summary);
+    }
+
+    /**
+     * Add a chunk of streamed schema to the preview
+     *
+     * The preview shows the text as it arrives so a bad run can be spotted
+     * and cancelled early. Refreshes are throttled since the tree view
+     * re-parses the whole text each time.
+     *
+     * @param {string} chunk Text received.
+     */
+    function appendStreamPreview(chunk) {
+        if (streamText === null) {
+            streamText = '';
+            streamSaved = $('#wp_ai_schema_schema_preview').val();
+            hideValidationResults();
+            $('#wp_ai_schema_schema_preview, #wp_ai_schema_tree_view').addClass('ai-jsonld-streaming');
+        }
+
+        streamText += chunk;
+
+        if (!streamRenderTimer) {
+            streamRenderTimer = setTimeout(renderStreamPreview, 250);
+        }
+    }
+
+    /**
+     * Show the streamed text in the preview and the tree view
+     */
+    function renderStreamPreview() {
+        var $preview = $('#wp_ai_schema_schema_preview');
+
+        streamRenderTimer = null;
+
+        if (streamText === null) {
+            return;
+        }
+
+        $preview.val(streamText).scrollTop($preview[0].scrollHeight);
+
+        if (!$('#wp_ai_schema_tree_view').hasClass('hidden')) {
+            renderTreeView();
+        }
+    }
+
+    /**
+     * Stop showing streamed text
+     *
+     * @param {boolean} restore Put back the preview from before the stream (generation failed or was cancelled).
+     */
+    function endStreamPreview(restore) {
+        clearTimeout(streamRenderTimer);
+        streamRenderTimer = null;
+
+        if (streamText === null) {
+            return;
+        }
+
+        $('#wp_ai_schema_schema_preview, #wp_ai_schema_tree_view').removeClass('ai-jsonld-streaming');
+
+        var saved = streamSaved;
+        streamText = null;
+        streamSaved = null;
+
+        if (restore) {
+            setPreviewSchema(saved);
+        }
+    }
+
+    /**
+     * Put a schema into the preview (pretty-printed) and refresh the tree view
+     *
+     * @param {string} schema Schema JSON.
+     */
+    function setPreviewSchema(schema) {
+        var $preview = $('#wp_ai_schema_schema_preview');
+
+        try {
+            $preview.val(JSON.stringify(JSON.parse(schema), null, 2));
+        } catch (e) {
+            $preview.val(schema);
+        }
+
+        hideValidationResults();
+
+        if (!$('#wp_ai_schema_tree_view').hasClass('hidden')) {
+            renderTreeView();
+        }
+    }
+
+    /**
+     * Bind the Tree/Raw toggle and tree interactions
+     */
+    function bindViewToggle() {
+        var $tree = $('#wp_ai_schema_tree_view');
+
+        $('#wp_ai_schema_view_tree').on('click', function(e) {
+            e.preventDefault();
+
+            if (!isEditing()) {
+                showTreeView();
+            }
+        });
+
+        $('#wp_ai_schema_view_raw').on('click', function(e) {
+            e.preventDefault();
+            showRawView();
+        });
+
+        $tree.on('click', '.ai-jsonld-tree-ref', function(e) {
+            e.preventDefault();
+            jumpToTreeNode($(this).attr('data-ref'));
+        });
+    }
+
+    /**
+     * Switch the preview to the tree view
+     */
+    function showTreeView() {
+        renderTreeView();
+
+        $('#wp_ai_schema_schema_preview').addClass('hidden');
+        $('#wp_ai_schema_tree_view').removeClass('hidden');
+        $('#wp_ai_schema_view_tree').addClass('ai-jsonld-view-active').attr('aria-pressed', 'true');
+        $('#wp_ai_schema_view_raw').removeClass('ai-jsonld-view-active').attr('aria-pressed', 'false');
+    }
+
+    /**
+     * Switch the preview back to the raw textarea
+     */
+    function showRawView() {
+        $('#wp_ai_schema_tree_view').addClass('hidden');
+        $('#wp_ai_schema_schema_preview').removeClass('hidden');
+        $('#wp_ai_schema_view_raw').addClass('ai-jsonld-view-active').attr('aria-pressed', 'true');
+        $('#wp_ai_schema_view_tree').removeClass('ai-jsonld-view-active').attr('aria-pressed', 'false');
+    }
+
+    /**
+     * Render the tree view from the preview textarea
+     */
+    function renderTreeView() {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var $tree = $('#wp_ai_schema_tree_view');
+        var text = $('#wp_ai_schema_schema_preview').val();
+        var data;
+
+        if (!$.trim(text)) {
+            $tree.html('<p class="ai-jsonld-tree-hint">' + escapeHtml(i18n.tree_empty) + '</p>');
+            return;
+        }
+
+        if (streamText !== null) {
+            // Still streaming - show the entities that have arrived so far
+            var partial = wpAiSchemaPartialJson.parse(text);
+
+            if (!partial) {
+                $tree.html('<p class="ai-jsonld-tree-hint">' + escapeHtml(i18n.tree_streaming) + '</p>');
+                return;
+            }
+
+            data = partial.value;
+        } else {
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                $tree.html('<p class="ai-jsonld-tree-error">' + escapeHtml(i18n.tree_invalid.replace('%s', formatJsonError(text, e))) + '</p>');
+                return;
+            }
+        }
+
+        var counts = {};
+        var ids = {};
+        collectTreeStats(data, counts, ids);
+
+        var html = '<div class="ai-jsonld-tree-badges">';
+        Object.keys(counts).sort().forEach(function(type) {
+            html += '<span class="ai-jsonld-tree-badge">' + escapeHtml(type) +
+                ' <span class="ai-jsonld-tree-badge-count">' + counts[type] + '</span></span>';
+        });
+        html += '</div>';
+
+        // A @graph lists the top-level entities; otherwise the document is one
+        var roots = data && Array.isArray(data['@graph']) ? data['@graph'] : [data];
+
+        html += '<div class="ai-jsonld-tree-root">';
+        for (var i = 0; i < roots.length; i++) {
+            html += renderTreeValue(null, roots[i], ids, 0);
+        }
+        html += '</div>';
+
+        $tree.html(html);
+    }
+
+    /**
+     * Count entity types and collect @id targets
+     *
+     * @param {*}      value  JSON value.
+     * @param {Object} counts Type => count, filled in.
+     * @param {Object} ids    @id => true for nodes that define an entity, filled in.
+     */
+    function collectTreeStats(value, counts, ids) {
+        if (Array.isArray(value)) {
+            value.forEach(function(item) {
+                collectTreeStats(item, counts, ids);
+            });
+            return;
+        }
+
+        if (!value || typeof value !== 'object') {
+            return;
+        }
+
+        if (value['@type']) {
+            [].concat(value['@type']).forEach(function(type) {
+                counts[type] = (counts[type] || 0) + 1;
+            });
+        }
+
+        if (typeof value['@id'] === 'string' && !isTreeReference(value)) {
+            ids[value['@id']] = true;
+        }
+
+        Object.keys(value).forEach(function(key) {
+            collectTreeStats(value[key], counts, ids);
+        });
+    }
+
+    /**
+     * Whether an object is only a pointer to another node ({"@id": "..."})
+     */
+    function isTreeReference(value) {
+        var keys = Object.keys(value);
+        return keys.length === 1 && keys[0] === '@id' && typeof value['@id'] === 'string';
+    }
+
+    /**
+     * Render one property (or top-level node) of the tree
+     *
+     * @param {string|number|null} key   Property name or array index (null for top-level nodes).
+     * @param {*}                  value JSON value.
+     * @param {Object}             ids   Known @id targets.
+     * @param {number}             depth Nesting depth (top-level nodes start expanded).
+     * @return {string} HTML.
+     */
+    function renderTreeValue(key, value, ids, depth) {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var keyHtml = key === null ? '' : '<span class="ai-jsonld-tree-key">' + escapeHtml(String(key)) + '</span>';
+        var html;
+
+        // Cross-reference to another node
+        if (value && typeof value === 'object' && !Array.isArray(value) && isTreeReference(value)) {
+            var ref = value['@id'];
+
+            html = '<div class="ai-jsonld-tree-leaf">' + keyHtml;
+            if (ids[ref]) {
+                html += '<a href="#" class="ai-jsonld-tree-ref" data-ref="' + escapeHtml(ref) + '" title="' + escapeHtml(i18n.tree_jump) + '">&rarr; ' + escapeHtml(ref) + '</a>';
+            } else {
+                html += '<span class="ai-jsonld-tree-ref-missing" title="' + escapeHtml(i18n.tree_ref_missing) + '">&rarr; ' + escapeHtml(ref) + '</span>';
+            }
+            return html + '</div>';
+        }
+
+        if (Array.isArray(value)) {
+            html = '<details class="ai-jsonld-tree-array"' + (depth === 0 ? ' open' : '') + '>';
+            html += '<summary>' + keyHtml + '<span class="ai-jsonld-tree-length">[' + value.length + ']</span></summary>';
+            html += '<div class="ai-jsonld-tree-children">';
+            for (var i = 0; i < value.length; i++) {
+                html += renderTreeValue(i, value[i], ids, depth + 1);
+            }
+            return html + '</div></details>';
+        }
+
+        if (value && typeof value === 'object') {
+            var nodeId = typeof value['@id'] === 'string' ? value['@id'] : '';
+
+            html = '<details class="ai-jsonld-tree-node"' + (nodeId ? ' data-node-id="' + escapeHtml(nodeId) + '"' : '') + (depth === 0 ? ' open' : '') + '>';
+            html += '<summary>' + keyHtml;
+            if (value['@type']) {
+                html += '<span class="ai-jsonld-tree-type">' + escapeHtml([].concat(value['@type']).join(', ')) + '</span>';
+            }
+            if (nodeId) {
+                html += '<span class="ai-jsonld-tree-id">' + escapeHtml(nodeId) + '</span>';
+            }
+            html += '</summary><div class="ai-jsonld-tree-children">';
+
+            Object.keys(value).forEach(function(prop) {
+                // Shown in the heading
+                if (prop === '@type' || prop === '@id') {
+                    return;
+                }
+                html += renderTreeValue(prop, value[prop], ids, depth + 1);
+            });
+
+            return html + '</div></details>';
+        }
+
+        var valueType = value === null ? 'null' : typeof value;
+
+        return '<div class="ai-jsonld-tree-leaf">' + keyHtml +
+            '<span class="ai-jsonld-tree-value ai-jsonld-tree-' + valueType + '">' +
+            escapeHtml(valueType === 'string' ? value : String(value)) + '</span></div>';
+    }
+
+    /**
+     * Expand and scroll to the node defining an @id
+     *
+     * @param {string} ref Referenced @id.
+     */
+    function jumpToTreeNode(ref) {
+        var $tree = $('#wp_ai_schema_tree_view');
+        var $target = $tree.find('.ai-jsonld-tree-node').filter(function() {
+            return $(this).attr('data-node-id') === ref;
+        }).first();
+
+        if (!$target.length) {
+            return;
+        }
+
+        $target.parents('details').addBack().prop('open', true);
+
+        var top = $target.offset().top - $tree.offset().top + $tree.scrollTop();
+        $tree.scrollTop(Math.max(0, top - 10));
+
+        $target.addClass('ai-jsonld-tree-highlight');
+        setTimeout(function() {
+            $target.removeClass('ai-jsonld-tree-highlight');
+        }, 1500);
+    }
+
+    /**
+     * Bind copy button
+     */
+    function bindCopyButton() {
+        $('#wp_ai_schema_copy').on('click', function(e) {
+            e.preventDefault();
+
+            var $preview = $('#wp_ai_schema_schema_preview');
+            var schema = $preview.val();
+
+            if (!schema) {
+                return;
+            }
+
+            // Copy to clipboard
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(schema).then(function() {
+                    showTemporaryMessage(wpAiSchemaMetabox.i18n.copied, 'success');
+                }).catch(function() {
+                    fallbackCopy($preview);
+                });
+            } else {
+                fallbackCopy($preview);
+            }
+        });
+    }
+
+    /**
+     * Fallback copy method
+     */
+    function fallbackCopy($textarea) {
+        $textarea.select();
+        try {
+            document.execCommand('copy');
+            showTemporaryMessage(wpAiSchemaMetabox.i18n.copied, 'success');
+        } catch (e) {
+            showTemporaryMessage(wpAiSchemaMetabox.i18n.copy_failed, 'error');
+        }
+    }
+
+    /**
+     * Show temporary message
+     */
+    function showTemporaryMessage(text, type) {
+        var $message = $('#wp_ai_schema_message');
+        $message
+            .removeClass('hidden success error info')
+            .addClass(type)
+            .text(text);
+
+        setTimeout(function() {
+            $message.addClass('hidden');
+        }, 2000);
+    }
+
+    /**
+     * Bind validate button
+     */
+    function bindValidateButton() {
+        $('#wp_ai_schema_validate').on('click', function(e) {
+            e.preventDefault();
+
+            var $preview = $('#wp_ai_schema_schema_preview');
+            var schema = $preview.val();
+
+            if (!schema) {
+                return;
+            }
+
+            var data;
+
+            try {
+                data = JSON.parse(schema);
+            } catch (e) {
+                hideValidationResults();
+                showTemporaryMessage(formatJsonError(schema, e), 'error');
+                return;
+            }
+
+            var issues = window.wpAiSchemaValidator.validate(data, wpAiSchemaMetabox.schema_reference);
+
+            if (!issues.length) {
+                hideValidationResults();
+                showTemporaryMessage(wpAiSchemaMetabox.i18n.lint_passed, 'success');
+                return;
+            }
+
+            renderValidationResults(issues);
+        });
+    }
+
+    /**
+     * Fill %1$s-style placeholders in a translated string
+     *
+     * @param {string} template Translated string.
+     * @param {Array}  values   Values for %1$, %2$, ...
+     * @return {string}
+     */
+    function formatString(template, values) {
+        return template.replace(/%(\d+)\$[sd]/g, function(match, index) {
+            var value = values[parseInt(index, 10) - 1];
+            return value === undefined ? '' : value;
+        });
+    }
+
+    /**
+     * List Schema.org validation issues under the preview
+     *
+     * @param {Array} issues Issues from wpAiSchemaValidator.validate().
+     */
+    function renderValidationResults(issues) {
+        var counts = { error: 0, warning: 0, notice: 0 };
+        var classes = { error: 'ai-jsonld-check-fail', warning: 'ai-jsonld-check-warning', notice: 'ai-jsonld-check-info' };
+        var icons = { error: '&#10007;', warning: '&#9888;', notice: '&#8505;' };
+        var html = '';
+
+        issues.forEach(function(issue) {
+            var template = wpAiSchemaMetabox.i18n['lint_' + issue.code] || issue.code;
+            var message = formatString(template, [issue.params.type, issue.params.property, issue.params.options, issue.params.value]);
+
+            counts[issue.severity]++;
+
+            html += '<li class="ai-jsonld-check-item ' + classes[issue.severity] + '">';
+            html += '<span class="ai-jsonld-check-icon">' + icons[issue.severity] + '</span>';
+            html += '<span class="ai-jsonld-check-label"><code>' + escapeHtml(issue.path) + '</code></span>';
+            html += '<span class="ai-jsonld-check-message">' + escapeHtml(message) + '</span>';
+            html += '</li>';
+        });
+
+        var summary = formatString(wpAiSchemaMetabox.i18n.lint_summary, [counts.error, counts.warning, counts.notice]);
+
+        $('#wp_ai_schema_validation_results')
+            .html('<p class="ai-jsonld-validation-summary">' + escapeHtml(summary) + '</p><ul class="ai-jsonld-diagnostic-checks">' + html + '</ul>')
+            .removeClass('hidden');
+    }
+
+    /**
+     * Clear the validation results (they describe an older schema)
+     */
+    function hideValidationResults() {
+        $('#wp_ai_schema_validation_results').addClass('hidden').empty();
+    }
+
+    /**
+     * Build an "Invalid JSON" message with line and column when known
+     */
+    function formatJsonError(text, error) {
+        var message = wpAiSchemaMetabox.i18n.invalid_json + ': ' + error.message;
+        var location = getJsonErrorLocation(text, error);
+
+        if (location) {
+            message += ' (' + wpAiSchemaMetabox.i18n.json_error_location
+                .replace('%1$d', location.line)
+                .replace('%2$d', location.column) + ')';
+        }
+
+        return message;
+    }
+
+    /**
+     * Work out the line and column of a JSON.parse error
+     *
+     * Browsers report either "line X column Y" (Firefox, newer V8) or
+     * "position N" (older V8, Safari), so both forms are handled.
+     */
+    function getJsonErrorLocation(text, error) {
+        var match = /line (\d+) column (\d+)/i.exec(error.message);
+
+        if (match) {
+            return { line: parseInt(match[1], 10), column: parseInt(match[2], 10) };
+        }
+
+        match = /position (\d+)/i.exec(error.message);
+
+        if (!match) {
+            return null;
+        }
+
+        var before = text.substring(0, parseInt(match[1], 10)).split('\n');
+
+        return { line: before.length, column: before[before.length - 1].length + 1 };
+    }
+
+    /**
+     * Bind the save as template button and its panel
+     */
+    function bindSaveTemplateButton() {
+        var $panel = $('#wp_ai_schema_template_save');
+
+        $('#wp_ai_schema_save_template').on('click', function(e) {
+            e.preventDefault();
+            findTemplateValues();
+        });
+
+        $panel.on('click', '.ai-jsonld-template-save-confirm', function(e) {
+            e.preventDefault();
+            saveAsTemplate();
+        });
+
+        $panel.on('click', '.ai-jsonld-template-save-cancel', function(e) {
+            e.preventDefault();
+            $panel.addClass('hidden').empty();
+        });
+    }
+
+    /**
+     * Ask the server which values in the preview come from the post
+     */
+    function findTemplateValues() {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var $button = $('#wp_ai_schema_save_template');
+
+        $button.prop('disabled', true).text(i18n.finding_template_values);
+
+        $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'wp_ai_schema_find_template_values',
+                nonce: wpAiSchemaMetabox.nonce,
+                post_id: wpAiSchemaMetabox.post_id,
+                schema: $('#wp_ai_schema_schema_preview').val()
+            },
+            success: function(response) {
+                if (response.success) {
+                    renderTemplateSave(response.data);
+                } else {
+                    showMessage('error', response.data.message || i18n.template_save_error);
+                }
+            },
+            error: function(xhr, status, error) {
+                showMessage('error', i18n.template_save_error + (error ? ': ' + error : ''));
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(i18n.save_as_template);
+            }
+        });
+    }
+
+    /**
+     * Show the name field and the post values to turn into placeholders
+     *
+     * @param {Object} data { values: [{ key, path, value, replacement }], name }.
+     */
+    function renderTemplateSave(data) {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var $panel = $('#wp_ai_schema_template_save');
+        var html = '<label for="wp_ai_schema_template_name">' + escapeHtml(i18n.template_name) + '</label>';
+
+        html += '<input type="text" id="wp_ai_schema_template_name" class="regular-text" value="' +
+            escapeHtml(i18n.template_name_default.replace('%s', data.name)) + '" />';
+
+        if (data.values.length) {
+            html += '<p>' + escapeHtml(i18n.template_values) + '</p>';
+            html += '<ul class="ai-jsonld-template-values">';
+
+            for (var i = 0; i < data.values.length; i++) {
+                var item = data.values[i];
+
+                html += '<li><label>';
+                html += '<input type="checkbox" value="' + i + '" checked /> ';
+                html += '<code>' + escapeHtml(item.path) + '</code> ';
+                html += '<span class="ai-jsonld-template-value">' + escapeHtml(item.value) + '</span>';
+                html += ' &rarr; <code>' + escapeHtml(item.replacement) + '</code>';
+                html += '</label></li>';
+            }
+
+            html += '</ul>';
+        } else {
+            html += '<p>' + escapeHtml(i18n.template_values_none) + '</p>';
+        }
+
+        html += '<p class="ai-jsonld-template-save-actions">';
+        html += '<button type="button" class="button button-small button-primary ai-jsonld-template-save-confirm">' + escapeHtml(i18n.save_template) + '</button> ';
+        html += '<button type="button" class="button button-small ai-jsonld-template-save-cancel">' + escapeHtml(i18n.cancel) + '</button>';
+        html += '</p>';
+
+        $panel.html(html).data('values', data.values).removeClass('hidden');
+        $panel.find('#wp_ai_schema_template_name').trigger('focus');
+    }
+
+    /**
+     * Save the preview as a template with the ticked values as placeholders
+     */
+    function saveAsTemplate() {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var $panel = $('#wp_ai_schema_template_save');
+        var $button = $panel.find('.ai-jsonld-template-save-confirm');
+        var values = $panel.data('values') || [];
+        var keys = $panel.find('.ai-jsonld-template-values input:checked').map(function() {
+            return values[parseInt(this.value, 10)].key;
+        }).get();
+
+        $button.prop('disabled', true).text(i18n.saving);
+
+        $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'wp_ai_schema_save_as_template',
+                nonce: wpAiSchemaMetabox.nonce,
+                post_id: wpAiSchemaMetabox.post_id,
+                schema: $('#wp_ai_schema_schema_preview').val(),
+                name: $.trim($panel.find('#wp_ai_schema_template_name').val()),
+                replace: JSON.stringify(keys)
+            },
+            success: function(response) {
+                if (response.success) {
+                    $panel.addClass('hidden').empty();
+                    showMessage('success', response.data.message);
+                    addTemplateOption(response.data.id, response.data.name);
+                } else {
+                    showMessage('error', response.data.message || i18n.template_save_error);
+                }
+            },
+            error: function(xhr, status, error) {
+                showMessage('error', i18n.template_save_error + (error ? ': ' + error : ''));
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(i18n.save_template);
+            }
+        });
+    }
+
+    /**
+     * Offer a newly saved template in the template select, if it is shown
+     */
+    function addTemplateOption(id, name) {
+        $('#wp_ai_schema_template').append($('<option>').val(id).text(name));
+    }
+
+    /**
+     * Bind edit, save and cancel buttons for hand-editing the schema
+     */
+    function bindEditButtons() {
+        $('#wp_ai_schema_edit').on('click', function(e) {
+            e.preventDefault();
+            enterEditMode();
+        });
+
+        $('#wp_ai_schema_cancel_edit').on('click', function(e) {
+            e.preventDefault();
+
+            var $preview = $('#wp_ai_schema_schema_preview');
+
+            if ($preview.val() !== editOriginal && !window.confirm(wpAiSchemaMetabox.i18n.discard_edits)) {
+                return;
+            }
+
+            $preview.val(editOriginal);
+            exitEditMode();
+        });
+
+        $('#wp_ai_schema_save_edit').on('click', function(e) {
+            e.preventDefault();
+            saveEditedSchema();
+        });
+
+        $('#wp_ai_schema_schema_preview').on('input', function() {
+            if (!isEditing()) {
+                return;
+            }
+
+            // Debounce so large schemas aren't re-parsed on every keystroke
+            clearTimeout(editValidateTimer);
+            editValidateTimer = setTimeout(validateEditedSchema, 250);
+        });
+    }
+
+    /**
+     * Whether the preview is currently in edit mode
+     */
+    function isEditing() {
+        return editOriginal !== null;
+    }
+
+    /**
+     * Make the preview editable
+     */
+    function enterEditMode() {
+        var $preview = $('#wp_ai_schema_schema_preview');
+
+        // Don't allow edits while a generation is writing to the preview
+        if (isEditing() || $('#wp_ai_schema_generate').hasClass('generating')) {
+            return;
+        }
+
+        // The tree is read-only - edit in the raw view
+        showRawView();
+
+        editOriginal = $preview.val();
+        hideValidationResults();
+
+        $preview.prop('readonly', false).addClass('ai-jsonld-editing').trigger('focus');
+        $('#wp_ai_schema_edit').addClass('hidden');
+        $('#wp_ai_schema_save_edit, #wp_ai_schema_cancel_edit').removeClass('hidden');
+        $('#wp_ai_schema_generate').prop('disabled', true);
+
+        validateEditedSchema();
+    }
+
+    /**
+     * Return the preview to read-only mode
+     */
+    function exitEditMode() {
+        clearTimeout(editValidateTimer);
+        editOriginal = null;
+
+        $('#wp_ai_schema_schema_preview').prop('readonly', true).removeClass('ai-jsonld-editing ai-jsonld-invalid');
+        $('#wp_ai_schema_edit').removeClass('hidden');
+        $('#wp_ai_schema_save_edit, #wp_ai_schema_cancel_edit').addClass('hidden');
+        $('#wp_ai_schema_edit_status').addClass('hidden').removeClass('success error').text('');
+
+        if (!cooldownTimer) {
+            $('#wp_ai_schema_generate').prop('disabled', false);
+        }
+    }
+
+    /**
+     * Check JSON syntax of the edited schema and report it below the textarea
+     *
+     * @return {boolean} Whether the JSON parses.
+     */
+    function validateEditedSchema() {
+        var $preview = $('#wp_ai_schema_schema_preview');
+        var $status = $('#wp_ai_schema_edit_status');
+        var schema = $preview.val();
+        var valid = true;
+
+        $status.removeClass('hidden success error');
+
+        try {
+            JSON.parse(schema);
+            $status.addClass('success').text(wpAiSchemaMetabox.i18n.valid_json);
+        } catch (e) {
+            valid = false;
+            $status.addClass('error').text(formatJsonError(schema, e));
+        }
+
+        $preview.toggleClass('ai-jsonld-invalid', !valid);
+        $('#wp_ai_schema_save_edit').prop('disabled', !valid);
+
+        return valid;
+    }
+
+    /**
+     * Save the hand-edited schema via AJAX
+     */
+    function saveEditedSchema() {
+        var $button = $('#wp_ai_schema_save_edit');
+        var $preview = $('#wp_ai_schema_schema_preview');
+
+        if (!validateEditedSchema()) {
+            return;
+        }
+
+        $button.prop('disabled', true).text(wpAiSchemaMetabox.i18n.saving);
+
+        $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'wp_ai_schema_save_schema',
+                nonce: wpAiSchemaMetabox.nonce,
+                post_id: wpAiSchemaMetabox.post_id,
+                schema: $preview.val()
+            },
+            success: function(response) {
+                if (response.success) {
+                    // Show the server-cleaned version so the preview matches what's stored
+                    exitEditMode();
+                    setPreviewSchema(response.data.schema);
+                    showMessage('success', response.data.message);
+                    updateManualStatus(response.data.edited_at);
+
+                    // Saving an edit settles any pending regeneration
+                    hideSchemaDiff();
+                    refreshHistoryIfOpen();
+
+                    $('#wp_ai_schema_copy, #wp_ai_schema_validate, #wp_ai_schema_save_template, #wp_ai_schema_verify_frontend').prop('disabled', false);
+
+                    setTimeout(function() {
+                        runDiagnostics();
+                    }, 500);
+                } else {
+                    showMessage('error', response.data.message || wpAiSchemaMetabox.i18n.save_error);
+                }
+            },
+            error: function(xhr, status, error) {
+                showMessage('error', wpAiSchemaMetabox.i18n.save_error + (error ? ': ' + error : ''));
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(wpAiSchemaMetabox.i18n.save);
+            }
+        });
+    }
+
+    /**
+     * Bind accept/reject buttons of the regeneration diff
+     */
+    function bindDiffButtons() {
+        $('#wp_ai_schema_accept_schema').on('click', function(e) {
+            e.preventDefault();
+            resolveSchemaDiff('accept');
+        });
+
+        $('#wp_ai_schema_reject_schema').on('click', function(e) {
+            e.preventDefault();
+            resolveSchemaDiff('reject');
+        });
+    }
+
+    /**
+     * Short single-line rendering of a JSON value for the diff list
+     */
+    function formatDiffValue(value) {
+        var text = JSON.stringify(value);
+
+        if (text === undefined) {
+            text = String(value);
+        }
+
+        return text.length > 120 ? text.substring(0, 117) + '...' : text;
+    }
+
+    /**
+     * Show a structural diff between the previous and the new schema
+     *
+     * @param {string} previousSchema Schema stored before the regeneration (JSON).
+     * @param {string} newSchema      Regenerated schema (JSON).
+     */
+    function showSchemaDiff(previousSchema, newSchema) {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var changes;
+
+        if (!previousSchema) {
+            hideSchemaDiff();
+            return;
+        }
+
+        try {
+            changes = wpAiSchemaDiff.diff(JSON.parse(previousSchema), JSON.parse(newSchema));
+        } catch (e) {
+            debugLog('Schema diff failed', e.message);
+            hideSchemaDiff();
+            return;
+        }
+
+        // Nothing to review - keep the new schema without asking
+        if (!changes.length) {
+            hideSchemaDiff();
+            resolveSchemaDiff('accept', true);
+            return;
+        }
+
+        $('#wp_ai_schema_diff_panel').html(renderDiffList(changes, i18n.diff_pending));
+        $('#wp_ai_schema_diff_section').removeClass('hidden');
+    }
+
+    /**
+     * Build the HTML list for a set of diff changes
+     *
+     * @param {Array}  changes Result of wpAiSchemaDiff.diff().
+     * @param {string} hint    Optional line shown under the summary.
+     * @return {string} HTML.
+     */
+    function renderDiffList(changes, hint) {
+        var i18n = wpAiSchemaMetabox.i18n;
+
+        if (!changes.length) {
+            return '<p class="ai-jsonld-diff-summary">' + escapeHtml(i18n.diff_none) + '</p>';
+        }
+
+        var counts = wpAiSchemaDiff.summarize(changes);
+        var html = '<p class="ai-jsonld-diff-summary">' + escapeHtml(
+            i18n.diff_summary
+                .replace('%1$d', counts.added)
+                .replace('%2$d', counts.removed)
+                .replace('%3$d', counts.changed)
+        ) + '</p>';
+
+        if (hint) {
+            html += '<p class="ai-jsonld-diff-hint">' + escapeHtml(hint) + '</p>';
+        }
+
+        html += '<ul class="ai-jsonld-diff-list">';
+
+        for (var i = 0; i < changes.length; i++) {
+            var change = changes[i];
+
+            html += '<li class="ai-jsonld-diff-item ai-jsonld-diff-' + change.type + '">';
+            html += '<span class="ai-jsonld-diff-badge">' + escapeHtml(i18n['diff_' + change.type]) + '</span>';
+            html += '<code class="ai-jsonld-diff-path">' + escapeHtml(change.path) + '</code>';
+
+            if (change.type === 'changed') {
+                html += '<span class="ai-jsonld-diff-value ai-jsonld-diff-old">' + escapeHtml(formatDiffValue(change.oldValue)) + '</span>';
+                html += '<span class="ai-jsonld-diff-arrow">&rarr;</span>';
+                html += '<span class="ai-jsonld-diff-value ai-jsonld-diff-new">' + escapeHtml(formatDiffValue(change.newValue)) + '</span>';
+            } else {
+                html += '<span class="ai-jsonld-diff-value">' + escapeHtml(formatDiffValue(change.type === 'added' ? change.newValue : change.oldValue)) + '</span>';
+            }
+
+            html += '</li>';
+        }
+
+        html += '</ul>';
+
+        return html;
+    }
+
+    /**
+     * Hide the regeneration diff
+     */
+    function hideSchemaDiff() {
+        $('#wp_ai_schema_diff_section').addClass('hidden');
+        $('#wp_ai_schema_diff_panel').empty();
+    }
+
+    /**
+     * Accept or reject the regenerated schema
+     *
+     * @param {string}  decision 'accept' keeps the new schema, 'reject' restores the previous one.
+     * @param {boolean} silent   Don't report the outcome (automatic accept).
+     */
+    function resolveSchemaDiff(decision, silent) {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var $button = $('#wp_ai_schema_' + decision + '_schema');
+        var $buttons = $('#wp_ai_schema_accept_schema, #wp_ai_schema_reject_schema');
+
+        $buttons.prop('disabled', true);
+        $button.text(decision === 'accept' ? i18n.accepting : i18n.rejecting);
+
+        $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'wp_ai_schema_' + decision + '_schema',
+                nonce: wpAiSchemaMetabox.nonce,
+                post_id: wpAiSchemaMetabox.post_id
+            },
+            success: function(response) {
+                if (!response.success) {
+                    if (!silent) {
+                        showMessage('error', response.data.message || i18n.diff_error);
+                    }
+                    return;
+                }
+
+                hideSchemaDiff();
+
+                if (decision === 'reject') {
+                    var status = response.data.cache_status;
+
+                    setPreviewSchema(response.data.schema);
+
+                    if (status.manual_override) {
+                        updateManualStatus(status.edited_at);
+                    } else {
+                        updateStatus(status.is_current, status.generated_at);
+                    }
+
+                    refreshHistoryIfOpen();
+
+                    setTimeout(function() {
+                        runDiagnostics();
+                    }, 500);
+                }
+
+                if (!silent) {
+                    showMessage('success', response.data.message);
+                }
+            },
+            error: function(xhr, status, error) {
+                if (!silent) {
+                    showMessage('error', i18n.diff_error + (error ? ': ' + error : ''));
+                }
+            },
+            complete: function() {
+                $buttons.prop('disabled', false);
+                $button.text(decision === 'accept' ? i18n.accept : i18n.reject);
+            }
+        });
+    }
+
+    /**
+     * Bind history panel buttons
+     */
+    function bindHistoryButtons() {
+        var $panel = $('#wp_ai_schema_history_panel');
+
+        $('#wp_ai_schema_load_history').on('click', function(e) {
+            e.preventDefault();
+            loadHistory();
+        });
+
+        $('#wp_ai_schema_compare_revisions').on('click', function(e) {
+            e.preventDefault();
+            compareSelectedRevisions();
+        });
+
+        $panel.on('click', '.ai-jsonld-revision-preview', function(e) {
+            e.preventDefault();
+            previewRevision(parseInt($(this).data('revision'), 10));
+        });
+
+        $panel.on('click', '.ai-jsonld-revision-restore', function(e) {
+            e.preventDefault();
+            restoreRevision(parseInt($(this).data('revision'), 10), $(this));
+        });
+
+        // Compare needs exactly two revisions
+        $panel.on('change', '.ai-jsonld-revision-select', function() {
+            $('#wp_ai_schema_compare_revisions').prop('disabled', $panel.find('.ai-jsonld-revision-select:checked').length !== 2);
+        });
+
+        $('#wp_ai_schema_history_view').on('click', '.ai-jsonld-history-close', function(e) {
+            e.preventDefault();
+            $('#wp_ai_schema_history_view').addClass('hidden').empty();
+        });
+    }
+
+    /**
+     * Reload the revision list if the user has it open
+     */
+    function refreshHistoryIfOpen() {
+        if (!$('#wp_ai_schema_history_panel').hasClass('hidden')) {
+            loadHistory();
+        }
+    }
+
+    /**
+     * Format a Unix timestamp the same way as the status line
+     */
+    function formatTimestamp(timestamp) {
+        var date = new Date(timestamp * 1000);
+        return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+    }
+
+    /**
+     * Load the revision list via AJAX
+     */
+    function loadHistory() {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var $button = $('#wp_ai_schema_load_history');
+        var $spinner = $('.ai-jsonld-history-spinner');
+        var $panel = $('#wp_ai_schema_history_panel');
+
+        $button.prop('disabled', true).text(i18n.loading_history);
+        $spinner.addClass('is-active');
+
+        $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'wp_ai_schema_get_revisions',
+                nonce: wpAiSchemaMetabox.nonce,
+                post_id: wpAiSchemaMetabox.post_id
+            },
+            success: function(response) {
+                debugLog('History Response', response);
+
+                if (response.success) {
+                    renderHistory(response.data.revisions);
+                } else {
+                    $panel.removeClass('hidden').html('<p class="ai-jsonld-history-error">' + escapeHtml(response.data.message || i18n.history_error) + '</p>');
+                }
+            },
+            error: function(xhr, status, error) {
+                $panel.removeClass('hidden').html('<p class="ai-jsonld-history-error">' + escapeHtml(i18n.history_error + (error ? ': ' + error : '')) + '</p>');
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(i18n.refresh_history);
+                $spinner.removeClass('is-active');
+            }
+        });
+    }
+
+    /**
+     * Render the revision list
+     *
+     * @param {Array} revisions Revision summaries, newest first.
+     */
+    function renderHistory(revisions) {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var $panel = $('#wp_ai_schema_history_panel');
+        var $compare = $('#wp_ai_schema_compare_revisions');
+
+        $panel.removeClass('hidden');
+
+        if (!revisions.length) {
+            $panel.html('<p class="ai-jsonld-history-hint">' + escapeHtml(i18n.history_empty) + '</p>');
+            $compare.addClass('hidden');
+            return;
+        }
+
+        var html = '<table class="ai-jsonld-history-table widefat striped">';
+        html += '<thead><tr>';
+        html += '<th class="ai-jsonld-history-select"></th>';
+        html += '<th>#</th>';
+        html += '<th>' + escapeHtml(i18n.history_date) + '</th>';
+        html += '<th>' + escapeHtml(i18n.history_source) + '</th>';
+        html += '<th>' + escapeHtml(i18n.history_model) + '</th>';
+        html += '<th>' + escapeHtml(i18n.history_type_hint) + '</th>';
+        html += '<th>' + escapeHtml(i18n.history_types) + '</th>';
+        html += '<th>' + escapeHtml(i18n.history_user) + '</th>';
+        html += '<th></th>';
+        html += '</tr></thead><tbody>';
+
+        for (var i = 0; i < revisions.length; i++) {
+            var revision = revisions[i];
+            var mode = i18n['mode_' + revision.mode] || revision.mode;
+            var model = revision.provider ? revision.provider + (revision.model ? ' / ' + revision.model : '') : '';
+
+            if (revision.restored_from) {
+                mode += ' ' + i18n.history_restored_from.replace('%d', revision.restored_from);
+            }
+
+            if (revision.template) {
+                mode += ' ' + i18n.history_template.replace('%s', revision.template);
+            }
 
-            if (cooldownRemaining <= 0) {
-                clearInterval(cooldownTimer);
-                cooldownTimer = null;
-                $button.prop('disabled', false).text(wpAiSchemaMetabox.i18n.generate);
-            } else {
-                updateCooldownText();
+            html += '<tr>';
+            html += '<td class="ai-jsonld-history-select"><input type="checkbox" class="ai-jsonld-revision-select" value="' + revision.id + '" /></td>';
+            html += '<td>' + revision.id + '</td>';
+            html += '<td>' + escapeHtml(formatTimestamp(revision.time));
+            if (i === 0) {
+                html += ' <span class="ai-jsonld-history-current">' + escapeHtml(i18n.history_current) + '</span>';
             }
-        }, 1000);
+            html += '</td>';
+            html += '<td>' + escapeHtml(mode) + '</td>';
+            html += '<td>' + (model ? escapeHtml(model) : '&mdash;') + '</td>';
+            html += '<td>' + escapeHtml(revision.type_hint) + '</td>';
+            html += '<td>' + escapeHtml(revision.type) + '</td>';
+            html += '<td>' + escapeHtml(revision.user || i18n.history_system) + '</td>';
+            html += '<td class="ai-jsonld-history-row-actions">';
+            html += '<button type="button" class="button button-small ai-jsonld-revision-preview" data-revision="' + revision.id + '">' + escapeHtml(i18n.preview) + '</button>';
+            if (i !== 0) {
+                html += '<button type="button" class="button button-small ai-jsonld-revision-restore" data-revision="' + revision.id + '">' + escapeHtml(i18n.restore) + '</button>';
+            }
+            html += '</td>';
+            html += '</tr>';
+        }
+
+        html += '</tbody></table>';
+
+        $panel.html(html);
+        $compare.removeClass('hidden').prop('disabled', true);
     }
 
     /**
-     * Update cooldown button text
+     * Fetch a full revision (with schema), cached per page load
+     *
+     * @param {number}   revisionId Revision ID.
+     * @param {Function} callback   Receives the revision object.
      */
-    function updateCooldownText() {
-        var $button = $('#wp_ai_schema_generate');
-        var text = wpAiSchemaMetabox.i18n.cooldown.replace('%d', cooldownRemaining);
-        $button.prop('disabled', true).text(text);
+    function fetchRevision(revisionId, callback) {
+        var i18n = wpAiSchemaMetabox.i18n;
+
+        // Revisions never change once recorded
+        if (revisionCache[revisionId]) {
+            callback(revisionCache[revisionId]);
+            return;
+        }
+
+        $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'wp_ai_schema_get_revision',
+                nonce: wpAiSchemaMetabox.nonce,
+                post_id: wpAiSchemaMetabox.post_id,
+                revision_id: revisionId
+            },
+            success: function(response) {
+                if (response.success) {
+                    revisionCache[revisionId] = response.data.revision;
+                    callback(response.data.revision);
+                } else {
+                    showMessage('error', response.data.message || i18n.history_error);
+                }
+            },
+            error: function(xhr, status, error) {
+                showMessage('error', i18n.history_error + (error ? ': ' + error : ''));
+            }
+        });
     }
 
     /**
-     * Show message
+     * Show the history preview/compare area
+     *
+     * @param {string} title    Heading text.
+     * @param {string} bodyHtml Content HTML.
      */
-    function showMessage(type, text) {
-        var $message = $('#wp_ai_schema_message');
-        $message
-            .removeClass('hidden success error info')
-            .addClass(type)
-            .text(text);
+    function showHistoryView(title, bodyHtml) {
+        var html = '<div class="ai-jsonld-history-view-header">';
+        html += '<strong>' + escapeHtml(title) + '</strong>';
+        html += '<button type="button" class="button button-small ai-jsonld-history-close">' + escapeHtml(wpAiSchemaMetabox.i18n.close) + '</button>';
+        html += '</div>';
+        html += bodyHtml;
+
+        $('#wp_ai_schema_history_view').removeClass('hidden').html(html);
     }
 
     /**
-     * Update status display
+     * Preview a single revision
+     *
+     * @param {number} revisionId Revision ID.
      */
-    function updateStatus(isCurrent, generatedAt) {
-        var $status = $('.ai-jsonld-status');
-        var statusHtml = '';
-
-        if (isCurrent) {
-            statusHtml += '<span class="ai-jsonld-status-label ai-jsonld-status-current">' +
-                wpAiSchemaMetabox.i18n.schema_current + '</span>';
-        } else {
-            statusHtml += '<span class="ai-jsonld-status-label ai-jsonld-status-outdated">' +
-                wpAiSchemaMetabox.i18n.schema_outdated + '</span>';
-        }
+    function previewRevision(revisionId) {
+        fetchRevision(revisionId, function(revision) {
+            var schema = revision.schema;
 
-        if (generatedAt) {
-            var date = new Date(generatedAt * 1000);
-            var formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-            statusHtml += '<span class="ai-jsonld-generated-time">Last generated: ' + formattedDate + '</span>';
-        }
+            try {
+                schema = JSON.stringify(JSON.parse(schema), null, 2);
+            } catch (e) {
+                // Show as stored
+            }
 
-        $status.html(statusHtml);
+            showHistoryView(
+                wpAiSchemaMetabox.i18n.revision_preview.replace('%d', revisionId),
+                '<pre class="ai-jsonld-history-schema">' + escapeHtml(schema) + '</pre>'
+            );
+        });
     }
 
     /**
-     * Bind copy button
+     * Diff the two checked revisions (older to newer)
      */
-    function bindCopyButton() {
-        $('#wp_ai_schema_copy').on('click', function(e) {
-            e.preventDefault();
+    function compareSelectedRevisions() {
+        var ids = $('#wp_ai_schema_history_panel .ai-jsonld-revision-select:checked').map(function() {
+            return parseInt($(this).val(), 10);
+        }).get().sort(function(a, b) {
+            return a - b;
+        });
 
-            var $preview = $('#wp_ai_schema_schema_preview');
-            var schema = $preview.val();
+        if (ids.length !== 2) {
+            return;
+        }
 
-            if (!schema) {
-                return;
-            }
+        fetchRevision(ids[0], function(older) {
+            fetchRevision(ids[1], function(newer) {
+                var body;
 
-            // Copy to clipboard
-            if (navigator.clipboard && navigator.clipboard.writeText) {
-                navigator.clipboard.writeText(schema).then(function() {
-                    showTemporaryMessage(wpAiSchemaMetabox.i18n.copied, 'success');
-                }).catch(function() {
-                    fallbackCopy($preview);
-                });
-            } else {
-                fallbackCopy($preview);
-            }
+                try {
+                    body = renderDiffList(wpAiSchemaDiff.diff(JSON.parse(older.schema), JSON.parse(newer.schema)));
+                } catch (e) {
+                    body = '<p class="ai-jsonld-history-error">' + escapeHtml(wpAiSchemaMetabox.i18n.invalid_json + ': ' + e.message) + '</p>';
+                }
+
+                showHistoryView(
+                    wpAiSchemaMetabox.i18n.revision_compare.replace('%1$d', ids[0]).replace('%2$d', ids[1]),
+                    body
+                );
+            });
         });
     }
 
     /**
-     * Fallback copy method
+     * Restore a revision as the current schema
+     *
+     * @param {number} revisionId Revision ID.
+     * @param {jQuery} $button    Clicked restore button.
      */
-    function fallbackCopy($textarea) {
-        $textarea.select();
-        try {
-            document.execCommand('copy');
-            showTemporaryMessage(wpAiSchemaMetabox.i18n.copied, 'success');
-        } catch (e) {
-            showTemporaryMessage(wpAiSchemaMetabox.i18n.copy_failed, 'error');
+    function restoreRevision(revisionId, $button) {
+        var i18n = wpAiSchemaMetabox.i18n;
+
+        if (isEditing() || $('#wp_ai_schema_generate').hasClass('generating')) {
+            return;
         }
-    }
 
-    /**
-     * Show temporary message
-     */
-    function showTemporaryMessage(text, type) {
-        var $message = $('#wp_ai_schema_message');
-        $message
-            .removeClass('hidden success error info')
-            .addClass(type)
-            .text(text);
+        if (!window.confirm(i18n.restore_confirm.replace('%d', revisionId))) {
+            return;
+        }
 
-        setTimeout(function() {
-            $message.addClass('hidden');
-        }, 2000);
-    }
+        $button.prop('disabled', true).text(i18n.restoring);
 
-    /**
-     * Bind validate button
-     */
-    function bindValidateButton() {
-        $('#wp_ai_schema_validate').on('click', function(e) {
-            e.preventDefault();
+        $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'wp_ai_schema_restore_revision',
+                nonce: wpAiSchemaMetabox.nonce,
+                post_id: wpAiSchemaMetabox.post_id,
+                revision_id: revisionId
+            },
+            success: function(response) {
+                if (!response.success) {
+                    showMessage('error', response.data.message || i18n.history_error);
+                    $button.prop('disabled', false).text(i18n.restore);
+                    return;
+                }
 
-            var $preview = $('#wp_ai_schema_schema_preview');
-            var schema = $preview.val();
+                setPreviewSchema(response.data.schema);
+                showMessage('success', response.data.message);
+                updateManualStatus(response.data.edited_at);
+                hideSchemaDiff();
+                $('#wp_ai_schema_history_view').addClass('hidden').empty();
+                $('#wp_ai_schema_copy, #wp_ai_schema_validate, #wp_ai_schema_save_template, #wp_ai_schema_verify_frontend').prop('disabled', false);
 
-            if (!schema) {
-                return;
-            }
+                loadHistory();
 
-            try {
-                JSON.parse(schema);
-                showTemporaryMessage(wpAiSchemaMetabox.i18n.valid_json, 'success');
-            } catch (e) {
-                showTemporaryMessage(wpAiSchemaMetabox.i18n.invalid_json + ': ' + e.message, 'error');
+                setTimeout(function() {
+                    runDiagnostics();
+                }, 500);
+            },
+            error: function(xhr, status, error) {
+                showMessage('error', i18n.history_error + (error ? ': ' + error : ''));
+                $button.prop('disabled', false).text(i18n.restore);
             }
         });
     }
@@ -794,6 +2685,139 @@
         $('#wp_ai_schema_verify_frontend').prop('disabled', !hasSchema);
     }
 
+    /**
+     * Bind the check sources button (published posts only)
+     */
+    function bindCheckSourcesButton() {
+        $('#wp_ai_schema_check_sources').on('click', function(e) {
+            e.preventDefault();
+            runConflictReport();
+        });
+    }
+
+    /**
+     * Fetch the conflict report for the live page via AJAX
+     */
+    function runConflictReport() {
+        var $button = $('#wp_ai_schema_check_sources');
+        var $spinner = $('.ai-jsonld-diagnostic-spinner');
+        var $report = $('#wp_ai_schema_conflict_report');
+
+        $button.prop('disabled', true).text(wpAiSchemaMetabox.i18n.checking_sources);
+        $spinner.addClass('is-active');
+
+        $.ajax({
+            url: wpAiSchemaMetabox.ajax_url,
+            type: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'wp_ai_schema_conflict_report',
+                nonce: wpAiSchemaMetabox.nonce,
+                post_id: wpAiSchemaMetabox.post_id
+            },
+            success: function(response) {
+                if (response.success) {
+                    $report.html(renderConflictReport(response.data));
+                } else {
+                    $report.html('<p class="ai-jsonld-diagnostic-error">' +
+                        escapeHtml(response.data.message || wpAiSchemaMetabox.i18n.conflict_report_error) + '</p>');
+                }
+            },
+            error: function() {
+                $report.html('<p class="ai-jsonld-diagnostic-error">' + escapeHtml(wpAiSchemaMetabox.i18n.conflict_report_error) + '</p>');
+            },
+            complete: function() {
+                $report.removeClass('hidden');
+                $spinner.removeClass('is-active');
+                $button.prop('disabled', false).text(wpAiSchemaMetabox.i18n.check_sources);
+            }
+        });
+    }
+
+    /**
+     * Sources of JSON-LD on the live page, their overlaps and the merge mode toggle
+     *
+     * @param {Object} report Report from WP_AI_Schema_Output::get_conflict_report().
+     * @return {string} HTML.
+     */
+    function renderConflictReport(report) {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var html = '<div class="ai-jsonld-conflict-report">';
+
+        html += '<h4>' + escapeHtml(i18n.conflict_report) + '</h4>';
+        html += '<ul class="ai-jsonld-conflict-sources">';
+        report.sources.forEach(function(source) {
+            html += '<li><strong>' + escapeHtml(source.source) + '</strong>: ' + escapeHtml(source.types.join(', ') || i18n.verify_block_untyped) + '</li>';
+        });
+        html += '</ul>';
+
+        if (report.overlaps.length) {
+            html += '<ul class="ai-jsonld-conflict-overlaps">';
+            report.overlaps.forEach(function(overlap) {
+                var text = i18n.conflict_overlap.replace('%1$s', overlap.type).replace('%2$s', overlap.sources.join(', '));
+
+                if (overlap.conflicts.length) {
+                    text += ' ' + i18n.conflict_differs.replace('%s', overlap.conflicts.join(', '));
+                }
+                if (overlap.shared_id) {
+                    text += ' ' + i18n.conflict_shared_id;
+                }
+
+                html += '<li' + (overlap.conflicts.length ? ' class="is-conflict"' : '') + '>' + escapeHtml(text) + '</li>';
+            });
+            html += '</ul>';
+        }
+
+        // Merge mode needs a plugin with a graph filter; it can always be turned off again
+        if (report.merge.host || report.merge.enabled) {
+            html += '<label class="ai-jsonld-conflict-merge"><input type="checkbox" id="wp_ai_schema_merge_mode"' + (report.merge.enabled ? ' checked' : '') + (report.merge.host ? '' : ' disabled') + ' /> ';
+            html += escapeHtml(report.merge.host ? i18n.merge_mode.replace('%s', report.merge.host) : i18n.merge_mode_unavailable) + '</label>';
+            html += '<p class="description">' + escapeHtml(i18n.merge_mode_help) + '</p>';
+        }
+
+        html += '</div>';
+
+        return html;
+    }
+
+    /**
+     * Bind the merge mode toggle in the conflict report
+     */
+    function bindMergeModeToggle() {
+        $(document).on('change', '#wp_ai_schema_merge_mode', function() {
+            var $checkbox = $(this);
+
+            $checkbox.prop('disabled', true);
+
+            $.ajax({
+                url: wpAiSchemaMetabox.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wp_ai_schema_set_merge_mode',
+                    nonce: wpAiSchemaMetabox.nonce,
+                    post_id: wpAiSchemaMetabox.post_id,
+                    enabled: $checkbox.is(':checked') ? 1 : 0
+                },
+                success: function(response) {
+                    if (response.success) {
+                        showMessage('success', response.data.message);
+                        runConflictReport();
+                    } else {
+                        $checkbox.prop('checked', !$checkbox.is(':checked'));
+                        showMessage('error', response.data.message || wpAiSchemaMetabox.i18n.merge_mode_error);
+                    }
+                },
+                error: function() {
+                    $checkbox.prop('checked', !$checkbox.is(':checked'));
+                    showMessage('error', wpAiSchemaMetabox.i18n.merge_mode_error);
+                },
+                complete: function() {
+                    $checkbox.prop('disabled', false);
+                }
+            });
+        });
+    }
+
     /**
      * Verify frontend output
      * First tries JS fetch, then falls back to backend verification
@@ -866,63 +2890,7 @@
                 return response.text();
             })
             .then(function(html) {
-                // Look for JSON-LD script tags
-                var pattern = /<script\s+type=["']application\/ld\+json["']>([\s\S]*?)<\/script>/gi;
-                var matches = [];
-                var match;
-                
-                while ((match = pattern.exec(html)) !== null) {
-                    matches.push(match[1].trim());
-                }
-
-                if (matches.length === 0) {
-                    resolve({
-                        success: true,
-                        schema_found: false,
-                        schema_match: false,
-                        message: wpAiSchemaMetabox.i18n.js_verify_not_found,
-                        via_js: true
-                    });
-                    return;
-                }
-
-                // Get stored schema from preview textarea for comparison
-                var storedSchema = $('#wp_ai_schema_schema_preview').val();
-                var storedParsed = null;
-                
-                try {
-                    storedParsed = JSON.parse(storedSchema);
-                } catch (e) {
-                    // Can't parse stored schema
-                }
-
-                // Check if any found schema matches
-                for (var i = 0; i < matches.length; i++) {
-                    try {
-                        var foundParsed = JSON.parse(matches[i]);
-                        if (storedParsed && JSON.stringify(foundParsed) === JSON.stringify(storedParsed)) {
-                            resolve({
-                                success: true,
-                                schema_found: true,
-                                schema_match: true,
-                                message: wpAiSchemaMetabox.i18n.js_verify_success,
-                                via_js: true
-                            });
-                            return;
-                        }
-                    } catch (e) {
-                        // Continue to next match
-                    }
-                }
-
-                // Found schemas but none match
-                resolve({
-                    success: true,
-                    schema_found: true,
-                    schema_match: false,
-                    message: wpAiSchemaMetabox.i18n.schema_mismatch,
-                    via_js: true
-                });
+                resolve(checkBlocks(window.wpAiSchemaVerify.extractBlocks(html), { via_js: true }));
             })
             .catch(function(error) {
                 reject(error);
@@ -930,6 +2898,27 @@
         });
     }
 
+    /**
+     * Compare JSON-LD blocks from the page with the schema in the preview
+     *
+     * @param {Array}  blocks Script contents.
+     * @param {Object} result Fields to add to the result.
+     * @return {Object} Verification result.
+     */
+    function checkBlocks(blocks, result) {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var check = window.wpAiSchemaVerify.compare(blocks, $('#wp_ai_schema_schema_preview').val());
+        var message = i18n.schema_mismatch;
+
+        if (!check.schema_found) {
+            message = i18n.js_verify_not_found;
+        } else if (check.schema_match) {
+            message = i18n.js_verify_success;
+        }
+
+        return $.extend({ success: true, message: message }, result, check);
+    }
+
     /**
      * Verify via backend AJAX
      */
@@ -947,7 +2936,10 @@
                 post_id: wpAiSchemaMetabox.post_id
             },
             success: function(response) {
-                if (response.success) {
+                if (response.success && response.data.blocks) {
+                    // Same comparison as the browser check, on the blocks the server fetched
+                    showVerifyResult(checkBlocks(response.data.blocks, { message: response.data.message }));
+                } else if (response.success) {
                     showVerifyResult(response.data);
                 } else {
                     showVerifyResult({
@@ -976,10 +2968,14 @@
      */
     function showVerifyResult(result) {
         var $result = $('#wp_ai_schema_verify_result');
+        var issues = result.issues || [];
         var resultClass = '';
         var icon = '';
+        var conflicts = issues.some(function(issue) {
+            return issue.code === 'conflict';
+        });
 
-        if (result.schema_found && result.schema_match) {
+        if (result.schema_found && result.schema_match && !conflicts) {
             resultClass = 'success';
             icon = '&#10003;';
         } else if (result.schema_found && !result.schema_match) {
@@ -997,9 +2993,66 @@
             html += '<br><small>' + wpAiSchemaMetabox.i18n.preview_only + '</small>';
         }
 
+        html += renderVerifyDetails(result);
+
         $result.removeClass('hidden success error warning').addClass(resultClass).html(html);
     }
 
+    /**
+     * Blocks found on the page plus duplicate and conflicting entities
+     *
+     * @param {Object} result Verification result from checkBlocks().
+     * @return {string} HTML, empty if the result has no block details.
+     */
+    function renderVerifyDetails(result) {
+        var i18n = wpAiSchemaMetabox.i18n;
+        var html = '';
+
+        if (!result.blocks || !result.blocks.length) {
+            return html;
+        }
+
+        html += '<ul class="ai-jsonld-verify-blocks">';
+        result.blocks.forEach(function(block, index) {
+            var types = block.valid ? (block.types.join(', ') || i18n.verify_block_untyped) : i18n.verify_block_invalid;
+
+            html += '<li>' + escapeHtml(i18n.verify_block.replace('%1$d', index + 1).replace('%2$s', types));
+            if (block.ours) {
+                html += ' <span class="ai-jsonld-verify-ours">' + escapeHtml(i18n.verify_block_ours) + '</span>';
+            }
+            html += '</li>';
+        });
+        html += '</ul>';
+
+        if (result.missing && result.missing.length && result.schema_found) {
+            html += '<p class="ai-jsonld-verify-missing">' + escapeHtml(i18n.verify_missing.replace('%s', result.missing.map(function(entity) {
+                return [].concat(entity['@type']).join(', ');
+            }).join('; '))) + '</p>';
+        }
+
+        var issues = (result.issues || []).filter(function(issue) {
+            return issue.code !== 'invalid_block';
+        });
+
+        if (issues.length) {
+            html += '<ul class="ai-jsonld-verify-issues">';
+            issues.forEach(function(issue) {
+                var entity = issue.type + (issue.id ? ' ' + issue.id : (issue.name ? ' "' + issue.name + '"' : ''));
+                var blocks = issue.blocks.map(function(index) {
+                    return '#' + (index + 1);
+                }).join(', ');
+                var text = issue.code === 'conflict'
+                    ? i18n.verify_conflict.replace('%1$s', entity).replace('%2$s', blocks).replace('%3$s', issue.properties.join(', '))
+                    : i18n.verify_duplicate.replace('%1$s', entity).replace('%2$s', blocks);
+
+                html += '<li class="is-' + issue.code + '">' + escapeHtml(text) + '</li>';
+            });
+            html += '</ul>';
+        }
+
+        return html;
+    }
+
     // Initialize on document ready
     $(document).ready(init);
 
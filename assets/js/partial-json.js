@@ -0,0 +1,125 @@
+/**
+ * AI JSON-LD Generator - Partial JSON
+ *
+ * Tolerant parser for a JSON document that is still being streamed. The text
+ * is scanned once for the open brackets and whether it stops inside a string;
+ * the missing quote and closers are then appended. If the tail is an
+ * incomplete token (a key without a value, "tru", a trailing comma) the text
+ * is cut back to the last comma or opening bracket instead. Anything before
+ * the first { or [ (such as a ```json fence) is skipped. Exposed as
+ * window.wpAiSchemaPartialJson.
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * How many cut-back points to try before giving up on the text
+     */
+    var MAX_ATTEMPTS = 10;
+
+    /**
+     * Closing bracket for each opening one
+     */
+    var CLOSERS = { '{': '}', '[': ']' };
+
+    /**
+     * Closing brackets for a stack of open ones, innermost first
+     *
+     * @param {Array} stack Open brackets, outermost first.
+     * @return {string}
+     */
+    function closeAll(stack) {
+        var closers = '';
+
+        for (var i = stack.length - 1; i >= 0; i--) {
+            closers += CLOSERS[stack[i]];
+        }
+
+        return closers;
+    }
+
+    /**
+     * JSON.parse without throwing
+     *
+     * @param {string} text JSON text.
+     * @return {Object|null} { value } or null if the text is not valid JSON.
+     */
+    function tryParse(text) {
+        try {
+            return { value: JSON.parse(text) };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse as much of a partial JSON document as possible
+     *
+     * @param {string} text Text received so far.
+     * @return {Object|null} { value, complete } or null if nothing can be parsed yet.
+     */
+    function parse(text) {
+        var start = text.search(/[\[{]/);
+
+        if (start === -1) {
+            return null;
+        }
+
+        var stack = [];
+        var cuts = [];
+        var inString = false;
+        var escaped = false;
+        var result;
+        var ch;
+        var i;
+
+        for (i = start; i < text.length; i++) {
+            ch = text.charAt(i);
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (ch === '\\') {
+                    escaped = true;
+                } else if (ch === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (ch === '"') {
+                inString = true;
+            } else if (ch === '{' || ch === '[') {
+                stack.push(ch);
+                cuts.push({ end: i + 1, stack: stack.slice() });
+            } else if (ch === ',') {
+                cuts.push({ end: i, stack: stack.slice() });
+            } else if (ch === '}' || ch === ']') {
+                stack.pop();
+
+                // The document is complete - ignore whatever follows (e.g. a closing fence)
+                if (!stack.length) {
+                    result = tryParse(text.substring(start, i + 1));
+                    return result ? { value: result.value, complete: true } : null;
+                }
+            }
+        }
+
+        // Close an unfinished string (dropping a dangling backslash) and every open bracket
+        var body = text.substring(start, escaped ? text.length - 1 : text.length);
+
+        result = tryParse(body + (inString ? '"' : '') + closeAll(stack));
+
+        // Otherwise cut back to the last point where the document was between values
+        for (i = cuts.length - 1; !result && i >= 0 && i >= cuts.length - MAX_ATTEMPTS; i--) {
+            result = tryParse(text.substring(start, cuts[i].end) + closeAll(cuts[i].stack));
+        }
+
+        return result ? { value: result.value, complete: false } : null;
+    }
+
+    window.wpAiSchemaPartialJson = {
+        parse: parse
+    };
+})(window);
@@ -0,0 +1,263 @@
+/**
+ * AI JSON-LD Generator - Schema Diff
+ *
+ * Structural (tree) diff of two JSON-LD documents. Objects are compared key
+ * by key; array items are paired by @id, then by @type + name, then by
+ * position, so reordering a @graph does not show up as a change. Exposed as
+ * window.wpAiSchemaDiff.
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Check for a plain object (not an array or null)
+     *
+     * @param {*} value Value to test.
+     * @return {boolean}
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Check whether every item of an array is a primitive
+     *
+     * @param {Array} items Array to test.
+     * @return {boolean}
+     */
+    function isPrimitiveArray(items) {
+        for (var i = 0; i < items.length; i++) {
+            if (items[i] !== null && typeof items[i] === 'object') {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Deep equality for JSON values
+     *
+     * @param {*} a First value.
+     * @param {*} b Second value.
+     * @return {boolean}
+     */
+    function isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Append a key to a path using JSONPath-like notation
+     *
+     * @param {string} path Parent path.
+     * @param {string} key  Object key.
+     * @return {string}
+     */
+    function childPath(path, key) {
+        return /^[A-Za-z_@$][\w@$]*$/.test(key) ? path + '.' + key : path + '["' + key.replace(/"/g, '\\"') + '"]';
+    }
+
+    /**
+     * Build a matching key for an array item
+     *
+     * @param {*} item Array item.
+     * @return {string|null} Key, or null when the item can only be matched by position.
+     */
+    function itemKey(item) {
+        if (!isObject(item)) {
+            return null;
+        }
+
+        if (typeof item['@id'] === 'string' && item['@id'] !== '') {
+            return 'id:' + item['@id'];
+        }
+
+        if (item['@type'] && typeof item.name === 'string') {
+            return 'type:' + JSON.stringify(item['@type']) + '|' + item.name;
+        }
+
+        return null;
+    }
+
+    /**
+     * Label an array item in a path, e.g. [#org] or [Person "Jane"] or [2]
+     *
+     * @param {*}      item  Array item.
+     * @param {number} index Item position.
+     * @return {string}
+     */
+    function itemLabel(item, index) {
+        if (isObject(item)) {
+            if (typeof item['@id'] === 'string' && item['@id'] !== '') {
+                return '[' + item['@id'] + ']';
+            }
+
+            if (item['@type'] && typeof item.name === 'string') {
+                return '[' + [].concat(item['@type']).join(',') + ' "' + item.name + '"]';
+            }
+        }
+
+        return '[' + index + ']';
+    }
+
+    /**
+     * Diff two arrays of primitives as sets
+     */
+    function diffPrimitiveArrays(path, oldItems, newItems, changes) {
+        var i;
+
+        for (i = 0; i < oldItems.length; i++) {
+            if (newItems.indexOf(oldItems[i]) === -1) {
+                changes.push({ path: path, type: 'removed', oldValue: oldItems[i] });
+            }
+        }
+
+        for (i = 0; i < newItems.length; i++) {
+            if (oldItems.indexOf(newItems[i]) === -1) {
+                changes.push({ path: path, type: 'added', newValue: newItems[i] });
+            }
+        }
+    }
+
+    /**
+     * Diff two arrays, pairing items by key and then by position
+     */
+    function diffArrays(path, oldItems, newItems, changes) {
+        if (isPrimitiveArray(oldItems) && isPrimitiveArray(newItems)) {
+            diffPrimitiveArrays(path, oldItems, newItems, changes);
+            return;
+        }
+
+        var newByKey = {};
+        var matchedNew = [];
+        var unmatchedOld = [];
+        var i;
+        var key;
+
+        for (i = 0; i < newItems.length; i++) {
+            key = itemKey(newItems[i]);
+            if (key !== null && !Object.prototype.hasOwnProperty.call(newByKey, key)) {
+                newByKey[key] = i;
+            }
+        }
+
+        // Pair keyed items first
+        for (i = 0; i < oldItems.length; i++) {
+            key = itemKey(oldItems[i]);
+
+            if (key !== null && Object.prototype.hasOwnProperty.call(newByKey, key) && !matchedNew[newByKey[key]]) {
+                matchedNew[newByKey[key]] = true;
+                walk(path + itemLabel(newItems[newByKey[key]], newByKey[key]), oldItems[i], newItems[newByKey[key]], changes);
+            } else {
+                unmatchedOld.push(i);
+            }
+        }
+
+        // Then pair what is left by position
+        var unmatchedNew = [];
+
+        for (i = 0; i < newItems.length; i++) {
+            if (!matchedNew[i]) {
+                unmatchedNew.push(i);
+            }
+        }
+
+        var paired = Math.min(unmatchedOld.length, unmatchedNew.length);
+
+        for (i = 0; i < paired; i++) {
+            var oldIndex = unmatchedOld[i];
+            var newIndex = unmatchedNew[i];
+
+            // Two differently keyed items are different entities, not a change
+            if (itemKey(oldItems[oldIndex]) !== null && itemKey(newItems[newIndex]) !== null) {
+                changes.push({ path: path + itemLabel(oldItems[oldIndex], oldIndex), type: 'removed', oldValue: oldItems[oldIndex] });
+                changes.push({ path: path + itemLabel(newItems[newIndex], newIndex), type: 'added', newValue: newItems[newIndex] });
+            } else {
+                walk(path + '[' + newIndex + ']', oldItems[oldIndex], newItems[newIndex], changes);
+            }
+        }
+
+        for (i = paired; i < unmatchedOld.length; i++) {
+            changes.push({ path: path + itemLabel(oldItems[unmatchedOld[i]], unmatchedOld[i]), type: 'removed', oldValue: oldItems[unmatchedOld[i]] });
+        }
+
+        for (i = paired; i < unmatchedNew.length; i++) {
+            changes.push({ path: path + itemLabel(newItems[unmatchedNew[i]], unmatchedNew[i]), type: 'added', newValue: newItems[unmatchedNew[i]] });
+        }
+    }
+
+    /**
+     * Recursively compare two values at a path
+     */
+    function walk(path, oldValue, newValue, changes) {
+        if (isEqual(oldValue, newValue)) {
+            return;
+        }
+
+        if (isObject(oldValue) && isObject(newValue)) {
+            var key;
+
+            for (key in oldValue) {
+                if (Object.prototype.hasOwnProperty.call(oldValue, key)) {
+                    if (Object.prototype.hasOwnProperty.call(newValue, key)) {
+                        walk(childPath(path, key), oldValue[key], newValue[key], changes);
+                    } else {
+                        changes.push({ path: childPath(path, key), type: 'removed', oldValue: oldValue[key] });
+                    }
+                }
+            }
+
+            for (key in newValue) {
+                if (Object.prototype.hasOwnProperty.call(newValue, key) && !Object.prototype.hasOwnProperty.call(oldValue, key)) {
+                    changes.push({ path: childPath(path, key), type: 'added', newValue: newValue[key] });
+                }
+            }
+
+            return;
+        }
+
+        if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+            diffArrays(path, oldValue, newValue, changes);
+            return;
+        }
+
+        changes.push({ path: path, type: 'changed', oldValue: oldValue, newValue: newValue });
+    }
+
+    /**
+     * Compute the structural differences between two JSON values
+     *
+     * @param {*} oldValue Previous document (parsed JSON).
+     * @param {*} newValue New document (parsed JSON).
+     * @return {Array} Changes: { path, type: 'added'|'removed'|'changed', oldValue, newValue }.
+     */
+    function diff(oldValue, newValue) {
+        var changes = [];
+
+        walk('$', oldValue, newValue, changes);
+
+        return changes;
+    }
+
+    /**
+     * Count changes by type
+     *
+     * @param {Array} changes Result of diff().
+     * @return {Object} { added, removed, changed }.
+     */
+    function summarize(changes) {
+        var counts = { added: 0, removed: 0, changed: 0 };
+
+        for (var i = 0; i < changes.length; i++) {
+            counts[changes[i].type]++;
+        }
+
+        return counts;
+    }
+
+    window.wpAiSchemaDiff = {
+        diff: diff,
+        summarize: summarize
+    };
+})(window);
@@ -0,0 +1,318 @@
+/**
+ * AI JSON-LD Generator - Schema Validator
+ *
+ * Semantic checks of a parsed JSON-LD document against the plugin's
+ * Schema.org reference (WP_AI_Schema_Reference::get_validation_reference()):
+ * unknown types, properties outside a type, missing required/recommended
+ * properties, date and URL formats, and @id references with no target.
+ * Returns issue codes; the caller turns them into messages. Exposed as
+ * window.wpAiSchemaValidator.
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * ISO 8601 date or date-time (reduced precision such as "2010" is allowed)
+     */
+    var DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?)?)?$/;
+
+    /**
+     * Absolute http(s) URL
+     */
+    var URL_PATTERN = /^https?:\/\/[^\s\/?#]+[^\s]*$/i;
+
+    /**
+     * Check for a plain object (not an array or null)
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Whether an object is only a pointer to another node ({"@id": "..."})
+     */
+    function isReference(value) {
+        var keys = Object.keys(value);
+        return keys.length === 1 && keys[0] === '@id' && typeof value['@id'] === 'string';
+    }
+
+    /**
+     * Whether a property counts as missing (absent or empty)
+     */
+    function isMissing(value) {
+        return value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+    }
+
+    /**
+     * Append a key to a path using JSONPath-like notation
+     */
+    function childPath(path, key) {
+        return /^[A-Za-z_@$][\w@$]*$/.test(key) ? path + '.' + key : path + '["' + key.replace(/"/g, '\\"') + '"]';
+    }
+
+    /**
+     * Strip a schema.org prefix ("schema:Product", "https://schema.org/Product")
+     */
+    function normalizeType(type) {
+        return String(type).replace(/^(https?:\/\/schema\.org\/|schema:)/i, '');
+    }
+
+    /**
+     * Create a validator bound to reference data
+     *
+     * @param {Object} reference Validation reference from PHP.
+     */
+    function Validator(reference) {
+        this.reference = reference;
+        this.issues = [];
+        this.ids = {};
+    }
+
+    /**
+     * Record an issue
+     *
+     * @param {string} severity 'error', 'warning' or 'notice'.
+     * @param {string} code     Issue code.
+     * @param {string} path     Location in the document.
+     * @param {Object} params   Values for the message (type, property, value, options).
+     */
+    Validator.prototype.report = function(severity, code, path, params) {
+        this.issues.push({ severity: severity, code: code, path: path, params: params || {} });
+    };
+
+    /**
+     * Walk up the type hierarchy, collecting types that have definitions
+     *
+     * @param {string} type Type name.
+     * @return {Array} Defined types, most specific first.
+     */
+    Validator.prototype.getChain = function(type) {
+        var chain = [];
+        var seen = {};
+
+        while (type && !seen[type]) {
+            seen[type] = true;
+
+            if (this.reference.types[type]) {
+                chain.push(type);
+            }
+
+            type = this.reference.parents[type];
+        }
+
+        return chain;
+    };
+
+    /**
+     * Whether a type is recognised at all
+     */
+    Validator.prototype.isKnownType = function(type) {
+        return !!(this.reference.types[type] || this.reference.parents[type] || this.reference.known_types.indexOf(type) !== -1);
+    };
+
+    /**
+     * Collect @id values of nodes that define an entity
+     */
+    Validator.prototype.collectIds = function(value) {
+        var self = this;
+
+        if (Array.isArray(value)) {
+            value.forEach(function(item) {
+                self.collectIds(item);
+            });
+            return;
+        }
+
+        if (!isObject(value)) {
+            return;
+        }
+
+        if (typeof value['@id'] === 'string' && !isReference(value)) {
+            this.ids[value['@id']] = true;
+        }
+
+        Object.keys(value).forEach(function(key) {
+            self.collectIds(value[key]);
+        });
+    };
+
+    /**
+     * Check type-level rules for a node
+     *
+     * @param {Object} node Object with @type.
+     * @param {string} path Node path.
+     */
+    Validator.prototype.checkTypes = function(node, path) {
+        var self = this;
+        var types = [].concat(node['@type']).map(normalizeType);
+        var allowed = {};
+        var fullyDefined = true;
+        var reported = {};
+
+        this.reference.common_properties.forEach(function(prop) {
+            allowed[prop] = true;
+        });
+
+        types.forEach(function(type) {
+            if (!self.isKnownType(type)) {
+                self.report('warning', 'unknown_type', path, { type: type });
+                fullyDefined = false;
+                return;
+            }
+
+            var chain = self.getChain(type);
+
+            if (!chain.length) {
+                fullyDefined = false;
+                return;
+            }
+
+            chain.forEach(function(defined) {
+                var def = self.reference.types[defined];
+
+                Object.keys(def.properties).forEach(function(prop) {
+                    var propDef = def.properties[prop];
+
+                    allowed[prop] = true;
+
+                    // An inherited property is only reported once per node
+                    if (reported[prop] || !isMissing(node[prop])) {
+                        return;
+                    }
+
+                    if (propDef.required) {
+                        self.report('error', 'missing_required', path, { type: type, property: prop });
+                        reported[prop] = true;
+                    } else if (propDef.recommended && (def.required_one_of || []).indexOf(prop) === -1) {
+                        self.report('notice', 'missing_recommended', path, { type: type, property: prop });
+                        reported[prop] = true;
+                    }
+                });
+
+                if (def.required_one_of && def.required_one_of.length) {
+                    var present = def.required_one_of.some(function(prop) {
+                        return !isMissing(node[prop]);
+                    });
+
+                    if (!present) {
+                        self.report('error', 'missing_required_one_of', path, { type: type, options: def.required_one_of.join(', ') });
+                    }
+                }
+            });
+        });
+
+        // Property membership can only be judged when every type is defined
+        if (!fullyDefined) {
+            return;
+        }
+
+        Object.keys(node).forEach(function(prop) {
+            if (prop.charAt(0) !== '@' && !allowed[prop]) {
+                self.report('warning', 'unknown_property', childPath(path, prop), { type: types.join(', '), property: prop });
+            }
+        });
+    };
+
+    /**
+     * Check the format of date and URL properties
+     *
+     * @param {string} prop  Property name.
+     * @param {*}      value Property value.
+     * @param {string} path  Property path.
+     */
+    Validator.prototype.checkFormat = function(prop, value, path) {
+        var self = this;
+        var isDate = this.reference.date_properties.indexOf(prop) !== -1;
+        var isUrl = this.reference.url_properties.indexOf(prop) !== -1;
+
+        if (!isDate && !isUrl) {
+            return;
+        }
+
+        [].concat(value).forEach(function(item) {
+            // Objects (ImageObject etc.) are checked as nodes
+            if (typeof item !== 'string') {
+                return;
+            }
+
+            if (isDate && !DATE_PATTERN.test(item)) {
+                self.report('error', 'invalid_date', path, { property: prop, value: item });
+            } else if (isUrl && !URL_PATTERN.test(item)) {
+                self.report('error', 'invalid_url', path, { property: prop, value: item });
+            }
+        });
+    };
+
+    /**
+     * Recursively check a value
+     *
+     * @param {*}      value JSON value.
+     * @param {string} path  Value path.
+     */
+    Validator.prototype.walk = function(value, path) {
+        var self = this;
+
+        if (Array.isArray(value)) {
+            value.forEach(function(item, index) {
+                self.walk(item, path + '[' + index + ']');
+            });
+            return;
+        }
+
+        if (!isObject(value)) {
+            return;
+        }
+
+        if (isReference(value)) {
+            if (!this.ids[value['@id']]) {
+                this.report('warning', 'dangling_reference', path, { value: value['@id'] });
+            }
+            return;
+        }
+
+        if (value['@type']) {
+            this.checkTypes(value, path);
+        }
+
+        Object.keys(value).forEach(function(key) {
+            if (key.charAt(0) === '@' && key !== '@graph') {
+                return;
+            }
+
+            self.checkFormat(key, value[key], childPath(path, key));
+            self.walk(value[key], childPath(path, key));
+        });
+    };
+
+    /**
+     * Validate a parsed JSON-LD document
+     *
+     * @param {*}      data      Parsed JSON-LD.
+     * @param {Object} reference Validation reference from PHP.
+     * @return {Array} Issues: { severity, code, path, params }.
+     */
+    function validate(data, reference) {
+        var validator = new Validator(reference);
+        var documents = Array.isArray(data) ? data : [data];
+
+        validator.collectIds(data);
+
+        documents.forEach(function(doc, index) {
+            var path = Array.isArray(data) ? '$[' + index + ']' : '$';
+            var context = isObject(doc) ? JSON.stringify(doc['@context'] || '') : '';
+
+            if (context.indexOf('schema.org') === -1) {
+                validator.report('error', 'missing_context', path, {});
+            }
+
+            validator.walk(doc, path);
+        });
+
+        return validator.issues;
+    }
+
+    window.wpAiSchemaValidator = {
+        validate: validate
+    };
+})(window);
@@ -0,0 +1,356 @@
+/**
+ * AI JSON-LD Generator - SSE Client
+ *
+ * Server-Sent Events over fetch(), so streams can use POST bodies and custom
+ * headers (EventSource only supports GET). Parsing follows the WHATWG
+ * EventSource rules: CR, LF and CRLF line endings, comment lines, multi-line
+ * data fields, id and retry fields. Exposed as window.wpAiSchemaSSE.
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Default reconnect delay in milliseconds (overridable by the "retry" field)
+     */
+    var DEFAULT_RETRY = 3000;
+
+    /**
+     * Create an incremental SSE parser
+     *
+     * Feed it decoded text in arbitrary chunks; onEvent receives
+     * { type, data, lastEventId } for each complete event.
+     *
+     * @param {Function} onEvent Called for each dispatched event.
+     * @return {Object} Parser with feed(), reset(), getLastEventId() and getRetry().
+     */
+    function createParser(onEvent) {
+        var buffer = '';
+        var dataBuffer = '';
+        var eventType = '';
+        var lastEventId = '';
+        var retry = null;
+        var started = false;
+        var skipLF = false;
+
+        /**
+         * Dispatch the buffered event (blank line reached)
+         */
+        function dispatch() {
+            if (dataBuffer === '') {
+                eventType = '';
+                return;
+            }
+
+            var data = dataBuffer.slice(-1) === '\n' ? dataBuffer.slice(0, -1) : dataBuffer;
+            var type = eventType || 'message';
+
+            dataBuffer = '';
+            eventType = '';
+
+            onEvent({ type: type, data: data, lastEventId: lastEventId });
+        }
+
+        /**
+         * Process a single line (without its line ending)
+         */
+        function processLine(line) {
+            if (line === '') {
+                dispatch();
+                return;
+            }
+
+            // Comment line
+            if (line.charAt(0) === ':') {
+                return;
+            }
+
+            var field = line;
+            var value = '';
+            var colon = line.indexOf(':');
+
+            if (colon !== -1) {
+                field = line.substring(0, colon);
+                value = line.substring(colon + 1);
+
+                if (value.charAt(0) === ' ') {
+                    value = value.substring(1);
+                }
+            }
+
+            switch (field) {
+                case 'event':
+                    eventType = value;
+                    break;
+
+                case 'data':
+                    dataBuffer += value + '\n';
+                    break;
+
+                case 'id':
+                    if (value.indexOf('\u0000') === -1) {
+                        lastEventId = value;
+                    }
+                    break;
+
+                case 'retry':
+                    if (/^\d+$/.test(value)) {
+                        retry = parseInt(value, 10);
+                    }
+                    break;
+            }
+        }
+
+        /**
+         * Feed a chunk of decoded text
+         */
+        function feed(text) {
+            buffer += text;
+
+            // Strip a leading byte order mark from the first chunk
+            if (!started && buffer.length) {
+                started = true;
+                if (buffer.charAt(0) === '\uFEFF') {
+                    buffer = buffer.substring(1);
+                }
+            }
+
+            var pos = 0;
+
+            // Previous chunk ended on CR - a leading LF completes that CRLF
+            if (skipLF && buffer.length) {
+                skipLF = false;
+                if (buffer.charAt(0) === '\n') {
+                    pos = 1;
+                }
+            }
+
+            while (pos < buffer.length) {
+                var cr = buffer.indexOf('\r', pos);
+                var lf = buffer.indexOf('\n', pos);
+                var end;
+                var next;
+
+                if (cr === -1 && lf === -1) {
+                    break;
+                }
+
+                if (lf !== -1 && (cr === -1 || lf < cr)) {
+                    end = lf;
+                    next = lf + 1;
+                } else if (cr + 1 < buffer.length) {
+                    end = cr;
+                    next = buffer.charAt(cr + 1) === '\n' ? cr + 2 : cr + 1;
+                } else {
+                    end = cr;
+                    next = cr + 1;
+                    skipLF = true;
+                }
+
+                processLine(buffer.substring(pos, end));
+                pos = next;
+            }
+
+            buffer = buffer.substring(pos);
+        }
+
+        /**
+         * Reset per-connection state (keeps lastEventId for reconnects)
+         */
+        function reset() {
+            buffer = '';
+            dataBuffer = '';
+            eventType = '';
+            started = false;
+            skipLF = false;
+        }
+
+        return {
+            feed: feed,
+            reset: reset,
+            getLastEventId: function() {
+                return lastEventId;
+            },
+            getRetry: function() {
+                return retry;
+            }
+        };
+    }
+
+    /**
+     * Open an SSE stream with fetch()
+     *
+     * Reconnects with a Last-Event-ID header when the connection drops,
+     * unless the stream was closed by the caller or the server rejected it.
+     *
+     * @param {string} url     Stream URL.
+     * @param {Object} options {
+     *     method, headers, body (string, or function returning one per attempt),
+     *     reconnect (bool, or function deciding per attempt), maxRetries,
+     *     onOpen(response), onEvent(event), onError(error), onClose()
+     * }
+     * @return {Object} Handle with close() and getLastEventId().
+     */
+    function connect(url, options) {
+        options = options || {};
+
+        var closed = false;
+        var retries = 0;
+        var maxRetries = typeof options.maxRetries === 'number' ? options.maxRetries : 3;
+        var controller = null;
+        var retryTimer = null;
+        var parser = createParser(function(event) {
+            // A delivered event means the connection is healthy again
+            retries = 0;
+
+            if (!closed && options.onEvent) {
+                options.onEvent(event);
+            }
+        });
+
+        /**
+         * Report a failure that should not be retried
+         */
+        function fail(error) {
+            if (closed) {
+                return;
+            }
+
+            closed = true;
+
+            if (options.onError) {
+                options.onError(error);
+            }
+        }
+
+        /**
+         * Retry after the server-provided delay, or give up
+         */
+        function scheduleReconnect(error) {
+            if (closed) {
+                return;
+            }
+
+            var reconnect = typeof options.reconnect === 'function' ? options.reconnect() : options.reconnect;
+
+            if (!reconnect || retries >= maxRetries) {
+                if (error) {
+                    fail(error);
+                } else {
+                    closed = true;
+                    if (options.onClose) {
+                        options.onClose();
+                    }
+                }
+                return;
+            }
+
+            retries++;
+            retryTimer = setTimeout(open, parser.getRetry() !== null ? parser.getRetry() : DEFAULT_RETRY);
+        }
+
+        /**
+         * Open (or re-open) the connection
+         */
+        function open() {
+            var headers = {};
+            var key;
+
+            retryTimer = null;
+            controller = new AbortController();
+            parser.reset();
+
+            for (key in options.headers || {}) {
+                if (Object.prototype.hasOwnProperty.call(options.headers, key)) {
+                    headers[key] = options.headers[key];
+                }
+            }
+
+            headers.Accept = 'text/event-stream';
+
+            if (parser.getLastEventId()) {
+                headers['Last-Event-ID'] = parser.getLastEventId();
+            }
+
+            fetch(url, {
+                method: options.method || 'POST',
+                headers: headers,
+                body: typeof options.body === 'function' ? options.body() : options.body,
+                credentials: 'same-origin',
+                cache: 'no-store',
+                signal: controller.signal
+            }).then(function(response) {
+                var contentType = response.headers.get('Content-Type') || '';
+
+                // Per the EventSource spec, bad status or content type is fatal
+                if (!response.ok) {
+                    throw Object.assign(new Error('HTTP ' + response.status), { fatal: true });
+                }
+
+                if (contentType.indexOf('text/event-stream') === -1) {
+                    throw Object.assign(new Error('Unexpected content type: ' + contentType), { fatal: true });
+                }
+
+                if (options.onOpen) {
+                    options.onOpen(response);
+                }
+
+                var reader = response.body.getReader();
+                var decoder = new TextDecoder('utf-8');
+
+                function read() {
+                    return reader.read().then(function(result) {
+                        if (result.done) {
+                            parser.feed(decoder.decode());
+                            return;
+                        }
+
+                        parser.feed(decoder.decode(result.value, { stream: true }));
+
+                        return closed ? undefined : read();
+                    });
+                }
+
+                return read();
+            }).then(function() {
+                // Server ended the stream - an unfinished event is discarded
+                scheduleReconnect(null);
+            }).catch(function(error) {
+                if (closed) {
+                    return;
+                }
+
+                if (error.fatal) {
+                    fail(error);
+                } else {
+                    scheduleReconnect(error);
+                }
+            });
+        }
+
+        open();
+
+        return {
+            close: function() {
+                closed = true;
+
+                if (retryTimer) {
+                    clearTimeout(retryTimer);
+                    retryTimer = null;
+                }
+
+                if (controller) {
+                    controller.abort();
+                }
+            },
+            getLastEventId: function() {
+                return parser.getLastEventId();
+            }
+        };
+    }
+
+    window.wpAiSchemaSSE = {
+        createParser: createParser,
+        connect: connect
+    };
+})(window);
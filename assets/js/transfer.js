@@ -0,0 +1,296 @@
+/**
+ * AI JSON-LD Generator - Settings Import / Export JS
+ */
+
+(function($) {
+    'use strict';
+
+    var escapeHtml = window.wpAiSchemaHtml.escape;
+
+    var SECTIONS = ['settings', 'business', 'secrets', 'templates', 'posts'];
+
+    // Contents of the file last previewed, sent again on import
+    var bundleText = null;
+
+    /**
+     * Initialize the Import / Export tab
+     */
+    function init() {
+        if (!$('.ai-jsonld-transfer').length) {
+            return;
+        }
+
+        $('#wp_ai_schema_export_secrets').on('change', function() {
+            $('#wp_ai_schema_export_passphrase_row').toggleClass('hidden', !this.checked);
+        });
+
+        $('#wp_ai_schema_import_preview').on('click', function(e) {
+            e.preventDefault();
+            readFile();
+        });
+
+        // A different file needs a new preview
+        $('#wp_ai_schema_import_file').on('change', function() {
+            bundleText = null;
+            $('#wp_ai_schema_import_preview_panel').addClass('hidden').empty();
+        });
+
+        $('#wp_ai_schema_import_preview_panel').on('click', '#wp_ai_schema_import_confirm', function(e) {
+            e.preventDefault();
+            runImport();
+        });
+    }
+
+    /**
+     * Fill %s / %1$s / %d-style placeholders in a translated string
+     */
+    function formatString(template, values) {
+        var index = 0;
+
+        return template.replace(/%(?:(\d+)\$)?[sd]/g, function(match, position) {
+            return values[position ? parseInt(position, 10) - 1 : index++];
+        });
+    }
+
+    /**
+     * Show a notice above the preview
+     */
+    function showMessage(type, text) {
+        $('#wp_ai_schema_import_message')
+            .removeClass('hidden notice-success notice-error notice-warning')
+            .addClass('notice-' + type)
+            .html('<p>' + escapeHtml(text) + '</p>');
+    }
+
+    /**
+     * Read the chosen file and ask the server for a dry-run preview
+     */
+    function readFile() {
+        var i18n = wpAiSchemaTransfer.i18n;
+        var file = $('#wp_ai_schema_import_file')[0].files[0];
+
+        if (!file) {
+            showMessage('error', i18n.no_file);
+            return;
+        }
+
+        var reader = new FileReader();
+
+        reader.onload = function() {
+            bundleText = reader.result;
+            requestPreview();
+        };
+        reader.onerror = function() {
+            showMessage('error', i18n.preview_error);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Send the bundle for a dry run and render what it would change
+     */
+    function requestPreview() {
+        var i18n = wpAiSchemaTransfer.i18n;
+        var $button = $('#wp_ai_schema_import_preview');
+        var $spinner = $('.ai-jsonld-transfer-spinner');
+
+        $button.prop('disabled', true).text(i18n.reading);
+        $spinner.addClass('is-active');
+        $('#wp_ai_schema_import_message').addClass('hidden');
+
+        $.ajax({
+            url: wpAiSchemaTransfer.ajax_url,
+            type: 'POST',
+            timeout: 60000,
+            data: {
+                action: 'wp_ai_schema_import_preview',
+                nonce: wpAiSchemaTransfer.nonce,
+                bundle: bundleText,
+                passphrase: $('#wp_ai_schema_import_passphrase').val()
+            },
+            success: function(response) {
+                if (response.success) {
+                    renderPreview(response.data);
+                } else {
+                    showMessage('error', response.data.message || i18n.preview_error);
+                }
+            },
+            error: function(xhr, status, error) {
+                showMessage('error', i18n.preview_error + (error ? ': ' + error : ''));
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(i18n.preview);
+                $spinner.removeClass('is-active');
+            }
+        });
+    }
+
+    /**
+     * Render the dry-run preview with a checkbox per importable section
+     *
+     * @param {Object} preview Preview from the server.
+     */
+    function renderPreview(preview) {
+        var i18n = wpAiSchemaTransfer.i18n;
+        var html = '<p>' + escapeHtml(formatString(i18n.bundle_from, [preview.site, preview.exported_at, preview.plugin_version])) + '</p>';
+
+        html += '<p><strong>' + escapeHtml(i18n.dry_run) + '</strong></p>';
+
+        for (var i = 0; i < SECTIONS.length; i++) {
+            var section = SECTIONS[i];
+            var detail = describeSection(section, preview[section]);
+
+            html += '<div class="ai-jsonld-transfer-section">';
+            html += '<label><input type="checkbox" name="sections[]" value="' + section + '"' +
+                (detail.importable ? (detail.changes ? ' checked' : '') : ' disabled') + ' /> ';
+            html += '<strong>' + escapeHtml(i18n['section_' + section]) + '</strong></label>';
+            html += detail.html;
+            html += '</div>';
+        }
+
+        html += '<p><button type="button" id="wp_ai_schema_import_confirm" class="button button-primary">' + escapeHtml(i18n.import) + '</button></p>';
+
+        $('#wp_ai_schema_import_preview_panel').html(html).removeClass('hidden');
+    }
+
+    /**
+     * Describe one section of the preview
+     *
+     * @param {string} section Section name.
+     * @param {*}      data    Section preview, or null if the bundle lacks it.
+     * @return {Object} { html, importable, changes }.
+     */
+    function describeSection(section, data) {
+        var i18n = wpAiSchemaTransfer.i18n;
+        var html = '';
+        var i;
+
+        if (data === null || data === undefined) {
+            return { html: '<p class="description">' + escapeHtml(i18n.not_included) + '</p>', importable: false, changes: false };
+        }
+
+        if (section === 'settings' || section === 'business') {
+            if (!data.length) {
+                return { html: '<p class="description">' + escapeHtml(i18n.no_changes) + '</p>', importable: false, changes: false };
+            }
+
+            html += '<table class="widefat striped ai-jsonld-transfer-diff"><thead><tr><th></th>';
+            html += '<th>' + escapeHtml(i18n.current_value) + '</th><th>' + escapeHtml(i18n.incoming_value) + '</th></tr></thead><tbody>';
+            for (i = 0; i < data.length; i++) {
+                html += '<tr><td><code>' + escapeHtml(data[i].key) + '</code></td>';
+                html += '<td>' + escapeHtml(data[i].current) + '</td>';
+                html += '<td>' + escapeHtml(data[i].incoming);
+                if (data[i].error) {
+                    html += '<p class="description ai-jsonld-transfer-warning">' + escapeHtml(data[i].error) + '</p>';
+                }
+                html += '</td></tr>';
+            }
+            html += '</tbody></table>';
+
+            return { html: html, importable: true, changes: true };
+        }
+
+        if (section === 'secrets') {
+            html += '<p class="description">' + escapeHtml(formatString(i18n.secrets_fields, [data.fields.join(', ')])) + '</p>';
+
+            if (data.status !== 'ok') {
+                html += '<p class="description ai-jsonld-transfer-warning">' + escapeHtml(data.status === 'wrong' ? i18n.secrets_wrong : i18n.secrets_locked) + '</p>';
+            }
+
+            return { html: html, importable: data.status === 'ok', changes: data.status === 'ok' };
+        }
+
+        if (section === 'templates') {
+            if (!data.added.length && !data.replaced.length) {
+                return { html: '<p class="description">' + escapeHtml(i18n.not_included) + '</p>', importable: false, changes: false };
+            }
+
+            html += '<ul>';
+            for (i = 0; i < data.added.length; i++) {
+                html += '<li>' + escapeHtml(formatString(i18n.template_added, [data.added[i]])) + '</li>';
+            }
+            for (i = 0; i < data.replaced.length; i++) {
+                html += '<li>' + escapeHtml(formatString(i18n.template_replaced, [data.replaced[i]])) + '</li>';
+            }
+            html += '</ul>';
+
+            return { html: html, importable: true, changes: true };
+        }
+
+        // Posts
+        var differing = 0;
+
+        for (i = 0; i < data.matched.length; i++) {
+            if (data.matched[i].status !== 'same') {
+                differing++;
+            }
+        }
+
+        html += '<p class="description">' + escapeHtml(formatString(i18n.posts_matched, [data.matched.length, data.total, differing])) + '</p>';
+
+        if (data.matched.length) {
+            html += '<ul class="ai-jsonld-transfer-posts">';
+            for (i = 0; i < data.matched.length; i++) {
+                var post = data.matched[i];
+                html += '<li><a href="' + escapeHtml(post.edit_link) + '" target="_blank">' + escapeHtml(post.title) + '</a> ';
+                html += '<span class="description">(' + escapeHtml(i18n['post_' + post.status]) + ')</span></li>';
+            }
+            html += '</ul>';
+        }
+
+        if (data.unmatched.length) {
+            html += '<p class="description">' + escapeHtml(formatString(i18n.posts_unmatched, [data.unmatched.join(', ')])) + '</p>';
+        }
+
+        return { html: html, importable: data.matched.length > 0, changes: differing > 0 };
+    }
+
+    /**
+     * Import the ticked sections of the previewed bundle
+     */
+    function runImport() {
+        var i18n = wpAiSchemaTransfer.i18n;
+        var $panel = $('#wp_ai_schema_import_preview_panel');
+        var $button = $('#wp_ai_schema_import_confirm');
+        var sections = $panel.find('input[name="sections[]"]:checked').map(function() {
+            return this.value;
+        }).get();
+
+        if (bundleText === null) {
+            return;
+        }
+
+        $button.prop('disabled', true).text(i18n.importing);
+
+        $.ajax({
+            url: wpAiSchemaTransfer.ajax_url,
+            type: 'POST',
+            timeout: 120000,
+            data: {
+                action: 'wp_ai_schema_import',
+                nonce: wpAiSchemaTransfer.nonce,
+                bundle: bundleText,
+                passphrase: $('#wp_ai_schema_import_passphrase').val(),
+                sections: sections
+            },
+            success: function(response) {
+                if (response.success) {
+                    $panel.addClass('hidden').empty();
+                    showMessage('success', response.data.message);
+                } else {
+                    showMessage('error', response.data.message || i18n.import_error);
+                }
+            },
+            error: function(xhr, status, error) {
+                showMessage('error', i18n.import_error + (error ? ': ' + error : ''));
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(i18n.import);
+            }
+        });
+    }
+
+    // Initialize on document ready
+    $(document).ready(init);
+
+})(jQuery);
@@ -30,6 +30,16 @@ class WP_AI_Schema_Admin {
      */
     const PAGE_SLUG = 'wp-ai-seo-schema-generator';
 
+    /**
+     * Transient prefix for model lists fetched by Test Connection
+     */
+    const MODELS_TRANSIENT = 'wp_ai_schema_models_';
+
+    /**
+     * Model dropdown value that switches to the custom model field
+     */
+    const CUSTOM_MODEL = '__custom__';
+
     /**
      * Encryption handler
      *
@@ -44,15 +54,24 @@ class WP_AI_Schema_Admin {
      */
     private $provider_registry;
 
+    /**
+     * Token usage and budget tracking
+     *
+     * @var WP_AI_Schema_Usage
+     */
+    private $usage;
+
     /**
      * Constructor
      *
      * @param WP_AI_Schema_Encryption        $encryption        Encryption handler.
      * @param WP_AI_Schema_Provider_Registry $provider_registry Provider registry.
+     * @param WP_AI_Schema_Usage             $usage             Token usage and budget tracking.
      */
-    public function __construct( WP_AI_Schema_Encryption $encryption, WP_AI_Schema_Provider_Registry $provider_registry ) {
+    public function __construct( WP_AI_Schema_Encryption $encryption, WP_AI_Schema_Provider_Registry $provider_registry, WP_AI_Schema_Usage $usage ) {
         $this->encryption        = $encryption;
         $this->provider_registry = $provider_registry;
+        $this->usage             = $usage;
 
         $this->init_hooks();
     }
@@ -157,6 +176,15 @@ class WP_AI_Schema_Admin {
             'wp_ai_schema_provider_section'
         );
 
+        add_settings_field(
+            'custom_base_url',
+            __( 'Base URL', 'wp-ai-seo-schema-generator' ),
+            array( $this, 'render_custom_base_url_field' ),
+            self::PAGE_SLUG,
+            'wp_ai_schema_provider_section',
+            array( 'class' => $this->get_provider_row_class( 'custom' ) )
+        );
+
         add_settings_field(
             'model',
             __( 'Model', 'wp-ai-seo-schema-generator' ),
@@ -172,6 +200,28 @@ class WP_AI_Schema_Admin {
             self::PAGE_SLUG,
             'wp_ai_schema_provider_section'
         );
+
+        add_settings_field(
+            'custom_headers',
+            __( 'Extra Headers', 'wp-ai-seo-schema-generator' ),
+            array( $this, 'render_custom_headers_field' ),
+            self::PAGE_SLUG,
+            'wp_ai_schema_provider_section',
+            array( 'class' => $this->get_provider_row_class( 'custom' ) )
+        );
+    }
+
+    /**
+     * Get the table row class for a setting that only applies to one provider
+     *
+     * @param string $provider Provider slug.
+     * @return string Row classes (hidden unless the provider is selected).
+     */
+    private function get_provider_row_class( string $provider ): string {
+        $settings = WP_AI_Schema_Generator::get_settings();
+        $class    = 'wp-ai-schema-provider-row wp-ai-schema-provider-row-' . $provider;
+
+        return ( $settings['provider'] ?? 'deepseek' ) === $provider ? $class : $class . ' hidden';
     }
 
     /**
@@ -188,6 +238,22 @@ class WP_AI_Schema_Admin {
             self::PAGE_SLUG,
             'wp_ai_schema_generation_section'
         );
+
+        add_settings_field(
+            'monthly_budget',
+            __( 'Monthly Budget', 'wp-ai-seo-schema-generator' ),
+            array( $this, 'render_monthly_budget_field' ),
+            self::PAGE_SLUG,
+            'wp_ai_schema_generation_section'
+        );
+
+        add_settings_field(
+            'model_prices',
+            __( 'Model Prices', 'wp-ai-seo-schema-generator' ),
+            array( $this, 'render_model_prices_field' ),
+            self::PAGE_SLUG,
+            'wp_ai_schema_generation_section'
+        );
     }
 
     /**
@@ -338,7 +404,7 @@ class WP_AI_Schema_Admin {
         }
 
         // DeepSeek Model
-        $sanitized['deepseek_model'] = sanitize_text_field( $input['deepseek_model'] ?? 'deepseek-chat' );
+        $sanitized['deepseek_model'] = $this->sanitize_model( $input, $current, 'deepseek', 'deepseek-chat' );
 
         // OpenAI API Key - only update if a new value is provided
         if ( ! empty( $input['openai_api_key'] ) ) {
@@ -348,11 +414,41 @@ class WP_AI_Schema_Admin {
         }
 
         // OpenAI Model
-        $sanitized['openai_model'] = sanitize_text_field( $input['openai_model'] ?? 'gpt-5-nano' );
+        $sanitized['openai_model'] = $this->sanitize_model( $input, $current, 'openai', 'gpt-5-nano' );
+
+        // Anthropic API Key - only update if a new value is provided
+        if ( ! empty( $input['anthropic_api_key'] ) ) {
+            $sanitized['anthropic_api_key'] = $this->encryption->encrypt( sanitize_text_field( $input['anthropic_api_key'] ) );
+        } else {
+            $sanitized['anthropic_api_key'] = $current['anthropic_api_key'] ?? '';
+        }
+
+        // Anthropic Model
+        $sanitized['anthropic_model'] = $this->sanitize_model( $input, $current, 'anthropic', 'claude-haiku-4-5' );
+
+        // Custom (OpenAI-compatible) endpoint
+        $sanitized['custom_base_url'] = $this->sanitize_base_url( $input['custom_base_url'] ?? '' );
+        $sanitized['custom_headers']  = $this->sanitize_headers( $input['custom_headers'] ?? '' );
+
+        // Custom API Key - optional, so it can also be removed
+        if ( ! empty( $input['custom_api_key_remove'] ) ) {
+            $sanitized['custom_api_key'] = '';
+        } elseif ( ! empty( $input['custom_api_key'] ) ) {
+            $sanitized['custom_api_key'] = $this->encryption->encrypt( sanitize_text_field( $input['custom_api_key'] ) );
+        } else {
+            $sanitized['custom_api_key'] = $current['custom_api_key'] ?? '';
+        }
+
+        // Custom Model
+        $sanitized['custom_model'] = $this->sanitize_model( $input, $current, 'custom', '' );
 
         // Generation settings (max_tokens and max_content_chars are constants, not settings)
         $sanitized['temperature'] = max( 0, min( 1, floatval( $input['temperature'] ?? 0.2 ) ) );
 
+        // Cost accounting
+        $sanitized['monthly_budget'] = max( 0, round( floatval( $input['monthly_budget'] ?? 0 ), 2 ) );
+        $sanitized['model_prices']   = $this->sanitize_prices( $input['model_prices'] ?? '' );
+
         // Output settings
         $sanitized['output_location'] = in_array( $input['output_location'] ?? 'head', array( 'head', 'after_content' ), true )
             ? $input['output_location']
@@ -442,6 +538,133 @@ class WP_AI_Schema_Admin {
         return $sanitized;
     }
 
+    /**
+     * Sanitize the custom provider base URL
+     *
+     * @param string $url Raw URL.
+     * @return string URL without trailing slash, or empty if invalid.
+     */
+    private function sanitize_base_url( string $url ): string {
+        return untrailingslashit( esc_url_raw( trim( $url ), array( 'http', 'https' ) ) );
+    }
+
+    /**
+     * Sanitize extra headers to one "Name: value" per line
+     *
+     * @param string $text Raw header lines.
+     * @return string Normalized header lines (invalid lines dropped).
+     */
+    private function sanitize_headers( string $text ): string {
+        $lines = array();
+
+        foreach ( WP_AI_Schema_Custom_Provider::parse_headers( sanitize_textarea_field( $text ) ) as $name => $value ) {
+            $lines[] = $name . ': ' . $value;
+        }
+
+        return implode( "\n", $lines );
+    }
+
+    /**
+     * Sanitize the model price table, dropping lines that don't parse
+     *
+     * @param string $text Raw price lines.
+     * @return string Normalized "model = input, output" lines.
+     */
+    private function sanitize_prices( string $text ): string {
+        $lines = array();
+
+        foreach ( WP_AI_Schema_Usage::parse_prices( sanitize_textarea_field( $text ) ) as $model => $price ) {
+            $lines[] = $model . ' = ' . $price['input'] . ', ' . $price['output'];
+        }
+
+        return implode( "\n", $lines );
+    }
+
+    /**
+     * Sanitize and check a provider's model choice
+     *
+     * "Custom model..." takes the free-text ID instead. A new model must look
+     * like a model ID and, once Test Connection has fetched the provider's
+     * model list, appear in it; otherwise the saved model is kept.
+     *
+     * @param array  $input    Raw settings input.
+     * @param array  $current  Current settings.
+     * @param string $provider Provider slug.
+     * @param string $default  Default model ID.
+     * @return string Model ID to save.
+     */
+    private function sanitize_model( array $input, array $current, string $provider, string $default ): string {
+        $field    = $provider . '_model';
+        $previous = $current[ $field ] ?? $default;
+        $model    = sanitize_text_field( $input[ $field ] ?? $previous );
+
+        if ( self::CUSTOM_MODEL === $model ) {
+            $model = trim( sanitize_text_field( $input[ $field . '_custom' ] ?? '' ) );
+        }
+
+        if ( $model === $previous ) {
+            return $model;
+        }
+
+        $provider_object = $this->provider_registry->get( $provider );
+        $provider_name   = $provider_object ? $provider_object->get_name() : $provider;
+
+        $problem = self::check_model( $provider, $model );
+
+        if ( 'invalid' === $problem ) {
+            add_settings_error(
+                self::OPTION_NAME,
+                'wp_ai_schema_' . $field,
+                sprintf(
+                    /* translators: 1: provider name, 2: previous model ID */
+                    __( '%1$s model: enter a valid model ID. Keeping %2$s.', 'wp-ai-seo-schema-generator' ),
+                    $provider_name,
+                    $previous
+                )
+            );
+            return $previous;
+        }
+
+        if ( 'unavailable' === $problem ) {
+            add_settings_error(
+                self::OPTION_NAME,
+                'wp_ai_schema_' . $field,
+                sprintf(
+                    /* translators: 1: provider name, 2: model ID, 3: previous model ID */
+                    __( '%1$s model "%2$s" is not available to your API key (run Test Connection to refresh the list). Keeping %3$s.', 'wp-ai-seo-schema-generator' ),
+                    $provider_name,
+                    $model,
+                    $previous
+                )
+            );
+            return $previous;
+        }
+
+        return $model;
+    }
+
+    /**
+     * Check whether a model ID can be saved for a provider
+     *
+     * @param string $provider Provider slug.
+     * @param string $model    Model ID.
+     * @return string Empty if it can, 'invalid' if it doesn't look like a model ID,
+     *                or 'unavailable' if it isn't in the list Test Connection fetched.
+     */
+    public static function check_model( string $provider, string $model ): string {
+        if ( ! preg_match( '#^[A-Za-z0-9][A-Za-z0-9._:/@-]*$#', $model ) ) {
+            return 'invalid';
+        }
+
+        $discovered = get_transient( self::MODELS_TRANSIENT . $provider );
+
+        if ( is_array( $discovered ) && ! isset( $discovered[ $model ] ) ) {
+            return 'unavailable';
+        }
+
+        return '';
+    }
+
     /**
      * Enqueue admin assets
      *
@@ -471,13 +694,18 @@ class WP_AI_Schema_Admin {
             'ai-jsonld-admin',
             'wpAiSchemaAdmin',
             array(
-                'ajax_url' => admin_url( 'admin-ajax.php' ),
-                'nonce'    => wp_create_nonce( 'wp_ai_schema_test_connection' ),
-                'i18n'     => array(
-                    'testing'     => __( 'Testing...', 'wp-ai-seo-schema-generator' ),
-                    'test'        => __( 'Test Connection', 'wp-ai-seo-schema-generator' ),
-                    'success'     => __( 'Connection successful!', 'wp-ai-seo-schema-generator' ),
-                    'error'       => __( 'Connection failed', 'wp-ai-seo-schema-generator' ),
+                'ajax_url'     => admin_url( 'admin-ajax.php' ),
+                'nonce'        => wp_create_nonce( 'wp_ai_schema_test_connection' ),
+                'custom_model' => self::CUSTOM_MODEL,
+                'i18n'         => array(
+                    'testing'      => __( 'Testing...', 'wp-ai-seo-schema-generator' ),
+                    'test'         => __( 'Test Connection', 'wp-ai-seo-schema-generator' ),
+                    'success'      => __( 'Connection successful!', 'wp-ai-seo-schema-generator' ),
+                    'error'        => __( 'Connection failed', 'wp-ai-seo-schema-generator' ),
+                    /* translators: %d: number of models */
+                    'models_found' => __( '%d models available.', 'wp-ai-seo-schema-generator' ),
+                    'models_error' => __( 'Could not load the model list', 'wp-ai-seo-schema-generator' ),
+                    'custom_model' => __( 'Custom model...', 'wp-ai-seo-schema-generator' ),
                 ),
             )
         );
@@ -492,6 +720,10 @@ class WP_AI_Schema_Admin {
         }
 
         $settings = WP_AI_Schema_Generator::get_settings();
+        $tabs     = $this->get_tabs();
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+        $tab      = isset( $_GET['tab'] ) ? sanitize_key( wp_unslash( $_GET['tab'] ) ) : 'settings';
+        $tab      = isset( $tabs[ $tab ] ) ? $tab : 'settings';
 
         // Show OpenSSL notice if needed
         $openssl_notice = $this->encryption->get_openssl_notice();
@@ -511,17 +743,57 @@ class WP_AI_Schema_Admin {
         <div class="wrap ai-jsonld-settings">
             <h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
 
-            <form method="post" action="options.php">
-                <?php
-                settings_fields( self::OPTION_GROUP );
-                do_settings_sections( self::PAGE_SLUG );
-                submit_button();
-                ?>
-            </form>
+            <nav class="nav-tab-wrapper">
+                <?php foreach ( $tabs as $slug => $label ) : ?>
+                    <a href="<?php echo esc_url( add_query_arg( array( 'page' => self::PAGE_SLUG, 'tab' => $slug ), admin_url( 'options-general.php' ) ) ); ?>"
+                       class="nav-tab <?php echo $slug === $tab ? 'nav-tab-active' : ''; ?>">
+                        <?php echo esc_html( $label ); ?>
+                    </a>
+                <?php endforeach; ?>
+            </nav>
+
+            <?php if ( 'dashboard' === $tab ) : ?>
+                <?php $dashboard = wp_ai_schema_generator()->get_component( 'dashboard' ); ?>
+                <?php if ( $dashboard ) : ?>
+                    <?php $dashboard->render(); ?>
+                <?php endif; ?>
+            <?php elseif ( 'templates' === $tab ) : ?>
+                <?php $templates = wp_ai_schema_generator()->get_component( 'templates' ); ?>
+                <?php if ( $templates ) : ?>
+                    <?php $templates->render(); ?>
+                <?php endif; ?>
+            <?php elseif ( 'transfer' === $tab ) : ?>
+                <?php $transfer = wp_ai_schema_generator()->get_component( 'transfer' ); ?>
+                <?php if ( $transfer ) : ?>
+                    <?php $transfer->render(); ?>
+                <?php endif; ?>
+            <?php else : ?>
+                <form method="post" action="options.php">
+                    <?php
+                    settings_fields( self::OPTION_GROUP );
+                    do_settings_sections( self::PAGE_SLUG );
+                    submit_button();
+                    ?>
+                </form>
+            <?php endif; ?>
         </div>
         <?php
     }
 
+    /**
+     * Get the settings page tabs
+     *
+     * @return array Tab slug => label.
+     */
+    private function get_tabs(): array {
+        return array(
+            'settings'  => __( 'Settings', 'wp-ai-seo-schema-generator' ),
+            'templates' => __( 'Templates', 'wp-ai-seo-schema-generator' ),
+            'dashboard' => __( 'Dashboard', 'wp-ai-seo-schema-generator' ),
+            'transfer'  => __( 'Import / Export', 'wp-ai-seo-schema-generator' ),
+        );
+    }
+
     /**
      * Render provider section
      */
@@ -893,53 +1165,76 @@ class WP_AI_Schema_Admin {
 
     /**
      * Render model field with provider-specific options
+     *
+     * Options combine the models each provider has limits for with the list
+     * fetched by Test Connection, plus a free-text custom model.
      */
     public function render_model_field() {
         $settings         = WP_AI_Schema_Generator::get_settings();
         $current_provider = $settings['provider'] ?? 'deepseek';
 
-        // DeepSeek models
-        $deepseek_models = array(
-            'deepseek-chat' => 'DeepSeek Chat',
-        );
-
-        // OpenAI models
-        $openai_models = array(
-            'gpt-5-nano' => 'GPT-5 Nano',
-        );
+        foreach ( $this->provider_registry->get_all() as $slug => $provider ) :
+            $field   = $slug . '_model';
+            $current = $settings[ $field ] ?? ( $provider->get_settings_fields()[ $field ]['default'] ?? '' );
+            $options = $this->get_model_options( $provider, $current );
+            ?>
+            <div class="ai-jsonld-model-wrapper wp-ai-schema-model-wrapper" data-provider="<?php echo esc_attr( $slug ); ?>" <?php echo $slug !== $current_provider ? 'style="display:none;"' : ''; ?>>
+                <select
+                    name="<?php echo esc_attr( self::OPTION_NAME ); ?>[<?php echo esc_attr( $field ); ?>]"
+                    id="wp_ai_schema_<?php echo esc_attr( $field ); ?>"
+                    class="wp-ai-schema-model-select"
+                    data-provider="<?php echo esc_attr( $slug ); ?>"
+                >
+                    <?php foreach ( $options as $value => $label ) : ?>
+                        <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $current, $value ); ?>>
+                            <?php echo esc_html( $label ); ?>
+                        </option>
+                    <?php endforeach; ?>
+                    <option value="<?php echo esc_attr( self::CUSTOM_MODEL ); ?>" <?php selected( empty( $options ) ); ?>><?php esc_html_e( 'Custom model...', 'wp-ai-seo-schema-generator' ); ?></option>
+                </select>
+                <input
+                    type="text"
+                    name="<?php echo esc_attr( self::OPTION_NAME ); ?>[<?php echo esc_attr( $field ); ?>_custom]"
+                    class="regular-text wp-ai-schema-model-custom <?php echo empty( $options ) ? '' : 'hidden'; ?>"
+                    placeholder="<?php esc_attr_e( 'Model ID, e.g. gpt-4.1-mini', 'wp-ai-seo-schema-generator' ); ?>"
+                />
+            </div>
+            <?php
+        endforeach;
         ?>
-        <!-- DeepSeek model dropdown -->
-        <select
-            name="<?php echo esc_attr( self::OPTION_NAME ); ?>[deepseek_model]"
-            id="wp_ai_schema_deepseek_model"
-            class="wp-ai-schema-model-select"
-            data-provider="deepseek"
-            <?php echo 'deepseek' !== $current_provider ? 'style="display:none;"' : ''; ?>
-        >
-            <?php foreach ( $deepseek_models as $value => $label ) : ?>
-                <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $settings['deepseek_model'], $value ); ?>>
-                    <?php echo esc_html( $label ); ?>
-                </option>
-            <?php endforeach; ?>
-        </select>
+        <p class="description"><?php esc_html_e( 'Select the model to use for schema generation. Test Connection refreshes the list with the models your API key can use.', 'wp-ai-seo-schema-generator' ); ?></p>
+        <?php
+    }
 
-        <!-- OpenAI model dropdown -->
-        <select
-            name="<?php echo esc_attr( self::OPTION_NAME ); ?>[openai_model]"
-            id="wp_ai_schema_openai_model"
-            class="wp-ai-schema-model-select"
-            data-provider="openai"
-            <?php echo 'openai' !== $current_provider ? 'style="display:none;"' : ''; ?>
-        >
-            <?php foreach ( $openai_models as $value => $label ) : ?>
-                <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $settings['openai_model'], $value ); ?>>
-                    <?php echo esc_html( $label ); ?>
-                </option>
-            <?php endforeach; ?>
-        </select>
+    /**
+     * Get model dropdown options for a provider
+     *
+     * @param WP_AI_Schema_Provider_Interface $provider Provider instance.
+     * @param string                          $current  Saved model ID (always included).
+     * @return array Model ID => label.
+     */
+    private function get_model_options( WP_AI_Schema_Provider_Interface $provider, string $current ): array {
+        $options = array();
 
-        <p class="description"><?php esc_html_e( 'Select the model to use for schema generation.', 'wp-ai-seo-schema-generator' ); ?></p>
-        <?php
+        if ( method_exists( $provider, 'get_models' ) ) {
+            foreach ( $provider->get_models() as $id => $model ) {
+                $options[ $id ] = $model['name'] ?? $id;
+            }
+        }
+
+        $discovered = get_transient( self::MODELS_TRANSIENT . $provider->get_slug() );
+
+        if ( is_array( $discovered ) ) {
+            foreach ( $discovered as $id => $label ) {
+                $options[ $id ] = $label;
+            }
+        }
+
+        if ( '' !== $current && ! isset( $options[ $current ] ) ) {
+            $options[ $current ] = $current;
+        }
+
+        return $options;
     }
 
     /**
@@ -956,6 +1251,14 @@ class WP_AI_Schema_Admin {
         // OpenAI API key
         $openai_has_key = ! empty( $settings['openai_api_key'] );
         $openai_masked  = $openai_has_key ? $this->encryption->mask_key( $this->encryption->decrypt( $settings['openai_api_key'] ) ) : '';
+
+        // Anthropic API key
+        $anthropic_has_key = ! empty( $settings['anthropic_api_key'] );
+        $anthropic_masked  = $anthropic_has_key ? $this->encryption->mask_key( $this->encryption->decrypt( $settings['anthropic_api_key'] ) ) : '';
+
+        // Custom API key (optional)
+        $custom_has_key = ! empty( $settings['custom_api_key'] );
+        $custom_masked  = $custom_has_key ? $this->encryption->mask_key( $this->encryption->decrypt( $settings['custom_api_key'] ) ) : '';
         ?>
         <!-- DeepSeek API Key -->
         <div class="ai-jsonld-api-key-wrapper wp-ai-schema-api-key-wrapper" data-provider="deepseek" <?php echo 'deepseek' !== $current_provider ? 'style="display:none;"' : ''; ?>>
@@ -1004,6 +1307,97 @@ class WP_AI_Schema_Admin {
                 <p class="description"><?php esc_html_e( 'Enter your OpenAI API key.', 'wp-ai-seo-schema-generator' ); ?></p>
             <?php endif; ?>
         </div>
+
+        <!-- Anthropic API Key -->
+        <div class="ai-jsonld-api-key-wrapper wp-ai-schema-api-key-wrapper" data-provider="anthropic" <?php echo 'anthropic' !== $current_provider ? 'style="display:none;"' : ''; ?>>
+            <input
+                type="password"
+                name="<?php echo esc_attr( self::OPTION_NAME ); ?>[anthropic_api_key]"
+                id="wp_ai_schema_anthropic_api_key"
+                class="regular-text wp-ai-schema-api-key"
+                placeholder="<?php echo $anthropic_has_key ? esc_attr( $anthropic_masked ) : esc_attr__( 'Enter your Anthropic API key', 'wp-ai-seo-schema-generator' ); ?>"
+                autocomplete="new-password"
+            />
+            <button type="button" class="button wp-ai-schema-test-connection" data-provider="anthropic">
+                <?php esc_html_e( 'Test Connection', 'wp-ai-seo-schema-generator' ); ?>
+            </button>
+            <span class="wp-ai-schema-connection-status" data-provider="anthropic"></span>
+            <?php if ( $anthropic_has_key ) : ?>
+                <p class="description">
+                    <?php esc_html_e( 'Current key:', 'wp-ai-seo-schema-generator' ); ?> <code><?php echo esc_html( $anthropic_masked ); ?></code>
+                    <?php esc_html_e( 'Leave blank to keep the current key.', 'wp-ai-seo-schema-generator' ); ?>
+                </p>
+            <?php else : ?>
+                <p class="description"><?php esc_html_e( 'Enter your Anthropic API key.', 'wp-ai-seo-schema-generator' ); ?></p>
+            <?php endif; ?>
+        </div>
+
+        <!-- Custom (OpenAI-compatible) API Key -->
+        <div class="ai-jsonld-api-key-wrapper wp-ai-schema-api-key-wrapper" data-provider="custom" <?php echo 'custom' !== $current_provider ? 'style="display:none;"' : ''; ?>>
+            <input
+                type="password"
+                name="<?php echo esc_attr( self::OPTION_NAME ); ?>[custom_api_key]"
+                id="wp_ai_schema_custom_api_key"
+                class="regular-text wp-ai-schema-api-key"
+                placeholder="<?php echo $custom_has_key ? esc_attr( $custom_masked ) : esc_attr__( 'Optional', 'wp-ai-seo-schema-generator' ); ?>"
+                autocomplete="new-password"
+            />
+            <button type="button" class="button wp-ai-schema-test-connection" data-provider="custom">
+                <?php esc_html_e( 'Test Connection', 'wp-ai-seo-schema-generator' ); ?>
+            </button>
+            <span class="wp-ai-schema-connection-status" data-provider="custom"></span>
+            <?php if ( $custom_has_key ) : ?>
+                <p class="description">
+                    <?php esc_html_e( 'Current key:', 'wp-ai-seo-schema-generator' ); ?> <code><?php echo esc_html( $custom_masked ); ?></code>
+                    <?php esc_html_e( 'Leave blank to keep the current key.', 'wp-ai-seo-schema-generator' ); ?>
+                    <label>
+                        <input type="checkbox" name="<?php echo esc_attr( self::OPTION_NAME ); ?>[custom_api_key_remove]" value="1" />
+                        <?php esc_html_e( 'Remove key', 'wp-ai-seo-schema-generator' ); ?>
+                    </label>
+                </p>
+            <?php else : ?>
+                <p class="description"><?php esc_html_e( 'Only needed if your server requires a Bearer token.', 'wp-ai-seo-schema-generator' ); ?></p>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render custom provider base URL field
+     */
+    public function render_custom_base_url_field() {
+        $settings = WP_AI_Schema_Generator::get_settings();
+        ?>
+        <input
+            type="url"
+            name="<?php echo esc_attr( self::OPTION_NAME ); ?>[custom_base_url]"
+            id="wp_ai_schema_custom_base_url"
+            class="regular-text wp-ai-schema-provider-setting"
+            data-provider="custom"
+            data-setting="custom_base_url"
+            value="<?php echo esc_attr( $settings['custom_base_url'] ?? '' ); ?>"
+            placeholder="http://localhost:8080/v1"
+        />
+        <p class="description"><?php esc_html_e( 'Base URL of an OpenAI-compatible API (llama.cpp, vLLM, Ollama, LM Studio...). Requests go to /chat/completions and /models under it.', 'wp-ai-seo-schema-generator' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Render custom provider extra headers field
+     */
+    public function render_custom_headers_field() {
+        $settings = WP_AI_Schema_Generator::get_settings();
+        ?>
+        <textarea
+            name="<?php echo esc_attr( self::OPTION_NAME ); ?>[custom_headers]"
+            id="wp_ai_schema_custom_headers"
+            class="large-text code wp-ai-schema-provider-setting"
+            data-provider="custom"
+            data-setting="custom_headers"
+            rows="3"
+            placeholder="X-Api-Version: 2"
+        ><?php echo esc_textarea( $settings['custom_headers'] ?? '' ); ?></textarea>
+        <p class="description"><?php esc_html_e( 'Optional. One "Name: value" header per line, sent with every request. Stored unencrypted - put secrets in the API key field.', 'wp-ai-seo-schema-generator' ); ?></p>
         <?php
     }
 
@@ -1027,6 +1421,54 @@ class WP_AI_Schema_Admin {
         <?php
     }
 
+    /**
+     * Render monthly budget field
+     */
+    public function render_monthly_budget_field() {
+        $settings = WP_AI_Schema_Generator::get_settings();
+        $totals   = $this->usage->get_month_totals();
+        ?>
+        <input
+            type="number"
+            name="<?php echo esc_attr( self::OPTION_NAME ); ?>[monthly_budget]"
+            id="wp_ai_schema_monthly_budget"
+            value="<?php echo esc_attr( $settings['monthly_budget'] ); ?>"
+            min="0"
+            step="0.01"
+            class="small-text"
+        /> USD
+        <p class="description"><?php esc_html_e( 'Generation is blocked once the estimated cost this month reaches this amount. 0 means no limit.', 'wp-ai-seo-schema-generator' ); ?></p>
+        <p class="description">
+            <?php
+            printf(
+                /* translators: 1: estimated cost, 2: number of requests, 3: input tokens, 4: output tokens */
+                esc_html__( 'This month: %1$s estimated over %2$s requests (%3$s input / %4$s output tokens).', 'wp-ai-seo-schema-generator' ),
+                esc_html( WP_AI_Schema_Usage::format_cost( $totals['cost'] ) ),
+                esc_html( number_format_i18n( $totals['requests'] ) ),
+                esc_html( number_format_i18n( $totals['input'] ) ),
+                esc_html( number_format_i18n( $totals['output'] ) )
+            );
+            ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render model prices field
+     */
+    public function render_model_prices_field() {
+        $settings = WP_AI_Schema_Generator::get_settings();
+        ?>
+        <textarea
+            name="<?php echo esc_attr( self::OPTION_NAME ); ?>[model_prices]"
+            id="wp_ai_schema_model_prices"
+            class="large-text code"
+            rows="6"
+        ><?php echo esc_textarea( $settings['model_prices'] ?? '' ); ?></textarea>
+        <p class="description"><?php esc_html_e( 'One "model = input, output" line per model, in USD per million tokens. Used to estimate costs; models not listed are counted in tokens only and don\'t count towards the budget.', 'wp-ai-seo-schema-generator' ); ?></p>
+        <?php
+    }
+
     /**
      * Render output location field
      */
@@ -1186,10 +1628,6 @@ class WP_AI_Schema_Admin {
             $settings[ $api_key_field ] = $this->encryption->encrypt( $new_key );
         }
 
-        if ( empty( $settings[ $api_key_field ] ) ) {
-            wp_send_json_error( array( 'message' => __( 'API key is required.', 'wp-ai-seo-schema-generator' ) ) );
-        }
-
         // Temporarily set the provider to test
         $settings['provider'] = $provider_slug;
 
@@ -1199,12 +1637,47 @@ class WP_AI_Schema_Admin {
             wp_send_json_error( array( 'message' => __( 'Provider not found.', 'wp-ai-seo-schema-generator' ) ) );
         }
 
+        if ( empty( $settings[ $api_key_field ] ) && $provider->requires_api_key() ) {
+            wp_send_json_error( array( 'message' => __( 'API key is required.', 'wp-ai-seo-schema-generator' ) ) );
+        }
+
+        // Test the model picked in the form, which may not be saved yet
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $model = isset( $_POST['model'] ) ? sanitize_text_field( wp_unslash( $_POST['model'] ) ) : '';
+
+        if ( '' !== $model ) {
+            $settings[ $provider_slug . '_model' ] = $model;
+        }
+
+        // Same for the custom provider's endpoint settings
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $overrides = isset( $_POST['settings'] ) && is_array( $_POST['settings'] ) ? wp_unslash( $_POST['settings'] ) : array();
+
+        if ( isset( $overrides['custom_base_url'] ) ) {
+            $settings['custom_base_url'] = $this->sanitize_base_url( (string) $overrides['custom_base_url'] );
+        }
+
+        if ( isset( $overrides['custom_headers'] ) ) {
+            $settings['custom_headers'] = $this->sanitize_headers( (string) $overrides['custom_headers'] );
+        }
+
+        // Fetch the model list first so the dropdown can be fixed even if the chosen model fails
+        $models = $provider->list_models( $settings );
+        $data   = array();
+
+        if ( $models['success'] ) {
+            set_transient( self::MODELS_TRANSIENT . $provider_slug, $models['models'], WEEK_IN_SECONDS );
+            $data['models'] = $models['models'];
+        } else {
+            $data['models_error'] = $models['error'];
+        }
+
         $result = $provider->test_connection( $settings );
 
         if ( $result['success'] ) {
-            wp_send_json_success( array( 'message' => $result['message'] ) );
+            wp_send_json_success( array_merge( $data, array( 'message' => $result['message'] ) ) );
         } else {
-            wp_send_json_error( array( 'message' => $result['error'] ) );
+            wp_send_json_error( array_merge( $data, array( 'message' => $result['error'] ) ) );
         }
     }
 }
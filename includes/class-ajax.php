@@ -62,6 +62,20 @@ class WP_AI_Schema_Ajax {
      */
     private $content_analyzer;
 
+    /**
+     * Schema revision history
+     *
+     * @var WP_AI_Schema_Revisions
+     */
+    private $revisions;
+
+    /**
+     * Token usage and budget tracking
+     *
+     * @var WP_AI_Schema_Usage
+     */
+    private $usage;
+
     /**
      * Constructor
      *
@@ -70,19 +84,25 @@ class WP_AI_Schema_Ajax {
      * @param WP_AI_Schema_Provider_Registry $provider_registry Provider registry.
      * @param WP_AI_Schema_Validator  $schema_validator  Schema validator.
      * @param WP_AI_Schema_Encryption        $encryption        Encryption handler.
+     * @param WP_AI_Schema_Revisions         $revisions         Schema revision history.
+     * @param WP_AI_Schema_Usage             $usage             Token usage and budget tracking.
      */
     public function __construct(
         WP_AI_Schema_Content_Processor $content_processor,
         WP_AI_Schema_Prompt_Builder $prompt_builder,
         WP_AI_Schema_Provider_Registry $provider_registry,
         WP_AI_Schema_Validator $schema_validator,
-        WP_AI_Schema_Encryption $encryption
+        WP_AI_Schema_Encryption $encryption,
+        WP_AI_Schema_Revisions $revisions,
+        WP_AI_Schema_Usage $usage
     ) {
         $this->content_processor = $content_processor;
         $this->prompt_builder    = $prompt_builder;
         $this->provider_registry = $provider_registry;
         $this->schema_validator  = $schema_validator;
         $this->encryption        = $encryption;
+        $this->revisions         = $revisions;
+        $this->usage             = $usage;
 
         $this->init_hooks();
     }
@@ -103,6 +123,17 @@ class WP_AI_Schema_Ajax {
         add_action( 'wp_ajax_wp_ai_schema_generate', array( $this, 'handle_generate' ) );
         add_action( 'wp_ajax_wp_ai_schema_diagnose', array( $this, 'handle_diagnose' ) );
         add_action( 'wp_ajax_wp_ai_schema_verify_frontend', array( $this, 'handle_verify_frontend' ) );
+        add_action( 'wp_ajax_wp_ai_schema_conflict_report', array( $this, 'handle_conflict_report' ) );
+        add_action( 'wp_ajax_wp_ai_schema_set_merge_mode', array( $this, 'handle_set_merge_mode' ) );
+        add_action( 'wp_ajax_wp_ai_schema_save_schema', array( $this, 'handle_save_schema' ) );
+        add_action( 'wp_ajax_wp_ai_schema_apply_template', array( $this, 'handle_apply_template' ) );
+        add_action( 'wp_ajax_wp_ai_schema_find_template_values', array( $this, 'handle_find_template_values' ) );
+        add_action( 'wp_ajax_wp_ai_schema_save_as_template', array( $this, 'handle_save_as_template' ) );
+        add_action( 'wp_ajax_wp_ai_schema_accept_schema', array( $this, 'handle_accept_schema' ) );
+        add_action( 'wp_ajax_wp_ai_schema_reject_schema', array( $this, 'handle_reject_schema' ) );
+        add_action( 'wp_ajax_wp_ai_schema_get_revisions', array( $this, 'handle_get_revisions' ) );
+        add_action( 'wp_ajax_wp_ai_schema_get_revision', array( $this, 'handle_get_revision' ) );
+        add_action( 'wp_ajax_wp_ai_schema_restore_revision', array( $this, 'handle_restore_revision' ) );
     }
 
     /**
@@ -137,6 +168,31 @@ class WP_AI_Schema_Ajax {
         $fetch_frontend = ! empty( $_POST['fetch_frontend'] );
         $deep_analysis  = ! empty( $_POST['deep_analysis'] );
 
+        // Persist the type hint from the metabox so the payload and cache hash use it
+        // without requiring the post to be saved first
+        if ( isset( $_POST['type_hint'] ) ) {
+            $type_hint = WP_AI_Schema_Prompt_Builder::validate_type_hint(
+                sanitize_text_field( wp_unslash( $_POST['type_hint'] ) )
+            );
+            update_post_meta( $post_id, '_wp_ai_schema_type_hint', $type_hint );
+        }
+
+        // Same for the instructions and pinned properties (sent as JSON rows)
+        if ( isset( $_POST['instructions'] ) ) {
+            $pinned_rows = isset( $_POST['pinned_properties'] ) ? json_decode( wp_unslash( $_POST['pinned_properties'] ), true ) : null;
+
+            WP_AI_Schema_Prompt_Builder::save_steering(
+                $post_id,
+                wp_unslash( $_POST['instructions'] ),
+                is_array( $pinned_rows ) ? $pinned_rows : null
+            );
+        }
+
+        // And the template the generated schema is merged into
+        if ( isset( $_POST['template_id'] ) ) {
+            WP_AI_Schema_Templates::set_post_template( $post_id, sanitize_key( wp_unslash( $_POST['template_id'] ) ) );
+        }
+
         // Generate schema (use two-pass if deep analysis enabled)
         if ( $deep_analysis && $this->content_analyzer ) {
             $result = $this->generate_schema_two_pass( $post_id, $force, $fetch_frontend );
@@ -221,12 +277,24 @@ class WP_AI_Schema_Ajax {
             $time   = get_post_meta( $post_id, '_wp_ai_schema_schema_last_generated', true );
 
             return array(
-                'success'      => true,
-                'schema'       => $schema,
-                'cached'       => true,
-                'hash'         => $hash,
-                'generated_at' => intval( $time ),
-                'message'      => __( 'Using cached schema.', 'wp-ai-seo-schema-generator' ),
+                'success'         => true,
+                'schema'          => $schema,
+                'cached'          => true,
+                'hash'            => $hash,
+                'generated_at'    => intval( $time ),
+                'manual_override' => $this->content_processor->has_manual_override( $post_id ),
+                'edited_at'       => intval( get_post_meta( $post_id, '_wp_ai_schema_manual_override', true ) ),
+                'message'         => $this->get_cached_message( $post_id ),
+            );
+        }
+
+        // Check monthly budget (cached schema above costs nothing)
+        $budget_error = $this->usage->get_budget_error( $settings );
+        if ( $budget_error ) {
+            return array(
+                'success'         => false,
+                'message'         => $budget_error,
+                'budget_exceeded' => true,
             );
         }
 
@@ -249,7 +317,7 @@ class WP_AI_Schema_Ajax {
         // Check API key for the active provider
         $api_key_field = $provider_slug . '_api_key';
         $api_key       = $this->encryption->decrypt( $settings[ $api_key_field ] ?? '' );
-        if ( empty( $api_key ) ) {
+        if ( empty( $api_key ) && $provider->requires_api_key() ) {
             $this->save_error( $post_id, __( 'API key not configured.', 'wp-ai-seo-schema-generator' ) );
             return array(
                 'success' => false,
@@ -283,6 +351,7 @@ class WP_AI_Schema_Ajax {
 
         // Call provider
         $response = $provider->generate_schema( $payload, $settings );
+        $usage    = $this->usage->track( $response['usage'] ?? array(), $settings );
 
         if ( ! $response['success'] ) {
             $this->save_error( $post_id, $response['error'] );
@@ -294,8 +363,8 @@ class WP_AI_Schema_Ajax {
             );
         }
 
-        // Validate schema
-        $validation = $this->schema_validator->validate( $response['schema'] );
+        // Merge into the post's template (if any), then validate
+        $validation = $this->schema_validator->validate( WP_AI_Schema_Templates::merge_generated( $post_id, $response['schema'] ) );
 
         if ( ! $validation['valid'] ) {
             $this->save_error( $post_id, $validation['error'] );
@@ -307,30 +376,29 @@ class WP_AI_Schema_Ajax {
             );
         }
 
-        // Save schema
-        $hash = $this->content_processor->generate_hash( $post_id, $settings );
-        $time = time();
-
-        update_post_meta( $post_id, '_wp_ai_schema_schema', $validation['schema'] );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_last_generated', $time );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_status', 'ok' );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_hash', $hash );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_error', '' );
+        // Save schema, keeping the old one live until the user accepts the new one
+        $hash     = $this->content_processor->generate_hash( $post_id, $settings );
+        $time     = time();
+        $meta     = $this->content_processor->get_generated_meta( $validation['schema'], $validation['type'], $hash, $time );
+        $previous = $this->content_processor->store_generated_schema( $post_id, $meta );
 
-        if ( ! empty( $validation['type'] ) ) {
-            update_post_meta( $post_id, '_wp_ai_schema_detected_type', $validation['type'] );
-        }
+        $this->revisions->record( $post_id, $validation['schema'], 'single_pass', $settings );
+        $usage_record = $this->usage->save( $post_id, array( 'generation' => $usage ), $settings );
 
         WP_AI_Schema_Generator::log( sprintf( 'Schema generated successfully for post %d', $post_id ) );
 
         return array(
-            'success'       => true,
-            'schema'        => $validation['schema'],
-            'cached'        => false,
-            'hash'          => $hash,
-            'generated_at'  => $time,
-            'detected_type' => $validation['type'],
-            'message'       => __( 'Schema generated successfully!', 'wp-ai-seo-schema-generator' ),
+            'success'         => true,
+            'schema'          => $validation['schema'],
+            'cached'          => false,
+            'hash'            => $hash,
+            'generated_at'    => $time,
+            'detected_type'   => $validation['type'],
+            'previous_schema' => $previous,
+            'message'         => __( 'Schema generated successfully!', 'wp-ai-seo-schema-generator' ),
+            'options'         => $this->get_applied_options( $post_id, $force, $fetch_frontend, ! empty( $frontend_content ) ),
+            'usage'           => $usage_record,
+            'usage_summary'   => WP_AI_Schema_Usage::format( $usage_record ),
         );
     }
 
@@ -405,12 +473,24 @@ class WP_AI_Schema_Ajax {
             $time   = get_post_meta( $post_id, '_wp_ai_schema_schema_last_generated', true );
 
             return array(
-                'success'      => true,
-                'schema'       => $schema,
-                'cached'       => true,
-                'hash'         => $hash,
-                'generated_at' => intval( $time ),
-                'message'      => __( 'Using cached schema.', 'wp-ai-seo-schema-generator' ),
+                'success'         => true,
+                'schema'          => $schema,
+                'cached'          => true,
+                'hash'            => $hash,
+                'generated_at'    => intval( $time ),
+                'manual_override' => $this->content_processor->has_manual_override( $post_id ),
+                'edited_at'       => intval( get_post_meta( $post_id, '_wp_ai_schema_manual_override', true ) ),
+                'message'         => $this->get_cached_message( $post_id ),
+            );
+        }
+
+        // Check monthly budget (cached schema above costs nothing)
+        $budget_error = $this->usage->get_budget_error( $settings );
+        if ( $budget_error ) {
+            return array(
+                'success'         => false,
+                'message'         => $budget_error,
+                'budget_exceeded' => true,
             );
         }
 
@@ -429,7 +509,7 @@ class WP_AI_Schema_Ajax {
         $provider_slug = $provider->get_slug();
         $api_key_field = $provider_slug . '_api_key';
         $api_key       = $this->encryption->decrypt( $settings[ $api_key_field ] ?? '' );
-        if ( empty( $api_key ) ) {
+        if ( empty( $api_key ) && $provider->requires_api_key() ) {
             $this->save_error( $post_id, __( 'API key not configured.', 'wp-ai-seo-schema-generator' ) );
             return array(
                 'success' => false,
@@ -464,6 +544,7 @@ class WP_AI_Schema_Ajax {
         WP_AI_Schema_Generator::log( 'Pass 1: Analyzing raw HTML with AI...' );
 
         $analysis_result = $this->content_analyzer->analyze( $post_id, $settings, $frontend_content );
+        $pass1_usage     = $this->usage->track( $analysis_result['usage'] ?? array(), $settings );
 
         $pass1_duration              = round( microtime( true ) - $pass1_start, 2 );
         $debug_timing['pass1_seconds'] = $pass1_duration;
@@ -518,7 +599,8 @@ class WP_AI_Schema_Ajax {
         WP_AI_Schema_Generator::log( sprintf( 'Pass 2 payload size: %.1f KB', $payload_size_kb ) );
 
         // Call provider to generate schema
-        $response = $provider->generate_schema( $payload, $settings );
+        $response    = $provider->generate_schema( $payload, $settings );
+        $pass2_usage = $this->usage->track( $response['usage'] ?? array(), $settings );
 
         $pass2_duration                = round( microtime( true ) - $pass2_start, 2 );
         $debug_timing['pass2_seconds'] = $pass2_duration;
@@ -537,8 +619,8 @@ class WP_AI_Schema_Ajax {
             );
         }
 
-        // Validate schema
-        $validation = $this->schema_validator->validate( $response['schema'] );
+        // Merge into the post's template (if any), then validate
+        $validation = $this->schema_validator->validate( WP_AI_Schema_Templates::merge_generated( $post_id, $response['schema'] ) );
 
         if ( ! $validation['valid'] ) {
             $this->save_error( $post_id, $validation['error'] );
@@ -556,33 +638,41 @@ class WP_AI_Schema_Ajax {
         $total_duration                = round( microtime( true ) - $two_pass_start, 2 );
         $debug_timing['total_seconds'] = $total_duration;
 
-        // Save schema
+        // Save schema, keeping the old one live until the user accepts the new one
         $hash = $this->content_processor->generate_hash( $post_id, $settings );
         $time = time();
+        $meta = $this->content_processor->get_generated_meta( $validation['schema'], $validation['type'], $hash, $time );
 
-        update_post_meta( $post_id, '_wp_ai_schema_schema', $validation['schema'] );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_last_generated', $time );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_status', 'ok' );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_hash', $hash );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_error', '' );
-        update_post_meta( $post_id, '_wp_ai_schema_generation_mode', 'two_pass' );
+        $meta['_wp_ai_schema_generation_mode'] = 'two_pass';
 
-        if ( ! empty( $validation['type'] ) ) {
-            update_post_meta( $post_id, '_wp_ai_schema_detected_type', $validation['type'] );
-        }
+        $previous = $this->content_processor->store_generated_schema( $post_id, $meta );
+
+        $this->revisions->record( $post_id, $validation['schema'], 'two_pass', $settings );
+        $usage_record = $this->usage->save(
+            $post_id,
+            array(
+                'pass1' => $pass1_usage,
+                'pass2' => $pass2_usage,
+            ),
+            $settings
+        );
 
         WP_AI_Schema_Generator::log( sprintf( 'Two-pass schema generation completed for post %d', $post_id ) );
 
         $result = array(
-            'success'        => true,
-            'schema'         => $validation['schema'],
-            'cached'         => false,
-            'hash'           => $hash,
-            'generated_at'   => $time,
-            'detected_type'  => $validation['type'],
-            'message'        => __( 'Schema generated successfully using deep content analysis!', 'wp-ai-seo-schema-generator' ),
-            'two_pass'       => true,
-            'analysis_keys'  => array_keys( $analyzed_data ),
+            'success'         => true,
+            'schema'          => $validation['schema'],
+            'cached'          => false,
+            'hash'            => $hash,
+            'generated_at'    => $time,
+            'detected_type'   => $validation['type'],
+            'previous_schema' => $previous,
+            'message'         => __( 'Schema generated successfully using deep content analysis!', 'wp-ai-seo-schema-generator' ),
+            'two_pass'        => true,
+            'analysis_keys'   => array_keys( $analyzed_data ),
+            'options'         => $this->get_applied_options( $post_id, $force, $fetch_frontend, ! empty( $frontend_content ) ),
+            'usage'           => $usage_record,
+            'usage_summary'   => WP_AI_Schema_Usage::format( $usage_record ),
         );
 
         // Include debug data when debug logging is enabled
@@ -616,6 +706,42 @@ class WP_AI_Schema_Ajax {
         return $result;
     }
 
+    /**
+     * Describe which generation options took effect
+     *
+     * Sent with results so the metabox can tell the user what was actually
+     * applied (e.g. the frontend fetch may fail and fall back to post content).
+     *
+     * @param int  $post_id         Post ID.
+     * @param bool $force           Whether regeneration was forced.
+     * @param bool $fetch_frontend  Whether a frontend fetch was requested.
+     * @param bool $used_frontend   Whether frontend content was actually used.
+     * @return array Applied options.
+     */
+    private function get_applied_options( int $post_id, bool $force, bool $fetch_frontend, bool $used_frontend ): array {
+        return array(
+            'type_hint'      => get_post_meta( $post_id, '_wp_ai_schema_type_hint', true ) ?: 'auto',
+            'force'          => $force,
+            'fetch_frontend' => $fetch_frontend,
+            'content_source' => $used_frontend ? 'frontend' : 'post',
+            'template'       => WP_AI_Schema_Templates::get_post_template( $post_id )['name'] ?? '',
+        );
+    }
+
+    /**
+     * Get the message returned when the stored schema is reused
+     *
+     * @param int $post_id Post ID.
+     * @return string Message.
+     */
+    private function get_cached_message( int $post_id ): string {
+        if ( $this->content_processor->has_manual_override( $post_id ) ) {
+            return __( 'Using manually edited schema. Check "Force regenerate" to replace it.', 'wp-ai-seo-schema-generator' );
+        }
+
+        return __( 'Using cached schema.', 'wp-ai-seo-schema-generator' );
+    }
+
     /**
      * Save error to post meta
      *
@@ -741,4 +867,619 @@ class WP_AI_Schema_Ajax {
             wp_send_json_success( $result );
         }
     }
+
+    /**
+     * Handle AJAX conflict report request
+     *
+     * Fetches the live page and reports which sources output JSON-LD and
+     * where they overlap.
+     */
+    public function handle_conflict_report() {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to view this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $schema_output = wp_ai_schema_generator()->get_component( 'schema_output' );
+
+        if ( ! $schema_output ) {
+            wp_send_json_error( array(
+                'message' => __( 'Schema output component not available.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $report = $schema_output->get_conflict_report( $post_id );
+
+        if ( is_wp_error( $report ) ) {
+            wp_send_json_error( array(
+                'message' => $report->get_error_message(),
+            ) );
+        }
+
+        wp_send_json_success( $report );
+    }
+
+    /**
+     * Handle AJAX set merge mode request
+     *
+     * Turns merge mode on or off for a post: its schema joins the SEO
+     * plugin's graph instead of being printed as a separate block.
+     */
+    public function handle_set_merge_mode() {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to edit this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $schema_output = wp_ai_schema_generator()->get_component( 'schema_output' );
+
+        if ( ! $schema_output ) {
+            wp_send_json_error( array(
+                'message' => __( 'Schema output component not available.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $enabled = ! empty( $_POST['enabled'] );
+
+        $schema_output->get_conflict_detector()->set_merge_mode( $post_id, $enabled );
+
+        wp_send_json_success( array(
+            'enabled' => $enabled,
+            'message' => $enabled
+                ? __( 'Merge mode on. The schema now joins the SEO plugin\'s graph.', 'wp-ai-seo-schema-generator' )
+                : __( 'Merge mode off. The schema is printed as its own block.', 'wp-ai-seo-schema-generator' ),
+        ) );
+    }
+
+    /**
+     * Handle AJAX save schema request
+     *
+     * Stores hand-edited JSON-LD from the metabox and flags it as a manual
+     * override so the hash cache and auto-regenerate leave it alone.
+     */
+    public function handle_save_schema() {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to edit this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Raw JSON - the validator strips markup and re-encodes it
+        $schema = isset( $_POST['schema'] ) ? trim( wp_unslash( $_POST['schema'] ) ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+        if ( '' === $schema ) {
+            wp_send_json_error( array(
+                'message' => __( 'Schema cannot be empty.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $validation = $this->schema_validator->validate( $schema );
+
+        if ( ! $validation['valid'] ) {
+            wp_send_json_error( array(
+                'message' => $validation['error'],
+            ) );
+        }
+
+        $time = time();
+
+        update_post_meta( $post_id, '_wp_ai_schema_schema', $validation['schema'] );
+        update_post_meta( $post_id, '_wp_ai_schema_schema_status', 'ok' );
+        update_post_meta( $post_id, '_wp_ai_schema_schema_error', '' );
+        update_post_meta( $post_id, '_wp_ai_schema_manual_override', $time );
+        $this->content_processor->discard_pending_schema( $post_id );
+
+        if ( ! empty( $validation['type'] ) ) {
+            update_post_meta( $post_id, '_wp_ai_schema_detected_type', $validation['type'] );
+        }
+
+        $this->revisions->record( $post_id, $validation['schema'], 'manual' );
+
+        WP_AI_Schema_Generator::log( sprintf( 'Manual schema edit saved for post %d', $post_id ) );
+
+        wp_send_json_success( array(
+            'schema'        => $validation['schema'],
+            'edited_at'     => $time,
+            'detected_type' => $validation['type'],
+            'message'       => __( 'Schema saved. It will not be overwritten unless you force regeneration.', 'wp-ai-seo-schema-generator' ),
+        ) );
+    }
+
+    /**
+     * Handle AJAX apply template request
+     *
+     * Fills a template's placeholders for the post and stores the result
+     * without calling the AI. Saved like a manual edit so the hash cache and
+     * auto-regenerate leave it alone.
+     */
+    public function handle_apply_template() {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to edit this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $template_id = isset( $_POST['template_id'] ) ? sanitize_key( wp_unslash( $_POST['template_id'] ) ) : '';
+        $template    = WP_AI_Schema_Templates::get( $template_id );
+
+        if ( ! $template ) {
+            wp_send_json_error( array(
+                'message' => __( 'Template not found.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $filled = WP_AI_Schema_Templates::fill( $template, $post_id );
+
+        if ( null === $filled ) {
+            wp_send_json_error( array(
+                'message' => __( 'The template produced no schema for this post. Check its JSON and placeholders.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $validation = $this->schema_validator->validate( wp_json_encode( $filled ) );
+
+        if ( ! $validation['valid'] ) {
+            wp_send_json_error( array(
+                'message' => $validation['error'],
+            ) );
+        }
+
+        $time = time();
+
+        update_post_meta( $post_id, '_wp_ai_schema_schema', $validation['schema'] );
+        update_post_meta( $post_id, '_wp_ai_schema_schema_status', 'ok' );
+        update_post_meta( $post_id, '_wp_ai_schema_schema_error', '' );
+        update_post_meta( $post_id, '_wp_ai_schema_manual_override', $time );
+        $this->content_processor->discard_pending_schema( $post_id );
+
+        if ( ! empty( $validation['type'] ) ) {
+            update_post_meta( $post_id, '_wp_ai_schema_detected_type', $validation['type'] );
+        }
+
+        $this->revisions->record( $post_id, $validation['schema'], 'template', array(), array( 'template' => $template['name'] ) );
+
+        WP_AI_Schema_Generator::log( sprintf( 'Template "%s" applied to post %d', $template['name'], $post_id ) );
+
+        wp_send_json_success( array(
+            'schema'        => $validation['schema'],
+            'edited_at'     => $time,
+            'detected_type' => $validation['type'],
+            'message'       => sprintf(
+                /* translators: %s: template name */
+                __( 'Template "%s" applied. It will not be overwritten unless you force regeneration.', 'wp-ai-seo-schema-generator' ),
+                $template['name']
+            ),
+        ) );
+    }
+
+    /**
+     * Handle AJAX find template values request
+     *
+     * Lists the values in the previewed schema that come from the post, so the
+     * user can pick which become placeholders before saving it as a template.
+     */
+    public function handle_find_template_values() {
+        $post_id = $this->verify_template_request();
+        $data    = $this->get_posted_schema_data();
+
+        wp_send_json_success( array(
+            'values' => WP_AI_Schema_Templates::find_post_values( $post_id, $data ),
+            'name'   => html_entity_decode( wp_strip_all_tags( get_the_title( $post_id ) ), ENT_QUOTES, 'UTF-8' ),
+        ) );
+    }
+
+    /**
+     * Handle AJAX save as template request
+     *
+     * Replaces the chosen post values with placeholders and adds the schema
+     * to the template library, assigned to the post's type.
+     */
+    public function handle_save_as_template() {
+        $post_id = $this->verify_template_request();
+        $data    = $this->get_posted_schema_data();
+        $name    = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+        $keys    = isset( $_POST['replace'] ) ? json_decode( wp_unslash( $_POST['replace'] ), true ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+        if ( '' === $name ) {
+            wp_send_json_error( array(
+                'message' => __( 'Enter a name for the template.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $data     = WP_AI_Schema_Templates::replace_post_values( $post_id, $data, is_array( $keys ) ? array_filter( $keys, 'is_string' ) : array() );
+        $template = WP_AI_Schema_Templates::add(
+            $name,
+            wp_json_encode( $data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ),
+            array( get_post_type( $post_id ) )
+        );
+
+        if ( ! $template ) {
+            wp_send_json_error( array(
+                'message' => __( 'The template could not be saved.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        WP_AI_Schema_Generator::log( sprintf( 'Schema of post %d saved as template "%s"', $post_id, $template['name'] ) );
+
+        wp_send_json_success( array(
+            'id'      => $template['id'],
+            'name'    => $template['name'],
+            'message' => sprintf(
+                /* translators: %s: template name */
+                __( 'Saved as template "%s". It is offered for other posts of this type.', 'wp-ai-seo-schema-generator' ),
+                $template['name']
+            ),
+        ) );
+    }
+
+    /**
+     * Check a save-as-template request and return its post ID
+     *
+     * Templates are site-wide settings, so this also needs manage_options.
+     * Sends a JSON error and exits if the request isn't allowed.
+     *
+     * @return int Post ID.
+     */
+    private function verify_template_request(): int {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) || ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to manage schema templates.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        return $post_id;
+    }
+
+    /**
+     * Decode the schema posted from the metabox preview
+     *
+     * Sends a JSON error and exits if it isn't valid schema.
+     *
+     * @return array Decoded schema.
+     */
+    private function get_posted_schema_data(): array {
+        // Raw JSON - the validator strips markup and re-encodes it
+        $schema     = isset( $_POST['schema'] ) ? trim( wp_unslash( $_POST['schema'] ) ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $validation = '' !== $schema ? $this->schema_validator->validate( $schema ) : array(
+            'valid' => false,
+            'error' => __( 'Schema cannot be empty.', 'wp-ai-seo-schema-generator' ),
+        );
+
+        if ( ! $validation['valid'] ) {
+            wp_send_json_error( array(
+                'message' => $validation['error'],
+            ) );
+        }
+
+        return json_decode( $validation['schema'], true );
+    }
+
+    /**
+     * Handle AJAX accept schema request
+     *
+     * Makes the regenerated schema awaiting review live.
+     */
+    public function handle_accept_schema() {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to edit this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        if ( ! $this->content_processor->accept_pending_schema( $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'No regenerated schema awaiting review.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        WP_AI_Schema_Generator::log( sprintf( 'Regenerated schema accepted for post %d', $post_id ) );
+
+        wp_send_json_success( array(
+            'message' => __( 'New schema accepted.', 'wp-ai-seo-schema-generator' ),
+        ) );
+    }
+
+    /**
+     * Handle AJAX reject schema request
+     *
+     * Drops the regenerated schema awaiting review; the live schema stays.
+     */
+    public function handle_reject_schema() {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to edit this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        if ( '' === $this->content_processor->get_pending_schema( $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'No regenerated schema awaiting review.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $this->content_processor->discard_pending_schema( $post_id );
+
+        // The rejected schema was recorded when it was generated; put the live one back on top
+        $this->revisions->record_restored( $post_id, get_post_meta( $post_id, '_wp_ai_schema_schema', true ) );
+
+        WP_AI_Schema_Generator::log( sprintf( 'Regenerated schema rejected for post %d, previous schema kept', $post_id ) );
+
+        $settings = WP_AI_Schema_Generator::get_settings();
+
+        wp_send_json_success( array(
+            'schema'        => get_post_meta( $post_id, '_wp_ai_schema_schema', true ),
+            'detected_type' => get_post_meta( $post_id, '_wp_ai_schema_detected_type', true ),
+            'cache_status'  => $this->content_processor->get_cache_status( $post_id, $settings ),
+            'message'       => __( 'New schema rejected, the current schema is kept.', 'wp-ai-seo-schema-generator' ),
+        ) );
+    }
+
+    /**
+     * Handle AJAX get revisions request
+     *
+     * Lists the schema history of a post (without schema bodies).
+     */
+    public function handle_get_revisions() {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to view this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        wp_send_json_success( array(
+            'revisions' => $this->revisions->get_summaries( $post_id ),
+        ) );
+    }
+
+    /**
+     * Handle AJAX get revision request
+     *
+     * Returns a single revision including its schema, for preview and diff.
+     */
+    public function handle_get_revision() {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to view this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $revision_id = isset( $_POST['revision_id'] ) ? absint( $_POST['revision_id'] ) : 0;
+        $revision    = $this->revisions->get( $post_id, $revision_id );
+
+        if ( ! $revision ) {
+            wp_send_json_error( array(
+                'message' => __( 'Revision not found.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        wp_send_json_success( array(
+            'revision' => $revision,
+        ) );
+    }
+
+    /**
+     * Handle AJAX restore revision request
+     *
+     * Puts an earlier schema back. Like a manual save, the restored schema is
+     * flagged as an override so the cache and auto-regenerate keep it.
+     */
+    public function handle_restore_revision() {
+        // Get and sanitize post ID
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id ) {
+            wp_send_json_error( array(
+                'message' => __( 'Invalid post ID.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Verify nonce
+        if ( ! check_ajax_referer( 'wp_ai_schema_generate_' . $post_id, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Check capabilities
+        if ( ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to edit this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $revision_id = isset( $_POST['revision_id'] ) ? absint( $_POST['revision_id'] ) : 0;
+        $revision    = $this->revisions->get( $post_id, $revision_id );
+
+        if ( ! $revision ) {
+            wp_send_json_error( array(
+                'message' => __( 'Revision not found.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $validation = $this->schema_validator->validate( $revision['schema'] );
+
+        if ( ! $validation['valid'] ) {
+            wp_send_json_error( array(
+                'message' => $validation['error'],
+            ) );
+        }
+
+        $time = time();
+
+        update_post_meta( $post_id, '_wp_ai_schema_schema', $validation['schema'] );
+        update_post_meta( $post_id, '_wp_ai_schema_schema_status', 'ok' );
+        update_post_meta( $post_id, '_wp_ai_schema_schema_error', '' );
+        update_post_meta( $post_id, '_wp_ai_schema_manual_override', $time );
+        $this->content_processor->discard_pending_schema( $post_id );
+
+        if ( ! empty( $validation['type'] ) ) {
+            update_post_meta( $post_id, '_wp_ai_schema_detected_type', $validation['type'] );
+        }
+
+        $this->revisions->record_restored( $post_id, $validation['schema'], $revision );
+
+        WP_AI_Schema_Generator::log( sprintf( 'Schema revision %d restored for post %d', $revision_id, $post_id ) );
+
+        wp_send_json_success( array(
+            'schema'        => $validation['schema'],
+            'edited_at'     => $time,
+            'detected_type' => $validation['type'],
+            'message'       => __( 'Revision restored. It will not be overwritten unless you force regeneration.', 'wp-ai-seo-schema-generator' ),
+        ) );
+    }
 }
@@ -0,0 +1,395 @@
+<?php
+/**
+ * Bulk generation class
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Admin screen for generating schema for many posts at once
+ *
+ * The page lists every post of the enabled post types. Statuses are loaded
+ * in batches over AJAX (computing the content hash is too slow to do for
+ * hundreds of posts in one request), and the queue is driven by the browser,
+ * one post per request, so no request runs longer than a single generation.
+ */
+class WP_AI_Schema_Bulk {
+
+    /**
+     * Admin page slug
+     */
+    const PAGE_SLUG = 'wp-ai-schema-bulk';
+
+    /**
+     * Nonce action for the bulk AJAX requests
+     */
+    const NONCE_ACTION = 'wp_ai_schema_bulk';
+
+    /**
+     * Maximum posts per status request
+     */
+    const STATUS_BATCH_SIZE = 25;
+
+    /**
+     * Content processor
+     *
+     * @var WP_AI_Schema_Content_Processor
+     */
+    private $content_processor;
+
+    /**
+     * AJAX handler (runs the actual generation)
+     *
+     * @var WP_AI_Schema_Ajax
+     */
+    private $ajax;
+
+    /**
+     * Constructor
+     *
+     * @param WP_AI_Schema_Content_Processor $content_processor Content processor instance.
+     * @param WP_AI_Schema_Ajax              $ajax              AJAX handler instance.
+     */
+    public function __construct( WP_AI_Schema_Content_Processor $content_processor, WP_AI_Schema_Ajax $ajax ) {
+        $this->content_processor = $content_processor;
+        $this->ajax              = $ajax;
+
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize hooks
+     */
+    private function init_hooks() {
+        add_action( 'admin_menu', array( $this, 'add_menu_page' ) );
+        add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+        add_action( 'wp_ajax_wp_ai_schema_bulk_status', array( $this, 'handle_status' ) );
+        add_action( 'wp_ajax_wp_ai_schema_bulk_generate', array( $this, 'handle_generate' ) );
+    }
+
+    /**
+     * Add the page under Tools
+     */
+    public function add_menu_page() {
+        add_management_page(
+            __( 'AI JSON-LD Bulk Generation', 'wp-ai-seo-schema-generator' ),
+            __( 'AI JSON-LD Bulk', 'wp-ai-seo-schema-generator' ),
+            'manage_options',
+            self::PAGE_SLUG,
+            array( $this, 'render_page' )
+        );
+    }
+
+    /**
+     * Enqueue page assets
+     *
+     * @param string $hook Current admin page hook.
+     */
+    public function enqueue_assets( $hook ) {
+        if ( 'tools_page_' . self::PAGE_SLUG !== $hook ) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'ai-jsonld-bulk',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/css/bulk.css',
+            array(),
+            WP_AI_SCHEMA_VERSION
+        );
+
+        wp_enqueue_script(
+            'ai-jsonld-bulk',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/bulk.js',
+            array( 'jquery' ),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_localize_script(
+            'ai-jsonld-bulk',
+            'wpAiSchemaBulk',
+            array(
+                'ajax_url'   => admin_url( 'admin-ajax.php' ),
+                'nonce'      => wp_create_nonce( self::NONCE_ACTION ),
+                'batch_size' => self::STATUS_BATCH_SIZE,
+                'i18n'       => array(
+                    'status_none'     => __( 'None', 'wp-ai-seo-schema-generator' ),
+                    'status_current'  => __( 'Current', 'wp-ai-seo-schema-generator' ),
+                    'status_outdated' => __( 'Outdated', 'wp-ai-seo-schema-generator' ),
+                    'status_manual'   => __( 'Manually edited', 'wp-ai-seo-schema-generator' ),
+                    'status_error'    => __( 'Error', 'wp-ai-seo-schema-generator' ),
+                    'queued'          => __( 'Queued', 'wp-ai-seo-schema-generator' ),
+                    'generating'      => __( 'Generating...', 'wp-ai-seo-schema-generator' ),
+                    'generated'       => __( 'Generated', 'wp-ai-seo-schema-generator' ),
+                    'cached'          => __( 'Unchanged (cached)', 'wp-ai-seo-schema-generator' ),
+                    'failed'          => __( 'Failed', 'wp-ai-seo-schema-generator' ),
+                    'waiting'         => __( 'Waiting %ds (rate limit)', 'wp-ai-seo-schema-generator' ),
+                    'cooldown'        => __( 'Waiting %ds (cooldown)', 'wp-ai-seo-schema-generator' ),
+                    'pause'           => __( 'Pause', 'wp-ai-seo-schema-generator' ),
+                    'resume'          => __( 'Resume', 'wp-ai-seo-schema-generator' ),
+                    'pausing'         => __( 'Pausing after the current post...', 'wp-ai-seo-schema-generator' ),
+                    'paused'          => __( 'Paused.', 'wp-ai-seo-schema-generator' ),
+                    'progress'        => __( '%1$d of %2$d done: %3$d generated, %4$d unchanged, %5$d failed', 'wp-ai-seo-schema-generator' ),
+                    'finished'        => __( 'Finished.', 'wp-ai-seo-schema-generator' ),
+                    'nothing'         => __( 'Select at least one post.', 'wp-ai-seo-schema-generator' ),
+                    'request_error'   => __( 'Request failed', 'wp-ai-seo-schema-generator' ),
+                    'leave_warning'   => __( 'Bulk generation is still running. Leaving stops the queue.', 'wp-ai-seo-schema-generator' ),
+                ),
+            )
+        );
+    }
+
+    /**
+     * Render the bulk generation page
+     */
+    public function render_page() {
+        if ( ! current_user_can( 'manage_options' ) ) {
+            return;
+        }
+
+        $settings   = WP_AI_Schema_Generator::get_settings();
+        $post_types = $settings['enabled_post_types'] ?? array( 'page' );
+        $posts      = $this->get_posts( $post_types );
+        ?>
+        <div class="wrap ai-jsonld-bulk">
+            <h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
+
+            <p>
+                <?php esc_html_e( 'Generate schema for many posts in one go. Posts are processed one at a time; the queue waits out provider rate limits and per-post cooldowns automatically. Keep this page open while it runs.', 'wp-ai-seo-schema-generator' ); ?>
+            </p>
+
+            <?php if ( empty( $posts ) ) : ?>
+                <p><em><?php esc_html_e( 'No posts found in the enabled post types.', 'wp-ai-seo-schema-generator' ); ?></em></p>
+            <?php else : ?>
+                <div class="ai-jsonld-bulk-toolbar">
+                    <label>
+                        <?php esc_html_e( 'Post type:', 'wp-ai-seo-schema-generator' ); ?>
+                        <select id="wp_ai_schema_bulk_post_type">
+                            <option value=""><?php esc_html_e( 'All', 'wp-ai-seo-schema-generator' ); ?></option>
+                            <?php foreach ( $post_types as $post_type ) : ?>
+                                <?php $type_object = get_post_type_object( $post_type ); ?>
+                                <option value="<?php echo esc_attr( $post_type ); ?>">
+                                    <?php echo esc_html( $type_object ? $type_object->labels->name : $post_type ); ?>
+                                </option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <label>
+                        <?php esc_html_e( 'Status:', 'wp-ai-seo-schema-generator' ); ?>
+                        <select id="wp_ai_schema_bulk_status">
+                            <option value=""><?php esc_html_e( 'All', 'wp-ai-seo-schema-generator' ); ?></option>
+                            <option value="none"><?php esc_html_e( 'None', 'wp-ai-seo-schema-generator' ); ?></option>
+                            <option value="outdated"><?php esc_html_e( 'Outdated', 'wp-ai-seo-schema-generator' ); ?></option>
+                            <option value="current"><?php esc_html_e( 'Current', 'wp-ai-seo-schema-generator' ); ?></option>
+                            <option value="manual"><?php esc_html_e( 'Manually edited', 'wp-ai-seo-schema-generator' ); ?></option>
+                            <option value="error"><?php esc_html_e( 'Error', 'wp-ai-seo-schema-generator' ); ?></option>
+                        </select>
+                    </label>
+                    <span id="wp_ai_schema_bulk_counts" class="ai-jsonld-bulk-counts"></span>
+                </div>
+
+                <div class="ai-jsonld-bulk-controls">
+                    <label title="<?php esc_attr_e( 'Also replaces current and manually edited schema.', 'wp-ai-seo-schema-generator' ); ?>">
+                        <input type="checkbox" id="wp_ai_schema_bulk_force" />
+                        <?php esc_html_e( 'Force regenerate (ignore cache)', 'wp-ai-seo-schema-generator' ); ?>
+                    </label>
+                    <label>
+                        <input type="checkbox" id="wp_ai_schema_bulk_deep" />
+                        <?php esc_html_e( 'Deep content analysis (2-pass)', 'wp-ai-seo-schema-generator' ); ?>
+                    </label>
+                    <label>
+                        <?php esc_html_e( 'Pause between posts:', 'wp-ai-seo-schema-generator' ); ?>
+                        <input type="number" id="wp_ai_schema_bulk_delay" class="small-text" min="0" max="120" value="2" />
+                        <?php esc_html_e( 'seconds', 'wp-ai-seo-schema-generator' ); ?>
+                    </label>
+                </div>
+
+                <div class="ai-jsonld-bulk-actions">
+                    <button type="button" id="wp_ai_schema_bulk_start" class="button button-primary">
+                        <?php esc_html_e( 'Generate Selected', 'wp-ai-seo-schema-generator' ); ?>
+                    </button>
+                    <button type="button" id="wp_ai_schema_bulk_pause" class="button hidden">
+                        <?php esc_html_e( 'Pause', 'wp-ai-seo-schema-generator' ); ?>
+                    </button>
+                    <button type="button" id="wp_ai_schema_bulk_retry" class="button hidden">
+                        <?php esc_html_e( 'Retry Failed', 'wp-ai-seo-schema-generator' ); ?>
+                    </button>
+                    <span class="ai-jsonld-bulk-spinner spinner"></span>
+                    <span id="wp_ai_schema_bulk_progress" class="ai-jsonld-bulk-progress"></span>
+                </div>
+
+                <table class="wp-list-table widefat fixed striped ai-jsonld-bulk-table">
+                    <thead>
+                        <tr>
+                            <td class="manage-column column-cb check-column">
+                                <input type="checkbox" id="wp_ai_schema_bulk_select_all" />
+                            </td>
+                            <th class="column-title"><?php esc_html_e( 'Title', 'wp-ai-seo-schema-generator' ); ?></th>
+                            <th class="column-type"><?php esc_html_e( 'Type', 'wp-ai-seo-schema-generator' ); ?></th>
+                            <th class="column-schema-status"><?php esc_html_e( 'Schema', 'wp-ai-seo-schema-generator' ); ?></th>
+                            <th class="column-generated"><?php esc_html_e( 'Last generated', 'wp-ai-seo-schema-generator' ); ?></th>
+                            <th class="column-progress"><?php esc_html_e( 'Progress', 'wp-ai-seo-schema-generator' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ( $posts as $post ) : ?>
+                            <tr data-post-id="<?php echo esc_attr( $post->ID ); ?>" data-post-type="<?php echo esc_attr( $post->post_type ); ?>" data-status="">
+                                <th scope="row" class="check-column">
+                                    <input type="checkbox" class="ai-jsonld-bulk-select" value="<?php echo esc_attr( $post->ID ); ?>" />
+                                </th>
+                                <td class="column-title">
+                                    <a href="<?php echo esc_url( get_edit_post_link( $post->ID ) ); ?>">
+                                        <?php echo esc_html( get_the_title( $post ) ?: __( '(no title)', 'wp-ai-seo-schema-generator' ) ); ?>
+                                    </a>
+                                    <?php if ( 'publish' !== $post->post_status ) : ?>
+                                        &mdash; <span class="post-state"><?php echo esc_html( get_post_status_object( $post->post_status )->label ?? $post->post_status ); ?></span>
+                                    <?php endif; ?>
+                                </td>
+                                <td class="column-type"><?php echo esc_html( $post->post_type ); ?></td>
+                                <td class="column-schema-status"><span class="ai-jsonld-bulk-status"><?php esc_html_e( 'Checking...', 'wp-ai-seo-schema-generator' ); ?></span></td>
+                                <td class="column-generated">&mdash;</td>
+                                <td class="column-progress"><span class="ai-jsonld-bulk-row-progress"></span></td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Get all posts of the enabled post types
+     *
+     * @param array $post_types Post types.
+     * @return WP_Post[] Posts ordered by type and title.
+     */
+    private function get_posts( array $post_types ): array {
+        if ( empty( $post_types ) ) {
+            return array();
+        }
+
+        return get_posts(
+            array(
+                'post_type'              => $post_types,
+                'post_status'            => array( 'publish', 'future', 'draft', 'pending', 'private' ),
+                'posts_per_page'         => -1,
+                'orderby'                => array(
+                    'post_type' => 'ASC',
+                    'title'     => 'ASC',
+                ),
+                'no_found_rows'          => true,
+                'update_post_meta_cache' => false,
+                'update_post_term_cache' => false,
+            )
+        );
+    }
+
+    /**
+     * Check the bulk nonce and capability, ending the request on failure
+     */
+    private function verify_request() {
+        if ( ! check_ajax_referer( self::NONCE_ACTION, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Permission denied.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+    }
+
+    /**
+     * Handle AJAX status request for a batch of posts
+     */
+    public function handle_status() {
+        $this->verify_request();
+
+        $post_ids = isset( $_POST['post_ids'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['post_ids'] ) ) : array();
+        $post_ids = array_slice( array_filter( $post_ids ), 0, self::STATUS_BATCH_SIZE );
+        $settings = WP_AI_Schema_Generator::get_settings();
+        $format   = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+        $statuses = array();
+
+        foreach ( $post_ids as $post_id ) {
+            if ( ! current_user_can( 'edit_post', $post_id ) ) {
+                continue;
+            }
+
+            $statuses[ $post_id ] = $this->describe_post( $post_id, $settings, $format );
+        }
+
+        wp_send_json_success( array( 'statuses' => $statuses ) );
+    }
+
+    /**
+     * Handle AJAX generate request for one post of the queue
+     */
+    public function handle_generate() {
+        $this->verify_request();
+
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id || ! current_user_can( 'edit_post', $post_id ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'You do not have permission to edit this post.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $force         = ! empty( $_POST['force'] );
+        $deep_analysis = ! empty( $_POST['deep_analysis'] );
+
+        if ( $deep_analysis ) {
+            $result = $this->ajax->generate_schema_two_pass( $post_id, $force );
+        } else {
+            $result = $this->ajax->generate_schema( $post_id, $force );
+        }
+
+        // Nobody reviews a diff per post in bulk - the revision history keeps the old schema
+        if ( $result['success'] && empty( $result['cached'] ) ) {
+            $this->content_processor->accept_pending_schema( $post_id );
+        }
+
+        if ( ! empty( $result['cooldown'] ) ) {
+            $result['wait_time'] = $this->ajax->get_cooldown_remaining( $post_id );
+        }
+
+        $settings       = WP_AI_Schema_Generator::get_settings();
+        $result['post'] = $this->describe_post( $post_id, $settings, get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) );
+
+        // Schema bodies aren't shown on this page
+        unset( $result['schema'], $result['previous_schema'] );
+
+        if ( $result['success'] ) {
+            wp_send_json_success( $result );
+        } else {
+            wp_send_json_error( $result );
+        }
+    }
+
+    /**
+     * Describe a post's schema state for the list
+     *
+     * @param int    $post_id  Post ID.
+     * @param array  $settings Plugin settings.
+     * @param string $format   Date format for the generated time.
+     * @return array Status, generated time and last error.
+     */
+    private function describe_post( int $post_id, array $settings, string $format ): array {
+        $cache_status = $this->content_processor->get_cache_status( $post_id, $settings );
+
+        return array(
+            'status'    => $this->content_processor->get_schema_state( $cache_status ),
+            'generated' => $cache_status['generated_at'] ? wp_date( $format, $cache_status['generated_at'] ) : '',
+            'error'     => $cache_status['error'],
+        );
+    }
+}
@@ -15,6 +15,44 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class WP_AI_Schema_Conflict_Detector {
 
+    /**
+     * Class attribute each plugin puts on its JSON-LD script tag
+     */
+    const SOURCE_CLASSES = array(
+        'yoast-schema-graph' => 'Yoast SEO',
+        'rank-math-schema'   => 'RankMath',
+        'aioseo-schema'      => 'All in One SEO',
+        'wp-ai-schema'       => 'WP AI SEO Schema Generator',
+    );
+
+    /**
+     * Graph filters merge mode hooks into, by SEO plugin
+     */
+    const MERGE_FILTERS = array(
+        'Yoast SEO'      => 'wpseo_schema_graph',
+        'RankMath'       => 'rank_math/json_ld',
+        'All in One SEO' => 'aioseo_schema_output',
+    );
+
+    /**
+     * Types a page normally describes once, compared even when their @id differs
+     *
+     * Also sent to frontend-verify.js as wpAiSchemaVerifyConfig.single_types.
+     */
+    const SINGLE_TYPES = array(
+        'Organization',
+        'LocalBusiness',
+        'Corporation',
+        'WebSite',
+        'WebPage',
+        'Article',
+        'BlogPosting',
+        'NewsArticle',
+        'Product',
+        'FAQPage',
+        'BreadcrumbList',
+    );
+
     /**
      * Detected SEO plugin
      *
@@ -175,6 +213,21 @@ class WP_AI_Schema_Conflict_Detector {
      * }
      */
     public function should_output( int $post_id, array $settings ): array {
+        // Merged posts are output inside the SEO plugin's graph instead
+        $host = $this->is_merge_mode( $post_id ) ? $this->get_merge_host() : null;
+
+        if ( $host ) {
+            return array(
+                'should_output' => false,
+                'merged'        => true,
+                'reason'        => sprintf(
+                    /* translators: %s: SEO plugin name */
+                    __( 'Merged into the %s schema graph', 'wp-ai-seo-schema-generator' ),
+                    $host
+                ),
+            );
+        }
+
         // Check if skip_if_schema_exists is enabled
         if ( empty( $settings['skip_if_schema_exists'] ) ) {
             return array(
@@ -214,6 +267,317 @@ class WP_AI_Schema_Conflict_Detector {
         );
     }
 
+    /**
+     * Whether a post's schema should join the SEO plugin's graph
+     *
+     * @param int $post_id Post ID.
+     * @return bool
+     */
+    public function is_merge_mode( int $post_id ): bool {
+        return '1' === get_post_meta( $post_id, '_wp_ai_schema_merge_mode', true );
+    }
+
+    /**
+     * Turn merge mode on or off for a post
+     *
+     * @param int  $post_id Post ID.
+     * @param bool $enabled Whether to merge.
+     */
+    public function set_merge_mode( int $post_id, bool $enabled ): void {
+        if ( $enabled ) {
+            update_post_meta( $post_id, '_wp_ai_schema_merge_mode', '1' );
+        } else {
+            delete_post_meta( $post_id, '_wp_ai_schema_merge_mode' );
+        }
+    }
+
+    /**
+     * SEO plugin whose schema graph merge mode can join
+     *
+     * @return string|null Plugin name, or null if no plugin with a graph filter is outputting schema.
+     */
+    public function get_merge_host(): ?string {
+        $plugin = $this->get_detected_plugin();
+
+        if ( ! $plugin || ! isset( self::MERGE_FILTERS[ $plugin ] ) || ! $this->is_seo_schema_active() ) {
+            return null;
+        }
+
+        return $plugin;
+    }
+
+    /**
+     * Find the JSON-LD script blocks in a page and which plugin printed each
+     *
+     * Matches the type attribute anywhere in the tag, quoted or not, so blocks
+     * with a nonce, an id or another attribute order are found too.
+     *
+     * @param string $html Page HTML.
+     * @return array List of { source, json }, in page order. Source is '' when unknown.
+     */
+    public function extract_json_ld_blocks( string $html ): array {
+        if ( ! preg_match_all( '/<script\b([^>]*)>(.*?)<\/script>/is', $html, $matches, PREG_SET_ORDER ) ) {
+            return array();
+        }
+
+        $blocks = array();
+
+        foreach ( $matches as $match ) {
+            if ( ! preg_match( '/\btype\s*=\s*["\']?application\/ld\+json\b/i', $match[1] ) ) {
+                continue;
+            }
+
+            $source = '';
+
+            if ( preg_match( '/\bclass\s*=\s*["\']([^"\']*)["\']/i', $match[1], $class ) ) {
+                foreach ( self::SOURCE_CLASSES as $class_name => $name ) {
+                    if ( in_array( $class_name, preg_split( '/\s+/', $class[1] ), true ) ) {
+                        $source = $name;
+                        break;
+                    }
+                }
+            }
+
+            $blocks[] = array(
+                'source' => $source,
+                'json'   => trim( $match[2] ),
+            );
+        }
+
+        return $blocks;
+    }
+
+    /**
+     * Top-level entities of a JSON-LD document
+     *
+     * Arrays and @graph are flattened, @context is dropped and untyped
+     * nodes are skipped.
+     *
+     * @param mixed $data Decoded document.
+     * @return array Entities.
+     */
+    public static function get_entities( $data ): array {
+        if ( ! is_array( $data ) ) {
+            return array();
+        }
+
+        if ( isset( $data['@graph'] ) && is_array( $data['@graph'] ) ) {
+            return self::get_entities( $data['@graph'] );
+        }
+
+        if ( wp_is_numeric_array( $data ) ) {
+            $entities = array();
+
+            foreach ( $data as $item ) {
+                $entities = array_merge( $entities, self::get_entities( $item ) );
+            }
+
+            return $entities;
+        }
+
+        unset( $data['@context'] );
+
+        return empty( $data['@type'] ) ? array() : array( $data );
+    }
+
+    /**
+     * Fold entities into a graph, joining nodes through shared @ids
+     *
+     * Entities that share an @id with a graph node, or describe a type the
+     * page has once, are folded into that node: the graph's values win and
+     * the entity fills in what it leaves out. References to the entity's
+     * @id are pointed at the node. Other entities are appended.
+     *
+     * @param array $graph    Graph nodes (list, or keyed as RankMath does).
+     * @param array $entities Entities to add.
+     * @return array
+     */
+    public static function merge_graph( array $graph, array $entities ): array {
+        $targets = array();
+        $id_map  = array();
+
+        foreach ( $entities as $index => $entity ) {
+            $target = self::find_graph_node( $graph, $entity );
+
+            if ( null === $target ) {
+                continue;
+            }
+
+            $targets[ $index ] = $target;
+
+            if ( isset( $entity['@id'], $graph[ $target ]['@id'] ) && $entity['@id'] !== $graph[ $target ]['@id'] ) {
+                $id_map[ $entity['@id'] ] = $graph[ $target ]['@id'];
+            }
+        }
+
+        foreach ( $entities as $index => $entity ) {
+            $entity = self::replace_ids( $entity, $id_map );
+
+            if ( isset( $targets[ $index ] ) ) {
+                $graph[ $targets[ $index ] ] += $entity;
+            } else {
+                $graph[] = $entity;
+            }
+        }
+
+        return $graph;
+    }
+
+    /**
+     * Find the graph node an entity describes
+     *
+     * @param array $graph  Graph nodes.
+     * @param array $entity Entity.
+     * @return int|string|null Key of the node, or null if it is new to the graph.
+     */
+    private static function find_graph_node( array $graph, array $entity ) {
+        $single_types = array_intersect( (array) $entity['@type'], self::SINGLE_TYPES );
+        $type_match   = null;
+
+        foreach ( $graph as $key => $node ) {
+            if ( ! is_array( $node ) ) {
+                continue;
+            }
+
+            if ( ! empty( $entity['@id'] ) && isset( $node['@id'] ) && $node['@id'] === $entity['@id'] ) {
+                return $key;
+            }
+
+            if ( null === $type_match && $single_types && array_intersect( $single_types, (array) ( $node['@type'] ?? array() ) ) ) {
+                $type_match = $key;
+            }
+        }
+
+        return $type_match;
+    }
+
+    /**
+     * Rewrite @id values (and references to them) through a map
+     *
+     * @param mixed $value  Decoded JSON value.
+     * @param array $id_map Old @id => new @id.
+     * @return mixed
+     */
+    private static function replace_ids( $value, array $id_map ) {
+        if ( ! is_array( $value ) || empty( $id_map ) ) {
+            return $value;
+        }
+
+        foreach ( $value as $key => $item ) {
+            if ( '@id' === $key && is_string( $item ) && isset( $id_map[ $item ] ) ) {
+                $value[ $key ] = $id_map[ $item ];
+            } elseif ( is_array( $item ) ) {
+                $value[ $key ] = self::replace_ids( $item, $id_map );
+            }
+        }
+
+        return $value;
+    }
+
+    /**
+     * Which entity types each source emits and where they overlap
+     *
+     * @param array $blocks Blocks from extract_json_ld_blocks().
+     * @return array {
+     *     @type array $sources  List of { source, types, blocks } per source.
+     *     @type array $overlaps List of { type, sources, shared_id, conflicts } for
+     *                           types emitted by more than one source.
+     * }
+     */
+    public function build_report( array $blocks ): array {
+        $sources  = array();
+        $by_type  = array();
+        $fallback = __( 'Other (theme or unknown plugin)', 'wp-ai-seo-schema-generator' );
+
+        foreach ( $blocks as $block ) {
+            $source = '' !== $block['source'] ? $block['source'] : $fallback;
+
+            if ( ! isset( $sources[ $source ] ) ) {
+                $sources[ $source ] = array(
+                    'source' => $source,
+                    'types'  => array(),
+                    'blocks' => 0,
+                );
+            }
+            $sources[ $source ]['blocks']++;
+
+            foreach ( self::get_entities( json_decode( $block['json'], true ) ) as $entity ) {
+                foreach ( (array) $entity['@type'] as $type ) {
+                    if ( ! is_string( $type ) ) {
+                        continue;
+                    }
+
+                    $sources[ $source ]['types'][] = $type;
+
+                    // First entity of each type per source is the one compared
+                    if ( ! isset( $by_type[ $type ][ $source ] ) ) {
+                        $by_type[ $type ][ $source ] = $entity;
+                    }
+                }
+            }
+        }
+
+        $overlaps = array();
+
+        foreach ( $by_type as $type => $entities ) {
+            if ( count( $entities ) < 2 ) {
+                continue;
+            }
+
+            $ids       = array();
+            $conflicts = array();
+            $first     = reset( $entities );
+
+            foreach ( $entities as $entity ) {
+                if ( ! empty( $entity['@id'] ) && is_string( $entity['@id'] ) ) {
+                    $ids[] = $entity['@id'];
+                }
+
+                $conflicts = array_merge( $conflicts, $this->get_conflicting_properties( $first, $entity ) );
+            }
+
+            $overlaps[] = array(
+                'type'      => $type,
+                'sources'   => array_keys( $entities ),
+                'shared_id' => count( $ids ) !== count( array_unique( $ids ) ),
+                'conflicts' => array_values( array_unique( $conflicts ) ),
+            );
+        }
+
+        foreach ( $sources as &$source ) {
+            $source['types'] = array_values( array_unique( $source['types'] ) );
+        }
+        unset( $source );
+
+        return array(
+            'sources'  => array_values( $sources ),
+            'overlaps' => $overlaps,
+        );
+    }
+
+    /**
+     * Scalar properties two descriptions of the same entity disagree on
+     *
+     * @param array $a First entity.
+     * @param array $b Second entity.
+     * @return array Property names.
+     */
+    private function get_conflicting_properties( array $a, array $b ): array {
+        $conflicts = array();
+
+        foreach ( $a as $key => $value ) {
+            if ( '@type' === $key || '@id' === $key || ! isset( $b[ $key ] ) || ! is_scalar( $value ) || ! is_scalar( $b[ $key ] ) ) {
+                continue;
+            }
+
+            if ( trim( (string) $value ) !== trim( (string) $b[ $key ] ) ) {
+                $conflicts[] = $key;
+            }
+        }
+
+        return $conflicts;
+    }
+
     /**
      * Get admin notice about detected SEO plugins
      *
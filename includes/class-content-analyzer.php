@@ -23,6 +23,17 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class WP_AI_Schema_Content_Analyzer {
 
+    /**
+     * Analysis lists editors can review before pass 2, with the fields of an added item
+     */
+    const EDITABLE_SECTIONS = array(
+        'testimonials' => array( 'quote', 'author_name' ),
+        'faqs'         => array( 'question', 'answer' ),
+        'services'     => array( 'name', 'description' ),
+        'team_members' => array( 'name', 'job_title' ),
+        'products'     => array( 'name', 'description' ),
+    );
+
     /**
      * Provider registry instance
      *
@@ -57,7 +68,7 @@ class WP_AI_Schema_Content_Analyzer {
      * @param int         $post_id          Post ID to analyze.
      * @param array       $settings         Plugin settings.
      * @param string|null $override_content Optional content override (from frontend fetch).
-     * @return array Analysis result with 'success', 'data', and 'error' keys.
+     * @return array Analysis result with 'success', 'data', 'error' and (once the provider answered) 'usage' keys.
      */
     public function analyze( int $post_id, array $settings, ?string $override_content = null ): array {
         $post = get_post( $post_id );
@@ -131,6 +142,7 @@ class WP_AI_Schema_Content_Analyzer {
                 'success' => false,
                 'data'    => null,
                 'error'   => $analysis['error'],
+                'usage'   => $result['usage'] ?? array(),
             );
         }
 
@@ -138,6 +150,7 @@ class WP_AI_Schema_Content_Analyzer {
             'success' => true,
             'data'    => $analysis['data'],
             'error'   => null,
+            'usage'   => $result['usage'] ?? array(),
         );
     }
 
@@ -286,6 +299,67 @@ class WP_AI_Schema_Content_Analyzer {
         return true;
     }
 
+    /**
+     * Apply an editor's review of the pass 1 findings
+     *
+     * For each section in EDITABLE_SECTIONS, only the items whose indexes are
+     * in 'keep' survive and the 'add' items (limited to the section's fields)
+     * are appended. Positions and item_counts are renumbered to match.
+     * Sections missing from $edits are left as they are.
+     *
+     * @param array $analysis Analysis data from pass 1.
+     * @param array $edits    Section => array( 'keep' => int[], 'add' => array[] ).
+     * @return array Edited analysis data.
+     */
+    public static function apply_edits( array $analysis, array $edits ): array {
+        foreach ( self::EDITABLE_SECTIONS as $section => $fields ) {
+            if ( ! isset( $edits[ $section ] ) || ! is_array( $edits[ $section ] ) ) {
+                continue;
+            }
+
+            $original = is_array( $analysis[ $section ] ?? null ) ? array_values( $analysis[ $section ] ) : array();
+            $keep     = array_map( 'intval', (array) ( $edits[ $section ]['keep'] ?? array() ) );
+            $items    = array();
+
+            foreach ( $original as $index => $item ) {
+                if ( in_array( $index, $keep, true ) ) {
+                    $items[] = $item;
+                }
+            }
+
+            foreach ( (array) ( $edits[ $section ]['add'] ?? array() ) as $added ) {
+                $item = array();
+
+                foreach ( $fields as $field ) {
+                    $value = is_array( $added ) && is_scalar( $added[ $field ] ?? null ) ? sanitize_textarea_field( (string) $added[ $field ] ) : '';
+
+                    if ( '' !== $value ) {
+                        $item[ $field ] = $value;
+                    }
+                }
+
+                if ( ! empty( $item ) ) {
+                    $items[] = $item;
+                }
+            }
+
+            foreach ( $items as $index => $item ) {
+                if ( is_array( $item ) ) {
+                    $items[ $index ]['position'] = $index + 1;
+                }
+            }
+
+            if ( ! is_array( $analysis['item_counts'] ?? null ) ) {
+                $analysis['item_counts'] = array();
+            }
+
+            $analysis[ $section ] = $items;
+            $analysis['item_counts'][ $section . '_found' ] = count( $items );
+        }
+
+        return $analysis;
+    }
+
     /**
      * Get the system prompt for content analysis
      *
@@ -475,7 +549,7 @@ SITE: ' . ( $site_data['name'] ?? 'Unknown' ) . '
         }
 
         if ( 'auto' !== $type_hint ) {
-            $message .= 'PAGE TYPE HINT: ' . $type_hint . '
+            $message .= 'PAGE TYPE HINT: ' . implode( ', ', WP_AI_Schema_Prompt_Builder::parse_type_hints( $type_hint ) ) . '
 ';
         }
 
@@ -30,6 +30,25 @@ class WP_AI_Schema_Content_Processor {
      */
     const MIN_CONTENT_LENGTH = 50;
 
+    /**
+     * Post meta holding a regenerated schema awaiting accept/reject
+     */
+    const PENDING_META_KEY = '_wp_ai_schema_pending';
+
+    /**
+     * Post meta a pending regeneration sets when it is accepted
+     */
+    const PENDING_META_KEYS = array(
+        '_wp_ai_schema_schema',
+        '_wp_ai_schema_schema_hash',
+        '_wp_ai_schema_schema_last_generated',
+        '_wp_ai_schema_schema_status',
+        '_wp_ai_schema_schema_error',
+        '_wp_ai_schema_detected_type',
+        '_wp_ai_schema_generation_mode',
+        '_wp_ai_schema_manual_override',
+    );
+
     /**
      * Prepare content for LLM processing (plain text)
      *
@@ -301,7 +320,8 @@ class WP_AI_Schema_Content_Processor {
      * Generate a content hash for caching
      *
      * Hash includes provider and model so cache is invalidated when switching providers.
-     * Now also includes page builder content for accurate cache invalidation.
+     * Now also includes page builder content for accurate cache invalidation,
+     * and the type hint, instructions and pinned properties that steer generation.
      *
      * @param int   $post_id  Post ID.
      * @param array $settings Plugin settings.
@@ -334,20 +354,40 @@ class WP_AI_Schema_Content_Processor {
             $builder_meta = maybe_serialize( get_post_meta( $post_id, '_bricks_page_content_2', true ) );
         }
 
-        $hash_input = wp_json_encode(
-            array(
-                'content'          => $best_content,
-                'builder_meta'     => $builder_meta ? md5( $builder_meta ) : '', // Hash the meta to keep size reasonable
-                'title'            => $post->post_title,
-                'excerpt'          => $post->post_excerpt,
-                'modified'         => $post->post_modified,
-                'settings_version' => $settings['settings_version'] ?? '1.0',
-                'provider'         => $provider,
-                'model'            => $model,
-                'type_hint'        => $type_hint ?: 'auto',
-            )
+        $hash_data = array(
+            'content'          => $best_content,
+            'builder_meta'     => $builder_meta ? md5( $builder_meta ) : '', // Hash the meta to keep size reasonable
+            'title'            => $post->post_title,
+            'excerpt'          => $post->post_excerpt,
+            'modified'         => $post->post_modified,
+            'settings_version' => $settings['settings_version'] ?? '1.0',
+            'provider'         => $provider,
+            'model'            => $model,
+            'type_hint'        => $type_hint ?: 'auto',
         );
 
+        // Per-post steering only joins the hash when set, so hashes stored
+        // before it existed stay current
+        $instructions = get_post_meta( $post_id, '_wp_ai_schema_instructions', true );
+        $pinned       = WP_AI_Schema_Prompt_Builder::get_pinned_properties( $post_id );
+        $template     = WP_AI_Schema_Templates::get_post_template( $post_id );
+
+        if ( $instructions ) {
+            $hash_data['instructions'] = $instructions;
+        }
+
+        if ( $pinned ) {
+            $hash_data['pinned'] = $pinned;
+        }
+
+        // Likewise the template generated schema is merged into, by content so
+        // editing the template invalidates the cache too
+        if ( $template ) {
+            $hash_data['template'] = md5( $template['schema'] );
+        }
+
+        $hash_input = wp_json_encode( $hash_data );
+
         return hash( 'sha256', $hash_input );
     }
 
@@ -370,12 +410,169 @@ class WP_AI_Schema_Content_Processor {
             return true;
         }
 
+        // Hand-edited schema is never replaced unless regeneration is forced
+        if ( $this->has_manual_override( $post_id ) ) {
+            return false;
+        }
+
         $stored_hash  = get_post_meta( $post_id, '_wp_ai_schema_schema_hash', true );
         $current_hash = $this->generate_hash( $post_id, $settings );
 
         return $stored_hash !== $current_hash;
     }
 
+    /**
+     * Check if the stored schema was edited by hand
+     *
+     * @param int $post_id Post ID.
+     * @return bool True if the schema is a manual override.
+     */
+    public function has_manual_override( int $post_id ): bool {
+        return (bool) get_post_meta( $post_id, '_wp_ai_schema_manual_override', true );
+    }
+
+    /**
+     * Store a regenerated schema for review
+     *
+     * If the post already has schema, the new schema and its meta are held as
+     * a pending candidate and the page keeps serving the current schema until
+     * the user accepts the candidate. A later regeneration replaces the
+     * candidate, so it is always compared against the schema that is live.
+     * A post without schema has nothing to review, so the meta is saved as is.
+     *
+     * @param int   $post_id Post ID.
+     * @param array $meta    Meta values keyed by meta key (see PENDING_META_KEYS); empty values are deleted.
+     * @return string The live schema the candidate awaits review against, or empty string if it was saved.
+     */
+    public function store_generated_schema( int $post_id, array $meta ): string {
+        $meta   = array_intersect_key( $meta, array_flip( self::PENDING_META_KEYS ) );
+        $schema = get_post_meta( $post_id, '_wp_ai_schema_schema', true );
+
+        if ( empty( $schema ) ) {
+            $this->save_schema_meta( $post_id, $meta );
+            $this->discard_pending_schema( $post_id );
+            return '';
+        }
+
+        update_post_meta( $post_id, self::PENDING_META_KEY, wp_slash( wp_json_encode( $meta ) ) );
+
+        return $schema;
+    }
+
+    /**
+     * Build the meta values saved for a newly generated schema
+     *
+     * @param string $schema        Validated schema JSON.
+     * @param mixed  $detected_type Schema type reported by the validator.
+     * @param string $hash          Content hash the schema was generated from.
+     * @param int    $time          Generation timestamp.
+     * @return array Meta values keyed by meta key, for store_generated_schema().
+     */
+    public function get_generated_meta( string $schema, $detected_type, string $hash, int $time ): array {
+        $meta = array(
+            '_wp_ai_schema_schema'                => $schema,
+            '_wp_ai_schema_schema_hash'           => $hash,
+            '_wp_ai_schema_schema_last_generated' => $time,
+            '_wp_ai_schema_schema_status'         => 'ok',
+            '_wp_ai_schema_schema_error'          => '',
+            '_wp_ai_schema_manual_override'       => '',
+        );
+
+        if ( ! empty( $detected_type ) ) {
+            $meta['_wp_ai_schema_detected_type'] = $detected_type;
+        }
+
+        return $meta;
+    }
+
+    /**
+     * Get the regenerated schema awaiting accept/reject
+     *
+     * @param int $post_id Post ID.
+     * @return string Candidate schema, or empty string if there is none.
+     */
+    public function get_pending_schema( int $post_id ): string {
+        $pending = $this->get_pending( $post_id );
+
+        return $pending['_wp_ai_schema_schema'] ?? '';
+    }
+
+    /**
+     * Get the live schema a pending regeneration would replace
+     *
+     * @param int $post_id Post ID.
+     * @return string Live schema, or empty string if no regeneration awaits review.
+     */
+    public function get_previous_schema( int $post_id ): string {
+        if ( '' === $this->get_pending_schema( $post_id ) ) {
+            return '';
+        }
+
+        return (string) get_post_meta( $post_id, '_wp_ai_schema_schema', true );
+    }
+
+    /**
+     * Make the pending regeneration live (accept it)
+     *
+     * @param int $post_id Post ID.
+     * @return bool True if a candidate was promoted.
+     */
+    public function accept_pending_schema( int $post_id ): bool {
+        $pending = $this->get_pending( $post_id );
+
+        if ( empty( $pending['_wp_ai_schema_schema'] ) ) {
+            return false;
+        }
+
+        $this->save_schema_meta( $post_id, $pending );
+        $this->discard_pending_schema( $post_id );
+
+        return true;
+    }
+
+    /**
+     * Drop the pending regeneration (reject it, or replace the schema by other means)
+     *
+     * @param int $post_id Post ID.
+     */
+    public function discard_pending_schema( int $post_id ): void {
+        delete_post_meta( $post_id, self::PENDING_META_KEY );
+    }
+
+    /**
+     * Write schema meta values, deleting the empty ones
+     *
+     * @param int   $post_id Post ID.
+     * @param array $meta    Meta values keyed by meta key.
+     */
+    private function save_schema_meta( int $post_id, array $meta ): void {
+        foreach ( $meta as $key => $value ) {
+            if ( '' !== $value && null !== $value ) {
+                update_post_meta( $post_id, $key, wp_slash( $value ) );
+            } else {
+                delete_post_meta( $post_id, $key );
+            }
+        }
+    }
+
+    /**
+     * Read the stored candidate
+     *
+     * @param int $post_id Post ID.
+     * @return array Meta values keyed by meta key, empty if none.
+     */
+    private function get_pending( int $post_id ): array {
+        $raw = get_post_meta( $post_id, self::PENDING_META_KEY, true );
+
+        if ( empty( $raw ) ) {
+            return array();
+        }
+
+        $pending = json_decode( $raw, true );
+
+        return is_array( $pending ) ? $pending : array();
+    }
+
     /**
      * Get cache status for a post
      *
@@ -384,11 +581,13 @@ class WP_AI_Schema_Content_Processor {
      * @return array {
      *     Cache status array.
      *
-     *     @type bool   $has_schema    Whether schema exists.
-     *     @type bool   $is_current    Whether cache is current.
-     *     @type int    $generated_at  Unix timestamp of generation.
-     *     @type string $status        Schema status (ok/error).
-     *     @type string $error         Error message if status is error.
+     *     @type bool   $has_schema      Whether schema exists.
+     *     @type bool   $is_current      Whether cache is current.
+     *     @type int    $generated_at    Unix timestamp of generation.
+     *     @type string $status          Schema status (ok/error).
+     *     @type string $error           Error message if status is error.
+     *     @type bool   $manual_override Whether the schema was edited by hand.
+     *     @type int    $edited_at       Unix timestamp of the manual edit.
      * }
      */
     public function get_cache_status( int $post_id, array $settings ): array {
@@ -397,6 +596,7 @@ class WP_AI_Schema_Content_Processor {
         $status      = get_post_meta( $post_id, '_wp_ai_schema_schema_status', true );
         $error       = get_post_meta( $post_id, '_wp_ai_schema_schema_error', true );
         $stored_hash = get_post_meta( $post_id, '_wp_ai_schema_schema_hash', true );
+        $edited_at   = get_post_meta( $post_id, '_wp_ai_schema_manual_override', true );
 
         $has_schema = ! empty( $schema );
         $is_current = false;
@@ -407,14 +607,38 @@ class WP_AI_Schema_Content_Processor {
         }
 
         return array(
-            'has_schema'   => $has_schema,
-            'is_current'   => $is_current,
-            'generated_at' => $generated ? intval( $generated ) : 0,
-            'status'       => $status ?: '',
-            'error'        => $error ?: '',
+            'has_schema'      => $has_schema,
+            'is_current'      => $is_current,
+            'generated_at'    => $generated ? intval( $generated ) : 0,
+            'status'          => $status ?: '',
+            'error'           => $error ?: '',
+            'manual_override' => $has_schema && ! empty( $edited_at ),
+            'edited_at'       => $edited_at ? intval( $edited_at ) : 0,
         );
     }
 
+    /**
+     * Reduce a cache status to a single state for listings
+     *
+     * @param array $cache_status Result of get_cache_status().
+     * @return string none, current, outdated, manual or error.
+     */
+    public function get_schema_state( array $cache_status ): string {
+        if ( 'error' === $cache_status['status'] ) {
+            return 'error';
+        }
+
+        if ( ! $cache_status['has_schema'] ) {
+            return 'none';
+        }
+
+        if ( $cache_status['manual_override'] ) {
+            return 'manual';
+        }
+
+        return $cache_status['is_current'] ? 'current' : 'outdated';
+    }
+
     /**
      * Check if content is empty or too short
      *
@@ -0,0 +1,274 @@
+<?php
+/**
+ * Coverage dashboard class
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Site-wide schema coverage shown on the settings page Dashboard tab
+ *
+ * Published posts of the enabled post types are scanned in batches over AJAX
+ * (checking whether schema is outdated hashes each post's content) and the
+ * browser aggregates the results into the charts and tables.
+ */
+class WP_AI_Schema_Dashboard {
+
+    /**
+     * Nonce action for the coverage AJAX requests
+     */
+    const NONCE_ACTION = 'wp_ai_schema_coverage';
+
+    /**
+     * Posts per coverage request
+     */
+    const BATCH_SIZE = 25;
+
+    /**
+     * Content processor
+     *
+     * @var WP_AI_Schema_Content_Processor
+     */
+    private $content_processor;
+
+    /**
+     * Schema validator (reads the @type of stored schema)
+     *
+     * @var WP_AI_Schema_Validator
+     */
+    private $schema_validator;
+
+    /**
+     * Conflict detector
+     *
+     * @var WP_AI_Schema_Conflict_Detector
+     */
+    private $conflict_detector;
+
+    /**
+     * Constructor
+     *
+     * @param WP_AI_Schema_Content_Processor $content_processor Content processor instance.
+     * @param WP_AI_Schema_Validator         $schema_validator  Schema validator instance.
+     * @param WP_AI_Schema_Conflict_Detector $conflict_detector Conflict detector instance.
+     */
+    public function __construct(
+        WP_AI_Schema_Content_Processor $content_processor,
+        WP_AI_Schema_Validator $schema_validator,
+        WP_AI_Schema_Conflict_Detector $conflict_detector
+    ) {
+        $this->content_processor = $content_processor;
+        $this->schema_validator  = $schema_validator;
+        $this->conflict_detector = $conflict_detector;
+
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize hooks
+     */
+    private function init_hooks() {
+        add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+        add_action( 'wp_ajax_wp_ai_schema_coverage', array( $this, 'handle_coverage' ) );
+    }
+
+    /**
+     * Enqueue dashboard assets on the settings page Dashboard tab
+     *
+     * @param string $hook Current admin page hook.
+     */
+    public function enqueue_assets( $hook ) {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+        $tab = isset( $_GET['tab'] ) ? sanitize_key( wp_unslash( $_GET['tab'] ) ) : '';
+
+        if ( 'settings_page_' . WP_AI_Schema_Admin::PAGE_SLUG !== $hook || 'dashboard' !== $tab ) {
+            return;
+        }
+
+        wp_register_script(
+            'ai-jsonld-escape-html',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/escape-html.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'ai-jsonld-dashboard',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/dashboard.js',
+            array( 'jquery', 'ai-jsonld-escape-html' ),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        $post_types = array();
+
+        foreach ( WP_AI_Schema_Generator::get_settings()['enabled_post_types'] ?? array( 'page' ) as $post_type ) {
+            $type_object              = get_post_type_object( $post_type );
+            $post_types[ $post_type ] = $type_object ? $type_object->labels->name : $post_type;
+        }
+
+        wp_localize_script(
+            'ai-jsonld-dashboard',
+            'wpAiSchemaDashboard',
+            array(
+                'ajax_url'   => admin_url( 'admin-ajax.php' ),
+                'nonce'      => wp_create_nonce( self::NONCE_ACTION ),
+                'post_types' => $post_types,
+                'i18n'       => array(
+                    'scanning'        => __( 'Scanning %1$d of %2$d posts...', 'wp-ai-seo-schema-generator' ),
+                    'scanned'         => __( '%d published posts scanned.', 'wp-ai-seo-schema-generator' ),
+                    'scan_error'      => __( 'Error scanning posts', 'wp-ai-seo-schema-generator' ),
+                    'status_none'     => __( 'No schema', 'wp-ai-seo-schema-generator' ),
+                    'status_current'  => __( 'Current', 'wp-ai-seo-schema-generator' ),
+                    'status_outdated' => __( 'Outdated', 'wp-ai-seo-schema-generator' ),
+                    'status_manual'   => __( 'Manually edited', 'wp-ai-seo-schema-generator' ),
+                    'status_error'    => __( 'Error', 'wp-ai-seo-schema-generator' ),
+                    'total'           => __( 'Total', 'wp-ai-seo-schema-generator' ),
+                    'coverage'        => __( 'Coverage', 'wp-ai-seo-schema-generator' ),
+                    'untyped'         => __( '(no @type)', 'wp-ai-seo-schema-generator' ),
+                    'no_types'        => __( 'No schema generated yet.', 'wp-ai-seo-schema-generator' ),
+                    'none_listed'     => __( 'None.', 'wp-ai-seo-schema-generator' ),
+                    'edit'            => __( 'Edit', 'wp-ai-seo-schema-generator' ),
+                ),
+            )
+        );
+    }
+
+    /**
+     * Render the Dashboard tab
+     */
+    public function render() {
+        $plugin   = $this->conflict_detector->get_detected_plugin();
+        $settings = WP_AI_Schema_Generator::get_settings();
+        ?>
+        <div class="ai-jsonld-dashboard">
+            <p class="ai-jsonld-dashboard-scan">
+                <span id="wp_ai_schema_dashboard_progress"></span>
+                <span class="ai-jsonld-dashboard-spinner spinner"></span>
+                <button type="button" id="wp_ai_schema_dashboard_rescan" class="button button-small hidden">
+                    <?php esc_html_e( 'Rescan', 'wp-ai-seo-schema-generator' ); ?>
+                </button>
+            </p>
+
+            <h2><?php esc_html_e( 'Coverage by Post Type', 'wp-ai-seo-schema-generator' ); ?></h2>
+            <div id="wp_ai_schema_dashboard_coverage"></div>
+
+            <h2><?php esc_html_e( 'Schema Types', 'wp-ai-seo-schema-generator' ); ?></h2>
+            <div id="wp_ai_schema_dashboard_types"></div>
+
+            <h2><?php esc_html_e( 'Outdated Schema', 'wp-ai-seo-schema-generator' ); ?></h2>
+            <p class="description"><?php esc_html_e( 'Content, settings or the model changed since these were generated.', 'wp-ai-seo-schema-generator' ); ?></p>
+            <div id="wp_ai_schema_dashboard_outdated"></div>
+
+            <h2><?php esc_html_e( 'Generation Errors', 'wp-ai-seo-schema-generator' ); ?></h2>
+            <div id="wp_ai_schema_dashboard_errors"></div>
+
+            <h2><?php esc_html_e( 'Suppressed by SEO Plugin', 'wp-ai-seo-schema-generator' ); ?></h2>
+            <?php if ( ! $plugin ) : ?>
+                <p class="description"><?php esc_html_e( 'No SEO plugin detected - schema is output on every page that has it.', 'wp-ai-seo-schema-generator' ); ?></p>
+            <?php elseif ( empty( $settings['skip_if_schema_exists'] ) ) : ?>
+                <p class="description">
+                    <?php
+                    printf(
+                        /* translators: %s: SEO plugin name */
+                        esc_html__( '%s detected, but "Skip if schema exists" is off, so no pages are suppressed.', 'wp-ai-seo-schema-generator' ),
+                        esc_html( $plugin )
+                    );
+                    ?>
+                </p>
+            <?php else : ?>
+                <p class="description">
+                    <?php
+                    printf(
+                        /* translators: %s: SEO plugin name */
+                        esc_html__( 'Pages with generated schema that is not output because %s provides schema.', 'wp-ai-seo-schema-generator' ),
+                        esc_html( $plugin )
+                    );
+                    ?>
+                </p>
+            <?php endif; ?>
+            <div id="wp_ai_schema_dashboard_suppressed"></div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Handle AJAX coverage request for one batch of posts
+     */
+    public function handle_coverage() {
+        if ( ! check_ajax_referer( self::NONCE_ACTION, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Permission denied.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $offset     = isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0;
+        $settings   = WP_AI_Schema_Generator::get_settings();
+        $post_types = $settings['enabled_post_types'] ?? array( 'page' );
+
+        $query = new WP_Query(
+            array(
+                'post_type'              => $post_types,
+                'post_status'            => 'publish',
+                'posts_per_page'         => self::BATCH_SIZE,
+                'offset'                 => $offset,
+                'orderby'                => 'ID',
+                'order'                  => 'ASC',
+                'update_post_term_cache' => false,
+            )
+        );
+
+        $posts = array();
+
+        foreach ( $query->posts as $post ) {
+            $posts[] = $this->describe_post( $post, $settings );
+        }
+
+        wp_send_json_success( array(
+            'posts'       => $posts,
+            'total'       => intval( $query->found_posts ),
+            'next_offset' => $offset + count( $query->posts ),
+        ) );
+    }
+
+    /**
+     * Describe one post's schema coverage
+     *
+     * @param WP_Post $post     Post object.
+     * @param array   $settings Plugin settings.
+     * @return array Post ID, title, type, edit link, state, @type, error and suppression reason.
+     */
+    private function describe_post( WP_Post $post, array $settings ): array {
+        $cache_status = $this->content_processor->get_cache_status( $post->ID, $settings );
+        $schema       = $cache_status['has_schema'] ? get_post_meta( $post->ID, '_wp_ai_schema_schema', true ) : '';
+        $suppressed   = '';
+
+        if ( $schema ) {
+            $should_output = $this->conflict_detector->should_output( $post->ID, $settings );
+            $suppressed    = $should_output['should_output'] ? '' : $should_output['reason'];
+        }
+
+        return array(
+            'id'          => $post->ID,
+            'title'       => get_the_title( $post ) ?: __( '(no title)', 'wp-ai-seo-schema-generator' ),
+            'post_type'   => $post->post_type,
+            'edit_link'   => get_edit_post_link( $post->ID, 'raw' ),
+            'state'       => $this->content_processor->get_schema_state( $cache_status ),
+            'schema_type' => $schema ? $this->schema_validator->get_schema_type( $schema ) : '',
+            'error'       => $cache_status['error'],
+            'suppressed'  => $suppressed,
+        );
+    }
+}
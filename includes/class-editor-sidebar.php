@@ -0,0 +1,140 @@
+<?php
+/**
+ * Block editor sidebar class
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Adds the JSON-LD generator to the block editor as a plugin sidebar
+ *
+ * The sidebar talks to the same AJAX actions as the classic metabox, which
+ * is only shown in the classic editor.
+ */
+class WP_AI_Schema_Editor_Sidebar {
+
+    /**
+     * Content processor
+     *
+     * @var WP_AI_Schema_Content_Processor
+     */
+    private $content_processor;
+
+    /**
+     * Constructor
+     *
+     * @param WP_AI_Schema_Content_Processor $content_processor Content processor instance.
+     */
+    public function __construct( WP_AI_Schema_Content_Processor $content_processor ) {
+        $this->content_processor = $content_processor;
+
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize hooks
+     */
+    private function init_hooks() {
+        add_action( 'enqueue_block_editor_assets', array( $this, 'enqueue_assets' ) );
+    }
+
+    /**
+     * Enqueue sidebar assets
+     */
+    public function enqueue_assets() {
+        $post = get_post();
+
+        if ( ! $post ) {
+            return;
+        }
+
+        $settings   = WP_AI_Schema_Generator::get_settings();
+        $post_types = $settings['enabled_post_types'] ?? array( 'page' );
+
+        if ( ! in_array( $post->post_type, $post_types, true ) ) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'ai-jsonld-editor-sidebar',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/css/editor-sidebar.css',
+            array( 'wp-components' ),
+            WP_AI_SCHEMA_VERSION
+        );
+
+        wp_register_script(
+            'ai-jsonld-schema-diff',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/schema-diff.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_register_script(
+            'ai-jsonld-schema-validator',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/schema-validator.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_register_script(
+            'ai-jsonld-frontend-verify',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/frontend-verify.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_localize_script(
+            'ai-jsonld-frontend-verify',
+            'wpAiSchemaVerifyConfig',
+            array(
+                'single_types' => WP_AI_Schema_Conflict_Detector::SINGLE_TYPES,
+            )
+        );
+
+        wp_enqueue_script(
+            'ai-jsonld-editor-sidebar',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/editor-sidebar.js',
+            array(
+                'wp-plugins',
+                'wp-edit-post',
+                'wp-element',
+                'wp-components',
+                'wp-data',
+                'wp-i18n',
+                'wp-date',
+                'ai-jsonld-schema-diff',
+                'ai-jsonld-schema-validator',
+                'ai-jsonld-frontend-verify',
+            ),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_set_script_translations( 'ai-jsonld-editor-sidebar', 'wp-ai-seo-schema-generator' );
+
+        wp_localize_script(
+            'ai-jsonld-editor-sidebar',
+            'wpAiSchemaSidebar',
+            array(
+                'ajax_url'         => admin_url( 'admin-ajax.php' ),
+                'nonce'            => wp_create_nonce( 'wp_ai_schema_generate_' . $post->ID ),
+                'post_id'          => $post->ID,
+                'schema'           => $this->content_processor->get_pending_schema( $post->ID ) ?: get_post_meta( $post->ID, '_wp_ai_schema_schema', true ),
+                'previous_schema'  => $this->content_processor->get_previous_schema( $post->ID ),
+                'cache_status'     => $this->content_processor->get_cache_status( $post->ID, $settings ),
+                'type_hint'        => get_post_meta( $post->ID, '_wp_ai_schema_type_hint', true ) ?: 'auto',
+                'type_options'     => array_values( array_diff( array_keys( WP_AI_Schema_Prompt_Builder::get_schema_type_options() ), array( 'auto' ) ) ),
+                'schema_reference' => WP_AI_Schema_Reference::get_validation_reference(),
+                'date_format'      => get_option( 'date_format' ) . ' ' . get_option( 'time_format' ),
+            )
+        );
+    }
+}
@@ -20,6 +20,11 @@ class WP_AI_Schema_Encryption {
      */
     const CIPHER = 'aes-256-cbc';
 
+    /**
+     * Cipher for passphrase encryption (authenticated, so tampering fails decryption)
+     */
+    const PASSPHRASE_CIPHER = 'aes-256-gcm';
+
     /**
      * Check if OpenSSL is available
      *
@@ -118,6 +123,86 @@ class WP_AI_Schema_Encryption {
         return $decrypted;
     }
 
+    /**
+     * Encrypt a string with a passphrase instead of the site salts
+     *
+     * Used for export bundles, which have to be readable on another site.
+     * The key is derived with PBKDF2 from the passphrase and a random salt;
+     * salt, IV and authentication tag travel with the ciphertext.
+     *
+     * @param string $plain_text The plain text to encrypt.
+     * @param string $passphrase Passphrase.
+     * @return string Base64 encoded salt, IV, tag and ciphertext, or empty string on failure
+     */
+    public function encrypt_with_passphrase( $plain_text, $passphrase ) {
+        if ( empty( $plain_text ) || '' === (string) $passphrase || ! $this->is_available() ) {
+            return '';
+        }
+
+        $salt      = random_bytes( 16 );
+        $iv        = random_bytes( 12 );
+        $tag       = '';
+        $encrypted = openssl_encrypt(
+            $plain_text,
+            self::PASSPHRASE_CIPHER,
+            $this->get_passphrase_key( $passphrase, $salt ),
+            OPENSSL_RAW_DATA,
+            $iv,
+            $tag,
+            '',
+            16
+        );
+
+        if ( false === $encrypted ) {
+            WP_AI_Schema_Generator::log( 'Passphrase encryption failed', 'error' );
+            return '';
+        }
+
+        return base64_encode( $salt . $iv . $tag . $encrypted );
+    }
+
+    /**
+     * Decrypt a string encrypted with encrypt_with_passphrase()
+     *
+     * @param string $encrypted_text The encrypted and base64 encoded string.
+     * @param string $passphrase     Passphrase.
+     * @return string Decrypted plain text, or empty string if it can't be decrypted (wrong passphrase or altered data)
+     */
+    public function decrypt_with_passphrase( $encrypted_text, $passphrase ) {
+        if ( empty( $encrypted_text ) || '' === (string) $passphrase || ! $this->is_available() ) {
+            return '';
+        }
+
+        $decoded = base64_decode( $encrypted_text, true );
+
+        // 16-byte salt, 12-byte IV, 16-byte tag, then the ciphertext
+        if ( false === $decoded || strlen( $decoded ) <= 44 ) {
+            return '';
+        }
+
+        $decrypted = openssl_decrypt(
+            substr( $decoded, 44 ),
+            self::PASSPHRASE_CIPHER,
+            $this->get_passphrase_key( $passphrase, substr( $decoded, 0, 16 ) ),
+            OPENSSL_RAW_DATA,
+            substr( $decoded, 16, 12 ),
+            substr( $decoded, 28, 16 )
+        );
+
+        return false === $decrypted ? '' : $decrypted;
+    }
+
+    /**
+     * Derive a key from a passphrase
+     *
+     * @param string $passphrase Passphrase.
+     * @param string $salt       Binary salt.
+     * @return string Binary key
+     */
+    private function get_passphrase_key( $passphrase, $salt ) {
+        return hash_pbkdf2( 'sha256', $passphrase, $salt, 100000, 32, true );
+    }
+
     /**
      * Mask an API key for display
      * Shows first 4 and last 4 characters with bullets in between
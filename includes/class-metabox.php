@@ -22,13 +22,22 @@ class WP_AI_Schema_Metabox {
      */
     private $content_processor;
 
+    /**
+     * Token usage tracking
+     *
+     * @var WP_AI_Schema_Usage
+     */
+    private $usage;
+
     /**
      * Constructor
      *
      * @param WP_AI_Schema_Content_Processor $content_processor Content processor instance.
+     * @param WP_AI_Schema_Usage             $usage             Token usage tracking.
      */
-    public function __construct( WP_AI_Schema_Content_Processor $content_processor ) {
+    public function __construct( WP_AI_Schema_Content_Processor $content_processor, WP_AI_Schema_Usage $usage ) {
         $this->content_processor = $content_processor;
+        $this->usage             = $usage;
 
         $this->init_hooks();
     }
@@ -69,10 +78,15 @@ class WP_AI_Schema_Metabox {
     public function render_metabox( $post ) {
         $settings     = WP_AI_Schema_Generator::get_settings();
         $cache_status = $this->content_processor->get_cache_status( $post->ID, $settings );
-        $schema       = get_post_meta( $post->ID, '_wp_ai_schema_schema', true );
-        $type_hint    = get_post_meta( $post->ID, '_wp_ai_schema_type_hint', true ) ?: 'auto';
+        $schema       = $this->content_processor->get_pending_schema( $post->ID ) ?: get_post_meta( $post->ID, '_wp_ai_schema_schema', true ); // Candidate awaiting review, if any
+        $type_hints   = WP_AI_Schema_Prompt_Builder::parse_type_hints( get_post_meta( $post->ID, '_wp_ai_schema_type_hint', true ) ?: 'auto' );
+        $instructions = get_post_meta( $post->ID, '_wp_ai_schema_instructions', true );
+        $pinned       = WP_AI_Schema_Prompt_Builder::get_pinned_properties( $post->ID );
+        $templates    = WP_AI_Schema_Templates::get_for_post( $post->ID );
+        $template_id  = get_post_meta( $post->ID, WP_AI_Schema_Templates::META_KEY, true );
         $is_empty     = $this->content_processor->is_content_empty( $post->ID );
         $content_info = $this->content_processor->get_content_info( $post->ID );
+        $usage        = WP_AI_Schema_Usage::format( $this->usage->get( $post->ID ) );
 
         // Nonce for security
         wp_nonce_field( 'wp_ai_schema_metabox', 'wp_ai_schema_metabox_nonce' );
@@ -101,18 +115,73 @@ class WP_AI_Schema_Metabox {
             <?php endif; ?>
 
             <div class="ai-jsonld-controls">
-                <div class="ai-jsonld-type-selector">
-                    <label for="wp_ai_schema_type_hint">
-                        <?php esc_html_e( 'Schema type hint:', 'wp-ai-seo-schema-generator' ); ?>
-                    </label>
-                    <select name="wp_ai_schema_type_hint" id="wp_ai_schema_type_hint">
-                        <?php foreach ( WP_AI_Schema_Prompt_Builder::get_schema_type_options() as $value => $label ) : ?>
-                            <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $type_hint, $value ); ?>>
+                <fieldset class="ai-jsonld-type-selector" id="wp_ai_schema_type_hint">
+                    <legend><?php esc_html_e( 'Schema type hints:', 'wp-ai-seo-schema-generator' ); ?></legend>
+                    <?php // Posted when nothing is ticked, so clearing every type saves as auto-detect ?>
+                    <input type="hidden" name="wp_ai_schema_type_hint[]" value="auto" />
+                    <?php // Lets saving tell an untouched selector from a change (the block editor sidebar sets type hints too) ?>
+                    <input type="hidden" name="wp_ai_schema_type_hint_shown" value="<?php echo esc_attr( WP_AI_Schema_Prompt_Builder::validate_type_hint( $type_hints ) ); ?>" />
+                    <div class="ai-jsonld-type-options">
+                        <?php foreach ( array_diff_key( WP_AI_Schema_Prompt_Builder::get_schema_type_options(), array( 'auto' => '' ) ) as $value => $label ) : ?>
+                            <label>
+                                <input type="checkbox" name="wp_ai_schema_type_hint[]" value="<?php echo esc_attr( $value ); ?>" <?php checked( in_array( $value, $type_hints, true ) ); ?> />
                                 <?php echo esc_html( $label ); ?>
-                            </option>
+                            </label>
                         <?php endforeach; ?>
-                    </select>
-                </div>
+                    </div>
+                    <p class="description"><?php esc_html_e( 'Tick every type the page covers, or none to auto-detect.', 'wp-ai-seo-schema-generator' ); ?></p>
+                </fieldset>
+
+                <details class="ai-jsonld-steering"<?php echo ( $instructions || $pinned ) ? ' open' : ''; ?>>
+                    <summary><?php esc_html_e( 'Instructions and pinned properties', 'wp-ai-seo-schema-generator' ); ?></summary>
+                    <label for="wp_ai_schema_instructions">
+                        <?php esc_html_e( 'Additional instructions:', 'wp-ai-seo-schema-generator' ); ?>
+                    </label>
+                    <textarea
+                        name="wp_ai_schema_instructions"
+                        id="wp_ai_schema_instructions"
+                        class="large-text"
+                        rows="3"
+                        maxlength="<?php echo esc_attr( WP_AI_Schema_Prompt_Builder::MAX_INSTRUCTIONS_LENGTH ); ?>"
+                        placeholder="<?php esc_attr_e( 'e.g. The service area is Greater Manchester. Do not include the blog sidebar.', 'wp-ai-seo-schema-generator' ); ?>"
+                    ><?php echo esc_textarea( $instructions ); ?></textarea>
+
+                    <span class="ai-jsonld-steering-label"><?php esc_html_e( 'Pinned properties:', 'wp-ai-seo-schema-generator' ); ?></span>
+                    <div id="wp_ai_schema_pinned_properties" class="ai-jsonld-pinned">
+                        <?php foreach ( $pinned as $name => $value ) : ?>
+                            <?php $this->render_pinned_row( $name, $value ); ?>
+                        <?php endforeach; ?>
+                    </div>
+                    <template id="wp_ai_schema_pinned_template">
+                        <?php $this->render_pinned_row( '', '' ); ?>
+                    </template>
+                    <button type="button" id="wp_ai_schema_add_pinned" class="button button-small">
+                        <?php esc_html_e( 'Add property', 'wp-ai-seo-schema-generator' ); ?>
+                    </button>
+                    <p class="description">
+                        <?php esc_html_e( 'Set on the main entity exactly as given, e.g. priceRange, areaServed or @id. A value in JSON ({...} or [...]) is used as an object or list.', 'wp-ai-seo-schema-generator' ); ?>
+                    </p>
+                </details>
+
+                <?php if ( $templates ) : ?>
+                    <div class="ai-jsonld-template-selector">
+                        <label for="wp_ai_schema_template">
+                            <?php esc_html_e( 'Schema template:', 'wp-ai-seo-schema-generator' ); ?>
+                        </label>
+                        <select name="wp_ai_schema_template" id="wp_ai_schema_template">
+                            <option value=""><?php esc_html_e( 'None', 'wp-ai-seo-schema-generator' ); ?></option>
+                            <?php foreach ( $templates as $id => $template ) : ?>
+                                <option value="<?php echo esc_attr( $id ); ?>" <?php selected( $template_id, $id ); ?>><?php echo esc_html( $template['name'] ); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                        <button type="button" id="wp_ai_schema_apply_template" class="button" <?php disabled( ! isset( $templates[ $template_id ] ) ); ?>>
+                            <?php esc_html_e( 'Apply Template', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                        <p class="description">
+                            <?php esc_html_e( 'Apply fills the template from this post without calling the AI. With a template selected, Generate merges the AI output into it; the template\'s values win.', 'wp-ai-seo-schema-generator' ); ?>
+                        </p>
+                    </div>
+                <?php endif; ?>
 
                 <div class="ai-jsonld-options">
                     <label>
@@ -130,31 +199,77 @@ class WP_AI_Schema_Metabox {
                         <?php esc_html_e( 'Deep content analysis (2-pass)', 'wp-ai-seo-schema-generator' ); ?>
                         <span class="ai-jsonld-badge ai-jsonld-badge-recommended"><?php esc_html_e( 'Recommended for testimonials', 'wp-ai-seo-schema-generator' ); ?></span>
                     </label>
+                    <label title="<?php esc_attr_e( 'Pauses after pass 1 so you can untick wrong findings or add missed ones before the schema is generated.', 'wp-ai-seo-schema-generator' ); ?>" class="ai-jsonld-option-review hidden">
+                        <input type="checkbox" id="wp_ai_schema_review_findings" />
+                        <?php esc_html_e( 'Review findings before pass 2', 'wp-ai-seo-schema-generator' ); ?>
+                    </label>
                 </div>
 
                 <div class="ai-jsonld-actions">
                     <button type="button" id="wp_ai_schema_generate" class="button button-primary" <?php disabled( $is_empty ); ?>>
                         <?php esc_html_e( 'Generate JSON-LD', 'wp-ai-seo-schema-generator' ); ?>
                     </button>
+                    <button type="button" id="wp_ai_schema_cancel" class="button hidden">
+                        <?php esc_html_e( 'Cancel', 'wp-ai-seo-schema-generator' ); ?>
+                    </button>
                     <span class="ai-jsonld-spinner spinner"></span>
                 </div>
             </div>
 
+            <!-- Pass 1 Findings Review -->
+            <div id="wp_ai_schema_findings" class="ai-jsonld-findings hidden">
+                <div class="ai-jsonld-findings-header">
+                    <h4><?php esc_html_e( 'Content Found in Pass 1', 'wp-ai-seo-schema-generator' ); ?></h4>
+                    <div class="ai-jsonld-findings-actions hidden">
+                        <button type="button" id="wp_ai_schema_findings_continue" class="button button-small button-primary">
+                            <?php esc_html_e( 'Continue', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                        <button type="button" id="wp_ai_schema_findings_discard" class="button button-small">
+                            <?php esc_html_e( 'Discard', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                    </div>
+                </div>
+                <div id="wp_ai_schema_findings_panel" class="ai-jsonld-findings-panel"></div>
+            </div>
+
             <div class="ai-jsonld-status">
                 <?php $this->render_status( $cache_status ); ?>
             </div>
+            <p id="wp_ai_schema_usage" class="ai-jsonld-usage description<?php echo $usage ? '' : ' hidden'; ?>"><?php echo esc_html( $usage ); ?></p>
 
             <div class="ai-jsonld-preview">
                 <label for="wp_ai_schema_schema_preview">
                     <?php esc_html_e( 'Generated Schema:', 'wp-ai-seo-schema-generator' ); ?>
                 </label>
                 <div class="ai-jsonld-preview-actions">
+                    <span class="ai-jsonld-view-toggle">
+                        <button type="button" id="wp_ai_schema_view_raw" class="button button-small ai-jsonld-view-active" aria-pressed="true">
+                            <?php esc_html_e( 'Raw', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                        <button type="button" id="wp_ai_schema_view_tree" class="button button-small" aria-pressed="false">
+                            <?php esc_html_e( 'Tree', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                    </span>
                     <button type="button" id="wp_ai_schema_copy" class="button button-small" <?php disabled( empty( $schema ) ); ?>>
                         <?php esc_html_e( 'Copy', 'wp-ai-seo-schema-generator' ); ?>
                     </button>
                     <button type="button" id="wp_ai_schema_validate" class="button button-small" <?php disabled( empty( $schema ) ); ?>>
                         <?php esc_html_e( 'Validate', 'wp-ai-seo-schema-generator' ); ?>
                     </button>
+                    <?php if ( current_user_can( 'manage_options' ) ) : ?>
+                        <button type="button" id="wp_ai_schema_save_template" class="button button-small" <?php disabled( empty( $schema ) ); ?>>
+                            <?php esc_html_e( 'Save as Template', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                    <?php endif; ?>
+                    <button type="button" id="wp_ai_schema_edit" class="button button-small">
+                        <?php esc_html_e( 'Edit', 'wp-ai-seo-schema-generator' ); ?>
+                    </button>
+                    <button type="button" id="wp_ai_schema_save_edit" class="button button-small button-primary hidden">
+                        <?php esc_html_e( 'Save', 'wp-ai-seo-schema-generator' ); ?>
+                    </button>
+                    <button type="button" id="wp_ai_schema_cancel_edit" class="button button-small hidden">
+                        <?php esc_html_e( 'Cancel', 'wp-ai-seo-schema-generator' ); ?>
+                    </button>
                 </div>
                 <textarea
                     id="wp_ai_schema_schema_preview"
@@ -162,6 +277,26 @@ class WP_AI_Schema_Metabox {
                     rows="10"
                     readonly
                 ><?php echo esc_textarea( $schema ? $this->pretty_print_json( $schema ) : '' ); ?></textarea>
+                <div id="wp_ai_schema_tree_view" class="ai-jsonld-tree hidden"></div>
+                <div id="wp_ai_schema_validation_results" class="ai-jsonld-validation-results hidden"></div>
+                <div id="wp_ai_schema_template_save" class="ai-jsonld-template-save hidden"></div>
+                <div id="wp_ai_schema_edit_status" class="ai-jsonld-edit-status hidden"></div>
+            </div>
+
+            <!-- Regeneration Diff Panel -->
+            <div id="wp_ai_schema_diff_section" class="ai-jsonld-diff-section hidden">
+                <div class="ai-jsonld-diff-header">
+                    <h4><?php esc_html_e( 'Changes from Previous Schema', 'wp-ai-seo-schema-generator' ); ?></h4>
+                    <div class="ai-jsonld-diff-actions">
+                        <button type="button" id="wp_ai_schema_accept_schema" class="button button-small button-primary">
+                            <?php esc_html_e( 'Accept', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                        <button type="button" id="wp_ai_schema_reject_schema" class="button button-small">
+                            <?php esc_html_e( 'Reject', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                    </div>
+                </div>
+                <div id="wp_ai_schema_diff_panel" class="ai-jsonld-diff-panel"></div>
             </div>
 
             <div id="wp_ai_schema_message" class="ai-jsonld-message hidden"></div>
@@ -177,6 +312,11 @@ class WP_AI_Schema_Metabox {
                         <button type="button" id="wp_ai_schema_verify_frontend" class="button button-small" <?php disabled( empty( $schema ) ); ?>>
                             <?php esc_html_e( 'Verify Frontend', 'wp-ai-seo-schema-generator' ); ?>
                         </button>
+                        <?php if ( 'publish' === $post->post_status ) : ?>
+                            <button type="button" id="wp_ai_schema_check_sources" class="button button-small">
+                                <?php esc_html_e( 'Check Sources', 'wp-ai-seo-schema-generator' ); ?>
+                            </button>
+                        <?php endif; ?>
                         <span class="ai-jsonld-diagnostic-spinner spinner"></span>
                     </div>
                 </div>
@@ -186,11 +326,46 @@ class WP_AI_Schema_Metabox {
                     </p>
                 </div>
                 <div id="wp_ai_schema_verify_result" class="ai-jsonld-verify-result hidden"></div>
+                <div id="wp_ai_schema_conflict_report" class="hidden"></div>
+            </div>
+
+            <!-- History Panel -->
+            <div class="ai-jsonld-history-section">
+                <div class="ai-jsonld-history-header">
+                    <h4><?php esc_html_e( 'Schema History', 'wp-ai-seo-schema-generator' ); ?></h4>
+                    <div class="ai-jsonld-history-actions">
+                        <button type="button" id="wp_ai_schema_load_history" class="button button-small">
+                            <?php esc_html_e( 'Show History', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                        <button type="button" id="wp_ai_schema_compare_revisions" class="button button-small hidden" disabled>
+                            <?php esc_html_e( 'Compare Selected', 'wp-ai-seo-schema-generator' ); ?>
+                        </button>
+                        <span class="ai-jsonld-history-spinner spinner"></span>
+                    </div>
+                </div>
+                <div id="wp_ai_schema_history_panel" class="ai-jsonld-history-panel hidden"></div>
+                <div id="wp_ai_schema_history_view" class="ai-jsonld-history-view hidden"></div>
             </div>
         </div>
         <?php
     }
 
+    /**
+     * Render one pinned property row
+     *
+     * @param string $name  Property name.
+     * @param string $value Property value.
+     */
+    private function render_pinned_row( string $name, string $value ) {
+        ?>
+        <div class="ai-jsonld-pinned-row">
+            <input type="text" name="wp_ai_schema_pinned_name[]" class="ai-jsonld-pinned-name" value="<?php echo esc_attr( $name ); ?>" placeholder="<?php esc_attr_e( 'Property', 'wp-ai-seo-schema-generator' ); ?>" />
+            <input type="text" name="wp_ai_schema_pinned_value[]" class="ai-jsonld-pinned-value" value="<?php echo esc_attr( $value ); ?>" placeholder="<?php esc_attr_e( 'Value', 'wp-ai-seo-schema-generator' ); ?>" />
+            <button type="button" class="button-link ai-jsonld-pinned-remove" aria-label="<?php esc_attr_e( 'Remove property', 'wp-ai-seo-schema-generator' ); ?>">&times;</button>
+        </div>
+        <?php
+    }
+
     /**
      * Render cache status
      *
@@ -204,6 +379,20 @@ class WP_AI_Schema_Metabox {
             return;
         }
 
+        if ( $cache_status['manual_override'] ) {
+            echo '<span class="ai-jsonld-status-label ai-jsonld-status-manual">';
+            esc_html_e( 'Manually edited', 'wp-ai-seo-schema-generator' );
+            echo '</span>';
+            echo '<span class="ai-jsonld-generated-time">';
+            printf(
+                /* translators: %s: formatted date and time */
+                esc_html__( 'Edited: %s', 'wp-ai-seo-schema-generator' ),
+                esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $cache_status['edited_at'] ) )
+            );
+            echo '</span>';
+            return;
+        }
+
         if ( $cache_status['is_current'] ) {
             echo '<span class="ai-jsonld-status-label ai-jsonld-status-current">';
             esc_html_e( 'Schema is current', 'wp-ai-seo-schema-generator' );
@@ -263,12 +452,38 @@ class WP_AI_Schema_Metabox {
             return;
         }
 
-        // Save type hint
+        // Save type hint, unless the selector was left as shown: in the block editor
+        // the metabox is posted after the sidebar may have changed the hints
         if ( isset( $_POST['wp_ai_schema_type_hint'] ) ) {
             $type_hint = WP_AI_Schema_Prompt_Builder::validate_type_hint(
-                sanitize_text_field( wp_unslash( $_POST['wp_ai_schema_type_hint'] ) )
+                array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['wp_ai_schema_type_hint'] ) )
             );
-            update_post_meta( $post_id, '_wp_ai_schema_type_hint', $type_hint );
+            $shown     = isset( $_POST['wp_ai_schema_type_hint_shown'] ) ? sanitize_text_field( wp_unslash( $_POST['wp_ai_schema_type_hint_shown'] ) ) : null;
+
+            if ( $type_hint !== $shown ) {
+                update_post_meta( $post_id, '_wp_ai_schema_type_hint', $type_hint );
+            }
+        }
+
+        // Save instructions and pinned properties
+        if ( isset( $_POST['wp_ai_schema_instructions'] ) ) {
+            $names  = isset( $_POST['wp_ai_schema_pinned_name'] ) ? (array) wp_unslash( $_POST['wp_ai_schema_pinned_name'] ) : array();
+            $values = isset( $_POST['wp_ai_schema_pinned_value'] ) ? (array) wp_unslash( $_POST['wp_ai_schema_pinned_value'] ) : array();
+            $rows   = array();
+
+            foreach ( $names as $index => $name ) {
+                $rows[] = array(
+                    'name'  => $name,
+                    'value' => $values[ $index ] ?? '',
+                );
+            }
+
+            WP_AI_Schema_Prompt_Builder::save_steering( $post_id, wp_unslash( $_POST['wp_ai_schema_instructions'] ), $rows );
+        }
+
+        // Save the template generated schema is merged into
+        if ( isset( $_POST['wp_ai_schema_template'] ) ) {
+            WP_AI_Schema_Templates::set_post_template( $post_id, sanitize_key( wp_unslash( $_POST['wp_ai_schema_template'] ) ) );
         }
 
         // Check if we should auto-regenerate
@@ -309,10 +524,66 @@ class WP_AI_Schema_Metabox {
             WP_AI_SCHEMA_VERSION
         );
 
+        wp_register_script(
+            'ai-jsonld-escape-html',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/escape-html.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_register_script(
+            'ai-jsonld-sse-client',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/sse-client.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_register_script(
+            'ai-jsonld-schema-diff',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/schema-diff.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_register_script(
+            'ai-jsonld-schema-validator',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/schema-validator.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_register_script(
+            'ai-jsonld-partial-json',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/partial-json.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_register_script(
+            'ai-jsonld-frontend-verify',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/frontend-verify.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_localize_script(
+            'ai-jsonld-frontend-verify',
+            'wpAiSchemaVerifyConfig',
+            array(
+                'single_types' => WP_AI_Schema_Conflict_Detector::SINGLE_TYPES,
+            )
+        );
+
         wp_enqueue_script(
             'ai-jsonld-metabox',
             WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/metabox.js',
-            array( 'jquery' ),
+            array( 'jquery', 'ai-jsonld-escape-html', 'ai-jsonld-sse-client', 'ai-jsonld-schema-diff', 'ai-jsonld-schema-validator', 'ai-jsonld-partial-json', 'ai-jsonld-frontend-verify' ),
             WP_AI_SCHEMA_VERSION,
             true
         );
@@ -328,6 +599,12 @@ class WP_AI_Schema_Metabox {
                 'post_id'     => $post->ID,
                 'post_url'    => get_permalink( $post->ID ),
                 'post_status' => $post->post_status,
+                // Live schema a pending regeneration would replace, so the diff survives a reload
+                'previous_schema' => $this->content_processor->get_previous_schema( $post->ID ),
+                // Pass 1 lists shown for review, with the fields of an added item
+                'findings_sections' => WP_AI_Schema_Content_Analyzer::EDITABLE_SECTIONS,
+                // Type definitions for the Validate button's Schema.org checks
+                'schema_reference' => WP_AI_Schema_Reference::get_validation_reference(),
                 'debug'       => ! empty( $settings['debug_logging'] ), // Enable console debug when debug_logging is on
                 'i18n'        => array(
                     'generating'           => __( 'Generating...', 'wp-ai-seo-schema-generator' ),
@@ -339,6 +616,7 @@ class WP_AI_Schema_Metabox {
                     'success'              => __( 'Schema generated successfully!', 'wp-ai-seo-schema-generator' ),
                     'error'                => __( 'Error generating schema', 'wp-ai-seo-schema-generator' ),
                     'timeout'              => __( 'Request timed out. The AI may be busy - please try again.', 'wp-ai-seo-schema-generator' ),
+                    'cancelled'            => __( 'Generation cancelled.', 'wp-ai-seo-schema-generator' ),
                     'copied'               => __( 'Copied to clipboard!', 'wp-ai-seo-schema-generator' ),
                     'copy_failed'          => __( 'Failed to copy', 'wp-ai-seo-schema-generator' ),
                     'valid_json'           => __( 'Valid JSON', 'wp-ai-seo-schema-generator' ),
@@ -347,6 +625,88 @@ class WP_AI_Schema_Metabox {
                     'rate_limited'         => __( 'Rate limited. Please try again later.', 'wp-ai-seo-schema-generator' ),
                     'schema_current'       => __( 'Schema is current', 'wp-ai-seo-schema-generator' ),
                     'schema_outdated'      => __( 'Content has changed since last generation', 'wp-ai-seo-schema-generator' ),
+                    // Manual edit strings
+                    'saving'               => __( 'Saving...', 'wp-ai-seo-schema-generator' ),
+                    'save'                 => __( 'Save', 'wp-ai-seo-schema-generator' ),
+                    'save_error'           => __( 'Error saving schema', 'wp-ai-seo-schema-generator' ),
+                    'schema_manual'        => __( 'Manually edited', 'wp-ai-seo-schema-generator' ),
+                    'edited_at'            => __( 'Edited: %s', 'wp-ai-seo-schema-generator' ),
+                    'json_error_location'  => __( 'line %1$d, column %2$d', 'wp-ai-seo-schema-generator' ),
+                    'discard_edits'        => __( 'Discard your unsaved schema edits?', 'wp-ai-seo-schema-generator' ),
+                    // Regeneration diff strings
+                    'diff_added'           => __( 'Added', 'wp-ai-seo-schema-generator' ),
+                    'diff_removed'         => __( 'Removed', 'wp-ai-seo-schema-generator' ),
+                    'diff_changed'         => __( 'Changed', 'wp-ai-seo-schema-generator' ),
+                    'diff_none'            => __( 'No structural changes from the previous schema.', 'wp-ai-seo-schema-generator' ),
+                    'diff_summary'         => __( '%1$d added, %2$d removed, %3$d changed', 'wp-ai-seo-schema-generator' ),
+                    'diff_pending'         => __( 'Review the changes below. The page keeps the current schema until you accept the new one.', 'wp-ai-seo-schema-generator' ),
+                    'accepting'            => __( 'Accepting...', 'wp-ai-seo-schema-generator' ),
+                    'rejecting'            => __( 'Restoring...', 'wp-ai-seo-schema-generator' ),
+                    'accept'               => __( 'Accept', 'wp-ai-seo-schema-generator' ),
+                    'reject'               => __( 'Reject', 'wp-ai-seo-schema-generator' ),
+                    'diff_error'           => __( 'Error updating schema', 'wp-ai-seo-schema-generator' ),
+                    // Schema.org validation strings
+                    'lint_passed'          => __( 'Valid JSON-LD: no Schema.org issues found', 'wp-ai-seo-schema-generator' ),
+                    'lint_summary'         => __( '%1$d errors, %2$d warnings, %3$d suggestions', 'wp-ai-seo-schema-generator' ),
+                    'lint_missing_context' => __( 'Missing or non-Schema.org @context', 'wp-ai-seo-schema-generator' ),
+                    'lint_unknown_type'    => __( 'Unknown @type "%1$s"', 'wp-ai-seo-schema-generator' ),
+                    'lint_unknown_property' => __( '"%2$s" is not a known property of %1$s', 'wp-ai-seo-schema-generator' ),
+                    'lint_missing_required' => __( '%1$s is missing required property "%2$s"', 'wp-ai-seo-schema-generator' ),
+                    'lint_missing_required_one_of' => __( '%1$s needs at least one of: %3$s', 'wp-ai-seo-schema-generator' ),
+                    'lint_missing_recommended' => __( '%1$s is missing recommended property "%2$s"', 'wp-ai-seo-schema-generator' ),
+                    'lint_invalid_date'    => __( '"%4$s" is not an ISO 8601 date', 'wp-ai-seo-schema-generator' ),
+                    'lint_invalid_url'     => __( '"%4$s" is not an absolute URL', 'wp-ai-seo-schema-generator' ),
+                    'lint_dangling_reference' => __( 'No node with @id "%4$s" in the schema', 'wp-ai-seo-schema-generator' ),
+                    // Tree view strings
+                    'tree_empty'           => __( 'No schema generated yet.', 'wp-ai-seo-schema-generator' ),
+                    'tree_invalid'         => __( 'Cannot show tree: %s', 'wp-ai-seo-schema-generator' ),
+                    'tree_streaming'       => __( 'Waiting for the schema to start...', 'wp-ai-seo-schema-generator' ),
+                    'tree_ref_missing'     => __( 'No node with this @id in the schema', 'wp-ai-seo-schema-generator' ),
+                    'tree_jump'            => __( 'Jump to referenced node', 'wp-ai-seo-schema-generator' ),
+                    // History strings
+                    'loading_history'      => __( 'Loading...', 'wp-ai-seo-schema-generator' ),
+                    'show_history'         => __( 'Show History', 'wp-ai-seo-schema-generator' ),
+                    'refresh_history'      => __( 'Refresh', 'wp-ai-seo-schema-generator' ),
+                    'history_empty'        => __( 'No revisions recorded yet. Revisions are kept from the next generation or edit.', 'wp-ai-seo-schema-generator' ),
+                    'history_error'        => __( 'Error loading history', 'wp-ai-seo-schema-generator' ),
+                    'history_date'         => __( 'Date', 'wp-ai-seo-schema-generator' ),
+                    'history_source'       => __( 'Mode', 'wp-ai-seo-schema-generator' ),
+                    'history_model'        => __( 'Provider / Model', 'wp-ai-seo-schema-generator' ),
+                    'history_type_hint'    => __( 'Type hint', 'wp-ai-seo-schema-generator' ),
+                    'history_types'        => __( 'Types', 'wp-ai-seo-schema-generator' ),
+                    'history_user'         => __( 'By', 'wp-ai-seo-schema-generator' ),
+                    'history_current'      => __( 'Current', 'wp-ai-seo-schema-generator' ),
+                    'history_restored_from' => __( 'from #%d', 'wp-ai-seo-schema-generator' ),
+                    'history_template'     => __( '(template: %s)', 'wp-ai-seo-schema-generator' ),
+                    'history_system'       => __( 'Automatic', 'wp-ai-seo-schema-generator' ),
+                    'preview'              => __( 'Preview', 'wp-ai-seo-schema-generator' ),
+                    'restore'              => __( 'Restore', 'wp-ai-seo-schema-generator' ),
+                    'restoring'            => __( 'Restoring...', 'wp-ai-seo-schema-generator' ),
+                    'restore_confirm'      => __( 'Replace the current schema with revision #%d?', 'wp-ai-seo-schema-generator' ),
+                    'revision_preview'     => __( 'Revision #%d', 'wp-ai-seo-schema-generator' ),
+                    'revision_compare'     => __( 'Changes from revision #%1$d to #%2$d', 'wp-ai-seo-schema-generator' ),
+                    'close'                => __( 'Close', 'wp-ai-seo-schema-generator' ),
+                    'mode_single_pass'     => __( 'Single-pass', 'wp-ai-seo-schema-generator' ),
+                    'mode_two_pass'        => __( 'Two-pass', 'wp-ai-seo-schema-generator' ),
+                    'mode_streaming'       => __( 'Streaming', 'wp-ai-seo-schema-generator' ),
+                    'mode_manual'          => __( 'Manual edit', 'wp-ai-seo-schema-generator' ),
+                    'mode_restored'        => __( 'Restored', 'wp-ai-seo-schema-generator' ),
+                    'mode_template'        => __( 'Template', 'wp-ai-seo-schema-generator' ),
+                    'mode_imported'        => __( 'Imported', 'wp-ai-seo-schema-generator' ),
+                    // Template strings
+                    'applying_template'    => __( 'Applying...', 'wp-ai-seo-schema-generator' ),
+                    'apply_template'       => __( 'Apply Template', 'wp-ai-seo-schema-generator' ),
+                    'apply_template_confirm' => __( 'Replace the current schema with the filled template?', 'wp-ai-seo-schema-generator' ),
+                    'apply_template_error' => __( 'Error applying template', 'wp-ai-seo-schema-generator' ),
+                    'save_as_template'     => __( 'Save as Template', 'wp-ai-seo-schema-generator' ),
+                    'finding_template_values' => __( 'Checking...', 'wp-ai-seo-schema-generator' ),
+                    'template_name'        => __( 'Template name', 'wp-ai-seo-schema-generator' ),
+                    'template_name_default' => __( '%s template', 'wp-ai-seo-schema-generator' ),
+                    'template_values'      => __( 'These values come from this post. Ticked ones are replaced with placeholders so the template fits other posts:', 'wp-ai-seo-schema-generator' ),
+                    'template_values_none' => __( 'No values from this post were found. The schema will be saved as it is; add placeholders on the Templates settings tab.', 'wp-ai-seo-schema-generator' ),
+                    'save_template'        => __( 'Save Template', 'wp-ai-seo-schema-generator' ),
+                    'cancel'               => __( 'Cancel', 'wp-ai-seo-schema-generator' ),
+                    'template_save_error'  => __( 'Error saving template', 'wp-ai-seo-schema-generator' ),
                     // Deep analysis (two-pass) strings
                     'deep_analysis_pass1'  => __( 'Pass 1: Analyzing content...', 'wp-ai-seo-schema-generator' ),
                     'deep_analysis_pass2'  => __( 'Pass 2: Generating schema...', 'wp-ai-seo-schema-generator' ),
@@ -357,6 +717,36 @@ class WP_AI_Schema_Metabox {
                     'stream_analyzing'     => __( 'AI analyzing...', 'wp-ai-seo-schema-generator' ),
                     'stream_generating'    => __( 'Generating schema...', 'wp-ai-seo-schema-generator' ),
                     'stream_success'       => __( 'Schema generated with real-time streaming!', 'wp-ai-seo-schema-generator' ),
+                    'resuming'             => __( 'Reconnecting to running generation...', 'wp-ai-seo-schema-generator' ),
+                    'stream_lost'          => __( 'Lost connection to the generation. Reload the page to check for the result.', 'wp-ai-seo-schema-generator' ),
+                    // Pass 1 findings strings
+                    'findings_review'      => __( 'Untick anything that was misread, add what was missed, then continue to generate the schema.', 'wp-ai-seo-schema-generator' ),
+                    'findings_ready'       => __( 'Pass 1 findings are ready for review.', 'wp-ai-seo-schema-generator' ),
+                    'findings_none'        => __( 'None found', 'wp-ai-seo-schema-generator' ),
+                    'findings_add'         => __( 'Add', 'wp-ai-seo-schema-generator' ),
+                    'findings_remove'      => __( 'Remove', 'wp-ai-seo-schema-generator' ),
+                    'findings_discarded'   => __( 'Findings discarded. Nothing was generated.', 'wp-ai-seo-schema-generator' ),
+                    'findings_testimonials' => __( 'Testimonials', 'wp-ai-seo-schema-generator' ),
+                    'findings_faqs'        => __( 'FAQs', 'wp-ai-seo-schema-generator' ),
+                    'findings_services'    => __( 'Services', 'wp-ai-seo-schema-generator' ),
+                    'findings_team_members' => __( 'Team Members', 'wp-ai-seo-schema-generator' ),
+                    'findings_products'    => __( 'Products', 'wp-ai-seo-schema-generator' ),
+                    'field_quote'          => __( 'Quote', 'wp-ai-seo-schema-generator' ),
+                    'field_author_name'    => __( 'Author', 'wp-ai-seo-schema-generator' ),
+                    'field_question'       => __( 'Question', 'wp-ai-seo-schema-generator' ),
+                    'field_answer'         => __( 'Answer', 'wp-ai-seo-schema-generator' ),
+                    'field_name'           => __( 'Name', 'wp-ai-seo-schema-generator' ),
+                    'field_description'    => __( 'Description', 'wp-ai-seo-schema-generator' ),
+                    'field_job_title'      => __( 'Job title', 'wp-ai-seo-schema-generator' ),
+                    // Applied options (completion message)
+                    'applied_options'      => __( 'Applied: %s.', 'wp-ai-seo-schema-generator' ),
+                    'applied_type_hint'    => __( 'type hint %s', 'wp-ai-seo-schema-generator' ),
+                    'applied_type_auto'    => __( 'auto-detect', 'wp-ai-seo-schema-generator' ),
+                    'applied_forced'       => __( 'cache bypassed', 'wp-ai-seo-schema-generator' ),
+                    'applied_frontend'     => __( 'content from live page', 'wp-ai-seo-schema-generator' ),
+                    'applied_frontend_failed' => __( 'frontend fetch unavailable, used post content', 'wp-ai-seo-schema-generator' ),
+                    'applied_post_content' => __( 'content from post editor', 'wp-ai-seo-schema-generator' ),
+                    'applied_template'     => __( 'merged into template "%s"', 'wp-ai-seo-schema-generator' ),
                     // Diagnostic strings
                     'running_diagnostics'  => __( 'Running diagnostics...', 'wp-ai-seo-schema-generator' ),
                     'run_diagnostics'      => __( 'Run Diagnostics', 'wp-ai-seo-schema-generator' ),
@@ -371,6 +761,32 @@ class WP_AI_Schema_Metabox {
                     'js_verify_success'    => __( 'Schema found via browser check!', 'wp-ai-seo-schema-generator' ),
                     'js_verify_not_found'  => __( 'Schema not found via browser check', 'wp-ai-seo-schema-generator' ),
                     'preview_only'         => __( 'Post is not published. Use preview to verify.', 'wp-ai-seo-schema-generator' ),
+                    /* translators: 1: block number, 2: schema types in the block */
+                    'verify_block'         => __( 'Block %1$d: %2$s', 'wp-ai-seo-schema-generator' ),
+                    'verify_block_ours'    => __( 'this plugin', 'wp-ai-seo-schema-generator' ),
+                    'verify_block_invalid' => __( 'invalid JSON', 'wp-ai-seo-schema-generator' ),
+                    'verify_block_untyped' => __( 'no typed entities', 'wp-ai-seo-schema-generator' ),
+                    /* translators: %s: schema types */
+                    'verify_missing'       => __( 'Not on the page: %s', 'wp-ai-seo-schema-generator' ),
+                    /* translators: 1: entity type and @id or name, 2: block numbers */
+                    'verify_duplicate'     => __( '%1$s is output more than once (blocks %2$s)', 'wp-ai-seo-schema-generator' ),
+                    /* translators: 1: entity type and @id or name, 2: block numbers, 3: property names */
+                    'verify_conflict'      => __( '%1$s is described differently (blocks %2$s): %3$s', 'wp-ai-seo-schema-generator' ),
+                    // Conflict report
+                    'check_sources'        => __( 'Check Sources', 'wp-ai-seo-schema-generator' ),
+                    'checking_sources'     => __( 'Checking sources...', 'wp-ai-seo-schema-generator' ),
+                    'conflict_report_error' => __( 'Could not fetch the live page.', 'wp-ai-seo-schema-generator' ),
+                    'conflict_report'      => __( 'JSON-LD sources on the live page', 'wp-ai-seo-schema-generator' ),
+                    /* translators: 1: schema type, 2: comma-separated source names */
+                    'conflict_overlap'     => __( '%1$s is output by %2$s.', 'wp-ai-seo-schema-generator' ),
+                    /* translators: %s: property names */
+                    'conflict_differs'     => __( 'They disagree on: %s.', 'wp-ai-seo-schema-generator' ),
+                    'conflict_shared_id'   => __( 'They share an @id.', 'wp-ai-seo-schema-generator' ),
+                    /* translators: %s: SEO plugin name */
+                    'merge_mode'           => __( 'Merge into the %s schema graph', 'wp-ai-seo-schema-generator' ),
+                    'merge_mode_unavailable' => __( 'Merge into the SEO plugin schema graph (no supported plugin is outputting schema)', 'wp-ai-seo-schema-generator' ),
+                    'merge_mode_help'      => __( 'Instead of a second block, this post\'s entities join the SEO plugin\'s @graph. Entities with the same @id or a type the page has once (such as Organization or WebPage) are combined; the SEO plugin\'s values win.', 'wp-ai-seo-schema-generator' ),
+                    'merge_mode_error'     => __( 'Could not change merge mode.', 'wp-ai-seo-schema-generator' ),
                 ),
             )
         );
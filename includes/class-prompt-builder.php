@@ -15,6 +15,16 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class WP_AI_Schema_Prompt_Builder {
 
+    /**
+     * Longest per-post instructions kept, in characters
+     */
+    const MAX_INSTRUCTIONS_LENGTH = 1000;
+
+    /**
+     * Most pinned properties kept per post
+     */
+    const MAX_PINNED_PROPERTIES = 20;
+
     /**
      * Content processor instance
      *
@@ -50,11 +60,13 @@ class WP_AI_Schema_Prompt_Builder {
         $type_hint = $this->get_type_hint( $post_id );
 
         return array(
-            'page'            => $this->build_page_data( $post, $max_content_chars, $override_content ),
-            'site'            => $this->build_site_data(),
-            'business'        => $this->build_business_data( $settings ),
-            'typeHint'        => $type_hint,
-            'schemaReference' => $this->build_schema_reference( $type_hint ),
+            'page'             => $this->build_page_data( $post, $max_content_chars, $override_content ),
+            'site'             => $this->build_site_data(),
+            'business'         => $this->build_business_data( $settings ),
+            'typeHint'         => $type_hint,
+            'schemaReference'  => $this->build_schema_reference( $type_hint ),
+            'instructions'     => get_post_meta( $post_id, '_wp_ai_schema_instructions', true ) ?: '',
+            'pinnedProperties' => self::get_pinned_properties( $post_id ),
         );
     }
 
@@ -282,6 +294,119 @@ class WP_AI_Schema_Prompt_Builder {
         return $type_hint ?: 'auto';
     }
 
+    /**
+     * Get a post's pinned properties
+     *
+     * @param int $post_id Post ID.
+     * @return array Property name => value.
+     */
+    public static function get_pinned_properties( int $post_id ): array {
+        $pinned = get_post_meta( $post_id, '_wp_ai_schema_pinned_properties', true );
+
+        return is_array( $pinned ) ? $pinned : array();
+    }
+
+    /**
+     * Sanitize per-post instructions
+     *
+     * @param string $instructions Raw instructions.
+     * @return string Instructions, trimmed to MAX_INSTRUCTIONS_LENGTH.
+     */
+    public static function sanitize_instructions( string $instructions ): string {
+        return mb_substr( sanitize_textarea_field( $instructions ), 0, self::MAX_INSTRUCTIONS_LENGTH );
+    }
+
+    /**
+     * Sanitize pinned properties from the metabox
+     *
+     * Rows with an invalid property name or an empty value are dropped; a
+     * repeated name keeps its last value.
+     *
+     * @param array $rows List of array( 'name' => string, 'value' => string ).
+     * @return array Property name => value, at most MAX_PINNED_PROPERTIES.
+     */
+    public static function sanitize_pinned_properties( array $rows ): array {
+        $pinned = array();
+
+        foreach ( $rows as $row ) {
+            if ( ! is_array( $row ) || ! is_scalar( $row['name'] ?? null ) || ! is_scalar( $row['value'] ?? null ) ) {
+                continue;
+            }
+
+            $name  = trim( (string) $row['name'] );
+            $value = sanitize_text_field( (string) $row['value'] );
+
+            if ( ! preg_match( '/^@?[A-Za-z][A-Za-z0-9]*$/', $name ) || '' === $value ) {
+                continue;
+            }
+
+            $pinned[ $name ] = $value;
+        }
+
+        return array_slice( $pinned, 0, self::MAX_PINNED_PROPERTIES, true );
+    }
+
+    /**
+     * Store a post's instructions and pinned properties from the metabox
+     *
+     * @param int        $post_id      Post ID.
+     * @param string     $instructions Raw instructions.
+     * @param array|null $pinned_rows  Rows for sanitize_pinned_properties(), or null to leave them unchanged.
+     */
+    public static function save_steering( int $post_id, string $instructions, ?array $pinned_rows ): void {
+        $instructions = self::sanitize_instructions( $instructions );
+
+        if ( '' === $instructions ) {
+            delete_post_meta( $post_id, '_wp_ai_schema_instructions' );
+        } else {
+            update_post_meta( $post_id, '_wp_ai_schema_instructions', $instructions );
+        }
+
+        if ( null === $pinned_rows ) {
+            return;
+        }
+
+        $pinned = self::sanitize_pinned_properties( $pinned_rows );
+
+        if ( empty( $pinned ) ) {
+            delete_post_meta( $post_id, '_wp_ai_schema_pinned_properties' );
+        } else {
+            update_post_meta( $post_id, '_wp_ai_schema_pinned_properties', $pinned );
+        }
+    }
+
+    /**
+     * Build the prompt section for a post's instructions and pinned properties
+     *
+     * Shared by the single-pass and the pass 2 user prompts. Pinned values
+     * that are JSON objects or arrays (e.g. an areaServed Place) are passed
+     * as JSON, anything else as a string.
+     *
+     * @param array $payload Prompt payload.
+     * @return string Prompt section starting with a blank line, or empty if there is nothing to add.
+     */
+    public static function build_steering_message( array $payload ): string {
+        $message = '';
+
+        if ( ! empty( $payload['instructions'] ) ) {
+            $message .= "\n\nADDITIONAL INSTRUCTIONS FROM THE EDITOR (follow them unless they conflict with the output format):\n" . $payload['instructions'];
+        }
+
+        if ( ! empty( $payload['pinnedProperties'] ) ) {
+            $pinned = array();
+
+            foreach ( $payload['pinnedProperties'] as $name => $value ) {
+                $decoded         = json_decode( $value, true );
+                $pinned[ $name ] = is_array( $decoded ) ? $decoded : $value;
+            }
+
+            $message .= "\n\nPINNED PROPERTIES (set each of these on the primary entity with exactly this value, replacing anything found in the content):\n"
+                . wp_json_encode( $pinned, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+        }
+
+        return $message;
+    }
+
     /**
      * Get available schema type options
      *
@@ -306,17 +431,39 @@ class WP_AI_Schema_Prompt_Builder {
     /**
      * Validate type hint value
      *
-     * @param string $type_hint Type hint to validate.
+     * A hint is 'auto' or a comma-separated list of types, e.g.
+     * "LocalBusiness,FAQPage". Unknown types are dropped and the rest are
+     * put in the order of get_schema_type_options().
+     *
+     * @param string|array $type_hint Type hint to validate, or a list of types.
      * @return string Valid type hint or 'auto'.
      */
-    public static function validate_type_hint( string $type_hint ): string {
-        $valid_types = array_keys( self::get_schema_type_options() );
+    public static function validate_type_hint( $type_hint ): string {
+        $requested = is_array( $type_hint ) ? $type_hint : explode( ',', (string) $type_hint );
+        $requested = array_map( 'trim', array_filter( $requested, 'is_string' ) );
+        $valid     = array();
+
+        foreach ( array_keys( self::get_schema_type_options() ) as $type ) {
+            if ( 'auto' !== $type && in_array( $type, $requested, true ) ) {
+                $valid[] = $type;
+            }
+        }
+
+        return empty( $valid ) ? 'auto' : implode( ',', $valid );
+    }
 
-        if ( in_array( $type_hint, $valid_types, true ) ) {
-            return $type_hint;
+    /**
+     * Split a stored type hint into its types
+     *
+     * @param string $type_hint Type hint, e.g. "LocalBusiness,FAQPage" or 'auto'.
+     * @return array Requested types (empty for 'auto').
+     */
+    public static function parse_type_hints( string $type_hint ): array {
+        if ( '' === $type_hint || 'auto' === $type_hint ) {
+            return array();
         }
 
-        return 'auto';
+        return array_values( array_filter( array_map( 'trim', explode( ',', $type_hint ) ) ) );
     }
 
     /**
@@ -355,6 +502,8 @@ class WP_AI_Schema_Prompt_Builder {
             'typeHint'          => $type_hint,
             'schemaReference'   => '', // Empty - schema info is in system prompt
             'isFromAnalysis'    => true,
+            'instructions'      => get_post_meta( $post_id, '_wp_ai_schema_instructions', true ) ?: '',
+            'pinnedProperties'  => self::get_pinned_properties( $post_id ),
         );
     }
 
@@ -510,12 +659,20 @@ VERIFIED BUSINESS DATA (use this for Organization/LocalBusiness):
 ANALYZED CONTENT (pre-classified by content analyzer):
 ' . wp_json_encode( $analyzed_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
 
-        if ( 'auto' !== $type_hint ) {
+        $type_hints = self::parse_type_hints( $type_hint );
+
+        if ( 1 === count( $type_hints ) ) {
+            $message .= '
+
+PREFERRED PRIMARY SCHEMA TYPE: ' . $type_hints[0];
+        } elseif ( $type_hints ) {
             $message .= '
 
-PREFERRED PRIMARY SCHEMA TYPE: ' . $type_hint;
+REQUESTED SCHEMA TYPES (include an entity of each type the analyzed content supports): ' . implode( ', ', $type_hints );
         }
 
+        $message .= self::build_steering_message( $payload );
+
         // Summarize what was found to help guide generation
         $found_items = array();
         if ( ! empty( $analyzed_data['testimonials'] ) ) {
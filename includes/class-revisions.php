@@ -0,0 +1,216 @@
+<?php
+/**
+ * Schema revisions class
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Keeps a per-post history of generated and hand-edited schema
+ *
+ * Revisions are stored newest first in a single post meta array. Each entry
+ * records when and how the schema was produced so editors can look back,
+ * compare versions and restore an earlier one.
+ */
+class WP_AI_Schema_Revisions {
+
+    /**
+     * Post meta key holding the revisions
+     */
+    const META_KEY = '_wp_ai_schema_revisions';
+
+    /**
+     * Maximum revisions kept per post (oldest are dropped). Each holds a full
+     * schema and they share one meta row, so keep this small.
+     */
+    const MAX_REVISIONS = 10;
+
+    /**
+     * Generation modes and other revision sources
+     */
+    const MODES = array( 'single_pass', 'two_pass', 'streaming', 'manual', 'restored', 'template', 'imported' );
+
+    /**
+     * Record a new revision
+     *
+     * @param int    $post_id  Post ID.
+     * @param string $schema   Schema JSON as stored.
+     * @param string $mode     One of self::MODES.
+     * @param array  $settings Plugin settings (provider and model are read from these for generated revisions).
+     * @param array  $extra    Fields overriding the defaults (e.g. provider/model of a restored revision).
+     * @return array The stored revision.
+     */
+    public function record( int $post_id, string $schema, string $mode, array $settings = array(), array $extra = array() ): array {
+        $revisions = $this->get_all( $post_id );
+        $provider  = $settings['provider'] ?? '';
+        $next_id   = 1;
+
+        // Generated schema is merged into the post's template, if it has one
+        $template = in_array( $mode, array( 'single_pass', 'two_pass', 'streaming' ), true ) ? WP_AI_Schema_Templates::get_post_template( $post_id ) : null;
+
+        foreach ( $revisions as $revision ) {
+            $next_id = max( $next_id, intval( $revision['id'] ) + 1 );
+        }
+
+        $revision = array_merge(
+            array(
+                'id'        => $next_id,
+                'time'      => time(),
+                'user_id'   => get_current_user_id(),
+                'mode'      => in_array( $mode, self::MODES, true ) ? $mode : 'single_pass',
+                'provider'  => $provider,
+                'model'     => $provider ? ( $settings[ $provider . '_model' ] ?? '' ) : '',
+                'type_hint' => get_post_meta( $post_id, '_wp_ai_schema_type_hint', true ) ?: 'auto',
+                'template'  => $template ? $template['name'] : '',
+            ),
+            $extra,
+            array( 'schema' => $schema )
+        );
+
+        array_unshift( $revisions, $revision );
+        $revisions = array_slice( $revisions, 0, self::MAX_REVISIONS );
+
+        update_post_meta( $post_id, self::META_KEY, wp_slash( $revisions ) );
+
+        return $revision;
+    }
+
+    /**
+     * Record that an earlier schema was put back
+     *
+     * Provider, model and type hint are carried over from the source revision
+     * (by default the newest one with the same schema), so the history still
+     * says where it came from.
+     *
+     * @param int        $post_id Post ID.
+     * @param string     $schema  Restored schema JSON.
+     * @param array|null $source  Revision that was restored, if known.
+     * @return array The stored revision.
+     */
+    public function record_restored( int $post_id, string $schema, ?array $source = null ): array {
+        if ( null === $source ) {
+            foreach ( $this->get_all( $post_id ) as $revision ) {
+                if ( ( $revision['schema'] ?? '' ) === $schema ) {
+                    $source = $revision;
+                    break;
+                }
+            }
+        }
+
+        $extra = array();
+
+        if ( $source ) {
+            $extra = array(
+                'provider'      => $source['provider'] ?? '',
+                'model'         => $source['model'] ?? '',
+                'type_hint'     => $source['type_hint'] ?? 'auto',
+                'restored_from' => intval( $source['id'] ),
+                'template'      => $source['template'] ?? '',
+            );
+        }
+
+        return $this->record( $post_id, $schema, 'restored', array(), $extra );
+    }
+
+    /**
+     * Get all revisions, newest first
+     *
+     * @param int $post_id Post ID.
+     * @return array Revisions.
+     */
+    public function get_all( int $post_id ): array {
+        $revisions = get_post_meta( $post_id, self::META_KEY, true );
+
+        return is_array( $revisions ) ? $revisions : array();
+    }
+
+    /**
+     * Get a single revision
+     *
+     * @param int $post_id     Post ID.
+     * @param int $revision_id Revision ID.
+     * @return array|null Revision, or null if not found.
+     */
+    public function get( int $post_id, int $revision_id ): ?array {
+        foreach ( $this->get_all( $post_id ) as $revision ) {
+            if ( intval( $revision['id'] ) === $revision_id ) {
+                return $revision;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get revisions for listing (without the schema bodies)
+     *
+     * @param int $post_id Post ID.
+     * @return array {
+     *     Revision summaries, newest first.
+     *
+     *     @type int    $id        Revision ID.
+     *     @type int    $time      Unix timestamp.
+     *     @type string $user      Display name of the user who triggered it ('' for cron).
+     *     @type string $mode      single_pass, two_pass, streaming, manual or restored.
+     *     @type string $provider  Provider slug.
+     *     @type string $model     Model ID.
+     *     @type string $type_hint Type hint in effect.
+     *     @type string $type      Top-level @type of the schema.
+     *     @type int    $size      Schema length in bytes.
+     *     @type int    $restored_from ID of the revision this one restored (0 if none).
+     * }
+     */
+    public function get_summaries( int $post_id ): array {
+        $summaries = array();
+
+        foreach ( $this->get_all( $post_id ) as $revision ) {
+            $user = ! empty( $revision['user_id'] ) ? get_userdata( $revision['user_id'] ) : false;
+
+            $summaries[] = array(
+                'id'            => intval( $revision['id'] ),
+                'time'          => intval( $revision['time'] ),
+                'user'          => $user ? $user->display_name : '',
+                'mode'          => $revision['mode'] ?? '',
+                'provider'      => $revision['provider'] ?? '',
+                'model'         => $revision['model'] ?? '',
+                'type_hint'     => $revision['type_hint'] ?? 'auto',
+                'type'          => $this->get_schema_type( $revision['schema'] ?? '' ),
+                'size'          => strlen( $revision['schema'] ?? '' ),
+                'restored_from' => isset( $revision['restored_from'] ) ? intval( $revision['restored_from'] ) : 0,
+                'template'      => $revision['template'] ?? '',
+            );
+        }
+
+        return $summaries;
+    }
+
+    /**
+     * Describe the top-level type(s) of a schema for the history list
+     *
+     * @param string $schema Schema JSON.
+     * @return string Comma-separated @type values, or empty string.
+     */
+    private function get_schema_type( string $schema ): string {
+        $data = json_decode( $schema, true );
+
+        if ( ! is_array( $data ) ) {
+            return '';
+        }
+
+        $nodes = isset( $data['@graph'] ) && is_array( $data['@graph'] ) ? $data['@graph'] : array( $data );
+        $types = array();
+
+        foreach ( $nodes as $node ) {
+            if ( is_array( $node ) && ! empty( $node['@type'] ) ) {
+                $types = array_merge( $types, (array) $node['@type'] );
+            }
+        }
+
+        return implode( ', ', array_unique( $types ) );
+    }
+}
@@ -39,6 +39,10 @@ class WP_AI_Schema_Output {
     private function init_hooks() {
         add_action( 'wp_head', array( $this, 'output_in_head' ), 1 );
         add_filter( 'the_content', array( $this, 'output_after_content' ), 99 );
+
+        foreach ( WP_AI_Schema_Conflict_Detector::MERGE_FILTERS as $filter ) {
+            add_filter( $filter, array( $this, 'merge_into_graph' ), 99 );
+        }
     }
 
     /**
@@ -153,8 +157,44 @@ class WP_AI_Schema_Output {
             return '';
         }
 
-        // Return script tag
-        return '<script type="application/ld+json">' . $schema . '</script>';
+        // Return script tag (the class lets the conflict report attribute it)
+        return '<script type="application/ld+json" class="wp-ai-schema">' . $schema . '</script>';
+    }
+
+    /**
+     * Add the post's schema to an SEO plugin's graph (merge mode)
+     *
+     * Hooked to each plugin's graph filter; see
+     * WP_AI_Schema_Conflict_Detector::merge_graph() for how nodes are joined.
+     *
+     * @param mixed $graph Graph nodes from the SEO plugin.
+     * @return mixed
+     */
+    public function merge_into_graph( $graph ) {
+        if ( ! is_array( $graph ) || ! is_singular() ) {
+            return $graph;
+        }
+
+        $post_id  = get_queried_object_id();
+        $settings = WP_AI_Schema_Generator::get_settings();
+        $host     = $this->conflict_detector->get_merge_host();
+
+        if ( ! $host || current_filter() !== WP_AI_Schema_Conflict_Detector::MERGE_FILTERS[ $host ] ) {
+            return $graph;
+        }
+
+        if ( ! in_array( get_post_type( $post_id ), $settings['enabled_post_types'] ?? array( 'page' ), true )
+            || ! $this->conflict_detector->is_merge_mode( $post_id ) ) {
+            return $graph;
+        }
+
+        $schema = json_decode( (string) get_post_meta( $post_id, '_wp_ai_schema_schema', true ), true );
+
+        if ( ! is_array( $schema ) || ! apply_filters( 'wp_ai_schema_should_output', true, $post_id ) ) {
+            return $graph;
+        }
+
+        return WP_AI_Schema_Conflict_Detector::merge_graph( $graph, WP_AI_Schema_Conflict_Detector::get_entities( $schema ) );
     }
 
     /**
@@ -301,11 +341,12 @@ class WP_AI_Schema_Output {
 
         // Check 5: SEO plugin conflict
         $conflict_result = $this->conflict_detector->should_output( $post_id, $settings );
-        $no_conflict     = $conflict_result['should_output'];
+        $merged          = ! empty( $conflict_result['merged'] );
+        $no_conflict     = $conflict_result['should_output'] || $merged;
         $checks['no_seo_conflict'] = array(
             'pass'    => $no_conflict,
             'label'   => __( 'No SEO plugin conflict', 'wp-ai-seo-schema-generator' ),
-            'message' => $no_conflict
+            'message' => $no_conflict && ! $merged
                 ? __( 'No conflicting SEO plugin schema detected.', 'wp-ai-seo-schema-generator' )
                 : $conflict_result['reason'],
         );
@@ -339,6 +380,31 @@ class WP_AI_Schema_Output {
             'warning' => $has_filter, // It's a warning, not a definite fail
         );
 
+        // Check 8: Requested type hints present in the schema (only when types were requested)
+        $type_hints = WP_AI_Schema_Prompt_Builder::parse_type_hints( get_post_meta( $post_id, '_wp_ai_schema_type_hint', true ) ?: 'auto' );
+        if ( $valid_json && ! empty( $type_hints ) ) {
+            $found   = $this->get_schema_types( $schema );
+            $missing = array_values( array_diff( $type_hints, $this->match_requested_types( $type_hints, $found ) ) );
+
+            $checks['requested_types'] = array(
+                'pass'    => empty( $missing ),
+                'label'   => __( 'Requested types present', 'wp-ai-seo-schema-generator' ),
+                'message' => empty( $missing )
+                    ? sprintf(
+                        /* translators: %s: comma-separated schema types */
+                        __( 'All requested types are in the schema: %s.', 'wp-ai-seo-schema-generator' ),
+                        implode( ', ', $type_hints )
+                    )
+                    : sprintf(
+                        /* translators: 1: comma-separated missing types, 2: comma-separated types in the schema */
+                        __( 'Requested but not in the schema: %1$s. The schema has: %2$s.', 'wp-ai-seo-schema-generator' ),
+                        implode( ', ', $missing ),
+                        $found ? implode( ', ', $found ) : __( 'no types', 'wp-ai-seo-schema-generator' )
+                    ),
+                'warning' => ! empty( $missing ), // The content may simply not support a type
+            );
+        }
+
         // Generate summary
         $blocking_checks = array_filter(
             $checks,
@@ -373,6 +439,144 @@ class WP_AI_Schema_Output {
         );
     }
 
+    /**
+     * Per-post conflict report from the live page's JSON-LD
+     *
+     * Fetches the page, so it only runs on request, never as part of diagnose().
+     *
+     * @param int $post_id Post ID.
+     * @return array|WP_Error Report from WP_AI_Schema_Conflict_Detector::build_report(), plus
+     *                        merge { host, enabled }: the SEO plugin merge mode can join (or null)
+     *                        and whether the post uses it. WP_Error if the page can't be fetched.
+     */
+    public function get_conflict_report( int $post_id ) {
+        if ( 'publish' !== get_post_status( $post_id ) ) {
+            return new WP_Error( 'not_published', __( 'The conflict report needs a published post.', 'wp-ai-seo-schema-generator' ) );
+        }
+
+        $html = $this->fetch_page_html( $post_id );
+
+        if ( is_wp_error( $html ) ) {
+            return $html;
+        }
+
+        $report = $this->conflict_detector->build_report( $this->conflict_detector->extract_json_ld_blocks( $html ) );
+
+        $report['merge'] = array(
+            'host'    => $this->conflict_detector->get_merge_host(),
+            'enabled' => $this->conflict_detector->is_merge_mode( $post_id ),
+        );
+
+        return $report;
+    }
+
+    /**
+     * Fetch a published post's page
+     *
+     * @param int $post_id Post ID.
+     * @return string|WP_Error Page HTML, or an error with a human-readable message.
+     */
+    private function fetch_page_html( int $post_id ) {
+        $url = get_permalink( $post_id );
+
+        if ( ! $url ) {
+            return new WP_Error( 'no_url', __( 'Could not get post URL.', 'wp-ai-seo-schema-generator' ) );
+        }
+
+        $response = wp_remote_get(
+            $url,
+            array(
+                'timeout'    => 15,
+                'sslverify'  => false, // Allow self-signed certs for local dev
+                'user-agent' => 'WP AI Schema Verifier',
+            )
+        );
+
+        if ( is_wp_error( $response ) ) {
+            return new WP_Error(
+                'fetch_failed',
+                sprintf(
+                    /* translators: %s: error message */
+                    __( 'Could not fetch page: %s', 'wp-ai-seo-schema-generator' ),
+                    $response->get_error_message()
+                )
+            );
+        }
+
+        $status_code = wp_remote_retrieve_response_code( $response );
+
+        if ( $status_code !== 200 ) {
+            return new WP_Error(
+                'http_status',
+                sprintf(
+                    /* translators: %d: HTTP status code */
+                    __( 'Page returned HTTP status %d.', 'wp-ai-seo-schema-generator' ),
+                    $status_code
+                )
+            );
+        }
+
+        return wp_remote_retrieve_body( $response );
+    }
+
+    /**
+     * Collect every @type used in a schema, nested entities included
+     *
+     * @param string $schema JSON-LD string.
+     * @return array Unique types in order of appearance.
+     */
+    private function get_schema_types( string $schema ): array {
+        $types = array();
+        $stack = array( json_decode( $schema, true ) );
+
+        while ( $stack ) {
+            $node = array_shift( $stack );
+
+            if ( ! is_array( $node ) ) {
+                continue;
+            }
+
+            foreach ( (array) ( $node['@type'] ?? array() ) as $type ) {
+                if ( is_string( $type ) ) {
+                    $types[] = $type;
+                }
+            }
+
+            foreach ( $node as $key => $value ) {
+                if ( '@type' !== $key && is_array( $value ) ) {
+                    $stack[] = $value;
+                }
+            }
+        }
+
+        return array_values( array_unique( $types ) );
+    }
+
+    /**
+     * Find which requested types a schema satisfies
+     *
+     * A subtype counts for its parents, so a requested LocalBusiness is
+     * satisfied by a Dentist.
+     *
+     * @param array $requested Requested types.
+     * @param array $found     Types in the schema.
+     * @return array The requested types that are present.
+     */
+    private function match_requested_types( array $requested, array $found ): array {
+        $parents = WP_AI_Schema_Reference::get_validation_reference()['parents'];
+        $present = array();
+
+        foreach ( $found as $type ) {
+            // Walk up the hierarchy (bounded in case of a cycle)
+            for ( $depth = 0; '' !== $type && $depth < 10; $depth++ ) {
+                $present[] = $type;
+                $type      = $parents[ $type ] ?? '';
+            }
+        }
+
+        return array_values( array_intersect( $requested, $present ) );
+    }
+
     /**
      * Verify schema presence on frontend by fetching the page
      *
@@ -385,6 +589,7 @@ class WP_AI_Schema_Output {
      *     @type bool   $schema_match  Whether found schema matches stored schema.
      *     @type string $message       Human-readable result message.
      *     @type string $found_schema  The schema found on the page (if any).
+     *     @type array  $blocks        Contents of every JSON-LD block on the page.
      * }
      */
     public function verify_frontend( int $post_id ): array {
@@ -416,96 +621,50 @@ class WP_AI_Schema_Output {
             );
         }
 
-        // Get the post URL
-        $url = get_permalink( $post_id );
+        $html = $this->fetch_page_html( $post_id );
 
-        if ( ! $url ) {
+        if ( is_wp_error( $html ) ) {
             return array(
                 'success'      => false,
                 'schema_found' => false,
                 'schema_match' => false,
-                'message'      => __( 'Could not get post URL.', 'wp-ai-seo-schema-generator' ),
+                'message'      => $html->get_error_message(),
                 'found_schema' => '',
             );
         }
 
-        // Fetch the page
-        $response = wp_remote_get(
-            $url,
-            array(
-                'timeout'    => 15,
-                'sslverify'  => false, // Allow self-signed certs for local dev
-                'user-agent' => 'WP AI Schema Verifier',
-            )
-        );
+        $blocks = wp_list_pluck( $this->conflict_detector->extract_json_ld_blocks( $html ), 'json' );
 
-        if ( is_wp_error( $response ) ) {
+        if ( empty( $blocks ) ) {
             return array(
-                'success'      => false,
+                'success'      => true,
                 'schema_found' => false,
                 'schema_match' => false,
-                'message'      => sprintf(
-                    /* translators: %s: error message */
-                    __( 'Could not fetch page: %s', 'wp-ai-seo-schema-generator' ),
-                    $response->get_error_message()
-                ),
+                'message'      => __( 'No JSON-LD schema found on page. Check the diagnostic panel for issues.', 'wp-ai-seo-schema-generator' ),
                 'found_schema' => '',
+                'blocks'       => array(),
             );
         }
 
-        $status_code = wp_remote_retrieve_response_code( $response );
+        // Compare entity by entity, so key order and @graph wrapping don't matter
+        $stored_entities = $this->get_entity_keys( json_decode( get_post_meta( $post_id, '_wp_ai_schema_schema', true ), true ) );
+        $page_entities   = array();
 
-        if ( $status_code !== 200 ) {
-            return array(
-                'success'      => false,
-                'schema_found' => false,
-                'schema_match' => false,
-                'message'      => sprintf(
-                    /* translators: %d: HTTP status code */
-                    __( 'Page returned HTTP status %d.', 'wp-ai-seo-schema-generator' ),
-                    $status_code
-                ),
-                'found_schema' => '',
-            );
+        foreach ( $blocks as $block ) {
+            $page_entities = array_merge( $page_entities, $this->get_entity_keys( json_decode( $block, true ) ) );
         }
 
-        $body = wp_remote_retrieve_body( $response );
-
-        // Look for JSON-LD script tag
-        $pattern = '/<script\s+type=["\']application\/ld\+json["\']>(.*?)<\/script>/is';
-
-        if ( ! preg_match_all( $pattern, $body, $matches ) ) {
+        if ( ! empty( $stored_entities ) && ! array_diff( $stored_entities, $page_entities ) ) {
             return array(
                 'success'      => true,
-                'schema_found' => false,
-                'schema_match' => false,
-                'message'      => __( 'No JSON-LD schema found on page. Check the diagnostic panel for issues.', 'wp-ai-seo-schema-generator' ),
-                'found_schema' => '',
+                'schema_found' => true,
+                'schema_match' => true,
+                'message'      => __( 'Schema verified! Found on frontend and matches stored schema.', 'wp-ai-seo-schema-generator' ),
+                'found_schema' => $blocks[0],
+                'blocks'       => $blocks,
             );
         }
 
-        // Get stored schema for comparison
-        $stored_schema = get_post_meta( $post_id, '_wp_ai_schema_schema', true );
-
-        // Check each found schema
-        foreach ( $matches[1] as $found_schema ) {
-            $found_schema = trim( $found_schema );
-
-            // Normalize both for comparison (decode and re-encode)
-            $stored_decoded = json_decode( $stored_schema, true );
-            $found_decoded  = json_decode( $found_schema, true );
-
-            if ( $stored_decoded && $found_decoded && $stored_decoded === $found_decoded ) {
-                return array(
-                    'success'      => true,
-                    'schema_found' => true,
-                    'schema_match' => true,
-                    'message'      => __( 'Schema verified! Found on frontend and matches stored schema.', 'wp-ai-seo-schema-generator' ),
-                    'found_schema' => $found_schema,
-                );
-            }
-        }
-
         // Schema found but doesn't match
         return array(
             'success'      => true,
@@ -514,12 +673,52 @@ class WP_AI_Schema_Output {
             'message'      => sprintf(
                 /* translators: %d: number of schemas found */
                 __( 'Found %d JSON-LD schema(s) on page, but none match the stored schema. This might be from another plugin.', 'wp-ai-seo-schema-generator' ),
-                count( $matches[1] )
+                count( $blocks )
             ),
-            'found_schema' => $matches[1][0],
+            'found_schema' => $blocks[0],
+            'blocks'       => $blocks,
         );
     }
 
+    /**
+     * Comparison keys for the top-level entities of a JSON-LD document
+     *
+     * Each entity from WP_AI_Schema_Conflict_Detector::get_entities() is
+     * encoded with its keys sorted.
+     *
+     * @param mixed $data Decoded document.
+     * @return array Encoded entities.
+     */
+    private function get_entity_keys( $data ): array {
+        $keys = array();
+
+        foreach ( WP_AI_Schema_Conflict_Detector::get_entities( $data ) as $entity ) {
+            $keys[] = wp_json_encode( $this->sort_keys( $entity ) );
+        }
+
+        return $keys;
+    }
+
+    /**
+     * Sort object keys recursively, leaving list order alone
+     *
+     * @param mixed $value Decoded JSON value.
+     * @return mixed
+     */
+    private function sort_keys( $value ) {
+        if ( ! is_array( $value ) ) {
+            return $value;
+        }
+
+        $value = array_map( array( $this, 'sort_keys' ), $value );
+
+        if ( ! wp_is_numeric_array( $value ) ) {
+            ksort( $value );
+        }
+
+        return $value;
+    }
+
     /**
      * Get the conflict detector instance
      *
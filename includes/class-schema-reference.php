@@ -45,6 +45,9 @@ class WP_AI_Schema_Reference {
     /**
      * Get relevant schema types based on type hint
      *
+     * A hint listing several types (e.g. "LocalBusiness,FAQPage") gets the
+     * requested types first, then the related types of each, without repeats.
+     *
      * @param string $type_hint User's type hint or 'auto'.
      * @return array Relevant schema types to include in reference.
      */
@@ -64,12 +67,26 @@ class WP_AI_Schema_Reference {
             'HowTo'          => array( 'HowTo', 'WebPage', 'Organization' ),
         );
 
-        return $type_families[ $type_hint ] ?? array( $type_hint, 'Organization', 'ContactPoint' );
+        $hints = WP_AI_Schema_Prompt_Builder::parse_type_hints( $type_hint );
+
+        if ( empty( $hints ) ) {
+            return $type_families['auto'];
+        }
+
+        $types = $hints;
+
+        foreach ( $hints as $hint ) {
+            $types = array_merge( $types, $type_families[ $hint ] ?? array( $hint, 'Organization', 'ContactPoint' ) );
+        }
+
+        return array_values( array_unique( $types ) );
     }
 
     /**
      * Get schema definitions for specific types
      *
+     * Types listed more than once (e.g. by several type hints) are included once.
+     *
      * @param array $types List of schema types to include.
      * @return array Filtered schema definitions.
      */
@@ -86,6 +103,160 @@ class WP_AI_Schema_Reference {
         return $filtered;
     }
 
+    /**
+     * Get reference data for validating schema in the browser
+     *
+     * Flattens the definitions (nested types become top-level entries) and
+     * adds the type hierarchy and property lists the metabox validator needs.
+     *
+     * @return array {
+     *     @type array $types              Type => array( properties, required_one_of ).
+     *     @type array $parents            Type => parent type whose properties it inherits.
+     *     @type array $known_types        Valid Schema.org types without a definition here.
+     *     @type array $common_properties  Properties allowed on every type (Thing).
+     *     @type array $date_properties    Properties that must hold ISO 8601 dates.
+     *     @type array $url_properties     Properties that must hold absolute URLs.
+     * }
+     */
+    public static function get_validation_reference(): array {
+        $types = array();
+
+        foreach ( self::get_all_definitions() as $type => $def ) {
+            $types[ $type ] = array(
+                'properties'      => self::strip_descriptions( $def['properties'] ),
+                'required_one_of' => $def['required_one_of'] ?? array(),
+            );
+
+            foreach ( $def['nested'] ?? array() as $nested_type => $nested_props ) {
+                $types[ $nested_type ] = array(
+                    'properties'      => self::strip_descriptions( $nested_props ),
+                    'required_one_of' => array(),
+                );
+            }
+        }
+
+        return array(
+            'types'             => $types,
+            'parents'           => array(
+                // Organization family
+                'LocalBusiness'               => 'Organization',
+                'Corporation'                 => 'Organization',
+                'EducationalOrganization'     => 'Organization',
+                'NGO'                         => 'Organization',
+                'SportsOrganization'          => 'Organization',
+                'MedicalOrganization'         => 'Organization',
+                'ProfessionalService'         => 'LocalBusiness',
+                'Restaurant'                  => 'LocalBusiness',
+                'Store'                       => 'LocalBusiness',
+                'Dentist'                     => 'LocalBusiness',
+                'LegalService'                => 'LocalBusiness',
+                'Attorney'                    => 'LocalBusiness',
+                'HomeAndConstructionBusiness' => 'LocalBusiness',
+                'Plumber'                     => 'LocalBusiness',
+                'Electrician'                 => 'LocalBusiness',
+                'RoofingContractor'           => 'LocalBusiness',
+                'GeneralContractor'           => 'LocalBusiness',
+                'HVACBusiness'                => 'LocalBusiness',
+                'AutomotiveBusiness'          => 'LocalBusiness',
+                'AutoRepair'                  => 'LocalBusiness',
+                'HealthAndBeautyBusiness'     => 'LocalBusiness',
+                'BeautySalon'                 => 'LocalBusiness',
+                'HairSalon'                   => 'LocalBusiness',
+                'DaySpa'                      => 'LocalBusiness',
+                'MedicalBusiness'             => 'LocalBusiness',
+                'Physician'                   => 'LocalBusiness',
+                'FinancialService'            => 'LocalBusiness',
+                'AccountingService'           => 'LocalBusiness',
+                'RealEstateAgent'             => 'LocalBusiness',
+                'LodgingBusiness'             => 'LocalBusiness',
+                'Hotel'                       => 'LocalBusiness',
+                'FoodEstablishment'           => 'LocalBusiness',
+                'CafeOrCoffeeShop'            => 'LocalBusiness',
+                'Bakery'                      => 'LocalBusiness',
+                'ChildCare'                   => 'LocalBusiness',
+                'SportsActivityLocation'      => 'LocalBusiness',
+                'ExerciseGym'                 => 'LocalBusiness',
+                // Creative works
+                'BlogPosting'                 => 'Article',
+                'NewsArticle'                 => 'Article',
+                'TechArticle'                 => 'Article',
+                'ScholarlyArticle'            => 'Article',
+                'AboutPage'                   => 'WebPage',
+                'ContactPage'                 => 'WebPage',
+                'CollectionPage'              => 'WebPage',
+                'FAQPage'                     => 'WebPage',
+                'ItemPage'                    => 'WebPage',
+                'ProfilePage'                 => 'WebPage',
+                'QAPage'                      => 'WebPage',
+                'SearchResultsPage'           => 'WebPage',
+                'CheckoutPage'                => 'WebPage',
+                // Events
+                'BusinessEvent'               => 'Event',
+                'EducationEvent'              => 'Event',
+                'MusicEvent'                  => 'Event',
+                'SportsEvent'                 => 'Event',
+                'Festival'                    => 'Event',
+                'SocialEvent'                 => 'Event',
+                'ExhibitionEvent'             => 'Event',
+                'CourseInstance'              => 'Event',
+                // Other
+                'IndividualProduct'           => 'Product',
+                'ProductModel'                => 'Product',
+                'Vehicle'                     => 'Product',
+                'FinancialProduct'            => 'Service',
+                'GovernmentService'           => 'Service',
+                'CriticReview'                => 'Review',
+                'EmployerReview'              => 'Review',
+            ),
+            'known_types'       => array(
+                'Thing', 'CreativeWork', 'WebSite', 'WebPageElement', 'SiteNavigationElement', 'WPHeader', 'WPFooter',
+                'BreadcrumbList', 'ListItem', 'ItemList', 'ImageObject', 'VideoObject', 'AudioObject', 'MediaObject',
+                'Place', 'VirtualLocation', 'GeoCoordinates', 'GeoShape', 'City', 'State', 'Country', 'AdministrativeArea',
+                'OpeningHoursSpecification', 'OfferCatalog', 'Brand', 'MonetaryAmount', 'PriceSpecification',
+                'UnitPriceSpecification', 'QuantitativeValue', 'PropertyValue', 'HowToSection', 'HowToSupply', 'HowToTool',
+                'HowToDirection', 'HowToTip', 'SearchAction', 'EntryPoint', 'ReadAction', 'Action', 'Audience',
+                'Language', 'DefinedTerm', 'Course', 'Recipe', 'SoftwareApplication', 'WebApplication', 'MobileApplication',
+                'Book', 'Movie', 'JobPosting', 'Occupation', 'EducationalOccupationalCredential', 'Comment', 'Clip',
+                'SpeakableSpecification', 'OfferShippingDetails', 'MerchantReturnPolicy', 'ServiceChannel',
+                'AggregateOffer', 'AggregateRating', 'Accommodation', 'Demand', 'Permit', 'Trip', 'Menu', 'MenuSection', 'MenuItem',
+            ),
+            'common_properties' => array(
+                '@context', '@id', '@type', 'name', 'alternateName', 'description', 'disambiguatingDescription',
+                'url', 'image', 'sameAs', 'identifier', 'additionalType', 'mainEntityOfPage', 'potentialAction',
+                'subjectOf',
+            ),
+            'date_properties'   => array(
+                'startDate', 'endDate', 'datePublished', 'dateModified', 'dateCreated', 'foundingDate',
+                'dissolutionDate', 'birthDate', 'deathDate', 'uploadDate', 'validFrom', 'validThrough',
+                'priceValidUntil', 'expires', 'datePosted',
+            ),
+            'url_properties'    => array(
+                'url', 'sameAs', 'logo', 'image', 'contentUrl', 'embedUrl', 'thumbnailUrl', 'termsOfService',
+                'downloadUrl', 'installUrl', 'hasMap',
+            ),
+        );
+    }
+
+    /**
+     * Reduce property definitions to the flags the validator uses
+     *
+     * @param array $properties Property definitions.
+     * @return array Property => array( required, recommended, type ).
+     */
+    private static function strip_descriptions( array $properties ): array {
+        $stripped = array();
+
+        foreach ( $properties as $prop => $prop_def ) {
+            $stripped[ $prop ] = array(
+                'required'    => ! empty( $prop_def['required'] ),
+                'recommended' => ! empty( $prop_def['recommended'] ),
+                'type'        => $prop_def['type'] ?? '',
+            );
+        }
+
+        return $stripped;
+    }
+
     /**
      * Format schema reference for prompt inclusion
      *
@@ -160,10 +331,10 @@ class WP_AI_Schema_Reference {
         return array(
             'description' => 'A local business with a physical location. Use specific subtypes like Restaurant, Store, etc.',
             'properties'  => array(
-                'name'            => array( 'description' => 'Business name', 'recommended' => true ),
+                'name'            => array( 'description' => 'Business name', 'recommended' => true, 'required' => true ),
                 'url'             => array( 'description' => 'Website URL', 'recommended' => true ),
                 'image'           => array( 'description' => 'Business photos', 'recommended' => true, 'type' => 'URL' ),
-                'address'         => array( 'description' => 'Physical address', 'recommended' => true, 'type' => 'PostalAddress' ),
+                'address'         => array( 'description' => 'Physical address', 'recommended' => true, 'required' => true, 'type' => 'PostalAddress' ),
                 'telephone'       => array( 'description' => 'Phone number', 'recommended' => true ),
                 'email'           => array( 'description' => 'Email address' ),
                 'description'     => array( 'description' => 'Business description' ),
@@ -206,9 +377,10 @@ class WP_AI_Schema_Reference {
      */
     private static function get_product_schema(): array {
         return array(
-            'description' => 'A product offered for sale.',
-            'properties'  => array(
-                'name'           => array( 'description' => 'Product name', 'recommended' => true ),
+            'description'     => 'A product offered for sale.',
+            'required_one_of' => array( 'offers', 'review', 'aggregateRating' ),
+            'properties'      => array(
+                'name'           => array( 'description' => 'Product name', 'recommended' => true, 'required' => true ),
                 'description'    => array( 'description' => 'Product description', 'recommended' => true ),
                 'image'          => array( 'description' => 'Product images', 'recommended' => true, 'type' => 'URL' ),
                 'offers'         => array( 'description' => 'Pricing and availability', 'recommended' => true, 'type' => 'Offer' ),
@@ -251,9 +423,9 @@ class WP_AI_Schema_Reference {
         return array(
             'description' => 'An event happening at a specific time and location.',
             'properties'  => array(
-                'name'        => array( 'description' => 'Event name', 'recommended' => true ),
-                'startDate'   => array( 'description' => 'Start date/time', 'recommended' => true, 'type' => 'DateTime' ),
-                'location'    => array( 'description' => 'Event location', 'recommended' => true, 'type' => 'Place or VirtualLocation' ),
+                'name'        => array( 'description' => 'Event name', 'recommended' => true, 'required' => true ),
+                'startDate'   => array( 'description' => 'Start date/time', 'recommended' => true, 'required' => true, 'type' => 'DateTime' ),
+                'location'    => array( 'description' => 'Event location', 'recommended' => true, 'required' => true, 'type' => 'Place or VirtualLocation' ),
                 'description' => array( 'description' => 'Event description' ),
                 'endDate'     => array( 'description' => 'End date/time', 'type' => 'DateTime' ),
                 'image'       => array( 'description' => 'Event image', 'type' => 'URL' ),
@@ -273,15 +445,15 @@ class WP_AI_Schema_Reference {
         return array(
             'description' => 'A page with FAQ content. Use ONLY when page has clear Q&A pairs.',
             'properties'  => array(
-                'mainEntity' => array( 'description' => 'Array of Question objects', 'recommended' => true, 'type' => 'Array of Question' ),
+                'mainEntity' => array( 'description' => 'Array of Question objects', 'recommended' => true, 'required' => true, 'type' => 'Array of Question' ),
             ),
             'nested'      => array(
                 'Question' => array(
-                    'name'           => array( 'description' => 'The question text', 'recommended' => true ),
-                    'acceptedAnswer' => array( 'description' => 'Answer object', 'recommended' => true, 'type' => 'Answer' ),
+                    'name'           => array( 'description' => 'The question text', 'recommended' => true, 'required' => true ),
+                    'acceptedAnswer' => array( 'description' => 'Answer object', 'recommended' => true, 'required' => true, 'type' => 'Answer' ),
                 ),
                 'Answer' => array(
-                    'text' => array( 'description' => 'The answer text', 'recommended' => true ),
+                    'text' => array( 'description' => 'The answer text', 'recommended' => true, 'required' => true ),
                 ),
             ),
         );
@@ -336,8 +508,8 @@ class WP_AI_Schema_Reference {
         return array(
             'description' => 'Instructions for accomplishing a task.',
             'properties'  => array(
-                'name'          => array( 'description' => 'Title of the how-to', 'recommended' => true ),
-                'step'          => array( 'description' => 'Steps to complete', 'recommended' => true, 'type' => 'Array of HowToStep' ),
+                'name'          => array( 'description' => 'Title of the how-to', 'recommended' => true, 'required' => true ),
+                'step'          => array( 'description' => 'Steps to complete', 'recommended' => true, 'required' => true, 'type' => 'Array of HowToStep' ),
                 'description'   => array( 'description' => 'Description of the task' ),
                 'image'         => array( 'description' => 'Image', 'type' => 'URL' ),
                 'totalTime'     => array( 'description' => 'Total time required', 'type' => 'Duration' ),
@@ -348,7 +520,7 @@ class WP_AI_Schema_Reference {
             'nested'      => array(
                 'HowToStep' => array(
                     'name'  => array( 'description' => 'Step name/title' ),
-                    'text'  => array( 'description' => 'Step instructions', 'recommended' => true ),
+                    'text'  => array( 'description' => 'Step instructions', 'recommended' => true, 'required' => true ),
                     'image' => array( 'description' => 'Step image', 'type' => 'URL' ),
                 ),
             ),
@@ -395,7 +567,7 @@ class WP_AI_Schema_Reference {
         return array(
             'description' => 'An offer for a product or service.',
             'properties'  => array(
-                'price'         => array( 'description' => 'Price amount', 'recommended' => true ),
+                'price'         => array( 'description' => 'Price amount', 'recommended' => true, 'required' => true ),
                 'priceCurrency' => array( 'description' => 'Currency code (USD, EUR, etc.)', 'recommended' => true ),
                 'availability'  => array( 'description' => 'InStock, OutOfStock, PreOrder, etc.' ),
                 'url'           => array( 'description' => 'URL to purchase' ),
@@ -413,14 +585,14 @@ class WP_AI_Schema_Reference {
         return array(
             'description' => 'A review of an item (product, service, business).',
             'properties'  => array(
-                'reviewRating'  => array( 'description' => 'Rating given', 'recommended' => true, 'type' => 'Rating' ),
-                'author'        => array( 'description' => 'Review author', 'recommended' => true, 'type' => 'Person' ),
+                'reviewRating'  => array( 'description' => 'Rating given', 'recommended' => true, 'required' => true, 'type' => 'Rating' ),
+                'author'        => array( 'description' => 'Review author', 'recommended' => true, 'required' => true, 'type' => 'Person' ),
                 'reviewBody'    => array( 'description' => 'Review text' ),
                 'datePublished' => array( 'description' => 'Review date', 'type' => 'Date' ),
             ),
             'nested'      => array(
                 'Rating' => array(
-                    'ratingValue' => array( 'description' => 'Rating value (e.g., 4.5)', 'recommended' => true ),
+                    'ratingValue' => array( 'description' => 'Rating value (e.g., 4.5)', 'recommended' => true, 'required' => true ),
                     'bestRating'  => array( 'description' => 'Maximum rating (e.g., 5)' ),
                     'worstRating' => array( 'description' => 'Minimum rating (e.g., 1)' ),
                 ),
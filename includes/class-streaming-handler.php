@@ -18,6 +18,29 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class WP_AI_Schema_Streaming_Handler {
 
+    /**
+     * How long a generation job is kept for reattaching, in seconds
+     */
+    const JOB_TTL = HOUR_IN_SECONDS;
+
+    /**
+     * Longest a resumed stream tails a running job before the client reconnects
+     */
+    const RESUME_MAX_SECONDS = 240;
+
+    /**
+     * A running job with no update for this long is treated as dead
+     * (longer than the 300s cURL timeout of a single pass)
+     */
+    const JOB_STALE_SECONDS = 330;
+
+    /**
+     * Events stored with the job and replayed on reattach
+     *
+     * Keepalive, content and debug events are transient progress noise.
+     */
+    const PERSISTED_EVENTS = array( 'status', 'findings', 'complete', 'error' );
+
     /**
      * Provider registry
      *
@@ -46,6 +69,48 @@ class WP_AI_Schema_Streaming_Handler {
      */
     private $prompt_builder;
 
+    /**
+     * Schema revision history
+     *
+     * @var WP_AI_Schema_Revisions
+     */
+    private $revisions;
+
+    /**
+     * Token usage and budget tracking
+     *
+     * @var WP_AI_Schema_Usage
+     */
+    private $usage;
+
+    /**
+     * Schema validator
+     *
+     * @var WP_AI_Schema_Validator
+     */
+    private $schema_validator;
+
+    /**
+     * ID of the current generation job ('' when not generating)
+     *
+     * @var string
+     */
+    private $job_id = '';
+
+    /**
+     * State of the current generation job
+     *
+     * @var array|null
+     */
+    private $job = null;
+
+    /**
+     * Last time the cancel flag was checked
+     *
+     * @var float
+     */
+    private $last_cancel_check = 0;
+
     /**
      * Constructor
      *
@@ -53,17 +118,26 @@ class WP_AI_Schema_Streaming_Handler {
      * @param WP_AI_Schema_Content_Processor $content_processor Content processor.
      * @param WP_AI_Schema_Encryption        $encryption        Encryption handler.
      * @param WP_AI_Schema_Prompt_Builder    $prompt_builder    Prompt builder.
+     * @param WP_AI_Schema_Revisions         $revisions         Schema revision history.
+     * @param WP_AI_Schema_Usage             $usage             Token usage and budget tracking.
+     * @param WP_AI_Schema_Validator         $schema_validator  Schema validator.
      */
     public function __construct(
         WP_AI_Schema_Provider_Registry $provider_registry,
         WP_AI_Schema_Content_Processor $content_processor,
         WP_AI_Schema_Encryption $encryption,
-        WP_AI_Schema_Prompt_Builder $prompt_builder
+        WP_AI_Schema_Prompt_Builder $prompt_builder,
+        WP_AI_Schema_Revisions $revisions,
+        WP_AI_Schema_Usage $usage,
+        WP_AI_Schema_Validator $schema_validator
     ) {
         $this->provider_registry = $provider_registry;
         $this->content_processor = $content_processor;
         $this->encryption        = $encryption;
         $this->prompt_builder    = $prompt_builder;
+        $this->revisions         = $revisions;
+        $this->usage             = $usage;
+        $this->schema_validator  = $schema_validator;
     }
 
     /**
@@ -86,6 +160,16 @@ class WP_AI_Schema_Streaming_Handler {
                 'permission_callback' => array( $this, 'check_permission' ),
             )
         );
+
+        register_rest_route(
+            'wp-ai-schema/v1',
+            '/cancel',
+            array(
+                'methods'             => 'POST',
+                'callback'            => array( $this, 'handle_cancel' ),
+                'permission_callback' => array( $this, 'check_permission' ),
+            )
+        );
     }
 
     /**
@@ -105,6 +189,11 @@ class WP_AI_Schema_Streaming_Handler {
     public function handle_stream( $request ) {
         $post_id = absint( $request->get_param( 'post_id' ) );
         $nonce   = $request->get_param( 'nonce' );
+        $options = array(
+            'force'           => ! empty( $request->get_param( 'force' ) ),
+            'fetch_frontend'  => ! empty( $request->get_param( 'fetch_frontend' ) ),
+            'review_findings' => ! empty( $request->get_param( 'review_findings' ) ),
+        );
 
         // Verify nonce
         if ( ! wp_verify_nonce( $nonce, 'wp_ai_schema_generate_' . $post_id ) ) {
@@ -115,8 +204,72 @@ class WP_AI_Schema_Streaming_Handler {
         // Set SSE headers
         $this->set_sse_headers();
 
-        // Get settings
-        $settings = get_option( 'wp_ai_schema_settings', array() );
+        // Keep running after a disconnect so the schema is still saved and a
+        // reloaded page can reattach to the job. Cancel goes through handle_cancel().
+        ignore_user_abort( true );
+
+        // Reattach to an existing job instead of starting a new generation
+        $job_id = sanitize_key( (string) $request->get_param( 'job_id' ) );
+        if ( $job_id ) {
+            $this->resume_job( $job_id, $post_id, absint( $request->get_header( 'last_event_id' ) ) );
+            exit;
+        }
+
+        // Persist the type hint from the metabox so the payload and cache hash use it
+        $type_hint = $request->get_param( 'type_hint' );
+        if ( null !== $type_hint ) {
+            update_post_meta(
+                $post_id,
+                '_wp_ai_schema_type_hint',
+                WP_AI_Schema_Prompt_Builder::validate_type_hint( sanitize_text_field( $type_hint ) )
+            );
+        }
+
+        // Same for the instructions and pinned properties
+        $instructions = $request->get_param( 'instructions' );
+        if ( null !== $instructions ) {
+            $pinned_rows = json_decode( (string) $request->get_param( 'pinned_properties' ), true );
+
+            WP_AI_Schema_Prompt_Builder::save_steering(
+                $post_id,
+                (string) $instructions,
+                is_array( $pinned_rows ) ? $pinned_rows : null
+            );
+        }
+
+        // And the template the generated schema is merged into
+        $template_id = $request->get_param( 'template_id' );
+        if ( null !== $template_id ) {
+            WP_AI_Schema_Templates::set_post_template( $post_id, sanitize_key( (string) $template_id ) );
+        }
+
+        // Continue a generation whose pass 1 findings the user reviewed
+        $review_id = sanitize_key( (string) $request->get_param( 'review_id' ) );
+
+        // Get settings (with defaults, so the cache hash matches the AJAX path)
+        $settings = WP_AI_Schema_Generator::get_settings();
+
+        // Check per-post cooldown (the reviewed pass 1 started it, so a review continues regardless)
+        $cooldown_key = 'wp_ai_schema_cooldown_' . $post_id;
+        if ( ! $review_id && get_transient( $cooldown_key ) && ! $options['force'] ) {
+            $this->send_sse_event( 'error', array(
+                'message'  => 'Please wait before regenerating.',
+                'cooldown' => true,
+            ) );
+            exit;
+        }
+
+        // Check global rate limit
+        $rate_limit_until = get_transient( 'wp_ai_schema_rate_limit_until' );
+        if ( $rate_limit_until && time() < $rate_limit_until ) {
+            $wait_time = $rate_limit_until - time();
+            $this->send_sse_event( 'error', array(
+                'message'      => "Rate limited. Please try again in {$wait_time} seconds.",
+                'rate_limited' => true,
+                'wait_time'    => $wait_time,
+            ) );
+            exit;
+        }
 
         // Get provider
         $provider = $this->provider_registry->get_active( $settings );
@@ -129,13 +282,216 @@ class WP_AI_Schema_Streaming_Handler {
         $provider_slug = $provider->get_slug();
         $api_key_field = $provider_slug . '_api_key';
         $api_key       = $this->encryption->decrypt( $settings[ $api_key_field ] ?? '' );
-        if ( empty( $api_key ) ) {
+        if ( empty( $api_key ) && $provider->requires_api_key() ) {
             $this->send_sse_error( 'API key not configured' );
             exit;
         }
 
         // Start the streaming process
-        $this->stream_two_pass_generation( $post_id, $provider, $settings, $api_key );
+        $this->start_job( $post_id );
+
+        if ( $review_id ) {
+            $findings = $request->get_param( 'findings' );
+            $this->continue_after_review( $review_id, $post_id, $provider, $settings, $api_key, is_array( $findings ) ? $findings : array() );
+            return;
+        }
+
+        $this->stream_two_pass_generation( $post_id, $provider, $settings, $api_key, $options );
+    }
+
+    /**
+     * Handle cancel request for a running job
+     *
+     * The generating request polls the flag and aborts its provider call.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_cancel( $request ) {
+        $post_id = absint( $request->get_param( 'post_id' ) );
+        $job_id  = sanitize_key( (string) $request->get_param( 'job_id' ) );
+
+        if ( ! wp_verify_nonce( $request->get_param( 'nonce' ), 'wp_ai_schema_generate_' . $post_id ) ) {
+            return new WP_Error( 'wp_ai_schema_invalid_nonce', 'Invalid security token', array( 'status' => 403 ) );
+        }
+
+        $job = $this->get_job( $job_id );
+
+        if ( ! $job || (int) $job['post_id'] !== $post_id ) {
+            return new WP_Error( 'wp_ai_schema_job_not_found', 'Generation job not found', array( 'status' => 404 ) );
+        }
+
+        set_transient( 'wp_ai_schema_job_cancel_' . $job_id, true, self::JOB_TTL );
+
+        return rest_ensure_response( array( 'cancelled' => true ) );
+    }
+
+    /**
+     * Create a job for this generation and tell the client its ID
+     *
+     * @param int $post_id Post ID.
+     */
+    private function start_job( int $post_id ) {
+        $this->job_id = str_replace( '-', '', wp_generate_uuid4() );
+        $this->job    = array(
+            'post_id' => $post_id,
+            'user_id' => get_current_user_id(),
+            'status'  => 'running',
+            'events'  => array(),
+            'updated' => time(),
+        );
+
+        set_transient( 'wp_ai_schema_job_' . $this->job_id, $this->job, self::JOB_TTL );
+
+        $this->send_sse_event( 'job', array( 'job_id' => $this->job_id ) );
+    }
+
+    /**
+     * Load a job fresh from the database
+     *
+     * Bypasses the in-request options cache so a tailing request sees writes
+     * made by the generating request.
+     *
+     * @param string $job_id Job ID.
+     * @return array|null Job state or null if missing/expired.
+     */
+    private function get_job( string $job_id ): ?array {
+        if ( '' === $job_id ) {
+            return null;
+        }
+
+        if ( ! wp_using_ext_object_cache() ) {
+            wp_cache_delete( '_transient_wp_ai_schema_job_' . $job_id, 'options' );
+            wp_cache_delete( '_transient_timeout_wp_ai_schema_job_' . $job_id, 'options' );
+        }
+
+        $job = get_transient( 'wp_ai_schema_job_' . $job_id );
+
+        return is_array( $job ) ? $job : null;
+    }
+
+    /**
+     * Store an event with the current job so it can be replayed
+     *
+     * @param int    $id    Event ID.
+     * @param string $event Event type.
+     * @param array  $data  Event data.
+     */
+    private function record_job_event( int $id, string $event, array $data ) {
+        $this->job['events'][] = array(
+            'id'    => $id,
+            'event' => $event,
+            'data'  => $data,
+        );
+        $this->job['updated'] = time();
+
+        if ( 'complete' === $event ) {
+            $this->job['status'] = 'complete';
+        } elseif ( 'error' === $event ) {
+            $this->job['status'] = 'error';
+        } elseif ( 'findings' === $event && ! empty( $data['review_id'] ) ) {
+            $this->job['status'] = 'review';
+        }
+
+        set_transient( 'wp_ai_schema_job_' . $this->job_id, $this->job, self::JOB_TTL );
+    }
+
+    /**
+     * Check if the user cancelled the current job
+     *
+     * Throttled to once per second since it's called from cURL callbacks.
+     *
+     * @return bool True if cancelled.
+     */
+    private function job_cancelled(): bool {
+        if ( '' === $this->job_id ) {
+            return false;
+        }
+
+        $now = microtime( true );
+        if ( $now - $this->last_cancel_check < 1 ) {
+            return false;
+        }
+        $this->last_cancel_check = $now;
+
+        $key = 'wp_ai_schema_job_cancel_' . $this->job_id;
+        if ( ! wp_using_ext_object_cache() ) {
+            wp_cache_delete( '_transient_' . $key, 'options' );
+        }
+
+        return (bool) get_transient( $key );
+    }
+
+    /**
+     * Replay a job's events after Last-Event-ID, then tail it until it finishes
+     *
+     * @param string $job_id        Job ID.
+     * @param int    $post_id       Post ID the request was authorised for.
+     * @param int    $last_event_id Last event the client received.
+     */
+    private function resume_job( string $job_id, int $post_id, int $last_event_id ) {
+        $job = $this->get_job( $job_id );
+
+        if ( ! $job || (int) $job['post_id'] !== $post_id || (int) $job['user_id'] !== get_current_user_id() ) {
+            $this->send_sse_event( 'error', array(
+                'message'     => 'Generation job not found or expired',
+                'job_missing' => true,
+            ) );
+            return;
+        }
+
+        $this->send_sse_event( 'job', array(
+            'job_id'  => $job_id,
+            'resumed' => true,
+        ) );
+
+        $start          = time();
+        $last_keepalive = time();
+
+        while ( true ) {
+            foreach ( $job['events'] as $stored ) {
+                if ( $stored['id'] > $last_event_id ) {
+                    $this->write_sse_event( $stored['event'], $stored['data'], $stored['id'] );
+                    $last_event_id = $stored['id'];
+                }
+            }
+
+            if ( 'running' !== $job['status'] ) {
+                return;
+            }
+
+            if ( time() - $job['updated'] > self::JOB_STALE_SECONDS ) {
+                $this->send_sse_event( 'error', array(
+                    'message' => 'Generation stopped responding. Please try again.',
+                ) );
+                return;
+            }
+
+            // Let the client reconnect with Last-Event-ID rather than holding a worker forever
+            if ( connection_aborted() || time() - $start > self::RESUME_MAX_SECONDS ) {
+                return;
+            }
+
+            sleep( 1 );
+
+            if ( time() - $last_keepalive >= 5 ) {
+                $this->send_sse_event( 'keepalive', array(
+                    'phase' => 'resume',
+                    'time'  => time() - $start,
+                ) );
+                $last_keepalive = time();
+            }
+
+            $job = $this->get_job( $job_id );
+
+            if ( ! $job ) {
+                $this->send_sse_event( 'error', array(
+                    'message'     => 'Generation job not found or expired',
+                    'job_missing' => true,
+                ) );
+                return;
+            }
+        }
     }
 
     /**
@@ -163,6 +519,29 @@ class WP_AI_Schema_Streaming_Handler {
      * @param array  $data  Event data.
      */
     private function send_sse_event( string $event, array $data ) {
+        $id = null;
+
+        // Persisted events get sequential IDs so a reattaching client can
+        // send Last-Event-ID and receive only what it missed
+        if ( '' !== $this->job_id && in_array( $event, self::PERSISTED_EVENTS, true ) ) {
+            $id = count( $this->job['events'] ) + 1;
+            $this->record_job_event( $id, $event, $data );
+        }
+
+        $this->write_sse_event( $event, $data, $id );
+    }
+
+    /**
+     * Write an SSE event to the response
+     *
+     * @param string   $event Event type.
+     * @param array    $data  Event data.
+     * @param int|null $id    Event ID, or null to leave the client's last ID unchanged.
+     */
+    private function write_sse_event( string $event, array $data, ?int $id = null ) {
+        if ( null !== $id ) {
+            echo "id: {$id}\n";
+        }
         echo "event: {$event}\n";
         echo 'data: ' . wp_json_encode( $data ) . "\n\n";
         flush();
@@ -185,8 +564,9 @@ class WP_AI_Schema_Streaming_Handler {
      * @param object $provider LLM provider.
      * @param array  $settings Plugin settings.
      * @param string $api_key  Decrypted API key.
+     * @param array  $options  Request options (force, fetch_frontend, review_findings).
      */
-    private function stream_two_pass_generation( int $post_id, $provider, array $settings, string $api_key ) {
+    private function stream_two_pass_generation( int $post_id, $provider, array $settings, string $api_key, array $options ) {
         $post = get_post( $post_id );
 
         if ( ! $post ) {
@@ -194,14 +574,46 @@ class WP_AI_Schema_Streaming_Handler {
             return;
         }
 
+        // Reuse the stored schema unless content changed or regeneration is forced
+        if ( ! $this->content_processor->should_regenerate( $post_id, $settings, $options['force'] ) ) {
+            $manual = $this->content_processor->has_manual_override( $post_id );
+
+            $this->send_sse_event( 'complete', array(
+                'schema'          => get_post_meta( $post_id, '_wp_ai_schema_schema', true ),
+                'cached'          => true,
+                'generated_at'    => intval( get_post_meta( $post_id, '_wp_ai_schema_schema_last_generated', true ) ),
+                'manual_override' => $manual,
+                'edited_at'       => intval( get_post_meta( $post_id, '_wp_ai_schema_manual_override', true ) ),
+                'message'         => $manual
+                    ? 'Using manually edited schema. Check "Force regenerate" to replace it.'
+                    : 'Using cached schema.',
+            ) );
+            return;
+        }
+
+        // Check monthly budget (cached schema above costs nothing)
+        $budget_error = $this->usage->get_budget_error( $settings );
+        if ( $budget_error ) {
+            $this->send_sse_event( 'error', array(
+                'message'         => $budget_error,
+                'budget_exceeded' => true,
+            ) );
+            return;
+        }
+
+        // Double cooldown for two-pass, same as the AJAX path
+        set_transient( 'wp_ai_schema_cooldown_' . $post_id, true, WP_AI_Schema_Ajax::COOLDOWN_SECONDS * 2 );
+
         // Phase 1: Fetching content
         $this->send_sse_event( 'status', array(
             'phase'   => 'fetch',
             'message' => 'Fetching page content...',
         ) );
 
-        // Get frontend content
-        $raw_html = null;
+        // Two-pass always prefers the live page (the AI analyzes raw HTML),
+        // so "fetch from frontend" is implied whenever the post is published
+        $raw_html       = null;
+        $content_source = 'post';
         if ( 'publish' === $post->post_status ) {
             $raw_html = $this->content_processor->fetch_frontend_content( $post_id );
             if ( is_wp_error( $raw_html ) ) {
@@ -211,6 +623,15 @@ class WP_AI_Schema_Streaming_Handler {
 
         if ( empty( $raw_html ) ) {
             $raw_html = $this->content_processor->get_best_content( $post_id );
+        } else {
+            $content_source = 'frontend';
+        }
+
+        if ( $this->content_processor->is_content_empty( $post_id ) && 'frontend' !== $content_source ) {
+            $this->send_sse_event( 'error', array(
+                'message' => 'Page content is too short to generate meaningful schema. Make sure the page is published.',
+            ) );
+            return;
         }
 
         // Minimal cleaning
@@ -222,6 +643,11 @@ class WP_AI_Schema_Streaming_Handler {
             'message' => "Page loaded ({$html_size_kb} KB)",
         ) );
 
+        if ( $this->job_cancelled() ) {
+            $this->send_cancelled( $post_id, 'before pass 1' );
+            return;
+        }
+
         // Phase 2: Pass 1 - Content Analysis with streaming
         $this->send_sse_event( 'status', array(
             'phase'   => 'pass1',
@@ -240,6 +666,12 @@ class WP_AI_Schema_Streaming_Handler {
             'pass1',
             true // is analysis
         );
+        $pass1_usage = $this->usage->track( $analysis_result['usage'] ?? array(), $settings );
+
+        if ( ! empty( $analysis_result['aborted'] ) ) {
+            $this->send_cancelled( $post_id, 'during pass 1' );
+            return;
+        }
 
         if ( ! $analysis_result['success'] ) {
             $this->send_sse_event( 'error', array(
@@ -261,11 +693,88 @@ class WP_AI_Schema_Streaming_Handler {
         }
 
         // Report what was found
-        $this->report_analysis_findings( $analysis_data );
+        $review_id = $options['review_findings'] ? $this->job_id : '';
+        $this->report_analysis_findings( $analysis_data, $review_id );
 
         // Debug checkpoint 1
         $this->send_sse_event( 'debug', array( 'checkpoint' => 'After findings report' ) );
 
+        // Stop here until the user has reviewed the findings (see continue_after_review())
+        if ( $review_id ) {
+            set_transient(
+                'wp_ai_schema_review_' . $review_id,
+                array(
+                    'post_id'        => $post_id,
+                    'user_id'        => get_current_user_id(),
+                    'analysis'       => $analysis_data,
+                    'pass1_usage'    => $pass1_usage,
+                    'options'        => $options,
+                    'content_source' => $content_source,
+                ),
+                self::JOB_TTL
+            );
+            return;
+        }
+
+        $this->stream_schema_pass( $post_id, $provider, $settings, $api_key, $options, $analysis_data, $pass1_usage, $content_source );
+    }
+
+    /**
+     * Run pass 2 on findings the user reviewed
+     *
+     * @param string $review_id Job ID of the pass 1 that stopped for review.
+     * @param int    $post_id   Post ID.
+     * @param object $provider  LLM provider.
+     * @param array  $settings  Plugin settings.
+     * @param string $api_key   Decrypted API key.
+     * @param array  $edits     The user's edits, see WP_AI_Schema_Content_Analyzer::apply_edits().
+     */
+    private function continue_after_review( string $review_id, int $post_id, $provider, array $settings, string $api_key, array $edits ) {
+        $review = get_transient( 'wp_ai_schema_review_' . $review_id );
+
+        if ( ! is_array( $review ) || (int) $review['post_id'] !== $post_id || (int) $review['user_id'] !== get_current_user_id() ) {
+            $this->send_sse_event( 'error', array(
+                'message' => 'The reviewed findings have expired. Please generate again.',
+            ) );
+            return;
+        }
+
+        delete_transient( 'wp_ai_schema_review_' . $review_id );
+
+        $budget_error = $this->usage->get_budget_error( $settings );
+        if ( $budget_error ) {
+            $this->send_sse_event( 'error', array(
+                'message'         => $budget_error,
+                'budget_exceeded' => true,
+            ) );
+            return;
+        }
+
+        $this->stream_schema_pass(
+            $post_id,
+            $provider,
+            $settings,
+            $api_key,
+            $review['options'],
+            WP_AI_Schema_Content_Analyzer::apply_edits( $review['analysis'], $edits ),
+            $review['pass1_usage'],
+            $review['content_source']
+        );
+    }
+
+    /**
+     * Stream pass 2: generate the schema from the analysis and save it
+     *
+     * @param int    $post_id        Post ID.
+     * @param object $provider       LLM provider.
+     * @param array  $settings       Plugin settings.
+     * @param string $api_key        Decrypted API key.
+     * @param array  $options        Request options (force, fetch_frontend).
+     * @param array  $analysis_data  Analysis data from pass 1.
+     * @param array  $pass1_usage    Tracked usage of pass 1.
+     * @param string $content_source Where pass 1 read the content: 'frontend' or 'post'.
+     */
+    private function stream_schema_pass( int $post_id, $provider, array $settings, string $api_key, array $options, array $analysis_data, array $pass1_usage, string $content_source ) {
         // Phase 3: Pass 2 - Schema Generation with streaming
         $this->send_sse_event( 'status', array(
             'phase'   => 'pass2',
@@ -325,6 +834,7 @@ class WP_AI_Schema_Streaming_Handler {
                 'pass2',
                 false // is not analysis
             );
+            $pass2_usage = $this->usage->track( $schema_result['usage'] ?? array(), $settings );
         } catch ( Exception $e ) {
             $this->send_sse_event( 'debug', array(
                 'fatal_error' => 'Exception in stream_provider_request',
@@ -349,6 +859,11 @@ class WP_AI_Schema_Streaming_Handler {
             return;
         }
 
+        if ( ! empty( $schema_result['aborted'] ) ) {
+            $this->send_cancelled( $post_id, 'during pass 2' );
+            return;
+        }
+
         if ( ! $schema_result['success'] ) {
             $this->send_sse_event( 'error', array(
                 'message' => 'Schema generation failed: ' . $schema_result['error'],
@@ -356,23 +871,75 @@ class WP_AI_Schema_Streaming_Handler {
             return;
         }
 
-        // Extract and validate schema
-        $schema = $this->extract_schema( $schema_result['content'] );
+        // Extract and validate schema (same checks and encoding as the AJAX save)
+        $validation = $this->schema_validator->validate( $schema_result['content'] );
+
+        if ( ! $validation['valid'] ) {
+            WP_AI_Schema_Generator::log( sprintf( 'Validation failed for post %d: %s', $post_id, $validation['error'] ), 'error' );
 
-        if ( empty( $schema ) ) {
             $this->send_sse_event( 'error', array(
-                'message' => 'No valid schema in response',
+                'message' => 'No valid schema in response: ' . $validation['error'],
             ) );
             return;
         }
 
-        // Save schema
-        $this->save_schema( $post_id, $schema, $settings );
+        // Merge into the post's template (if any), then validate the merged graph too:
+        // template and filled post values haven't been through the validator yet
+        $validation = $this->schema_validator->validate( WP_AI_Schema_Templates::merge_generated( $post_id, $validation['schema'] ) );
+
+        if ( ! $validation['valid'] ) {
+            WP_AI_Schema_Generator::log( sprintf( 'Validation failed for post %d after template merge: %s', $post_id, $validation['error'] ), 'error' );
+
+            $this->send_sse_event( 'error', array(
+                'message' => 'Merged template schema is invalid: ' . $validation['error'],
+            ) );
+            return;
+        }
+
+        $schema = $validation['schema'];
+
+        // Save schema, keeping the old one live until the user accepts the new one
+        list( $time, $previous ) = $this->save_schema( $post_id, $schema, $validation['type'], $settings, $analysis_data );
+        $usage    = $this->usage->save(
+            $post_id,
+            array(
+                'pass1' => $pass1_usage,
+                'pass2' => $pass2_usage,
+            ),
+            $settings
+        );
 
         // Send completion
         $this->send_sse_event( 'complete', array(
-            'schema'  => $schema,
-            'message' => 'Schema generated successfully!',
+            'schema'          => $schema,
+            'cached'          => false,
+            'generated_at'    => $time,
+            'previous_schema' => $previous,
+            'message'         => 'Schema generated successfully!',
+            'options'         => array(
+                'type_hint'      => get_post_meta( $post_id, '_wp_ai_schema_type_hint', true ) ?: 'auto',
+                'force'          => $options['force'],
+                'fetch_frontend' => $options['fetch_frontend'],
+                'content_source' => $content_source,
+                'template'       => WP_AI_Schema_Templates::get_post_template( $post_id )['name'] ?? '',
+            ),
+            'usage'           => $usage,
+            'usage_summary'   => WP_AI_Schema_Usage::format( $usage ),
+        ) );
+    }
+
+    /**
+     * Log a cancellation and close out the job
+     *
+     * @param int    $post_id Post ID.
+     * @param string $when    Where generation stopped, for the log.
+     */
+    private function send_cancelled( int $post_id, string $when ) {
+        WP_AI_Schema_Generator::log( sprintf( 'Streaming cancelled by user %s for post %d', $when, $post_id ) );
+
+        $this->send_sse_event( 'error', array(
+            'message'   => 'Generation cancelled.',
+            'cancelled' => true,
         ) );
     }
 
@@ -462,6 +1029,8 @@ class WP_AI_Schema_Streaming_Handler {
                 $model = 'deepseek-chat';
             } elseif ( 'openai' === $provider_slug ) {
                 $model = 'gpt-5-nano'; // OpenAI default - MUST be gpt-5 for reasoning optimization
+            } elseif ( 'anthropic' === $provider_slug ) {
+                $model = 'claude-haiku-4-5';
             } else {
                 $model = 'gpt-4o-mini'; // Generic fallback
             }
@@ -469,7 +1038,15 @@ class WP_AI_Schema_Streaming_Handler {
         }
 
         // Get API endpoint
-        $endpoint = $this->get_provider_endpoint( $provider_slug );
+        $endpoint = $this->get_provider_endpoint( $provider, $settings );
+
+        if ( '' === $endpoint ) {
+            return array(
+                'success' => false,
+                'content' => null,
+                'error'   => 'Provider endpoint not configured',
+            );
+        }
 
         // Build messages
         $messages = $is_analysis
@@ -485,7 +1062,11 @@ class WP_AI_Schema_Streaming_Handler {
 
         // Build request body with streaming enabled
         // Provider-specific parameters
-        if ( 'openai' === $provider_slug ) {
+        if ( method_exists( $provider, 'build_request_body' ) ) {
+            // Providers with their own request format (Anthropic Messages API)
+            $body           = $provider->build_request_body( $messages, $model, $max_tokens, $settings );
+            $body['stream'] = true;
+        } elseif ( 'openai' === $provider_slug ) {
             // OpenAI Responses API: use 'input' instead of 'messages'
             // and 'max_output_tokens' instead of 'max_completion_tokens'
             $body = array(
@@ -506,11 +1087,13 @@ class WP_AI_Schema_Streaming_Handler {
         } else {
             // DeepSeek: use Chat Completions API with 'messages'
             $body = array(
-                'model'       => $model,
-                'messages'    => $messages,
-                'max_tokens'  => $max_tokens,
-                'temperature' => 0.3,
-                'stream'      => true,
+                'model'          => $model,
+                'messages'       => $messages,
+                'max_tokens'     => $max_tokens,
+                'temperature'    => 0.3,
+                'stream'         => true,
+                // Ask for a final chunk with token usage
+                'stream_options' => array( 'include_usage' => true ),
             );
         }
 
@@ -540,7 +1123,7 @@ class WP_AI_Schema_Streaming_Handler {
         $request_start = microtime( true );
 
         // Make streaming request
-        $result = $this->make_streaming_request( $endpoint, $api_key, $body, $phase );
+        $result = $this->make_streaming_request( $endpoint, $this->get_provider_headers( $provider, $api_key, $settings ), $body, $phase );
         
         $request_duration = round( microtime( true ) - $request_start, 2 );
         
@@ -557,16 +1140,46 @@ class WP_AI_Schema_Streaming_Handler {
     /**
      * Get API endpoint for provider
      *
-     * @param string $provider_slug Provider slug.
-     * @return string API endpoint URL.
+     * @param object $provider Provider instance.
+     * @param array  $settings Plugin settings (custom providers read their base URL from here).
+     * @return string API endpoint URL, or empty if not configured.
      */
-    private function get_provider_endpoint( string $provider_slug ): string {
+    private function get_provider_endpoint( $provider, array $settings ): string {
+        if ( method_exists( $provider, 'get_endpoint' ) ) {
+            return $provider->get_endpoint( $settings );
+        }
+
         $endpoints = array(
             'deepseek' => 'https://api.deepseek.com/v1/chat/completions',
             'openai'   => 'https://api.openai.com/v1/responses', // Responses API (recommended for GPT-5)
         );
 
-        return $endpoints[ $provider_slug ] ?? $endpoints['openai'];
+        return $endpoints[ $provider->get_slug() ] ?? $endpoints['openai'];
+    }
+
+    /**
+     * Get request headers for provider as cURL header lines
+     *
+     * @param object $provider Provider instance.
+     * @param string $api_key  Decrypted API key (may be empty if the provider doesn't need one).
+     * @param array  $settings Plugin settings.
+     * @return array Header lines.
+     */
+    private function get_provider_headers( $provider, string $api_key, array $settings ): array {
+        $headers = method_exists( $provider, 'get_request_headers' )
+            ? $provider->get_request_headers( $api_key, $settings )
+            : array(
+                'Content-Type'  => 'application/json',
+                'Authorization' => 'Bearer ' . $api_key,
+            );
+
+        $lines = array();
+
+        foreach ( $headers as $name => $value ) {
+            $lines[] = $name . ': ' . $value;
+        }
+
+        return $lines;
     }
 
     /**
@@ -622,6 +1235,20 @@ class WP_AI_Schema_Streaming_Handler {
      */
     private $error_response = '';
 
+    /**
+     * Error reported in-stream by the provider (after an HTTP 200)
+     *
+     * @var string
+     */
+    private $stream_error = '';
+
+    /**
+     * Token usage reported in the stream
+     *
+     * @var array
+     */
+    private $stream_usage = array();
+
     /**
      * Last time we sent a keepalive
      *
@@ -629,31 +1256,38 @@ class WP_AI_Schema_Streaming_Handler {
      */
     private $last_keepalive = 0;
 
+    /**
+     * Whether the current provider request was aborted because the job was cancelled
+     *
+     * @var bool
+     */
+    private $cancelled = false;
+
     /**
      * Make a streaming HTTP request and forward events
      *
      * @param string $endpoint API endpoint.
-     * @param string $api_key  API key.
+     * @param array  $headers  Request header lines.
      * @param array  $body     Request body.
      * @param string $phase    Current phase.
      * @return array Result with success, content, error.
      */
-    private function make_streaming_request( string $endpoint, string $api_key, array $body, string $phase ): array {
+    private function make_streaming_request( string $endpoint, array $headers, array $body, string $phase ): array {
         // Reset state
         $this->stream_buffer = '';
         $this->accumulated_content = '';
         $this->error_response = '';
+        $this->stream_error   = '';
+        $this->stream_usage   = array();
         $this->last_keepalive = microtime( true );
+        $this->cancelled      = false;
 
         // Use cURL for streaming support
         $ch = curl_init( $endpoint );
 
         curl_setopt_array( $ch, array(
             CURLOPT_POST           => true,
-            CURLOPT_HTTPHEADER     => array(
-                'Content-Type: application/json',
-                'Authorization: Bearer ' . $api_key,
-            ),
+            CURLOPT_HTTPHEADER     => $headers,
             CURLOPT_POSTFIELDS     => wp_json_encode( $body ),
             CURLOPT_RETURNTRANSFER => false,
             CURLOPT_TIMEOUT        => 300,
@@ -669,12 +1303,25 @@ class WP_AI_Schema_Streaming_Handler {
                     ) );
                     $this->last_keepalive = $now;
                 }
+
+                // Stop paying for tokens once the user cancels
+                if ( $this->job_cancelled() ) {
+                    $this->cancelled = true;
+                    return 1;
+                }
+
                 return 0; // Return 0 to continue, non-zero to abort
             },
             CURLOPT_WRITEFUNCTION  => function( $ch, $data ) use ( $phase ) {
                 // Reset keepalive timer when we receive data
                 $this->last_keepalive = microtime( true );
 
+                // Returning a short length makes cURL abort the transfer
+                if ( $this->job_cancelled() ) {
+                    $this->cancelled = true;
+                    return 0;
+                }
+
                 // Check HTTP code - if error, capture response for debugging
                 $http_code = curl_getinfo( $ch, CURLINFO_HTTP_CODE );
                 if ( $http_code >= 400 ) {
@@ -692,6 +1339,16 @@ class WP_AI_Schema_Streaming_Handler {
 
         curl_close( $ch );
 
+        if ( $this->cancelled ) {
+            WP_AI_Schema_Generator::log( "Job cancelled during {$phase}, provider request aborted" );
+            return array(
+                'success' => false,
+                'content' => null,
+                'error'   => 'Cancelled',
+                'aborted' => true,
+            );
+        }
+
         if ( $error ) {
             WP_AI_Schema_Generator::log( "cURL error: {$error}", 'error' );
             $this->send_sse_event( 'debug', array(
@@ -734,10 +1391,26 @@ class WP_AI_Schema_Streaming_Handler {
             );
         }
 
+        if ( '' !== $this->stream_error ) {
+            WP_AI_Schema_Generator::log( "API stream error: {$this->stream_error}", 'error' );
+            $this->send_sse_event( 'debug', array(
+                'error_type' => 'stream',
+                'error'      => $this->stream_error,
+                'phase'      => $phase,
+            ) );
+
+            return array(
+                'success' => false,
+                'content' => null,
+                'error'   => $this->stream_error,
+            );
+        }
+
         return array(
             'success' => true,
             'content' => $this->accumulated_content,
             'error'   => null,
+            'usage'   => $this->stream_usage,
         );
     }
 
@@ -799,6 +1472,19 @@ class WP_AI_Schema_Streaming_Handler {
                         WP_AI_Schema_Generator::log( 'First streaming event type: ' . ( $json['type'] ?? 'unknown' ) );
                     }
 
+                    // Usage comes in the final chunk (Chat Completions), in response.completed
+                    // (Responses API) or split over message_start and message_delta (Anthropic),
+                    // so keep the highest count seen for each side
+                    $usage = WP_AI_Schema_Abstract_Provider::normalize_usage(
+                        $json['usage'] ?? $json['response']['usage'] ?? $json['message']['usage'] ?? null
+                    );
+                    if ( $usage ) {
+                        $this->stream_usage = array(
+                            'input'  => max( $usage['input'], $this->stream_usage['input'] ?? 0 ),
+                            'output' => max( $usage['output'], $this->stream_usage['output'] ?? 0 ),
+                        );
+                    }
+
                     // Responses API format (GPT-5, recommended)
                     // Event type: "response.output_text.delta"
                     // Content location: json.delta
@@ -816,6 +1502,27 @@ class WP_AI_Schema_Streaming_Handler {
                             ) );
                         }
                     }
+                    // Anthropic Messages API format
+                    // Event type: "content_block_delta" with a text_delta
+                    // Content location: json.delta.text
+                    elseif ( isset( $json['type'] ) && $json['type'] === 'content_block_delta' ) {
+                        $content = $json['delta']['text'] ?? null;
+
+                        if ( $content !== null && $content !== '' ) {
+                            $this->accumulated_content .= $content;
+
+                            // Send content event
+                            $this->send_sse_event( 'content', array(
+                                'phase' => $phase,
+                                'chunk' => $content,
+                                'total' => strlen( $this->accumulated_content ),
+                            ) );
+                        }
+                    }
+                    // Anthropic reports failures such as overloaded_error inside the stream
+                    elseif ( isset( $json['type'] ) && $json['type'] === 'error' ) {
+                        $this->stream_error = $json['error']['message'] ?? 'Stream error';
+                    }
                     // Chat Completions API format (legacy, DeepSeek)
                     // Content location: choices[0].delta.content
                     elseif ( isset( $json['choices'][0]['delta']['content'] ) ) {
@@ -839,9 +1546,14 @@ class WP_AI_Schema_Streaming_Handler {
     /**
      * Report findings from analysis
      *
-     * @param array $analysis_data Parsed analysis data.
+     * Sends a status summary and a findings event listing the reviewable
+     * items. With a review ID the client lets the user edit them and
+     * continues with that ID; without one pass 2 starts right away.
+     *
+     * @param array  $analysis_data Parsed analysis data.
+     * @param string $review_id     Review ID, or empty if pass 2 follows without review.
      */
-    private function report_analysis_findings( array $analysis_data ) {
+    private function report_analysis_findings( array $analysis_data, string $review_id ) {
         $findings = array();
 
         if ( ! empty( $analysis_data['testimonials'] ) ) {
@@ -878,6 +1590,17 @@ class WP_AI_Schema_Streaming_Handler {
             'message'  => $message,
             'findings' => $analysis_data['item_counts'] ?? array(),
         ) );
+
+        $sections = array();
+
+        foreach ( array_keys( WP_AI_Schema_Content_Analyzer::EDITABLE_SECTIONS ) as $section ) {
+            $sections[ $section ] = is_array( $analysis_data[ $section ] ?? null ) ? array_values( $analysis_data[ $section ] ) : array();
+        }
+
+        $this->send_sse_event( 'findings', array(
+            'review_id' => $review_id,
+            'sections'  => $sections,
+        ) );
     }
 
     /**
@@ -913,47 +1636,32 @@ class WP_AI_Schema_Streaming_Handler {
     }
 
     /**
-     * Extract JSON-LD schema from response
+     * Save schema to post meta
      *
-     * @param string $content Response content.
-     * @return string|null Schema JSON or null.
+     * Mirrors the AJAX two-pass save so the content-hash cache works for both paths.
+     * The schema must already have been through the validator. If the post has
+     * schema already, the new one is held for review instead of going live.
+     *
+     * @param int    $post_id       Post ID.
+     * @param string $schema        Validated schema JSON.
+     * @param mixed  $detected_type Schema type reported by the validator.
+     * @param array  $settings      Plugin settings.
+     * @param array  $analysis_data Pass 1 analysis result.
+     * @return array array( generation timestamp, live schema awaiting review against, or empty string ).
      */
-    private function extract_schema( string $content ): ?string {
-        $content = trim( $content );
+    private function save_schema( int $post_id, string $schema, $detected_type, array $settings, array $analysis_data ): array {
+        $hash = $this->content_processor->generate_hash( $post_id, $settings );
+        $time = time();
+        $meta = $this->content_processor->get_generated_meta( $schema, $detected_type, $hash, $time );
 
-        // Remove markdown code fences
-        if ( preg_match( '/```(?:json|json-ld)?\s*([\s\S]*?)```/i', $content, $matches ) ) {
-            $content = trim( $matches[1] );
-        }
+        $meta['_wp_ai_schema_generation_mode'] = 'two_pass';
 
-        // Validate it's proper JSON
-        $decoded = json_decode( $content, true );
-        if ( json_last_error() !== JSON_ERROR_NONE ) {
-            return null;
-        }
+        $previous = $this->content_processor->store_generated_schema( $post_id, $meta );
 
-        // Re-encode with proper formatting
-        return wp_json_encode( $decoded, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
-    }
+        update_post_meta( $post_id, '_wp_ai_schema_analysis', wp_json_encode( $analysis_data ) );
 
-    /**
-     * Save schema to post meta
-     *
-     * @param int    $post_id  Post ID.
-     * @param string $schema   Schema JSON.
-     * @param array  $settings Plugin settings.
-     */
-    private function save_schema( int $post_id, string $schema, array $settings ) {
-        // Generate content hash for caching
-        $provider_slug = $settings['provider'] ?? 'deepseek';
-        $model_key     = $provider_slug . '_model';
-        $model         = $settings[ $model_key ] ?? '';
-        $hash_input    = $schema . $provider_slug . $model;
-        $hash          = hash( 'sha256', $hash_input );
+        $this->revisions->record( $post_id, $schema, 'streaming', $settings );
 
-        update_post_meta( $post_id, '_wp_ai_schema_schema', $schema );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_hash', $hash );
-        update_post_meta( $post_id, '_wp_ai_schema_schema_last_generated', time() );
-        delete_post_meta( $post_id, '_wp_ai_schema_schema_error' );
+        return array( $time, $previous );
     }
 }
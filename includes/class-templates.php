@@ -0,0 +1,691 @@
+<?php
+/**
+ * Schema templates class
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Library of reusable JSON-LD templates with placeholders
+ *
+ * Templates are edited on the settings page Templates tab and assigned to
+ * post types or taxonomy terms. Applying one fills its placeholders from the
+ * post, its meta and the business details without calling the AI. A post can
+ * also be linked to a template, in which case every AI generation for it is
+ * merged into the filled template before it is saved.
+ *
+ * Placeholders sit inside JSON strings: {{post.title}}, {{meta:price}},
+ * {{acf:opening_hours}}, {{business.phone}}. A string that is only a
+ * placeholder takes the value as is (so a list stays a list); properties
+ * left empty are dropped.
+ */
+class WP_AI_Schema_Templates {
+
+    /**
+     * Option holding the templates
+     */
+    const OPTION_NAME = 'wp_ai_schema_templates';
+
+    /**
+     * Settings group for the Templates tab form
+     */
+    const OPTION_GROUP = 'wp_ai_schema_templates_group';
+
+    /**
+     * Post meta key linking a post to the template its AI output is merged into
+     */
+    const META_KEY = '_wp_ai_schema_template';
+
+    /**
+     * Placeholder syntax: {{post.field}}, {{business.field}}, {{meta:key}} or {{acf:field}}
+     */
+    const PLACEHOLDER_PATTERN = '/\{\{\s*(post\.|business\.|meta:|acf:)([A-Za-z0-9_\-]+)\s*\}\}/';
+
+    /**
+     * {{post.*}} fields
+     */
+    const POST_FIELDS = array( 'id', 'title', 'url', 'excerpt', 'date', 'modified', 'slug', 'type', 'image', 'author' );
+
+    /**
+     * {{business.*}} fields and the setting each one reads (url is the home URL)
+     */
+    const BUSINESS_FIELDS = array(
+        'name'          => 'business_name',
+        'description'   => 'business_description',
+        'logo'          => 'business_logo',
+        'email'         => 'business_email',
+        'phone'         => 'business_phone',
+        'founding_date' => 'business_founding_date',
+        'url'           => '',
+    );
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize hooks
+     */
+    private function init_hooks() {
+        add_action( 'admin_init', array( $this, 'register_settings' ) );
+    }
+
+    /**
+     * Register the templates option
+     */
+    public function register_settings() {
+        register_setting(
+            self::OPTION_GROUP,
+            self::OPTION_NAME,
+            array(
+                'type'              => 'array',
+                'sanitize_callback' => array( $this, 'sanitize' ),
+                'default'           => array(),
+            )
+        );
+    }
+
+    /**
+     * Get all templates
+     *
+     * @return array Templates keyed by ID, each { id, name, schema, post_types, terms }.
+     */
+    public static function get_all(): array {
+        $templates = get_option( self::OPTION_NAME, array() );
+
+        return is_array( $templates ) ? $templates : array();
+    }
+
+    /**
+     * Get one template
+     *
+     * @param string $id Template ID.
+     * @return array|null Template or null if it doesn't exist.
+     */
+    public static function get( string $id ): ?array {
+        $templates = self::get_all();
+
+        return $templates[ $id ] ?? null;
+    }
+
+    /**
+     * Templates assigned to a post
+     *
+     * A template matches when the post has one of its post types or terms.
+     * Templates without any assignment are offered for every post.
+     *
+     * @param int $post_id Post ID.
+     * @return array Templates keyed by ID.
+     */
+    public static function get_for_post( int $post_id ): array {
+        $post_type = get_post_type( $post_id );
+        $matches   = array();
+
+        foreach ( self::get_all() as $id => $template ) {
+            $assigned = empty( $template['post_types'] ) && empty( $template['terms'] );
+
+            if ( ! $assigned && in_array( $post_type, $template['post_types'], true ) ) {
+                $assigned = true;
+            }
+
+            foreach ( $template['terms'] as $term ) {
+                list( $taxonomy, $slug ) = explode( ':', $term, 2 );
+
+                if ( $assigned || ( taxonomy_exists( $taxonomy ) && has_term( $slug, $taxonomy, $post_id ) ) ) {
+                    $assigned = true;
+                    break;
+                }
+            }
+
+            if ( $assigned ) {
+                $matches[ $id ] = $template;
+            }
+        }
+
+        return $matches;
+    }
+
+    /**
+     * Template a post's AI output is merged into
+     *
+     * @param int $post_id Post ID.
+     * @return array|null Template, or null if the post isn't linked to one that still exists.
+     */
+    public static function get_post_template( int $post_id ): ?array {
+        $id = get_post_meta( $post_id, self::META_KEY, true );
+
+        return $id ? self::get( $id ) : null;
+    }
+
+    /**
+     * Link a post to a template, or unlink it
+     *
+     * @param int    $post_id Post ID.
+     * @param string $id      Template ID, or empty to unlink.
+     */
+    public static function set_post_template( int $post_id, string $id ): void {
+        if ( '' !== $id && self::get( $id ) ) {
+            update_post_meta( $post_id, self::META_KEY, $id );
+        } else {
+            delete_post_meta( $post_id, self::META_KEY );
+        }
+    }
+
+    /**
+     * Fill a template's placeholders for a post
+     *
+     * @param array $template Template.
+     * @param int   $post_id  Post ID.
+     * @return array|null Filled JSON-LD document, or null if the post or template is unusable.
+     */
+    public static function fill( array $template, int $post_id ): ?array {
+        $post = get_post( $post_id );
+        $data = json_decode( $template['schema'] ?? '', true );
+
+        if ( ! $post || ! is_array( $data ) ) {
+            return null;
+        }
+
+        $filled = self::fill_value( $data, $post );
+
+        return is_array( $filled ) ? $filled : null;
+    }
+
+    /**
+     * Merge generated schema into the template a post is linked to
+     *
+     * The template's values win; the AI output fills in what it leaves out
+     * and adds entities it doesn't have.
+     *
+     * @param int    $post_id Post ID.
+     * @param string $schema  Generated schema JSON.
+     * @return string Merged schema JSON, or the generated schema if the post has no template.
+     */
+    public static function merge_generated( int $post_id, string $schema ): string {
+        $template  = self::get_post_template( $post_id );
+        $generated = json_decode( $schema, true );
+        $filled    = $template ? self::fill( $template, $post_id ) : null;
+
+        if ( null === $filled || ! is_array( $generated ) ) {
+            return $schema;
+        }
+
+        $graph = WP_AI_Schema_Conflict_Detector::merge_graph(
+            WP_AI_Schema_Conflict_Detector::get_entities( $filled ),
+            WP_AI_Schema_Conflict_Detector::get_entities( $generated )
+        );
+
+        WP_AI_Schema_Generator::log( sprintf( 'Merged generated schema for post %d into template "%s"', $post_id, $template['name'] ) );
+
+        return wp_json_encode(
+            array(
+                '@context' => 'https://schema.org',
+                '@graph'   => array_values( $graph ),
+            ),
+            JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE
+        );
+    }
+
+    /**
+     * Add a template to the library
+     *
+     * Goes through the option's sanitize callback like a save from the
+     * Templates tab.
+     *
+     * @param string $name       Template name.
+     * @param string $schema     Template JSON.
+     * @param array  $post_types Post types the template is assigned to.
+     * @return array|null The stored template, or null if it couldn't be saved.
+     */
+    public static function add( string $name, string $schema, array $post_types ): ?array {
+        $templates = self::get_all();
+        $id        = 'tpl_' . strtolower( wp_generate_password( 8, false ) );
+
+        $templates[ $id ] = array(
+            'id'         => $id,
+            'name'       => $name,
+            'schema'     => $schema,
+            'post_types' => $post_types,
+            'terms'      => array(),
+        );
+
+        update_option( self::OPTION_NAME, $templates );
+
+        return self::get( $id );
+    }
+
+    /**
+     * Find values in a schema that come from the post
+     *
+     * Looks for the title, URL, featured image, excerpt, author and dates the
+     * AI was given as page data. A string that is the value, or (for the URL
+     * and title) contains it, is offered for replacement by its placeholder.
+     *
+     * @param int   $post_id Post ID.
+     * @param array $data    Decoded schema.
+     * @return array List of { key, path, value, replacement }, key being the JSON-encoded path.
+     */
+    public static function find_post_values( int $post_id, array $data ): array {
+        $post = get_post( $post_id );
+
+        if ( ! $post ) {
+            return array();
+        }
+
+        $values = array();
+
+        foreach ( array( 'url', 'image', 'title', 'excerpt', 'date', 'modified', 'author' ) as $field ) {
+            $value = self::resolve_post_field( $field, $post );
+
+            // Short values such as a one-word title would match by chance
+            if ( strlen( $value ) >= 3 ) {
+                $values[ $field ] = $value;
+            }
+        }
+
+        $found = array();
+        self::collect_post_values( $data, array(), $values, $found );
+
+        return $found;
+    }
+
+    /**
+     * Replace values found by find_post_values() with their placeholders
+     *
+     * @param int   $post_id Post ID.
+     * @param array $data    Decoded schema.
+     * @param array $keys    Keys of the values to replace.
+     * @return array Schema with placeholders.
+     */
+    public static function replace_post_values( int $post_id, array $data, array $keys ): array {
+        foreach ( self::find_post_values( $post_id, $data ) as $found ) {
+            if ( ! in_array( $found['key'], $keys, true ) ) {
+                continue;
+            }
+
+            $node = &$data;
+
+            foreach ( json_decode( $found['key'], true ) as $segment ) {
+                $node = &$node[ $segment ];
+            }
+
+            $node = $found['replacement'];
+            unset( $node );
+        }
+
+        return $data;
+    }
+
+    /**
+     * Walk a decoded schema collecting strings that hold a post value
+     *
+     * @param mixed $value  Decoded JSON value.
+     * @param array $path   Keys leading to the value.
+     * @param array $values Post field => value.
+     * @param array $found  Matches, appended to.
+     */
+    private static function collect_post_values( $value, array $path, array $values, array &$found ) {
+        if ( is_array( $value ) ) {
+            foreach ( $value as $key => $item ) {
+                if ( '@context' !== $key ) {
+                    self::collect_post_values( $item, array_merge( $path, array( $key ) ), $values, $found );
+                }
+            }
+            return;
+        }
+
+        if ( ! is_string( $value ) || false !== strpos( $value, '{{' ) ) {
+            return;
+        }
+
+        $replacement = null;
+
+        foreach ( $values as $field => $post_value ) {
+            $placeholder = '{{post.' . $field . '}}';
+
+            if ( $value === $post_value ) {
+                $replacement = $placeholder;
+            } elseif ( in_array( $field, array( 'date', 'modified' ), true ) && substr( $post_value, 0, 10 ) === $value ) {
+                // The AI often shortens the date to Y-m-d
+                $replacement = $placeholder;
+            } elseif ( 'url' === $field && 0 === strpos( $value, $post_value ) ) {
+                // @id values such as https://example.com/page/#service
+                $replacement = $placeholder . substr( $value, strlen( $post_value ) );
+            } elseif ( 'title' === $field && false !== strpos( $value, $post_value ) ) {
+                $replacement = str_replace( $post_value, $placeholder, $value );
+            }
+
+            if ( null !== $replacement ) {
+                break;
+            }
+        }
+
+        if ( null === $replacement ) {
+            return;
+        }
+
+        $display = '';
+
+        foreach ( $path as $key ) {
+            $display .= is_int( $key ) ? '[' . $key . ']' : ( '' === $display ? '' : '.' ) . $key;
+        }
+
+        $found[] = array(
+            'key'         => wp_json_encode( $path ),
+            'path'        => $display,
+            'value'       => $value,
+            'replacement' => $replacement,
+        );
+    }
+
+    /**
+     * Fill placeholders in a decoded JSON value and drop what is left empty
+     *
+     * @param mixed   $value Decoded JSON value.
+     * @param WP_Post $post  Post.
+     * @return mixed Filled value, or null if it ended up empty.
+     */
+    private static function fill_value( $value, WP_Post $post ) {
+        if ( is_string( $value ) ) {
+            // A lone placeholder keeps the value's type (a list, a number)
+            if ( preg_match( '/^' . trim( self::PLACEHOLDER_PATTERN, '/' ) . '$/', trim( $value ), $match ) ) {
+                $value = self::resolve( $match[1], $match[2], $post );
+            } else {
+                $value = preg_replace_callback(
+                    self::PLACEHOLDER_PATTERN,
+                    function ( $match ) use ( $post ) {
+                        $resolved = self::resolve( $match[1], $match[2], $post );
+
+                        return is_array( $resolved ) ? implode( ', ', array_filter( $resolved, 'is_scalar' ) ) : (string) $resolved;
+                    },
+                    $value
+                );
+            }
+
+            return ( null === $value || '' === $value || array() === $value ) ? null : $value;
+        }
+
+        if ( ! is_array( $value ) ) {
+            return $value;
+        }
+
+        $is_list = wp_is_numeric_array( $value );
+        $filled  = array();
+
+        foreach ( $value as $key => $item ) {
+            $item = self::fill_value( $item, $post );
+
+            if ( null !== $item ) {
+                $filled[ $key ] = $item;
+            }
+        }
+
+        if ( $is_list ) {
+            $filled = array_values( $filled );
+        }
+
+        // An object with nothing but its @type (or nothing at all) has lost all its data
+        $keys = array_diff( array_keys( $filled ), array( '@type', '@context' ) );
+
+        return empty( $keys ) ? null : $filled;
+    }
+
+    /**
+     * Value of one placeholder
+     *
+     * @param string  $source 'post.', 'business.', 'meta:' or 'acf:'.
+     * @param string  $key    Field, meta key or ACF field name.
+     * @param WP_Post $post   Post.
+     * @return mixed Value, or empty string if there is none.
+     */
+    private static function resolve( string $source, string $key, WP_Post $post ) {
+        switch ( $source ) {
+            case 'post.':
+                return self::resolve_post_field( $key, $post );
+
+            case 'business.':
+                if ( ! array_key_exists( $key, self::BUSINESS_FIELDS ) ) {
+                    return '';
+                }
+
+                if ( 'url' === $key ) {
+                    return home_url( '/' );
+                }
+
+                return WP_AI_Schema_Generator::get_settings()[ self::BUSINESS_FIELDS[ $key ] ] ?? '';
+
+            case 'meta:':
+                return get_post_meta( $post->ID, $key, true );
+
+            case 'acf:':
+                // Without ACF the field is read as plain post meta
+                $value = function_exists( 'get_field' ) ? get_field( $key, $post->ID ) : get_post_meta( $post->ID, $key, true );
+
+                // Image and link fields return an array with the URL in it
+                if ( is_array( $value ) && isset( $value['url'] ) && is_string( $value['url'] ) ) {
+                    return $value['url'];
+                }
+
+                return false === $value ? '' : $value;
+        }
+
+        return '';
+    }
+
+    /**
+     * Value of a {{post.*}} placeholder
+     *
+     * @param string  $field One of self::POST_FIELDS.
+     * @param WP_Post $post  Post.
+     * @return string
+     */
+    private static function resolve_post_field( string $field, WP_Post $post ): string {
+        switch ( $field ) {
+            case 'id':
+                return (string) $post->ID;
+            case 'title':
+                return html_entity_decode( wp_strip_all_tags( get_the_title( $post ) ), ENT_QUOTES, 'UTF-8' );
+            case 'url':
+                return (string) get_permalink( $post );
+            case 'excerpt':
+                return html_entity_decode( wp_strip_all_tags( get_the_excerpt( $post ) ), ENT_QUOTES, 'UTF-8' );
+            case 'date':
+                return (string) get_the_date( 'c', $post );
+            case 'modified':
+                return (string) get_the_modified_date( 'c', $post );
+            case 'slug':
+                return $post->post_name;
+            case 'type':
+                return $post->post_type;
+            case 'image':
+                return (string) get_the_post_thumbnail_url( $post, 'full' );
+            case 'author':
+                return (string) get_the_author_meta( 'display_name', $post->post_author );
+        }
+
+        return '';
+    }
+
+    /**
+     * Sanitize the templates submitted from the Templates tab
+     *
+     * Rows without a name and JSON are dropped. A template whose JSON doesn't
+     * parse keeps its previous JSON and an error is shown.
+     *
+     * @param mixed $input Submitted rows.
+     * @return array Templates keyed by ID.
+     */
+    public function sanitize( $input ): array {
+        $current    = self::get_all();
+        $post_types = get_post_types( array( 'public' => true ) );
+        $sanitized  = array();
+
+        foreach ( is_array( $input ) ? $input : array() as $row ) {
+            $name   = sanitize_text_field( $row['name'] ?? '' );
+            $schema = trim( (string) ( $row['schema'] ?? '' ) );
+
+            if ( '' === $name && '' === $schema ) {
+                continue;
+            }
+
+            $id = sanitize_key( $row['id'] ?? '' );
+
+            if ( '' === $id || isset( $sanitized[ $id ] ) ) {
+                $id = 'tpl_' . strtolower( wp_generate_password( 8, false ) );
+            }
+
+            $name    = '' !== $name ? $name : __( 'Untitled template', 'wp-ai-seo-schema-generator' );
+            $decoded = json_decode( $schema, true );
+
+            if ( is_array( $decoded ) ) {
+                $schema = wp_json_encode( $decoded, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+            } else {
+                add_settings_error(
+                    self::OPTION_NAME,
+                    'invalid_json_' . $id,
+                    sprintf(
+                        /* translators: 1: template name, 2: JSON error */
+                        __( 'Template "%1$s" is not valid JSON (%2$s). Its previous JSON was kept.', 'wp-ai-seo-schema-generator' ),
+                        $name,
+                        json_last_error_msg()
+                    )
+                );
+                $schema = $current[ $id ]['schema'] ?? '{}';
+            }
+
+            $terms = array();
+
+            // Text from the form, a list when saved from the metabox
+            $terms_input = $row['terms'] ?? '';
+            $terms_input = is_array( $terms_input ) ? implode( ',', $terms_input ) : (string) $terms_input;
+
+            foreach ( preg_split( '/[\s,]+/', $terms_input, -1, PREG_SPLIT_NO_EMPTY ) as $term ) {
+                $parts = explode( ':', $term, 2 );
+
+                if ( 2 === count( $parts ) && '' !== sanitize_key( $parts[0] ) && '' !== sanitize_title( $parts[1] ) ) {
+                    $terms[] = sanitize_key( $parts[0] ) . ':' . sanitize_title( $parts[1] );
+                }
+            }
+
+            $sanitized[ $id ] = array(
+                'id'         => $id,
+                'name'       => $name,
+                'schema'     => $schema,
+                'post_types' => array_values( array_intersect( array_map( 'sanitize_key', (array) ( $row['post_types'] ?? array() ) ), $post_types ) ),
+                'terms'      => array_values( array_unique( $terms ) ),
+            );
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Render the Templates tab
+     */
+    public function render() {
+        $templates  = array_values( self::get_all() );
+        $post_types = get_post_types( array( 'public' => true ), 'objects' );
+
+        // One empty row to start from (and to clone for new templates)
+        if ( empty( $templates ) ) {
+            $templates = array(
+                array(
+                    'id'         => '',
+                    'name'       => '',
+                    'schema'     => '',
+                    'post_types' => array(),
+                    'terms'      => array(),
+                ),
+            );
+        }
+        ?>
+        <div class="ai-jsonld-templates-help">
+            <p><?php esc_html_e( 'Templates are JSON-LD snippets for pages that share a structure, such as location pages. Applying one fills its placeholders without calling the AI. Placeholders go inside JSON strings:', 'wp-ai-seo-schema-generator' ); ?></p>
+            <ul>
+                <li><code>{{post.<?php echo esc_html( implode( '}}</code> <code>{{post.', self::POST_FIELDS ) ); ?>}}</code></li>
+                <li><code>{{business.<?php echo esc_html( implode( '}}</code> <code>{{business.', array_keys( self::BUSINESS_FIELDS ) ) ); ?>}}</code></li>
+                <li><code>{{meta:<?php esc_html_e( 'key', 'wp-ai-seo-schema-generator' ); ?>}}</code> <?php esc_html_e( 'post meta', 'wp-ai-seo-schema-generator' ); ?>, <code>{{acf:<?php esc_html_e( 'field', 'wp-ai-seo-schema-generator' ); ?>}}</code> <?php esc_html_e( 'ACF field (post meta without ACF)', 'wp-ai-seo-schema-generator' ); ?></li>
+            </ul>
+            <p class="description"><?php esc_html_e( 'A string that is only a placeholder takes the value as is, so a list stays a list. Properties left empty are dropped.', 'wp-ai-seo-schema-generator' ); ?></p>
+        </div>
+
+        <form method="post" action="options.php">
+            <?php settings_fields( self::OPTION_GROUP ); ?>
+
+            <div class="ai-jsonld-templates" id="ai-jsonld-templates">
+                <?php foreach ( $templates as $index => $template ) : ?>
+                    <?php $field = self::OPTION_NAME . '[' . $index . ']'; ?>
+                    <div class="ai-jsonld-template" data-index="<?php echo esc_attr( $index ); ?>">
+                        <input type="hidden" name="<?php echo esc_attr( $field ); ?>[id]" value="<?php echo esc_attr( $template['id'] ); ?>" />
+
+                        <div class="ai-jsonld-template-header">
+                            <input
+                                type="text"
+                                name="<?php echo esc_attr( $field ); ?>[name]"
+                                value="<?php echo esc_attr( $template['name'] ); ?>"
+                                class="regular-text"
+                                placeholder="<?php esc_attr_e( 'Template name, e.g. Location page', 'wp-ai-seo-schema-generator' ); ?>"
+                            />
+                            <button type="button" class="button ai-jsonld-remove-template">
+                                <?php esc_html_e( 'Remove', 'wp-ai-seo-schema-generator' ); ?>
+                            </button>
+                        </div>
+
+                        <textarea
+                            name="<?php echo esc_attr( $field ); ?>[schema]"
+                            rows="12"
+                            class="large-text code"
+                            placeholder="<?php echo esc_attr( '{"@context": "https://schema.org", "@type": "LocalBusiness", "name": "{{post.title}}", "telephone": "{{business.phone}}"}' ); ?>"
+                        ><?php echo esc_textarea( $template['schema'] ); ?></textarea>
+
+                        <div class="ai-jsonld-field-row">
+                            <label><?php esc_html_e( 'Post types', 'wp-ai-seo-schema-generator' ); ?></label>
+                            <div class="ai-jsonld-template-post-types">
+                                <?php foreach ( $post_types as $post_type ) : ?>
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            name="<?php echo esc_attr( $field ); ?>[post_types][]"
+                                            value="<?php echo esc_attr( $post_type->name ); ?>"
+                                            <?php checked( in_array( $post_type->name, $template['post_types'], true ) ); ?>
+                                        />
+                                        <?php echo esc_html( $post_type->labels->name ); ?>
+                                    </label>
+                                <?php endforeach; ?>
+                            </div>
+                        </div>
+
+                        <div class="ai-jsonld-field-row">
+                            <label><?php esc_html_e( 'Terms', 'wp-ai-seo-schema-generator' ); ?></label>
+                            <input
+                                type="text"
+                                name="<?php echo esc_attr( $field ); ?>[terms]"
+                                value="<?php echo esc_attr( implode( ', ', $template['terms'] ) ); ?>"
+                                class="regular-text"
+                                placeholder="<?php esc_attr_e( 'e.g. category:locations, region:north', 'wp-ai-seo-schema-generator' ); ?>"
+                            />
+                        </div>
+                    </div>
+                <?php endforeach; ?>
+            </div>
+
+            <p>
+                <button type="button" class="button button-secondary" id="ai-jsonld-add-template">
+                    <?php esc_html_e( '+ Add Template', 'wp-ai-seo-schema-generator' ); ?>
+                </button>
+            </p>
+            <p class="description"><?php esc_html_e( 'A template is offered in the editor for posts of its post types or with one of its terms (taxonomy:slug). A template with neither is offered everywhere.', 'wp-ai-seo-schema-generator' ); ?></p>
+
+            <?php submit_button(); ?>
+        </form>
+        <?php
+    }
+}
@@ -0,0 +1,877 @@
+<?php
+/**
+ * Settings import and export class
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Moves plugin data between sites (e.g. staging and production)
+ *
+ * Export downloads a versioned JSON bundle with the settings, business
+ * details, schema templates and optionally every post's schema. API keys are
+ * only included re-encrypted with a passphrase, since the stored ones are
+ * tied to this site's salts. Import first previews what the bundle would
+ * change (a dry run) and writes only the sections the user then confirms.
+ */
+class WP_AI_Schema_Transfer {
+
+    /**
+     * Bundle format identifier
+     */
+    const FORMAT = 'wp-ai-schema-bundle';
+
+    /**
+     * Bundle format version (bump when the structure changes)
+     */
+    const VERSION = 1;
+
+    /**
+     * Nonce action for export and import requests
+     */
+    const NONCE_ACTION = 'wp_ai_schema_transfer';
+
+    /**
+     * Bundle sections that can be imported
+     */
+    const SECTIONS = array( 'settings', 'business', 'secrets', 'templates', 'posts' );
+
+    /**
+     * Settings stored encrypted with this site's salts
+     */
+    const API_KEY_FIELDS = array( 'deepseek_api_key', 'openai_api_key', 'anthropic_api_key', 'custom_api_key' );
+
+    /**
+     * Settings that may hold credentials, exported only with a passphrase
+     * (custom headers often carry an Authorization token)
+     */
+    const SECRET_FIELDS = array( 'deepseek_api_key', 'openai_api_key', 'anthropic_api_key', 'custom_api_key', 'custom_headers' );
+
+    /**
+     * Known value encrypted with the passphrase, to tell a wrong passphrase on import
+     */
+    const PASSPHRASE_CHECK = 'wp-ai-schema';
+
+    /**
+     * Encryption handler
+     *
+     * @var WP_AI_Schema_Encryption
+     */
+    private $encryption;
+
+    /**
+     * Content processor
+     *
+     * @var WP_AI_Schema_Content_Processor
+     */
+    private $content_processor;
+
+    /**
+     * Schema validator
+     *
+     * @var WP_AI_Schema_Validator
+     */
+    private $schema_validator;
+
+    /**
+     * Schema revisions
+     *
+     * @var WP_AI_Schema_Revisions
+     */
+    private $revisions;
+
+    /**
+     * Conflict detector (per-post merge mode)
+     *
+     * @var WP_AI_Schema_Conflict_Detector
+     */
+    private $conflict_detector;
+
+    /**
+     * Constructor
+     *
+     * @param WP_AI_Schema_Encryption        $encryption        Encryption instance.
+     * @param WP_AI_Schema_Content_Processor $content_processor Content processor instance.
+     * @param WP_AI_Schema_Validator         $schema_validator  Schema validator instance.
+     * @param WP_AI_Schema_Revisions         $revisions         Revisions instance.
+     * @param WP_AI_Schema_Conflict_Detector $conflict_detector Conflict detector instance.
+     */
+    public function __construct(
+        WP_AI_Schema_Encryption $encryption,
+        WP_AI_Schema_Content_Processor $content_processor,
+        WP_AI_Schema_Validator $schema_validator,
+        WP_AI_Schema_Revisions $revisions,
+        WP_AI_Schema_Conflict_Detector $conflict_detector
+    ) {
+        $this->encryption        = $encryption;
+        $this->content_processor = $content_processor;
+        $this->schema_validator  = $schema_validator;
+        $this->revisions         = $revisions;
+        $this->conflict_detector = $conflict_detector;
+
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize hooks
+     */
+    private function init_hooks() {
+        add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+        add_action( 'admin_post_wp_ai_schema_export', array( $this, 'handle_export' ) );
+        add_action( 'wp_ajax_wp_ai_schema_import_preview', array( $this, 'handle_import_preview' ) );
+        add_action( 'wp_ajax_wp_ai_schema_import', array( $this, 'handle_import' ) );
+    }
+
+    /**
+     * Enqueue assets on the settings page Import / Export tab
+     *
+     * @param string $hook Current admin page hook.
+     */
+    public function enqueue_assets( $hook ) {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+        $tab = isset( $_GET['tab'] ) ? sanitize_key( wp_unslash( $_GET['tab'] ) ) : '';
+
+        if ( 'settings_page_' . WP_AI_Schema_Admin::PAGE_SLUG !== $hook || 'transfer' !== $tab ) {
+            return;
+        }
+
+        wp_register_script(
+            'ai-jsonld-escape-html',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/escape-html.js',
+            array(),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'ai-jsonld-transfer',
+            WP_AI_SCHEMA_PLUGIN_URL . 'assets/js/transfer.js',
+            array( 'jquery', 'ai-jsonld-escape-html' ),
+            WP_AI_SCHEMA_VERSION,
+            true
+        );
+
+        wp_localize_script(
+            'ai-jsonld-transfer',
+            'wpAiSchemaTransfer',
+            array(
+                'ajax_url' => admin_url( 'admin-ajax.php' ),
+                'nonce'    => wp_create_nonce( self::NONCE_ACTION ),
+                'i18n'     => array(
+                    'no_file'            => __( 'Choose an export file first.', 'wp-ai-seo-schema-generator' ),
+                    'reading'            => __( 'Checking...', 'wp-ai-seo-schema-generator' ),
+                    'preview'            => __( 'Preview Import', 'wp-ai-seo-schema-generator' ),
+                    'preview_error'      => __( 'Error reading the export file', 'wp-ai-seo-schema-generator' ),
+                    'importing'          => __( 'Importing...', 'wp-ai-seo-schema-generator' ),
+                    'import'             => __( 'Import Selected', 'wp-ai-seo-schema-generator' ),
+                    'import_error'       => __( 'Error importing', 'wp-ai-seo-schema-generator' ),
+                    'bundle_from'        => __( 'Exported from %1$s on %2$s (plugin %3$s).', 'wp-ai-seo-schema-generator' ),
+                    'dry_run'            => __( 'Nothing has been written yet. Tick the sections to import:', 'wp-ai-seo-schema-generator' ),
+                    'section_settings'   => __( 'Settings', 'wp-ai-seo-schema-generator' ),
+                    'section_business'   => __( 'Business details', 'wp-ai-seo-schema-generator' ),
+                    'section_secrets'    => __( 'API keys and custom headers', 'wp-ai-seo-schema-generator' ),
+                    'section_templates'  => __( 'Schema templates', 'wp-ai-seo-schema-generator' ),
+                    'section_posts'      => __( 'Post schemas', 'wp-ai-seo-schema-generator' ),
+                    'not_included'       => __( 'Not in this export.', 'wp-ai-seo-schema-generator' ),
+                    'no_changes'         => __( 'Same as this site.', 'wp-ai-seo-schema-generator' ),
+                    'current_value'      => __( 'Current', 'wp-ai-seo-schema-generator' ),
+                    'incoming_value'     => __( 'Imported', 'wp-ai-seo-schema-generator' ),
+                    'secrets_fields'     => __( 'Includes: %s.', 'wp-ai-seo-schema-generator' ),
+                    'secrets_locked'     => __( 'Enter the export passphrase and preview again to import these.', 'wp-ai-seo-schema-generator' ),
+                    'secrets_wrong'      => __( 'The passphrase is wrong. Preview again with the passphrase used for the export.', 'wp-ai-seo-schema-generator' ),
+                    'template_added'     => __( 'New: %s', 'wp-ai-seo-schema-generator' ),
+                    'template_replaced'  => __( 'Replaces: %s', 'wp-ai-seo-schema-generator' ),
+                    'posts_matched'      => __( '%1$d of %2$d posts found on this site (by post type and slug), %3$d with a different schema:', 'wp-ai-seo-schema-generator' ),
+                    'posts_unmatched'    => __( 'Not found here, skipped: %s', 'wp-ai-seo-schema-generator' ),
+                    'post_new'           => __( 'no schema yet', 'wp-ai-seo-schema-generator' ),
+                    'post_replace'       => __( 'replaces schema', 'wp-ai-seo-schema-generator' ),
+                    'post_same'          => __( 'same schema', 'wp-ai-seo-schema-generator' ),
+                ),
+            )
+        );
+    }
+
+    /**
+     * Render the Import / Export tab
+     */
+    public function render() {
+        $can_encrypt = $this->encryption->is_available();
+        ?>
+        <div class="ai-jsonld-transfer">
+            <h2><?php esc_html_e( 'Export', 'wp-ai-seo-schema-generator' ); ?></h2>
+            <p><?php esc_html_e( 'Download the settings, business details and schema templates as a JSON file to import on another site, e.g. from staging to production.', 'wp-ai-seo-schema-generator' ); ?></p>
+
+            <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+                <input type="hidden" name="action" value="wp_ai_schema_export" />
+                <?php wp_nonce_field( self::NONCE_ACTION ); ?>
+
+                <p>
+                    <label>
+                        <input type="checkbox" name="include_posts" value="1" />
+                        <?php esc_html_e( 'Include the schema of every post (matched by post type and slug on import)', 'wp-ai-seo-schema-generator' ); ?>
+                    </label>
+                </p>
+                <p>
+                    <label>
+                        <input type="checkbox" name="include_secrets" value="1" id="wp_ai_schema_export_secrets" <?php disabled( ! $can_encrypt ); ?> />
+                        <?php esc_html_e( 'Include API keys and custom headers, encrypted with a passphrase', 'wp-ai-seo-schema-generator' ); ?>
+                    </label>
+                    <?php if ( ! $can_encrypt ) : ?>
+                        <br><span class="description"><?php esc_html_e( 'Needs the OpenSSL PHP extension.', 'wp-ai-seo-schema-generator' ); ?></span>
+                    <?php endif; ?>
+                </p>
+                <p class="ai-jsonld-transfer-passphrase hidden" id="wp_ai_schema_export_passphrase_row">
+                    <label for="wp_ai_schema_export_passphrase"><?php esc_html_e( 'Passphrase:', 'wp-ai-seo-schema-generator' ); ?></label>
+                    <input type="password" name="passphrase" id="wp_ai_schema_export_passphrase" class="regular-text" autocomplete="new-password" />
+                    <br><span class="description"><?php esc_html_e( 'Needed again to import the keys. Without this option keys are left out and the other site keeps its own.', 'wp-ai-seo-schema-generator' ); ?></span>
+                </p>
+
+                <?php submit_button( __( 'Export', 'wp-ai-seo-schema-generator' ), 'secondary' ); ?>
+            </form>
+
+            <h2><?php esc_html_e( 'Import', 'wp-ai-seo-schema-generator' ); ?></h2>
+            <p><?php esc_html_e( 'Choose an export file to see what it would change. Nothing is written until you confirm.', 'wp-ai-seo-schema-generator' ); ?></p>
+
+            <p>
+                <input type="file" id="wp_ai_schema_import_file" accept=".json,application/json" />
+            </p>
+            <p>
+                <label for="wp_ai_schema_import_passphrase"><?php esc_html_e( 'Passphrase (if the export includes API keys):', 'wp-ai-seo-schema-generator' ); ?></label>
+                <input type="password" id="wp_ai_schema_import_passphrase" class="regular-text" autocomplete="off" />
+            </p>
+            <p>
+                <button type="button" id="wp_ai_schema_import_preview" class="button">
+                    <?php esc_html_e( 'Preview Import', 'wp-ai-seo-schema-generator' ); ?>
+                </button>
+                <span class="ai-jsonld-transfer-spinner spinner"></span>
+            </p>
+
+            <div id="wp_ai_schema_import_message" class="notice inline hidden"></div>
+            <div id="wp_ai_schema_import_preview_panel" class="ai-jsonld-transfer-preview hidden"></div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Handle the export form: send the bundle as a file download
+     */
+    public function handle_export() {
+        check_admin_referer( self::NONCE_ACTION );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-ai-seo-schema-generator' ), '', array( 'response' => 403 ) );
+        }
+
+        $include_secrets = ! empty( $_POST['include_secrets'] );
+        $passphrase      = isset( $_POST['passphrase'] ) ? (string) wp_unslash( $_POST['passphrase'] ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+        if ( $include_secrets && '' === $passphrase ) {
+            wp_die(
+                esc_html__( 'Enter a passphrase to include API keys in the export.', 'wp-ai-seo-schema-generator' ),
+                '',
+                array( 'back_link' => true )
+            );
+        }
+
+        $bundle   = $this->build_bundle( $include_secrets ? $passphrase : '', ! empty( $_POST['include_posts'] ) );
+        $filename = sprintf( 'ai-jsonld-export-%s-%s.json', sanitize_file_name( wp_parse_url( home_url(), PHP_URL_HOST ) ), gmdate( 'Y-m-d' ) );
+
+        WP_AI_Schema_Generator::log( sprintf( 'Settings exported (%d posts, API keys %s)', count( $bundle['posts'] ?? array() ), $include_secrets ? 'included' : 'excluded' ) );
+
+        nocache_headers();
+        header( 'Content-Type: application/json; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+        echo wp_json_encode( $bundle, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+        exit;
+    }
+
+    /**
+     * Build the export bundle
+     *
+     * @param string $passphrase    Passphrase to encrypt the secrets with, or empty to leave them out.
+     * @param bool   $include_posts Whether to include every post's schema.
+     * @return array Bundle.
+     */
+    public function build_bundle( string $passphrase, bool $include_posts ): array {
+        $settings = WP_AI_Schema_Generator::get_settings();
+        $bundle   = array(
+            'format'         => self::FORMAT,
+            'version'        => self::VERSION,
+            'plugin_version' => WP_AI_SCHEMA_VERSION,
+            'site'           => home_url(),
+            'exported_at'    => gmdate( 'c' ),
+            'settings'       => array(),
+            'business'       => array(),
+            'secrets'        => null,
+            'templates'      => array_values( WP_AI_Schema_Templates::get_all() ),
+        );
+
+        foreach ( $settings as $key => $value ) {
+            if ( in_array( $key, self::SECRET_FIELDS, true ) || 'settings_version' === $key ) {
+                continue;
+            }
+
+            $bundle[ $this->is_business_field( $key ) ? 'business' : 'settings' ][ $key ] = $value;
+        }
+
+        if ( '' !== $passphrase ) {
+            $bundle['secrets'] = array(
+                'check'  => $this->encryption->encrypt_with_passphrase( self::PASSPHRASE_CHECK, $passphrase ),
+                'fields' => array(),
+            );
+
+            foreach ( self::SECRET_FIELDS as $key ) {
+                $value = in_array( $key, self::API_KEY_FIELDS, true ) ? $this->encryption->decrypt( $settings[ $key ] ?? '' ) : ( $settings[ $key ] ?? '' );
+
+                if ( '' !== $value ) {
+                    $bundle['secrets']['fields'][ $key ] = $this->encryption->encrypt_with_passphrase( $value, $passphrase );
+                }
+            }
+        }
+
+        if ( $include_posts ) {
+            $bundle['posts'] = $this->export_posts();
+        }
+
+        return $bundle;
+    }
+
+    /**
+     * Schema and per-post options of every post that has schema
+     *
+     * @return array List of { post_type, slug, title, schema, type_hint, instructions, pinned_properties, template, merge_mode }.
+     */
+    private function export_posts(): array {
+        $post_ids = get_posts(
+            array(
+                'post_type'      => 'any',
+                'post_status'    => array( 'publish', 'draft', 'pending', 'private', 'future' ),
+                'posts_per_page' => -1,
+                'fields'         => 'ids',
+                'meta_key'       => '_wp_ai_schema_schema', // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+                'meta_compare'   => '!=',
+                'meta_value'     => '', // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value
+            )
+        );
+
+        $posts = array();
+
+        foreach ( $post_ids as $post_id ) {
+            $post = get_post( $post_id );
+
+            // Without a slug the post can't be matched on the other site
+            if ( ! $post || '' === $post->post_name ) {
+                continue;
+            }
+
+            $pinned = array();
+
+            foreach ( WP_AI_Schema_Prompt_Builder::get_pinned_properties( $post_id ) as $name => $value ) {
+                $pinned[] = array(
+                    'name'  => $name,
+                    'value' => is_scalar( $value ) ? (string) $value : wp_json_encode( $value ),
+                );
+            }
+
+            $posts[] = array(
+                'post_type'         => $post->post_type,
+                'slug'              => $post->post_name,
+                'title'             => $post->post_title,
+                'schema'            => get_post_meta( $post_id, '_wp_ai_schema_schema', true ),
+                'type_hint'         => get_post_meta( $post_id, '_wp_ai_schema_type_hint', true ) ?: 'auto',
+                'instructions'      => get_post_meta( $post_id, '_wp_ai_schema_instructions', true ),
+                'pinned_properties' => $pinned,
+                'template'          => get_post_meta( $post_id, WP_AI_Schema_Templates::META_KEY, true ),
+                'merge_mode'        => $this->conflict_detector->is_merge_mode( $post_id ),
+            );
+        }
+
+        return $posts;
+    }
+
+    /**
+     * Handle AJAX import preview request (dry run)
+     */
+    public function handle_import_preview() {
+        $bundle     = $this->get_posted_bundle();
+        $passphrase = isset( $_POST['passphrase'] ) ? (string) wp_unslash( $_POST['passphrase'] ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+        wp_send_json_success( $this->preview( $bundle, $passphrase ) );
+    }
+
+    /**
+     * Handle AJAX import request for the sections the user confirmed
+     */
+    public function handle_import() {
+        $bundle     = $this->get_posted_bundle();
+        $passphrase = isset( $_POST['passphrase'] ) ? (string) wp_unslash( $_POST['passphrase'] ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $sections   = isset( $_POST['sections'] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST['sections'] ) ) : array();
+        $sections   = array_values( array_intersect( self::SECTIONS, $sections ) );
+
+        if ( empty( $sections ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Tick at least one section to import.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        $result = $this->import( $bundle, $sections, $passphrase );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array(
+                'message' => $result->get_error_message(),
+            ) );
+        }
+
+        WP_AI_Schema_Generator::log( sprintf( 'Imported %s from %s', implode( ', ', $sections ), $bundle['site'] ?? 'unknown site' ) );
+
+        wp_send_json_success( array(
+            'message' => sprintf(
+                /* translators: 1: number of templates, 2: number of posts */
+                __( 'Import complete. %1$d templates and %2$d post schemas imported.', 'wp-ai-seo-schema-generator' ),
+                $result['templates'],
+                $result['posts']
+            ),
+        ) );
+    }
+
+    /**
+     * Check the request and decode the posted bundle
+     *
+     * Sends a JSON error and exits if the request isn't allowed or the
+     * bundle isn't one this version can read.
+     *
+     * @return array Bundle.
+     */
+    private function get_posted_bundle(): array {
+        if ( ! check_ajax_referer( self::NONCE_ACTION, 'nonce', false ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Security check failed.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'Permission denied.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        // Raw JSON - every section is sanitized when it is written
+        $bundle = isset( $_POST['bundle'] ) ? json_decode( wp_unslash( $_POST['bundle'] ), true ) : null; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+        if ( ! is_array( $bundle ) || self::FORMAT !== ( $bundle['format'] ?? '' ) ) {
+            wp_send_json_error( array(
+                'message' => __( 'This is not an AI JSON-LD export file.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        if ( intval( $bundle['version'] ?? 0 ) > self::VERSION ) {
+            wp_send_json_error( array(
+                'message' => __( 'This export was made by a newer version of the plugin. Update the plugin on this site first.', 'wp-ai-seo-schema-generator' ),
+            ) );
+        }
+
+        return $bundle;
+    }
+
+    /**
+     * Describe what importing a bundle would change, without writing anything
+     *
+     * @param array  $bundle     Bundle.
+     * @param string $passphrase Passphrase for the secrets.
+     * @return array Per section: what is in the bundle and how it differs from this site.
+     */
+    public function preview( array $bundle, string $passphrase ): array {
+        $settings = WP_AI_Schema_Generator::get_settings();
+        $preview  = array(
+            'site'           => (string) ( $bundle['site'] ?? '' ),
+            'exported_at'    => (string) ( $bundle['exported_at'] ?? '' ),
+            'plugin_version' => (string) ( $bundle['plugin_version'] ?? '' ),
+            'settings'       => $this->diff_settings( $settings, $bundle['settings'] ?? null ),
+            'business'       => $this->diff_settings( $settings, $bundle['business'] ?? null ),
+            'secrets'        => null,
+            'templates'      => null,
+            'posts'          => null,
+        );
+
+        if ( ! empty( $bundle['secrets']['fields'] ) && is_array( $bundle['secrets']['fields'] ) ) {
+            $preview['secrets'] = array(
+                'fields' => array_values( array_intersect( self::SECRET_FIELDS, array_keys( $bundle['secrets']['fields'] ) ) ),
+                'status' => '' === $passphrase ? 'locked' : ( $this->check_passphrase( $bundle, $passphrase ) ? 'ok' : 'wrong' ),
+            );
+        }
+
+        if ( isset( $bundle['templates'] ) && is_array( $bundle['templates'] ) ) {
+            $current              = WP_AI_Schema_Templates::get_all();
+            $preview['templates'] = array(
+                'added'    => array(),
+                'replaced' => array(),
+            );
+
+            foreach ( $bundle['templates'] as $template ) {
+                if ( is_array( $template ) && ! empty( $template['name'] ) ) {
+                    $preview['templates'][ isset( $current[ $template['id'] ?? '' ] ) ? 'replaced' : 'added' ][] = (string) $template['name'];
+                }
+            }
+        }
+
+        if ( isset( $bundle['posts'] ) && is_array( $bundle['posts'] ) ) {
+            $preview['posts'] = array(
+                'total'     => count( $bundle['posts'] ),
+                'matched'   => array(),
+                'unmatched' => array(),
+            );
+
+            foreach ( $bundle['posts'] as $item ) {
+                $post = is_array( $item ) ? $this->find_post( $item ) : null;
+
+                if ( ! $post ) {
+                    $preview['posts']['unmatched'][] = is_array( $item ) ? ( $item['post_type'] ?? '' ) . '/' . ( $item['slug'] ?? '' ) : '';
+                    continue;
+                }
+
+                $current = get_post_meta( $post->ID, '_wp_ai_schema_schema', true );
+
+                if ( '' === $current ) {
+                    $status = 'new';
+                } else {
+                    $status = json_decode( $current, true ) === json_decode( (string) ( $item['schema'] ?? '' ), true ) ? 'same' : 'replace';
+                }
+
+                $preview['posts']['matched'][] = array(
+                    'title'     => get_the_title( $post ) ?: $post->post_name,
+                    'edit_link' => get_edit_post_link( $post->ID, 'raw' ),
+                    'status'    => $status,
+                );
+            }
+        }
+
+        return $preview;
+    }
+
+    /**
+     * Write the chosen sections of a bundle
+     *
+     * Settings and templates go through their options' sanitize callbacks,
+     * exactly like a save from the settings page.
+     *
+     * @param array  $bundle     Bundle.
+     * @param array  $sections   Sections to import (see self::SECTIONS).
+     * @param string $passphrase Passphrase for the secrets.
+     * @return array|WP_Error Number of templates and posts imported, or error.
+     */
+    public function import( array $bundle, array $sections, string $passphrase ) {
+        $secrets = array();
+
+        if ( in_array( 'secrets', $sections, true ) ) {
+            if ( empty( $bundle['secrets']['fields'] ) || ! $this->check_passphrase( $bundle, $passphrase ) ) {
+                return new WP_Error( 'wrong_passphrase', __( 'The API keys could not be decrypted. Check the passphrase.', 'wp-ai-seo-schema-generator' ) );
+            }
+
+            foreach ( array_intersect_key( (array) $bundle['secrets']['fields'], array_flip( self::SECRET_FIELDS ) ) as $key => $value ) {
+                $secrets[ $key ] = $this->encryption->decrypt_with_passphrase( (string) $value, $passphrase );
+            }
+        }
+
+        $settings_sections = array_intersect( array( 'settings', 'business' ), $sections );
+
+        if ( $settings_sections || $secrets ) {
+            $this->import_settings( $bundle, $settings_sections, $secrets );
+        }
+
+        $result = array(
+            'templates' => 0,
+            'posts'     => 0,
+        );
+
+        if ( in_array( 'templates', $sections, true ) && ! empty( $bundle['templates'] ) && is_array( $bundle['templates'] ) ) {
+            $templates = WP_AI_Schema_Templates::get_all();
+
+            foreach ( $bundle['templates'] as $template ) {
+                if ( is_array( $template ) && ! empty( $template['name'] ) ) {
+                    $id               = sanitize_key( $template['id'] ?? '' ) ?: 'tpl_' . strtolower( wp_generate_password( 8, false ) );
+                    $templates[ $id ] = array_merge( $template, array( 'id' => $id ) );
+                    $result['templates']++;
+                }
+            }
+
+            update_option( WP_AI_Schema_Templates::OPTION_NAME, $templates );
+        }
+
+        // After the templates, so posts can be linked to imported ones
+        if ( in_array( 'posts', $sections, true ) && ! empty( $bundle['posts'] ) && is_array( $bundle['posts'] ) ) {
+            foreach ( $bundle['posts'] as $item ) {
+                if ( is_array( $item ) && $this->import_post( $item ) ) {
+                    $result['posts']++;
+                }
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Overlay imported settings on the current ones and save them
+     *
+     * Stored API keys are blanked in the input so the settings sanitizer keeps
+     * them; imported ones are passed in plain text for it to encrypt.
+     *
+     * @param array $bundle   Bundle.
+     * @param array $sections 'settings' and/or 'business'.
+     * @param array $secrets  Decrypted secret fields to import.
+     */
+    private function import_settings( array $bundle, array $sections, array $secrets ) {
+        $current = WP_AI_Schema_Generator::get_settings();
+        $input   = $current;
+
+        foreach ( $sections as $section ) {
+            foreach ( (array) ( $bundle[ $section ] ?? array() ) as $key => $value ) {
+                // Only known settings, and only the ones that belong to this section
+                if ( ! array_key_exists( $key, $current ) || in_array( $key, self::SECRET_FIELDS, true ) || ( 'business' === $section ) !== $this->is_business_field( $key ) ) {
+                    continue;
+                }
+
+                // Values the preview flagged are skipped, not handed to the sanitizer
+                list( $value, $error ) = $this->check_setting( $key, $value, $current[ $key ] );
+
+                if ( '' === $error ) {
+                    $input[ $key ] = $value;
+                } else {
+                    WP_AI_Schema_Generator::log( sprintf( 'Skipped importing setting %s: %s', $key, $error ), 'warning' );
+                }
+            }
+        }
+
+        foreach ( self::API_KEY_FIELDS as $key ) {
+            $input[ $key ] = '';
+        }
+
+        $input = array_merge( $input, array_filter( $secrets, 'strlen' ) );
+
+        update_option( WP_AI_Schema_Admin::OPTION_NAME, $input );
+    }
+
+    /**
+     * Import one post's schema and options
+     *
+     * The schema is stored like a manual edit, since it wasn't generated
+     * from this site's content and the cache hash can't vouch for it.
+     *
+     * @param array $item Post entry from the bundle.
+     * @return bool Whether the post was found and its schema imported.
+     */
+    private function import_post( array $item ): bool {
+        $post = $this->find_post( $item );
+
+        if ( ! $post ) {
+            return false;
+        }
+
+        $validation = $this->schema_validator->validate( (string) ( $item['schema'] ?? '' ) );
+
+        if ( ! $validation['valid'] ) {
+            WP_AI_Schema_Generator::log( sprintf( 'Skipped importing schema for post %d: %s', $post->ID, $validation['error'] ), 'warning' );
+            return false;
+        }
+
+        update_post_meta( $post->ID, '_wp_ai_schema_type_hint', WP_AI_Schema_Prompt_Builder::validate_type_hint( $item['type_hint'] ?? 'auto' ) );
+        WP_AI_Schema_Prompt_Builder::save_steering(
+            $post->ID,
+            (string) ( $item['instructions'] ?? '' ),
+            is_array( $item['pinned_properties'] ?? null ) ? $item['pinned_properties'] : array()
+        );
+        WP_AI_Schema_Templates::set_post_template( $post->ID, sanitize_key( $item['template'] ?? '' ) );
+        $this->conflict_detector->set_merge_mode( $post->ID, ! empty( $item['merge_mode'] ) );
+
+        $time = time();
+
+        update_post_meta( $post->ID, '_wp_ai_schema_schema', $validation['schema'] );
+        update_post_meta( $post->ID, '_wp_ai_schema_schema_status', 'ok' );
+        update_post_meta( $post->ID, '_wp_ai_schema_schema_error', '' );
+        update_post_meta( $post->ID, '_wp_ai_schema_manual_override', $time );
+        $this->content_processor->discard_pending_schema( $post->ID );
+
+        if ( ! empty( $validation['type'] ) ) {
+            update_post_meta( $post->ID, '_wp_ai_schema_detected_type', $validation['type'] );
+        }
+
+        $this->revisions->record( $post->ID, $validation['schema'], 'imported' );
+
+        return true;
+    }
+
+    /**
+     * Find the post a bundle entry belongs to
+     *
+     * @param array $item Post entry from the bundle.
+     * @return WP_Post|null
+     */
+    private function find_post( array $item ): ?WP_Post {
+        $post_type = sanitize_key( $item['post_type'] ?? '' );
+        $slug      = sanitize_title( $item['slug'] ?? '' );
+
+        if ( '' === $slug || ! post_type_exists( $post_type ) ) {
+            return null;
+        }
+
+        $posts = get_posts(
+            array(
+                'name'           => $slug,
+                'post_type'      => $post_type,
+                'post_status'    => array( 'publish', 'draft', 'pending', 'private', 'future' ),
+                'posts_per_page' => 1,
+            )
+        );
+
+        return $posts ? $posts[0] : null;
+    }
+
+    /**
+     * Compare one settings section of a bundle with this site
+     *
+     * @param array      $settings Current settings.
+     * @param array|null $incoming Section from the bundle.
+     * @return array|null Changed settings as { key, current, incoming, error } (values JSON-encoded, error
+     *                    empty unless the value will be skipped), or null if the section is missing.
+     */
+    private function diff_settings( array $settings, $incoming ): ?array {
+        if ( ! is_array( $incoming ) ) {
+            return null;
+        }
+
+        $changed = array();
+
+        foreach ( $incoming as $key => $value ) {
+            if ( ! array_key_exists( $key, $settings ) || in_array( $key, self::SECRET_FIELDS, true ) ) {
+                continue;
+            }
+
+            // Loose comparison: a checkbox may be stored as true on one site and "1" on the other
+            if ( $settings[ $key ] != $value ) { // phpcs:ignore WordPress.PHP.StrictComparisons.LooseComparison
+                $changed[] = array(
+                    'key'      => $key,
+                    'current'  => wp_json_encode( $settings[ $key ], JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ),
+                    'incoming' => wp_json_encode( $value, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ),
+                    'error'    => $this->check_setting( $key, $value, $settings[ $key ] )[1],
+                );
+            }
+        }
+
+        return $changed;
+    }
+
+    /**
+     * Check an imported setting against the type this site stores it as
+     *
+     * The bundle may have been edited by hand, and the settings sanitizer
+     * expects the types its own form sends. Model IDs are also checked like
+     * the sanitizer does, since it would otherwise keep the current model
+     * without saying so.
+     *
+     * @param string $key     Setting key.
+     * @param mixed  $value   Value from the bundle.
+     * @param mixed  $current Current value of the setting.
+     * @return array array( value cast to the setting's type, error message or '' ).
+     */
+    private function check_setting( string $key, $value, $current ): array {
+        if ( is_bool( $current ) ) {
+            if ( is_bool( $value ) || in_array( $value, array( 0, 1, '0', '1', '' ), true ) ) {
+                return array( (bool) $value, '' );
+            }
+
+            return array( null, __( 'Expected true or false. This setting will be skipped.', 'wp-ai-seo-schema-generator' ) );
+        }
+
+        if ( is_int( $current ) || is_float( $current ) ) {
+            if ( is_numeric( $value ) ) {
+                return array( floatval( $value ), '' );
+            }
+
+            return array( null, __( 'Expected a number. This setting will be skipped.', 'wp-ai-seo-schema-generator' ) );
+        }
+
+        if ( is_array( $current ) ) {
+            if ( ! is_array( $value ) ) {
+                return array( null, __( 'Expected a list. This setting will be skipped.', 'wp-ai-seo-schema-generator' ) );
+            }
+
+            foreach ( $value as $entry ) {
+                if ( 'business_locations' === $key ? ! $this->is_location( $entry ) : ! is_scalar( $entry ) ) {
+                    return array( null, __( 'The list has entries in the wrong format. This setting will be skipped.', 'wp-ai-seo-schema-generator' ) );
+                }
+            }
+
+            return array( $value, '' );
+        }
+
+        if ( ! is_string( $value ) && ! is_int( $value ) && ! is_float( $value ) ) {
+            return array( null, __( 'Expected text. This setting will be skipped.', 'wp-ai-seo-schema-generator' ) );
+        }
+
+        $value = (string) $value;
+
+        if ( '_model' === substr( $key, -6 ) && $value !== $current ) {
+            $problem = WP_AI_Schema_Admin::check_model( substr( $key, 0, -6 ), $value );
+
+            if ( 'invalid' === $problem ) {
+                return array( null, __( 'This is not a valid model ID. This setting will be skipped.', 'wp-ai-seo-schema-generator' ) );
+            }
+
+            if ( 'unavailable' === $problem ) {
+                return array( null, __( 'This model is not in the list your API key returned on this site (run Test Connection to refresh it). This setting will be skipped.', 'wp-ai-seo-schema-generator' ) );
+            }
+        }
+
+        return array( $value, '' );
+    }
+
+    /**
+     * Whether a business location from a bundle has the shape the settings form sends
+     *
+     * @param mixed $location Location entry.
+     * @return bool
+     */
+    private function is_location( $location ): bool {
+        if ( ! is_array( $location ) ) {
+            return false;
+        }
+
+        foreach ( $location as $field => $value ) {
+            if ( 'hours' === $field ) {
+                if ( ! is_array( $value ) || array_filter( $value, 'is_scalar' ) !== $value ) {
+                    return false;
+                }
+            } elseif ( ! is_scalar( $value ) ) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check the import passphrase against the bundle
+     *
+     * @param array  $bundle     Bundle.
+     * @param string $passphrase Passphrase.
+     * @return bool
+     */
+    private function check_passphrase( array $bundle, string $passphrase ): bool {
+        return self::PASSPHRASE_CHECK === $this->encryption->decrypt_with_passphrase( (string) ( $bundle['secrets']['check'] ?? '' ), $passphrase );
+    }
+
+    /**
+     * Whether a setting belongs to the business details
+     *
+     * @param string $key Setting key.
+     * @return bool
+     */
+    private function is_business_field( string $key ): bool {
+        return 0 === strpos( $key, 'business_' );
+    }
+}
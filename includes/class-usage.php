@@ -0,0 +1,373 @@
+<?php
+/**
+ * Token usage and cost class
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Records token usage per generation and enforces the monthly budget
+ *
+ * Every provider call that reports usage is added to the current month's row
+ * of the usage table (so failed generations still count against the budget),
+ * and the passes of a saved generation are stored on the post for the
+ * metabox. Costs are estimates from the configurable price table; models
+ * without a price count tokens but no cost.
+ */
+class WP_AI_Schema_Usage {
+
+    /**
+     * Post meta key holding the last generation's usage
+     */
+    const META_KEY = '_wp_ai_schema_usage';
+
+    /**
+     * Table holding the monthly totals, one row per month (without the table prefix)
+     */
+    const TABLE_NAME = 'ai_schema_usage';
+
+    /**
+     * Version of the table definition
+     */
+    const DB_VERSION = '1';
+
+    /**
+     * Option holding the installed table version
+     */
+    const DB_VERSION_OPTION = 'wp_ai_schema_usage_db_version';
+
+    /**
+     * Months of totals kept in the table
+     */
+    const MONTHS_KEPT = 12;
+
+    /**
+     * Default price table: "model = input, output" in USD per million tokens
+     */
+    const DEFAULT_PRICES = "deepseek-chat = 0.28, 0.42\ngpt-4o-mini = 0.15, 0.60\ngpt-4o = 2.50, 10.00\ngpt-5-nano = 0.05, 0.40\nclaude-haiku-4-5 = 1.00, 5.00\nclaude-sonnet-4-5 = 3.00, 15.00\nclaude-opus-4-1 = 15.00, 75.00";
+
+    /**
+     * Track one provider call's usage against the current month
+     *
+     * @param array $usage    Token counts with 'input' and 'output' keys (empty if not reported).
+     * @param array $settings Plugin settings (provider, model and prices).
+     * @return array Usage with 'input', 'output' and 'cost' (null if the model has no price), or empty.
+     */
+    public function track( array $usage, array $settings ): array {
+        global $wpdb;
+
+        if ( empty( $usage ) ) {
+            return array();
+        }
+
+        $input  = intval( $usage['input'] ?? 0 );
+        $output = intval( $usage['output'] ?? 0 );
+        $cost   = $this->get_cost( $this->get_model( $settings ), $input, $output, $settings );
+
+        $table  = $this->get_table();
+        $month  = wp_date( 'Y-m' );
+
+        // A single statement, so requests running side by side (bulk generation) can't lose each other's counts
+        $wpdb->query(
+            $wpdb->prepare(
+                "INSERT INTO {$table} (month, input_tokens, output_tokens, cost, requests) VALUES (%s, %d, %d, %.10F, 1)
+                 ON DUPLICATE KEY UPDATE input_tokens = input_tokens + %d, output_tokens = output_tokens + %d, cost = cost + %.10F, requests = requests + 1",
+                $month,
+                $input,
+                $output,
+                $cost ?? 0.0,
+                $input,
+                $output,
+                $cost ?? 0.0
+            )
+        );
+
+        $wpdb->query( $wpdb->prepare( "DELETE FROM {$table} WHERE month < %s", self::get_oldest_month( $month ) ) );
+
+        return array(
+            'input'  => $input,
+            'output' => $output,
+            'cost'   => $cost,
+        );
+    }
+
+    /**
+     * Store the usage of a saved generation on the post
+     *
+     * @param int   $post_id  Post ID.
+     * @param array $passes   Tracked usage keyed by pass: 'pass1', 'pass2' or 'generation'.
+     * @param array $settings Plugin settings.
+     * @return array The stored record (empty if no pass reported usage).
+     */
+    public function save( int $post_id, array $passes, array $settings ): array {
+        $passes = array_filter( $passes );
+
+        if ( empty( $passes ) ) {
+            delete_post_meta( $post_id, self::META_KEY );
+            return array();
+        }
+
+        $cost = null;
+
+        foreach ( $passes as $pass ) {
+            if ( null !== $pass['cost'] ) {
+                $cost = ( $cost ?? 0.0 ) + $pass['cost'];
+            }
+        }
+
+        $record = array(
+            'time'     => time(),
+            'provider' => $settings['provider'] ?? '',
+            'model'    => $this->get_model( $settings ),
+            'passes'   => $passes,
+            'cost'     => $cost,
+        );
+
+        update_post_meta( $post_id, self::META_KEY, $record );
+
+        return $record;
+    }
+
+    /**
+     * Get the usage of a post's last generation
+     *
+     * @param int $post_id Post ID.
+     * @return array Record, or empty if none was stored.
+     */
+    public function get( int $post_id ): array {
+        $record = get_post_meta( $post_id, self::META_KEY, true );
+
+        return is_array( $record ) ? $record : array();
+    }
+
+    /**
+     * Get the totals for a month
+     *
+     * @param string $month Month as Y-m (defaults to the current month).
+     * @return array Totals with 'input', 'output', 'cost' and 'requests'.
+     */
+    public function get_month_totals( string $month = '' ): array {
+        global $wpdb;
+
+        $table = $this->get_table();
+        $row   = $wpdb->get_row(
+            $wpdb->prepare( "SELECT input_tokens, output_tokens, cost, requests FROM {$table} WHERE month = %s", $month ?: wp_date( 'Y-m' ) ),
+            ARRAY_A
+        );
+
+        return array(
+            'input'    => intval( $row['input_tokens'] ?? 0 ),
+            'output'   => intval( $row['output_tokens'] ?? 0 ),
+            'cost'     => floatval( $row['cost'] ?? 0 ),
+            'requests' => intval( $row['requests'] ?? 0 ),
+        );
+    }
+
+    /**
+     * Create or update the totals table
+     */
+    public function install(): void {
+        global $wpdb;
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $table   = $this->get_table();
+        $charset = $wpdb->get_charset_collate();
+
+        dbDelta(
+            "CREATE TABLE {$table} (
+                month char(7) NOT NULL,
+                input_tokens bigint(20) unsigned NOT NULL DEFAULT 0,
+                output_tokens bigint(20) unsigned NOT NULL DEFAULT 0,
+                cost double NOT NULL DEFAULT 0,
+                requests int(10) unsigned NOT NULL DEFAULT 0,
+                PRIMARY KEY  (month)
+            ) {$charset};"
+        );
+
+        update_option( self::DB_VERSION_OPTION, self::DB_VERSION );
+    }
+
+    /**
+     * Install the totals table if it is missing or out of date
+     *
+     * Runs on every load because updates don't trigger the activation hook.
+     */
+    public function maybe_install(): void {
+        if ( get_option( self::DB_VERSION_OPTION ) !== self::DB_VERSION ) {
+            $this->install();
+        }
+    }
+
+    /**
+     * Check the monthly budget
+     *
+     * @param array $settings Plugin settings.
+     * @return string Error message if the budget is used up, empty otherwise.
+     */
+    public function get_budget_error( array $settings ): string {
+        $budget = floatval( $settings['monthly_budget'] ?? 0 );
+
+        if ( $budget <= 0 ) {
+            return '';
+        }
+
+        $spent = $this->get_month_totals()['cost'];
+
+        if ( $spent < $budget ) {
+            return '';
+        }
+
+        return sprintf(
+            /* translators: 1: monthly budget, 2: amount spent this month */
+            __( 'The monthly budget of %1$s has been reached (%2$s spent). Raise it in Settings or wait until next month.', 'wp-ai-seo-schema-generator' ),
+            self::format_cost( $budget ),
+            self::format_cost( $spent )
+        );
+    }
+
+    /**
+     * Estimate the cost of a call
+     *
+     * @param string $model    Model ID.
+     * @param int    $input    Input tokens.
+     * @param int    $output   Output tokens.
+     * @param array  $settings Plugin settings.
+     * @return float|null Cost in USD, or null if the model has no price.
+     */
+    public function get_cost( string $model, int $input, int $output, array $settings ): ?float {
+        $prices = self::parse_prices( $settings['model_prices'] ?? self::DEFAULT_PRICES );
+
+        if ( ! isset( $prices[ $model ] ) ) {
+            return null;
+        }
+
+        return ( $input * $prices[ $model ]['input'] + $output * $prices[ $model ]['output'] ) / 1000000;
+    }
+
+    /**
+     * Parse "model = input, output" lines into a price table
+     *
+     * Prices are USD per million tokens. Invalid lines are skipped.
+     *
+     * @param string $text Price lines.
+     * @return array Model ID => array( 'input' => float, 'output' => float ).
+     */
+    public static function parse_prices( string $text ): array {
+        $prices = array();
+
+        foreach ( preg_split( '/\r\n|\r|\n/', $text ) as $line ) {
+            if ( ! preg_match( '/^\s*([^=\s]+)\s*=\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*$/', $line, $matches ) ) {
+                continue;
+            }
+
+            $prices[ $matches[1] ] = array(
+                'input'  => floatval( $matches[2] ),
+                'output' => floatval( $matches[3] ),
+            );
+        }
+
+        return $prices;
+    }
+
+    /**
+     * Summarize a generation's usage for display
+     *
+     * E.g. "Pass 1: 3.2k in / 800 out, Pass 2: 1.5k in / 2.1k out (~$0.0031)".
+     *
+     * @param array $record Record from save() or get().
+     * @return string Summary, or empty if there is no usage.
+     */
+    public static function format( array $record ): string {
+        if ( empty( $record['passes'] ) ) {
+            return '';
+        }
+
+        $labels = array(
+            'pass1'      => __( 'Pass 1', 'wp-ai-seo-schema-generator' ),
+            'pass2'      => __( 'Pass 2', 'wp-ai-seo-schema-generator' ),
+            'generation' => __( 'Tokens', 'wp-ai-seo-schema-generator' ),
+        );
+        $parts  = array();
+
+        foreach ( $record['passes'] as $pass => $usage ) {
+            $parts[] = sprintf(
+                /* translators: 1: pass label, 2: input tokens, 3: output tokens */
+                __( '%1$s: %2$s in / %3$s out', 'wp-ai-seo-schema-generator' ),
+                $labels[ $pass ] ?? $pass,
+                self::format_tokens( intval( $usage['input'] ?? 0 ) ),
+                self::format_tokens( intval( $usage['output'] ?? 0 ) )
+            );
+        }
+
+        $summary = implode( ', ', $parts );
+
+        if ( isset( $record['cost'] ) ) {
+            $summary .= ' (~' . self::format_cost( $record['cost'] ) . ')';
+        }
+
+        return $summary;
+    }
+
+    /**
+     * Format a token count, e.g. 800 or 3.2k
+     *
+     * @param int $tokens Token count.
+     * @return string Formatted count.
+     */
+    private static function format_tokens( int $tokens ): string {
+        return $tokens < 1000 ? (string) $tokens : round( $tokens / 1000, 1 ) . 'k';
+    }
+
+    /**
+     * Format a USD amount, with more decimals for fractions of a cent
+     *
+     * @param float $cost Amount in USD.
+     * @return string Formatted amount.
+     */
+    public static function format_cost( float $cost ): string {
+        return '$' . number_format_i18n( $cost, $cost > 0 && $cost < 0.01 ? 4 : 2 );
+    }
+
+    /**
+     * Get the active provider's model
+     *
+     * @param array $settings Plugin settings.
+     * @return string Model ID.
+     */
+    private function get_model( array $settings ): string {
+        $provider = $settings['provider'] ?? '';
+
+        return $provider ? (string) ( $settings[ $provider . '_model' ] ?? '' ) : '';
+    }
+
+    /**
+     * Get the prefixed totals table name
+     *
+     * @return string
+     */
+    private function get_table(): string {
+        global $wpdb;
+
+        return $wpdb->prefix . self::TABLE_NAME;
+    }
+
+    /**
+     * Get the oldest month kept in the totals table
+     *
+     * @param string $month Current month as Y-m.
+     * @return string Month as Y-m, MONTHS_KEPT - 1 months before $month.
+     */
+    private static function get_oldest_month( string $month ): string {
+        list( $year, $number ) = array_map( 'intval', explode( '-', $month ) );
+
+        $index = $year * 12 + $number - 1 - ( self::MONTHS_KEPT - 1 );
+
+        return sprintf( '%04d-%02d', intdiv( $index, 12 ), $index % 12 + 1 );
+    }
+}
@@ -13,7 +13,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 /**
  * Abstract base class for LLM providers
  *
- * Provides shared functionality like HTTP requests, retry logic, and rate limiting.
+ * Provides shared functionality like HTTP requests, retry logic, rate limiting and the schema prompts.
  */
 abstract class WP_AI_Schema_Abstract_Provider implements WP_AI_Schema_Provider_Interface {
 
@@ -160,6 +160,377 @@ abstract class WP_AI_Schema_Abstract_Provider implements WP_AI_Schema_Provider_I
         );
     }
 
+    /**
+     * Build messages array for API request
+     *
+     * @param array $payload Prompt payload.
+     * @return array Messages array.
+     */
+    public function build_messages( array $payload ): array {
+        // Check if this is a two-pass generation from analyzed content
+        $is_from_analysis = ! empty( $payload['isFromAnalysis'] );
+
+        if ( $is_from_analysis ) {
+            // Use special prompts for generating schema from pre-analyzed content
+            $system_prompt = WP_AI_Schema_Prompt_Builder::get_schema_from_analysis_system_prompt();
+            $user_message  = WP_AI_Schema_Prompt_Builder::get_schema_from_analysis_user_prompt( $payload );
+
+            WP_AI_Schema_Generator::log( 'Pass 2: Using analyzed content prompts for schema generation' );
+        } else {
+            // Standard single-pass generation
+            $schema_reference = $payload['schemaReference'] ?? '';
+            $system_prompt    = $this->get_system_prompt( $schema_reference );
+            $user_message     = $this->build_user_message( $payload );
+        }
+
+        return array(
+            array(
+                'role'    => 'system',
+                'content' => $system_prompt,
+            ),
+            array(
+                'role'    => 'user',
+                'content' => $user_message,
+            ),
+        );
+    }
+
+    /**
+     * Get system prompt
+     *
+     * @param string $schema_reference Optional schema reference documentation.
+     * @return string
+     */
+    protected function get_system_prompt( string $schema_reference = '' ): string {
+        $base_prompt = 'You are a schema.org JSON-LD generator that creates COMPREHENSIVE, RICH structured data for web pages.
+
+YOUR GOAL: Generate detailed, complete schema markup that fully describes the page content. Include ALL information you can extract from the content.
+
+STRICT REQUIREMENTS:
+1. Output ONLY valid JSON. No markdown code fences, no explanations, no commentary.
+2. The output must be a single JSON object with "@context": "https://schema.org" at the root level.
+3. NEVER invent or hallucinate information not present in the content.
+4. For URLs, only use URLs explicitly provided in the input.
+5. For contact information (email, phone), only include if explicitly present in the content.
+
+CONTENT STRUCTURE MARKERS:
+The content includes special markers to help you understand the page structure:
+- ## [Heading] ## indicates a section heading
+- [LIST START] / [LIST END] indicates a list of items
+- [NUMBERED LIST START] / [NUMBERED LIST END] indicates ordered steps
+- [SECTION] / [/SECTION] indicates a content section
+- [ARTICLE] / [/ARTICLE] indicates article content
+- **text** indicates important/emphasized text
+- Links include their URLs in parentheses: text (https://...)
+
+TESTIMONIAL/REVIEW MARKERS (IMPORTANT - create Review schemas for these):
+- [TESTIMONIAL START] / [TESTIMONIAL END] indicates a client testimonial or review
+  - "Quote:" contains the testimonial text (use as reviewBody)
+  - "Author:" contains the reviewer name (create Person object)
+  - "Rating:" contains star rating if available (use as ratingValue)
+- [QUOTE START] / [QUOTE END] indicates a general quote/testimonial
+
+FAQ MARKERS:
+- [FAQ ITEM START] / [FAQ ITEM END] indicates a FAQ question/answer pair
+  - "Question:" contains the question text
+  - "Answer:" contains the answer text
+  Create FAQPage schema with Question/Answer objects for these.
+
+Use these markers to identify:
+- Services being offered (often under headings like "Services", "What We Do")
+- Contact information (under "Contact", "Get in Touch")
+- Team members or founders (under "Team", "About Us")
+- Pricing or offers
+- TESTIMONIALS and REVIEWS (under "Testimonials", "What Our Clients Say", "Reviews", "Client Feedback")
+  IMPORTANT: Each testimonial MUST become a Review object with author and reviewBody
+- FAQs (Question/Answer patterns)
+
+OUTPUT FORMAT:
+Use @graph format to include multiple related entities:
+{"@context": "https://schema.org", "@graph": [...]}
+
+The @graph should typically include:
+- A WebPage or Article as the main entity
+- Organization or LocalBusiness if business info is present
+- Service objects for each distinct service mentioned
+- Person objects for team members/founders mentioned
+- ContactPoint for contact information
+- PostalAddress if address is provided
+- FAQPage with Question/Answer if FAQ content exists
+- Review objects for EACH testimonial/review found (with author as Person, reviewBody, reviewRating)
+- AggregateRating if multiple reviews exist (calculate average)
+
+Use @id references to link related entities:
+- "@id": "#organization" on the Organization
+- "provider": {"@id": "#organization"} on Services
+- "publisher": {"@id": "#organization"} on Articles
+
+SCHEMA TYPE SELECTION:
+- WebPage: Default for informational pages
+- Article: Blog posts, news, editorial content with clear authorship
+- Service/ProfessionalService: Pages describing services (use one Service per distinct service)
+- LocalBusiness: Business pages with physical location/contact
+- Organization: Company/organization information
+- FAQPage: Pages with clear Question/Answer pairs
+- Product: Product pages with pricing
+- HowTo: Step-by-step instructions
+- Event: Event announcements with dates
+
+COMPLETENESS PRINCIPLE:
+Extract and include ALL relevant information from the content:
+- Every service mentioned should become a Service object
+- Business name, description, and any contact info should be included
+- Team members or founders should become Person objects
+- Areas served or target audience should be included
+- Any pricing or offers should be captured
+- EVERY testimonial/review MUST become a Review object - do not skip any!
+  Each Review should have: @type, author (Person with name), reviewBody, reviewRating (if rating available)
+  Link reviews to the Organization/LocalBusiness using itemReviewed: {"@id": "#organization"}
+
+BUSINESS DATA PRIORITY:
+If BUSINESS DATA is provided in the input, use it as the authoritative source for:
+- Organization/LocalBusiness name, description, logo
+- Contact information (email, phone)
+- Physical addresses and locations (PostalAddress)
+- Opening hours (OpeningHoursSpecification)
+- Social media links (sameAs property)
+- Founding date
+This data has been verified by the site owner and should take precedence over information extracted from page content.
+
+For multiple locations: Create separate LocalBusiness or Place objects for each location, all linked to the main Organization via @id references.
+
+Remember: Completeness with accuracy. Include all information that IS present in the content.';
+
+        if ( ! empty( $schema_reference ) ) {
+            $base_prompt .= "\n\nSCHEMA.ORG REFERENCE:\nUse the following schema types and properties:\n\n" . $schema_reference;
+        }
+
+        return $base_prompt;
+    }
+
+    /**
+     * Build user message from payload
+     *
+     * @param array $payload Prompt payload.
+     * @return string User message.
+     */
+    protected function build_user_message( array $payload ): string {
+        $page_data     = $payload['page'] ?? array();
+        $site_data     = $payload['site'] ?? array();
+        $business_data = $payload['business'] ?? null;
+        $type_hint     = $payload['typeHint'] ?? 'auto';
+
+        // Build truncation indicator if content was truncated
+        $truncation_note = '';
+        if ( ! empty( $page_data['contentTruncated'] ) ) {
+            $truncation_note = sprintf(
+                "\n[Content truncated: showing %d of %d characters]",
+                mb_strlen( $page_data['content'] ?? '' ),
+                $page_data['originalLength'] ?? 0
+            );
+        }
+
+        // Build type hint instruction
+        $type_hints            = WP_AI_Schema_Prompt_Builder::parse_type_hints( $type_hint );
+        $type_hint_instruction = '';
+        if ( 1 === count( $type_hints ) ) {
+            $type_hint_instruction = sprintf(
+                "\nPREFERRED SCHEMA TYPE: %s\nUse this schema type if the content supports it. If the content clearly does not match this type, choose the most appropriate alternative.",
+                $type_hints[0]
+            );
+        } elseif ( $type_hints ) {
+            $type_hint_instruction = sprintf(
+                "\nREQUESTED SCHEMA TYPES: %s\nInclude an entity of each of these types in the @graph, linked by @id, wherever the content supports it. Leave out a type only if the content clearly has nothing for it.",
+                implode( ', ', $type_hints )
+            );
+        }
+
+        // Build the message
+        $message = 'Generate JSON-LD schema for the following page:
+
+PAGE DATA:
+' . wp_json_encode( $page_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . '
+
+SITE DATA:
+' . wp_json_encode( $site_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+
+        // Include business data if available
+        if ( ! empty( $business_data ) ) {
+            $message .= '
+
+BUSINESS DATA (use this verified information for Organization/LocalBusiness schemas):
+' . wp_json_encode( $business_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+        }
+
+        if ( $truncation_note ) {
+            $message .= $truncation_note;
+        }
+
+        if ( $type_hint_instruction ) {
+            $message .= $type_hint_instruction;
+        }
+
+        $message .= WP_AI_Schema_Prompt_Builder::build_steering_message( $payload );
+
+        $message .= "\n\nGenerate the JSON-LD now:";
+
+        return $message;
+    }
+
+    /**
+     * Get the models this provider has configured limits for
+     *
+     * @return array Model ID => config with at least a 'name' key.
+     */
+    public function get_models(): array {
+        return array();
+    }
+
+    /**
+     * List the models available to the configured API key
+     *
+     * Uses the OpenAI-compatible GET /models endpoint, which returns
+     * { "data": [ { "id": "..." }, ... ] }.
+     *
+     * @param array $settings Plugin settings including API key.
+     * @return array Response array with success, models (ID => name) and error.
+     */
+    public function list_models( array $settings ): array {
+        $endpoint = $this->get_models_endpoint( $settings );
+
+        if ( '' === $endpoint ) {
+            return array(
+                'success' => false,
+                'models'  => array(),
+                'error'   => __( 'This provider does not support model discovery.', 'wp-ai-seo-schema-generator' ),
+            );
+        }
+
+        $api_key = $this->get_api_key( $settings, $this->get_slug() . '_api_key' );
+
+        if ( empty( $api_key ) && $this->requires_api_key() ) {
+            return array(
+                'success' => false,
+                'models'  => array(),
+                'error'   => __( 'API key is required.', 'wp-ai-seo-schema-generator' ),
+            );
+        }
+
+        $response = wp_remote_get(
+            $endpoint,
+            array(
+                'headers' => $this->get_request_headers( $api_key, $settings ),
+                'timeout' => 15,
+            )
+        );
+
+        if ( is_wp_error( $response ) ) {
+            return array(
+                'success' => false,
+                'models'  => array(),
+                'error'   => $response->get_error_message(),
+            );
+        }
+
+        $status_code = wp_remote_retrieve_response_code( $response );
+        $body        = wp_remote_retrieve_body( $response );
+
+        if ( $status_code < 200 || $status_code >= 300 ) {
+            return array(
+                'success' => false,
+                'models'  => array(),
+                'error'   => $this->get_error_from_response( $body, $status_code ),
+            );
+        }
+
+        $decoded = json_decode( $body, true );
+
+        if ( ! isset( $decoded['data'] ) || ! is_array( $decoded['data'] ) ) {
+            return array(
+                'success' => false,
+                'models'  => array(),
+                'error'   => __( 'Unexpected response from the models endpoint.', 'wp-ai-seo-schema-generator' ),
+            );
+        }
+
+        $known  = $this->get_models();
+        $models = array();
+
+        foreach ( $decoded['data'] as $model ) {
+            if ( empty( $model['id'] ) || ! is_string( $model['id'] ) || ! $this->is_generation_model( $model['id'] ) ) {
+                continue;
+            }
+
+            $models[ $model['id'] ] = $known[ $model['id'] ]['name'] ?? ( $model['display_name'] ?? $model['id'] );
+        }
+
+        ksort( $models );
+
+        return array(
+            'success' => true,
+            'models'  => $models,
+            'error'   => '',
+        );
+    }
+
+    /**
+     * Get the OpenAI-compatible models endpoint URL
+     *
+     * @param array $settings Plugin settings.
+     * @return string Endpoint URL, or empty if model discovery is not supported.
+     */
+    protected function get_models_endpoint( array $settings ): string {
+        return '';
+    }
+
+    /**
+     * Get the generation endpoint URL (also used for streaming)
+     *
+     * @param array $settings Plugin settings.
+     * @return string Endpoint URL, or empty if not configured.
+     */
+    public function get_endpoint( array $settings ): string {
+        return '';
+    }
+
+    /**
+     * Get the headers sent with every API request
+     *
+     * @param string $api_key  Decrypted API key (may be empty if not required).
+     * @param array  $settings Plugin settings.
+     * @return array Header name => value.
+     */
+    public function get_request_headers( string $api_key, array $settings ): array {
+        $headers = array(
+            'Content-Type' => 'application/json',
+        );
+
+        if ( '' !== $api_key ) {
+            $headers['Authorization'] = 'Bearer ' . $api_key;
+        }
+
+        return $headers;
+    }
+
+    /**
+     * Whether requests need an API key
+     *
+     * @return bool
+     */
+    public function requires_api_key(): bool {
+        return true;
+    }
+
+    /**
+     * Whether a listed model can generate text (embedding, audio and image models are skipped)
+     *
+     * @param string $model_id Model ID.
+     * @return bool True if the model should be offered.
+     */
+    protected function is_generation_model( string $model_id ): bool {
+        return true;
+    }
+
     /**
      * Handle rate limiting by setting global transient
      *
@@ -246,6 +617,33 @@ abstract class WP_AI_Schema_Abstract_Provider implements WP_AI_Schema_Provider_I
         }
     }
 
+    /**
+     * Normalize a response's usage object to input/output token counts
+     *
+     * Chat Completions reports prompt_tokens/completion_tokens; the Responses
+     * and Messages APIs report input_tokens/output_tokens.
+     *
+     * @param mixed $usage The "usage" value from a response or stream event.
+     * @return array Array with 'input' and 'output', or empty if no usage was reported.
+     */
+    public static function normalize_usage( $usage ): array {
+        if ( ! is_array( $usage ) ) {
+            return array();
+        }
+
+        $input  = $usage['input_tokens'] ?? $usage['prompt_tokens'] ?? null;
+        $output = $usage['output_tokens'] ?? $usage['completion_tokens'] ?? null;
+
+        if ( null === $input && null === $output ) {
+            return array();
+        }
+
+        return array(
+            'input'  => intval( $input ),
+            'output' => intval( $output ),
+        );
+    }
+
     /**
      * Decrypt API key from settings
      *
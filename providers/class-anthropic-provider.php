@@ -0,0 +1,523 @@
+<?php
+/**
+ * Anthropic provider class
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Anthropic (Claude) LLM provider implementation
+ *
+ * Uses the Messages API, which takes the system prompt as a top-level
+ * "system" field rather than a system-role message and returns text in
+ * content blocks.
+ */
+class WP_AI_Schema_Anthropic_Provider extends WP_AI_Schema_Abstract_Provider {
+
+    /**
+     * API endpoint (Messages API)
+     */
+    const API_ENDPOINT = 'https://api.anthropic.com/v1/messages';
+
+    /**
+     * Models endpoint
+     */
+    const MODELS_ENDPOINT = 'https://api.anthropic.com/v1/models';
+
+    /**
+     * API version sent in the anthropic-version header
+     */
+    const API_VERSION = '2023-06-01';
+
+    /**
+     * Default model
+     */
+    const DEFAULT_MODEL = 'claude-haiku-4-5';
+
+    /**
+     * Minimum output tokens to ensure useful response
+     */
+    const MIN_OUTPUT_TOKENS = 1000;
+
+    /**
+     * Safety buffer for token estimation (tokens reserved)
+     */
+    const TOKEN_SAFETY_BUFFER = 2000;
+
+    /**
+     * ==========================================================================
+     * MODEL CONFIGURATION - Edit these values to change limits per model
+     * ==========================================================================
+     *
+     * Same fields as the other providers: name, context_window, max_output
+     * and max_content_chars. The Messages API requires max_tokens on every
+     * request, so max_output is always sent (reduced for large inputs).
+     */
+    const MODELS = array(
+        'claude-haiku-4-5' => array(
+            'name'              => 'Claude Haiku 4.5 (Fast)',
+            'context_window'    => 200000,
+            'max_output'        => 64000,
+            'max_content_chars' => 150000,
+        ),
+        'claude-sonnet-4-5' => array(
+            'name'              => 'Claude Sonnet 4.5 (Balanced)',
+            'context_window'    => 200000,
+            'max_output'        => 64000,
+            'max_content_chars' => 150000,
+        ),
+        'claude-opus-4-1' => array(
+            'name'              => 'Claude Opus 4.1 (Most Capable)',
+            'context_window'    => 200000,
+            'max_output'        => 32000,
+            'max_content_chars' => 150000,
+        ),
+    );
+
+    /**
+     * Get provider name
+     *
+     * @return string
+     */
+    public function get_name(): string {
+        return 'Anthropic';
+    }
+
+    /**
+     * Get provider slug
+     *
+     * @return string
+     */
+    public function get_slug(): string {
+        return 'anthropic';
+    }
+
+    /**
+     * Get available models for this provider
+     *
+     * @return array
+     */
+    public function get_models(): array {
+        return self::MODELS;
+    }
+
+    /**
+     * Get the generation endpoint URL
+     *
+     * @param array $settings Plugin settings.
+     * @return string
+     */
+    public function get_endpoint( array $settings ): string {
+        return self::API_ENDPOINT;
+    }
+
+    /**
+     * Get the models endpoint URL
+     *
+     * The response has the same { "data": [ { "id": ... } ] } shape as OpenAI's.
+     *
+     * @param array $settings Plugin settings.
+     * @return string
+     */
+    protected function get_models_endpoint( array $settings ): string {
+        return self::MODELS_ENDPOINT;
+    }
+
+    /**
+     * Get request headers (Anthropic uses x-api-key instead of a Bearer token)
+     *
+     * @param string $api_key  Decrypted API key.
+     * @param array  $settings Plugin settings.
+     * @return array Header name => value.
+     */
+    public function get_request_headers( string $api_key, array $settings ): array {
+        return array(
+            'Content-Type'      => 'application/json',
+            'x-api-key'         => $api_key,
+            'anthropic-version' => self::API_VERSION,
+        );
+    }
+
+    /**
+     * Get model configuration
+     *
+     * @param string $model Model ID.
+     * @return array Model config.
+     */
+    public function get_model_config( string $model ): array {
+        return self::MODELS[ $model ] ?? self::MODELS[ self::DEFAULT_MODEL ];
+    }
+
+    /**
+     * Get max tokens for a model (returns the model's hard max_output limit)
+     *
+     * @param string $model Model ID.
+     * @return int Max tokens.
+     */
+    public function get_max_tokens( string $model = '' ): int {
+        $model  = $model ?: self::DEFAULT_MODEL;
+        $config = $this->get_model_config( $model );
+        return $config['max_output'] ?? 32000;
+    }
+
+    /**
+     * Get max content chars for a model
+     *
+     * @param string $model Model ID.
+     * @return int Max content chars.
+     */
+    public function get_max_content_chars( string $model = '' ): int {
+        $model  = $model ?: self::DEFAULT_MODEL;
+        $config = $this->get_model_config( $model );
+        return $config['max_content_chars'] ?? 150000;
+    }
+
+    /**
+     * Generate JSON-LD schema
+     *
+     * @param array $payload  Prompt payload with page and site data.
+     * @param array $settings Plugin settings.
+     * @return array Response array.
+     */
+    public function generate_schema( array $payload, array $settings ): array {
+        $result = $this->send_messages( $this->build_messages( $payload ), $settings, 'schema' );
+
+        if ( $result['success'] ) {
+            WP_AI_Schema_Generator::log( 'Schema generated with Anthropic' );
+        }
+
+        return $result;
+    }
+
+    /**
+     * Analyze content for two-pass schema generation
+     *
+     * First pass: Classifies and structures page content into organized sections.
+     *
+     * @param array $payload  Analysis payload with page and site data.
+     * @param array $settings Plugin settings.
+     * @return array Response array with 'success', 'analysis', 'status_code', 'error', 'headers'.
+     */
+    public function analyze_content( array $payload, array $settings ): array {
+        $messages = array(
+            array(
+                'role'    => 'system',
+                'content' => WP_AI_Schema_Content_Analyzer::get_analysis_system_prompt(),
+            ),
+            array(
+                'role'    => 'user',
+                'content' => WP_AI_Schema_Content_Analyzer::get_analysis_user_prompt( $payload ),
+            ),
+        );
+
+        WP_AI_Schema_Generator::log( 'Starting content analysis (Pass 1) with Anthropic' );
+
+        $result = $this->send_messages( $messages, $settings, 'analysis' );
+
+        if ( $result['success'] ) {
+            WP_AI_Schema_Generator::log( 'Content analysis (Pass 1) completed successfully' );
+        }
+
+        return $result;
+    }
+
+    /**
+     * Test API connection
+     *
+     * @param array $settings Plugin settings.
+     * @return array Response array.
+     */
+    public function test_connection( array $settings ): array {
+        $api_key = $this->get_api_key( $settings, 'anthropic_api_key' );
+
+        if ( empty( $api_key ) ) {
+            return array(
+                'success' => false,
+                'message' => '',
+                'error'   => __( 'API key is required.', 'wp-ai-seo-schema-generator' ),
+            );
+        }
+
+        // Make a minimal request to test the connection
+        $body = array(
+            'model'      => $settings['anthropic_model'] ?? self::DEFAULT_MODEL,
+            'max_tokens' => 10,
+            'messages'   => array(
+                array(
+                    'role'    => 'user',
+                    'content' => 'Say "OK" and nothing else.',
+                ),
+            ),
+        );
+
+        $response = $this->make_request(
+            $this->get_endpoint( $settings ),
+            $this->get_request_headers( $api_key, $settings ),
+            $body,
+            30
+        );
+
+        if ( ! $response['success'] ) {
+            return array(
+                'success' => false,
+                'message' => '',
+                'error'   => $response['error'],
+            );
+        }
+
+        return array(
+            'success' => true,
+            'message' => __( 'Connection successful! API key is valid.', 'wp-ai-seo-schema-generator' ),
+            'error'   => '',
+        );
+    }
+
+    /**
+     * Get settings fields for this provider
+     *
+     * @return array
+     */
+    public function get_settings_fields(): array {
+        return array(
+            'anthropic_api_key' => array(
+                'label'       => __( 'API Key', 'wp-ai-seo-schema-generator' ),
+                'type'        => 'password',
+                'description' => __( 'Your Anthropic API key.', 'wp-ai-seo-schema-generator' ),
+                'required'    => true,
+            ),
+            'anthropic_model' => array(
+                'label'       => __( 'Model', 'wp-ai-seo-schema-generator' ),
+                'type'        => 'select',
+                'options'     => wp_list_pluck( self::MODELS, 'name' ),
+                'default'     => self::DEFAULT_MODEL,
+                'description' => __( 'The Claude model to use.', 'wp-ai-seo-schema-generator' ),
+            ),
+        );
+    }
+
+    /**
+     * Build a Messages API request body from chat-style messages
+     *
+     * Used for both regular and streaming requests.
+     *
+     * @param array  $messages   Messages including a system-role message.
+     * @param string $model      Model ID.
+     * @param int    $max_tokens Max output tokens.
+     * @param array  $settings   Plugin settings.
+     * @return array Request body.
+     */
+    public function build_request_body( array $messages, string $model, int $max_tokens, array $settings ): array {
+        $system = array();
+        $turns  = array();
+
+        // The Messages API has no system role - it takes the prompt as a separate field
+        foreach ( $messages as $message ) {
+            if ( 'system' === $message['role'] ) {
+                $system[] = $message['content'];
+            } else {
+                $turns[] = $message;
+            }
+        }
+
+        $body = array(
+            'model'       => $model,
+            'max_tokens'  => $max_tokens,
+            'messages'    => $turns,
+            'temperature' => floatval( $settings['temperature'] ?? 0.2 ),
+        );
+
+        if ( $system ) {
+            $body['system'] = implode( "\n\n", $system );
+        }
+
+        return $body;
+    }
+
+    /**
+     * Send messages and return the text of the reply
+     *
+     * @param array  $messages Chat-style messages.
+     * @param array  $settings Plugin settings.
+     * @param string $key      Result key for the text: 'schema' or 'analysis'.
+     * @return array Response array.
+     */
+    private function send_messages( array $messages, array $settings, string $key ): array {
+        // Check rate limit
+        $rate_limited = $this->is_rate_limited();
+        if ( false !== $rate_limited ) {
+            return array(
+                'success'     => false,
+                $key          => '',
+                'status_code' => 429,
+                'error'       => sprintf(
+                    /* translators: %d: seconds until rate limit expires */
+                    __( 'Rate limited. Please try again in %d seconds.', 'wp-ai-seo-schema-generator' ),
+                    $rate_limited - time()
+                ),
+                'headers'     => array(),
+            );
+        }
+
+        // Get API key
+        $api_key = $this->get_api_key( $settings, 'anthropic_api_key' );
+
+        if ( empty( $api_key ) ) {
+            return array(
+                'success'     => false,
+                $key          => '',
+                'status_code' => 0,
+                'error'       => sprintf(
+                    /* translators: %s: provider name */
+                    __( '%s API key is not configured.', 'wp-ai-seo-schema-generator' ),
+                    $this->get_name()
+                ),
+                'headers'     => array(),
+            );
+        }
+
+        // Get model and its configuration
+        $model        = $settings['anthropic_model'] ?? self::DEFAULT_MODEL;
+        $model_config = $this->get_model_config( $model );
+
+        // Calculate safe max_tokens based on input size and model limits
+        $safe_max_tokens = $this->calculate_safe_max_tokens( $messages, $model_config['max_output'], $model );
+
+        $response = $this->make_request(
+            $this->get_endpoint( $settings ),
+            $this->get_request_headers( $api_key, $settings ),
+            $this->build_request_body( $messages, $model, $safe_max_tokens, $settings ),
+            120 // 120 second timeout for generation
+        );
+
+        if ( ! $response['success'] ) {
+            return array(
+                'success'     => false,
+                $key          => '',
+                'status_code' => $response['status_code'],
+                'error'       => $response['error'],
+                'headers'     => $response['headers'],
+            );
+        }
+
+        return $this->parse_response( $response['body'], $key );
+    }
+
+    /**
+     * Parse Messages API response
+     *
+     * Text is returned as a list of content blocks; text blocks are joined.
+     *
+     * @param string $body Response body.
+     * @param string $key  Result key for the text.
+     * @return array Parsed response.
+     */
+    private function parse_response( string $body, string $key ): array {
+        $decoded = json_decode( $body, true );
+
+        if ( json_last_error() !== JSON_ERROR_NONE ) {
+            return array(
+                'success'     => false,
+                $key          => '',
+                'status_code' => 200,
+                'error'       => __( 'Failed to parse API response.', 'wp-ai-seo-schema-generator' ),
+                'headers'     => array(),
+            );
+        }
+
+        $content = '';
+
+        foreach ( $decoded['content'] ?? array() as $block ) {
+            if ( 'text' === ( $block['type'] ?? '' ) ) {
+                $content .= $block['text'] ?? '';
+            }
+        }
+
+        if ( empty( $content ) ) {
+            return array(
+                'success'     => false,
+                $key          => '',
+                'status_code' => 200,
+                'error'       => __( 'Empty response from API.', 'wp-ai-seo-schema-generator' ),
+                'headers'     => array(),
+            );
+        }
+
+        if ( 'max_tokens' === ( $decoded['stop_reason'] ?? '' ) ) {
+            WP_AI_Schema_Generator::log( 'Anthropic response stopped at max_tokens, output may be truncated', 'warning' );
+        }
+
+        return array(
+            'success'     => true,
+            $key          => $content,
+            'status_code' => 200,
+            'error'       => '',
+            'headers'     => array(),
+            'usage'       => self::normalize_usage( $decoded['usage'] ?? null ),
+        );
+    }
+
+    /**
+     * Calculate safe max_tokens based on input size
+     *
+     * @param array  $messages   The messages array to be sent.
+     * @param int    $requested  The requested max_tokens from model config.
+     * @param string $model      The model being used.
+     * @return int Safe max_tokens value.
+     */
+    private function calculate_safe_max_tokens( array $messages, int $requested, string $model ): int {
+        // Get model-specific limits
+        $model_config   = $this->get_model_config( $model );
+        $context_window = $model_config['context_window'];
+        $max_output     = $model_config['max_output'];
+
+        // Estimate input tokens
+        $input_tokens = $this->estimate_tokens( $messages );
+
+        // Calculate available tokens for output
+        $available = $context_window - $input_tokens - self::TOKEN_SAFETY_BUFFER;
+
+        // Ensure we have at least minimum tokens for a useful response
+        if ( $available < self::MIN_OUTPUT_TOKENS ) {
+            WP_AI_Schema_Generator::log(
+                sprintf(
+                    'Input too large: ~%d tokens estimated, only %d available for output',
+                    $input_tokens,
+                    $available
+                ),
+                'warning'
+            );
+            return self::MIN_OUTPUT_TOKENS;
+        }
+
+        // Cap at model's maximum output and requested amount
+        $max_allowed = min( $max_output, $available );
+
+        return min( $requested, $max_allowed );
+    }
+
+    /**
+     * Estimate token count for messages
+     *
+     * @param array $messages Messages array.
+     * @return int Estimated token count.
+     */
+    private function estimate_tokens( array $messages ): int {
+        $total_chars = 0;
+
+        foreach ( $messages as $message ) {
+            $content = $message['content'] ?? '';
+            $total_chars += mb_strlen( $content );
+
+            // Add overhead for message structure
+            $total_chars += 10;
+        }
+
+        // Estimate: ~4 characters per token (conservative for mixed content)
+        return (int) ceil( $total_chars / 3.5 );
+    }
+}
@@ -0,0 +1,277 @@
+<?php
+/**
+ * Custom OpenAI-compatible provider class
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * OpenAI-compatible LLM provider with a configurable base URL
+ *
+ * For self-hosted servers (llama.cpp, vLLM, Ollama, LM Studio) or any other
+ * Chat Completions API. Prompts, requests and parsing are inherited from the
+ * DeepSeek provider, which speaks the same protocol; the endpoint, model,
+ * API key (optional) and extra headers come from the settings.
+ */
+class WP_AI_Schema_Custom_Provider extends WP_AI_Schema_DeepSeek_Provider {
+
+    /**
+     * No default model - the server decides which models exist
+     */
+    const DEFAULT_MODEL = '';
+
+    /**
+     * Limits used for every model
+     *
+     * Conservative so that small local context windows still fit the prompt.
+     */
+    const MODEL_CONFIG = array(
+        'name'              => 'Custom',
+        'context_window'    => 32768,
+        'max_output'        => 4096,
+        'max_content_chars' => 30000,
+    );
+
+    /**
+     * Get provider name
+     *
+     * @return string
+     */
+    public function get_name(): string {
+        return 'OpenAI-Compatible (Custom)';
+    }
+
+    /**
+     * Get provider slug
+     *
+     * @return string
+     */
+    public function get_slug(): string {
+        return 'custom';
+    }
+
+    /**
+     * Get available models for this provider (discovered from the server instead)
+     *
+     * @return array
+     */
+    public function get_models(): array {
+        return array();
+    }
+
+    /**
+     * Get model configuration
+     *
+     * @param string $model Model ID.
+     * @return array Model config.
+     */
+    public function get_model_config( string $model ): array {
+        return self::MODEL_CONFIG;
+    }
+
+    /**
+     * Get the Chat Completions endpoint for the configured base URL
+     *
+     * @param array $settings Plugin settings.
+     * @return string Endpoint URL, or empty if no base URL is set.
+     */
+    public function get_endpoint( array $settings ): string {
+        $base_url = untrailingslashit( $settings['custom_base_url'] ?? '' );
+
+        return '' === $base_url ? '' : $base_url . '/chat/completions';
+    }
+
+    /**
+     * Get the models endpoint for the configured base URL
+     *
+     * @param array $settings Plugin settings.
+     * @return string
+     */
+    protected function get_models_endpoint( array $settings ): string {
+        $base_url = untrailingslashit( $settings['custom_base_url'] ?? '' );
+
+        return '' === $base_url ? '' : $base_url . '/models';
+    }
+
+    /**
+     * Get request headers, including the configured extra headers
+     *
+     * @param string $api_key  Decrypted API key (may be empty).
+     * @param array  $settings Plugin settings.
+     * @return array Header name => value.
+     */
+    public function get_request_headers( string $api_key, array $settings ): array {
+        return array_merge(
+            parent::get_request_headers( $api_key, $settings ),
+            self::parse_headers( $settings['custom_headers'] ?? '' )
+        );
+    }
+
+    /**
+     * Local servers usually run without authentication
+     *
+     * @return bool
+     */
+    public function requires_api_key(): bool {
+        return false;
+    }
+
+    /**
+     * Generate JSON-LD schema
+     *
+     * @param array $payload  Prompt payload with page and site data.
+     * @param array $settings Plugin settings.
+     * @return array Response array.
+     */
+    public function generate_schema( array $payload, array $settings ): array {
+        $error = $this->get_config_error( $settings );
+
+        if ( $error ) {
+            return array(
+                'success'     => false,
+                'schema'      => '',
+                'status_code' => 0,
+                'error'       => $error,
+                'headers'     => array(),
+            );
+        }
+
+        return parent::generate_schema( $payload, $settings );
+    }
+
+    /**
+     * Analyze content for two-pass schema generation
+     *
+     * @param array $payload  Analysis payload with page and site data.
+     * @param array $settings Plugin settings.
+     * @return array Response array.
+     */
+    public function analyze_content( array $payload, array $settings ): array {
+        $error = $this->get_config_error( $settings );
+
+        if ( $error ) {
+            return array(
+                'success'     => false,
+                'analysis'    => '',
+                'status_code' => 0,
+                'error'       => $error,
+                'headers'     => array(),
+            );
+        }
+
+        return parent::analyze_content( $payload, $settings );
+    }
+
+    /**
+     * Test API connection
+     *
+     * @param array $settings Plugin settings.
+     * @return array Response array.
+     */
+    public function test_connection( array $settings ): array {
+        $error = $this->get_config_error( $settings );
+
+        if ( $error ) {
+            return array(
+                'success' => false,
+                'message' => '',
+                'error'   => $error,
+            );
+        }
+
+        $result = parent::test_connection( $settings );
+
+        if ( $result['success'] ) {
+            $result['message'] = __( 'Connection successful! The server answered.', 'wp-ai-seo-schema-generator' );
+        }
+
+        return $result;
+    }
+
+    /**
+     * Get settings fields for this provider
+     *
+     * @return array
+     */
+    public function get_settings_fields(): array {
+        return array(
+            'custom_base_url' => array(
+                'label'       => __( 'Base URL', 'wp-ai-seo-schema-generator' ),
+                'type'        => 'url',
+                'description' => __( 'The API base URL, e.g. http://localhost:8080/v1.', 'wp-ai-seo-schema-generator' ),
+                'required'    => true,
+            ),
+            'custom_api_key' => array(
+                'label'       => __( 'API Key', 'wp-ai-seo-schema-generator' ),
+                'type'        => 'password',
+                'description' => __( 'Optional. Sent as a Bearer token.', 'wp-ai-seo-schema-generator' ),
+                'required'    => false,
+            ),
+            'custom_model' => array(
+                'label'       => __( 'Model', 'wp-ai-seo-schema-generator' ),
+                'type'        => 'text',
+                'default'     => self::DEFAULT_MODEL,
+                'description' => __( 'The model name the server expects.', 'wp-ai-seo-schema-generator' ),
+            ),
+            'custom_headers' => array(
+                'label'       => __( 'Extra Headers', 'wp-ai-seo-schema-generator' ),
+                'type'        => 'textarea',
+                'description' => __( 'One "Name: value" header per line.', 'wp-ai-seo-schema-generator' ),
+            ),
+        );
+    }
+
+    /**
+     * Parse "Name: value" lines into headers
+     *
+     * Lines without a colon or with an invalid header name are skipped.
+     *
+     * @param string $text Header lines.
+     * @return array Header name => value.
+     */
+    public static function parse_headers( string $text ): array {
+        $headers = array();
+
+        foreach ( preg_split( '/\r\n|\r|\n/', $text ) as $line ) {
+            $parts = explode( ':', $line, 2 );
+
+            if ( 2 !== count( $parts ) ) {
+                continue;
+            }
+
+            $name  = trim( $parts[0] );
+            $value = trim( $parts[1] );
+
+            if ( ! preg_match( '/^[A-Za-z0-9-]+$/', $name ) || '' === $value ) {
+                continue;
+            }
+
+            $headers[ $name ] = $value;
+        }
+
+        return $headers;
+    }
+
+    /**
+     * Check that the base URL and model are configured
+     *
+     * @param array $settings Plugin settings.
+     * @return string Error message, or empty if configured.
+     */
+    private function get_config_error( array $settings ): string {
+        if ( '' === $this->get_endpoint( $settings ) ) {
+            return __( 'The custom provider has no base URL configured.', 'wp-ai-seo-schema-generator' );
+        }
+
+        if ( empty( $settings['custom_model'] ) ) {
+            return __( 'The custom provider has no model configured.', 'wp-ai-seo-schema-generator' );
+        }
+
+        return '';
+    }
+}
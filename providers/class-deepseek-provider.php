@@ -20,6 +20,11 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
      */
     const API_ENDPOINT = 'https://api.deepseek.com/v1/chat/completions';
 
+    /**
+     * Models endpoint (OpenAI-compatible model list)
+     */
+    const MODELS_ENDPOINT = 'https://api.deepseek.com/v1/models';
+
     /**
      * Default model
      */
@@ -87,6 +92,26 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
         return self::MODELS;
     }
 
+    /**
+     * Get the generation endpoint URL
+     *
+     * @param array $settings Plugin settings.
+     * @return string
+     */
+    public function get_endpoint( array $settings ): string {
+        return self::API_ENDPOINT;
+    }
+
+    /**
+     * Get the models endpoint URL
+     *
+     * @param array $settings Plugin settings.
+     * @return string
+     */
+    protected function get_models_endpoint( array $settings ): string {
+        return self::MODELS_ENDPOINT;
+    }
+
     /**
      * Get model configuration
      *
@@ -104,7 +129,7 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
      * @return int Max tokens.
      */
     public function get_max_tokens( string $model = '' ): int {
-        $model  = $model ?: self::DEFAULT_MODEL;
+        $model  = $model ?: static::DEFAULT_MODEL;
         $config = $this->get_model_config( $model );
         return $config['max_output'] ?? 8000;
     }
@@ -116,7 +141,7 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
      * @return int Max content chars.
      */
     public function get_max_content_chars( string $model = '' ): int {
-        $model  = $model ?: self::DEFAULT_MODEL;
+        $model  = $model ?: static::DEFAULT_MODEL;
         $config = $this->get_model_config( $model );
         return $config['max_content_chars'] ?? 50000;
     }
@@ -146,20 +171,24 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
         }
 
         // Get API key
-        $api_key = $this->get_api_key( $settings, 'deepseek_api_key' );
+        $api_key = $this->get_api_key( $settings, $this->get_slug() . '_api_key' );
 
-        if ( empty( $api_key ) ) {
+        if ( empty( $api_key ) && $this->requires_api_key() ) {
             return array(
                 'success'     => false,
                 'schema'      => '',
                 'status_code' => 0,
-                'error'       => __( 'DeepSeek API key is not configured.', 'wp-ai-seo-schema-generator' ),
+                'error'       => sprintf(
+                    /* translators: %s: provider name */
+                    __( '%s API key is not configured.', 'wp-ai-seo-schema-generator' ),
+                    $this->get_name()
+                ),
                 'headers'     => array(),
             );
         }
 
         // Get model and its configuration
-        $model        = $settings['deepseek_model'] ?? self::DEFAULT_MODEL;
+        $model        = $settings[ $this->get_slug() . '_model' ] ?? static::DEFAULT_MODEL;
         $model_config = $this->get_model_config( $model );
 
         // Build messages
@@ -179,11 +208,8 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
 
         // Make request
         $response = $this->make_request(
-            self::API_ENDPOINT,
-            array(
-                'Content-Type'  => 'application/json',
-                'Authorization' => 'Bearer ' . $api_key,
-            ),
+            $this->get_endpoint( $settings ),
+            $this->get_request_headers( $api_key, $settings ),
             $body,
             120 // 120 second timeout for generation
         );
@@ -229,20 +255,24 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
         }
 
         // Get API key
-        $api_key = $this->get_api_key( $settings, 'deepseek_api_key' );
+        $api_key = $this->get_api_key( $settings, $this->get_slug() . '_api_key' );
 
-        if ( empty( $api_key ) ) {
+        if ( empty( $api_key ) && $this->requires_api_key() ) {
             return array(
                 'success'     => false,
                 'analysis'    => '',
                 'status_code' => 0,
-                'error'       => __( 'DeepSeek API key is not configured.', 'wp-ai-seo-schema-generator' ),
+                'error'       => sprintf(
+                    /* translators: %s: provider name */
+                    __( '%s API key is not configured.', 'wp-ai-seo-schema-generator' ),
+                    $this->get_name()
+                ),
                 'headers'     => array(),
             );
         }
 
         // Get model
-        $model        = $settings['deepseek_model'] ?? self::DEFAULT_MODEL;
+        $model        = $settings[ $this->get_slug() . '_model' ] ?? static::DEFAULT_MODEL;
         $model_config = $this->get_model_config( $model );
 
         // Build analysis messages
@@ -259,15 +289,12 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
             'max_tokens'  => $safe_max_tokens,
         );
 
-        WP_AI_Schema_Generator::log( 'Starting content analysis (Pass 1) with DeepSeek' );
+        WP_AI_Schema_Generator::log( 'Starting content analysis (Pass 1) with ' . $this->get_name() );
 
         // Make request
         $response = $this->make_request(
-            self::API_ENDPOINT,
-            array(
-                'Content-Type'  => 'application/json',
-                'Authorization' => 'Bearer ' . $api_key,
-            ),
+            $this->get_endpoint( $settings ),
+            $this->get_request_headers( $api_key, $settings ),
             $body,
             120
         );
@@ -348,6 +375,7 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
             'status_code' => 200,
             'error'       => null,
             'headers'     => array(),
+            'usage'       => self::normalize_usage( $decoded['usage'] ?? null ),
         );
     }
 
@@ -358,9 +386,9 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
      * @return array Response array.
      */
     public function test_connection( array $settings ): array {
-        $api_key = $this->get_api_key( $settings, 'deepseek_api_key' );
+        $api_key = $this->get_api_key( $settings, $this->get_slug() . '_api_key' );
 
-        if ( empty( $api_key ) ) {
+        if ( empty( $api_key ) && $this->requires_api_key() ) {
             return array(
                 'success' => false,
                 'message' => '',
@@ -370,7 +398,7 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
 
         // Make a minimal request to test the connection
         $body = array(
-            'model'       => $settings['deepseek_model'] ?? self::DEFAULT_MODEL,
+            'model'       => $settings[ $this->get_slug() . '_model' ] ?? static::DEFAULT_MODEL,
             'messages'    => array(
                 array(
                     'role'    => 'user',
@@ -382,11 +410,8 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
         );
 
         $response = $this->make_request(
-            self::API_ENDPOINT,
-            array(
-                'Content-Type'  => 'application/json',
-                'Authorization' => 'Bearer ' . $api_key,
-            ),
+            $this->get_endpoint( $settings ),
+            $this->get_request_headers( $api_key, $settings ),
             $body,
             30
         );
@@ -428,215 +453,6 @@ class WP_AI_Schema_DeepSeek_Provider extends WP_AI_Schema_Abstract_Provider {
         );
     }
 
-    /**
-     * Build messages array for API request
-     *
-     * @param array $payload Prompt payload.
-     * @return array Messages array.
-     */
-    public function build_messages( array $payload ): array {
-        // Check if this is a two-pass generation from analyzed content
-        $is_from_analysis = ! empty( $payload['isFromAnalysis'] );
-
-        if ( $is_from_analysis ) {
-            // Use special prompts for generating schema from pre-analyzed content
-            $system_prompt = WP_AI_Schema_Prompt_Builder::get_schema_from_analysis_system_prompt();
-            $user_message  = WP_AI_Schema_Prompt_Builder::get_schema_from_analysis_user_prompt( $payload );
-
-            WP_AI_Schema_Generator::log( 'Pass 2: Using analyzed content prompts for schema generation' );
-        } else {
-            // Standard single-pass generation
-            $schema_reference = $payload['schemaReference'] ?? '';
-            $system_prompt    = $this->get_system_prompt( $schema_reference );
-            $user_message     = $this->build_user_message( $payload );
-        }
-
-        return array(
-            array(
-                'role'    => 'system',
-                'content' => $system_prompt,
-            ),
-            array(
-                'role'    => 'user',
-                'content' => $user_message,
-            ),
-        );
-    }
-
-    /**
-     * Get system prompt
-     *
-     * @param string $schema_reference Optional schema reference documentation.
-     * @return string
-     */
-    private function get_system_prompt( string $schema_reference = '' ): string {
-        $base_prompt = 'You are a schema.org JSON-LD generator that creates COMPREHENSIVE, RICH structured data for web pages.
-
-YOUR GOAL: Generate detailed, complete schema markup that fully describes the page content. Include ALL information you can extract from the content.
-
-STRICT REQUIREMENTS:
-1. Output ONLY valid JSON. No markdown code fences, no explanations, no commentary.
-2. The output must be a single JSON object with "@context": "https://schema.org" at the root level.
-3. NEVER invent or hallucinate information not present in the content.
-4. For URLs, only use URLs explicitly provided in the input.
-5. For contact information (email, phone), only include if explicitly present in the content.
-
-CONTENT STRUCTURE MARKERS:
-The content includes special markers to help you understand the page structure:
-- ## [Heading] ## indicates a section heading
-- [LIST START] / [LIST END] indicates a list of items
-- [NUMBERED LIST START] / [NUMBERED LIST END] indicates ordered steps
-- [SECTION] / [/SECTION] indicates a content section
-- [ARTICLE] / [/ARTICLE] indicates article content
-- **text** indicates important/emphasized text
-- Links include their URLs in parentheses: text (https://...)
-
-TESTIMONIAL/REVIEW MARKERS (IMPORTANT - create Review schemas for these):
-- [TESTIMONIAL START] / [TESTIMONIAL END] indicates a client testimonial or review
-  - "Quote:" contains the testimonial text (use as reviewBody)
-  - "Author:" contains the reviewer name (create Person object)
-  - "Rating:" contains star rating if available (use as ratingValue)
-- [QUOTE START] / [QUOTE END] indicates a general quote/testimonial
-
-FAQ MARKERS:
-- [FAQ ITEM START] / [FAQ ITEM END] indicates a FAQ question/answer pair
-  - "Question:" contains the question text
-  - "Answer:" contains the answer text
-  Create FAQPage schema with Question/Answer objects for these.
-
-Use these markers to identify:
-- Services being offered (often under headings like "Services", "What We Do")
-- Contact information (under "Contact", "Get in Touch")
-- Team members or founders (under "Team", "About Us")
-- Pricing or offers
-- TESTIMONIALS and REVIEWS (under "Testimonials", "What Our Clients Say", "Reviews", "Client Feedback")
-  IMPORTANT: Each testimonial MUST become a Review object with author and reviewBody
-- FAQs (Question/Answer patterns)
-
-OUTPUT FORMAT:
-Use @graph format to include multiple related entities:
-{"@context": "https://schema.org", "@graph": [...]}
-
-The @graph should typically include:
-- A WebPage or Article as the main entity
-- Organization or LocalBusiness if business info is present
-- Service objects for each distinct service mentioned
-- Person objects for team members/founders mentioned
-- ContactPoint for contact information
-- PostalAddress if address is provided
-- FAQPage with Question/Answer if FAQ content exists
-- Review objects for EACH testimonial/review found (with author as Person, reviewBody, reviewRating)
-- AggregateRating if multiple reviews exist (calculate average)
-
-Use @id references to link related entities:
-- "@id": "#organization" on the Organization
-- "provider": {"@id": "#organization"} on Services
-- "publisher": {"@id": "#organization"} on Articles
-
-SCHEMA TYPE SELECTION:
-- WebPage: Default for informational pages
-- Article: Blog posts, news, editorial content with clear authorship
-- Service/ProfessionalService: Pages describing services (use one Service per distinct service)
-- LocalBusiness: Business pages with physical location/contact
-- Organization: Company/organization information
-- FAQPage: Pages with clear Question/Answer pairs
-- Product: Product pages with pricing
-- HowTo: Step-by-step instructions
-- Event: Event announcements with dates
-
-COMPLETENESS PRINCIPLE:
-Extract and include ALL relevant information from the content:
-- Every service mentioned should become a Service object
-- Business name, description, and any contact info should be included
-- Team members or founders should become Person objects
-- Areas served or target audience should be included
-- Any pricing or offers should be captured
-- EVERY testimonial/review MUST become a Review object - do not skip any!
-  Each Review should have: @type, author (Person with name), reviewBody, reviewRating (if rating available)
-  Link reviews to the Organization/LocalBusiness using itemReviewed: {"@id": "#organization"}
-
-BUSINESS DATA PRIORITY:
-If BUSINESS DATA is provided in the input, use it as the authoritative source for:
-- Organization/LocalBusiness name, description, logo
-- Contact information (email, phone)
-- Physical addresses and locations (PostalAddress)
-- Opening hours (OpeningHoursSpecification)
-- Social media links (sameAs property)
-- Founding date
-This data has been verified by the site owner and should take precedence over information extracted from page content.
-
-For multiple locations: Create separate LocalBusiness or Place objects for each location, all linked to the main Organization via @id references.
-
-Remember: Completeness with accuracy. Include all information that IS present in the content.';
-
-        if ( ! empty( $schema_reference ) ) {
-            $base_prompt .= "\n\nSCHEMA.ORG REFERENCE:\nUse the following schema types and properties:\n\n" . $schema_reference;
-        }
-
-        return $base_prompt;
-    }
-
-    /**
-     * Build user message from payload
-     *
-     * @param array $payload Prompt payload.
-     * @return string User message.
-     */
-    private function build_user_message( array $payload ): string {
-        $page_data     = $payload['page'] ?? array();
-        $site_data     = $payload['site'] ?? array();
-        $business_data = $payload['business'] ?? null;
-        $type_hint     = $payload['typeHint'] ?? 'auto';
-
-        // Build truncation indicator if content was truncated
-        $truncation_note = '';
-        if ( ! empty( $page_data['contentTruncated'] ) ) {
-            $truncation_note = sprintf(
-                "\n[Content truncated: showing %d of %d characters]",
-                mb_strlen( $page_data['content'] ?? '' ),
-                $page_data['originalLength'] ?? 0
-            );
-        }
-
-        // Build type hint instruction
-        $type_hint_instruction = '';
-        if ( 'auto' !== $type_hint && ! empty( $type_hint ) ) {
-            $type_hint_instruction = sprintf(
-                "\nPREFERRED SCHEMA TYPE: %s\nUse this schema type if the content supports it. If the content clearly does not match this type, choose the most appropriate alternative.",
-                $type_hint
-            );
-        }
-
-        // Build the message
-        $message = 'Generate JSON-LD schema for the following page:
-
-PAGE DATA:
-' . wp_json_encode( $page_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . '
-
-SITE DATA:
-' . wp_json_encode( $site_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
-
-        // Include business data if available
-        if ( ! empty( $business_data ) ) {
-            $message .= '
-
-BUSINESS DATA (use this verified information for Organization/LocalBusiness schemas):
-' . wp_json_encode( $business_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
-        }
-
-        if ( $truncation_note ) {
-            $message .= $truncation_note;
-        }
-
-        if ( $type_hint_instruction ) {
-            $message .= $type_hint_instruction;
-        }
-
-        $message .= "\n\nGenerate the JSON-LD now:";
-
-        return $message;
-    }
-
     /**
      * Parse API response
      *
@@ -675,6 +491,7 @@ BUSINESS DATA (use this verified information for Organization/LocalBusiness sche
             'status_code' => 200,
             'error'       => '',
             'headers'     => array(),
+            'usage'       => self::normalize_usage( $decoded['usage'] ?? null ),
         );
     }
 
@@ -44,6 +44,7 @@ interface WP_AI_Schema_Provider_Interface {
      *     @type int    $status_code HTTP status code.
      *     @type string $error       Error message (on failure).
      *     @type array  $headers     Response headers (for retry-after parsing).
+     *     @type array  $usage       Token usage with 'input' and 'output' (on success, empty if not reported).
      * }
      */
     public function generate_schema( array $payload, array $settings ): array;
@@ -62,6 +63,27 @@ interface WP_AI_Schema_Provider_Interface {
      */
     public function test_connection( array $settings ): array;
 
+    /**
+     * List the models available to the configured API key
+     *
+     * @param array $settings Plugin settings including API key.
+     * @return array {
+     *     Response array.
+     *
+     *     @type bool   $success Whether the model list was fetched.
+     *     @type array  $models  Model ID => display name (on success).
+     *     @type string $error   Error message (on failure).
+     * }
+     */
+    public function list_models( array $settings ): array;
+
+    /**
+     * Whether requests need an API key
+     *
+     * @return bool False for providers that can run without one, such as a local server.
+     */
+    public function requires_api_key(): bool;
+
     /**
      * Get the settings fields for this provider
      *
@@ -85,6 +107,7 @@ interface WP_AI_Schema_Provider_Interface {
      *     @type int    $status_code HTTP status code.
      *     @type string $error       Error message (on failure).
      *     @type array  $headers     Response headers.
+     *     @type array  $usage       Token usage with 'input' and 'output' (on success, empty if not reported).
      * }
      */
     public function analyze_content( array $payload, array $settings ): array;
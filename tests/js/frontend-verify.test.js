@@ -0,0 +1,162 @@
+/**
+ * AI JSON-LD Generator - Frontend Verification tests
+ *
+ * Run with: node --test tests/js/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../../assets/js/frontend-verify.js'), 'utf8');
+
+/**
+ * WP_AI_Schema_Conflict_Detector::SINGLE_TYPES, as the metabox localizes it
+ */
+const SINGLE_TYPES = (function() {
+    const php = fs.readFileSync(path.join(__dirname, '../../includes/class-conflict-detector.php'), 'utf8');
+    const list = php.match(/const SINGLE_TYPES = array\(([^)]*)\)/)[1];
+
+    return list.match(/'[^']+'/g).map(function(type) {
+        return type.slice(1, -1);
+    });
+})();
+
+/**
+ * Load the verifier into a fresh context with the given single-instance types
+ */
+function loadVerifier(singleTypes) {
+    const context = {
+        window: {
+            wpAiSchemaVerifyConfig: { single_types: singleTypes }
+        }
+    };
+
+    vm.runInNewContext(SOURCE, context);
+
+    return context.window.wpAiSchemaVerify;
+}
+
+/**
+ * Compare blocks with a schema, copying the result out of the context so
+ * deepStrictEqual does not trip over the other realm's prototypes
+ */
+function compare(blocks, schema, singleTypes) {
+    const result = loadVerifier(singleTypes || SINGLE_TYPES).compare(blocks, schema);
+
+    return JSON.parse(JSON.stringify(result));
+}
+
+const ORGANIZATION = { '@type': 'Organization', '@id': 'https://example.com/#org', name: 'Acme', url: 'https://example.com/' };
+const PAGE = { '@type': 'WebPage', name: 'Home', publisher: { '@id': 'https://example.com/#org' } };
+
+test('the single-instance types come from the conflict detector', function() {
+    assert.ok(SINGLE_TYPES.indexOf('Organization') !== -1);
+    assert.ok(SINGLE_TYPES.indexOf('WebPage') !== -1);
+});
+
+test('a stored @graph matches the same entities output as a flat array', function() {
+    const schema = JSON.stringify({ '@context': 'https://schema.org', '@graph': [ORGANIZATION, PAGE] });
+    const block = JSON.stringify([
+        Object.assign({ '@context': 'https://schema.org' }, ORGANIZATION),
+        Object.assign({ '@context': 'https://schema.org' }, PAGE)
+    ]);
+    const result = compare([block], schema);
+
+    assert.strictEqual(result.schema_found, true);
+    assert.strictEqual(result.schema_match, true);
+    assert.deepStrictEqual(result.missing, []);
+    assert.deepStrictEqual(result.blocks, [{ valid: true, ours: true, types: ['Organization', 'WebPage'] }]);
+    assert.deepStrictEqual(result.issues, []);
+});
+
+test('a flat array matches the same entities output as a @graph', function() {
+    const schema = JSON.stringify([ORGANIZATION, PAGE]);
+    const block = JSON.stringify({ '@context': 'https://schema.org', '@graph': [PAGE, ORGANIZATION] });
+
+    assert.strictEqual(compare([block], schema).schema_match, true);
+});
+
+test('key order and whitespace do not matter', function() {
+    const schema = JSON.stringify(Object.assign({ '@context': 'https://schema.org' }, ORGANIZATION));
+    const block = '{\n  "url": "https://example.com/",\n  "name": "Acme",\n  "@id": "https://example.com/#org",\n  "@type": "Organization",\n  "@context": "https://schema.org"\n}';
+
+    assert.strictEqual(compare([block], schema).schema_match, true);
+});
+
+test('a changed value is reported as missing', function() {
+    const schema = JSON.stringify([ORGANIZATION, PAGE]);
+    const block = JSON.stringify([ORGANIZATION, Object.assign({}, PAGE, { name: 'About' })]);
+    const result = compare([block], schema);
+
+    assert.strictEqual(result.schema_found, true);
+    assert.strictEqual(result.schema_match, false);
+    assert.deepStrictEqual(result.missing, [PAGE]);
+    assert.strictEqual(result.blocks[0].ours, false);
+});
+
+test('two Organization nodes with different names conflict', function() {
+    const ours = { '@type': 'Organization', name: 'Acme', url: 'https://example.com/' };
+    const theirs = { '@type': 'Organization', name: 'Acme Inc.', url: 'https://example.com/' };
+    const result = compare([JSON.stringify(ours), JSON.stringify(theirs)], JSON.stringify(ours));
+
+    assert.strictEqual(result.schema_match, true);
+    assert.deepStrictEqual(result.blocks.map(function(block) {
+        return block.ours;
+    }), [true, false]);
+    assert.deepStrictEqual(result.issues, [{
+        code: 'conflict',
+        type: 'Organization',
+        id: '',
+        name: 'Acme',
+        blocks: [0, 1],
+        properties: ['name']
+    }]);
+});
+
+test('an identical Organization in two blocks is a duplicate', function() {
+    const block = JSON.stringify(ORGANIZATION);
+    const result = compare([block, block], block);
+
+    // Same @id and same single-instance type: one issue for the pair
+    assert.deepStrictEqual(result.issues, [{
+        code: 'duplicate',
+        type: 'Organization',
+        id: 'https://example.com/#org',
+        name: 'Acme',
+        blocks: [0, 1],
+        properties: []
+    }]);
+});
+
+test('types outside the localized list are only grouped by @id', function() {
+    const a = { '@type': 'Organization', name: 'Acme' };
+    const b = { '@type': 'Organization', name: 'Other' };
+
+    assert.deepStrictEqual(compare([JSON.stringify(a), JSON.stringify(b)], JSON.stringify(a), []).issues, []);
+});
+
+test('an invalid block is reported and the other blocks are still checked', function() {
+    const schema = JSON.stringify(ORGANIZATION);
+    const result = compare(['{"@type": "Organization",', schema], schema);
+
+    assert.strictEqual(result.schema_found, true);
+    assert.strictEqual(result.schema_match, true);
+    assert.deepStrictEqual(result.blocks, [
+        { valid: false, ours: false, types: [] },
+        { valid: true, ours: true, types: ['Organization'] }
+    ]);
+    assert.deepStrictEqual(result.issues, [{ code: 'invalid_block', blocks: [0] }]);
+});
+
+test('no blocks means no schema found', function() {
+    const result = compare([], JSON.stringify(ORGANIZATION));
+
+    assert.strictEqual(result.schema_found, false);
+    assert.strictEqual(result.schema_match, false);
+    assert.deepStrictEqual(result.missing, [ORGANIZATION]);
+});
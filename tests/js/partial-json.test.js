@@ -0,0 +1,100 @@
+/**
+ * AI JSON-LD Generator - Partial JSON tests
+ *
+ * Run with: node --test tests/js/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../../assets/js/partial-json.js'), 'utf8');
+
+/**
+ * Load the parser into a fresh context
+ *
+ * JSON is shared with the test so parsed values compare with deepStrictEqual.
+ */
+function loadParser() {
+    const context = {
+        window: {},
+        JSON: JSON
+    };
+
+    vm.runInNewContext(SOURCE, context);
+
+    return context.window.wpAiSchemaPartialJson;
+}
+
+const parse = loadParser().parse;
+
+test('text before the first bracket gives nothing yet', function() {
+    assert.strictEqual(parse(''), null);
+    assert.strictEqual(parse('Here is the schema'), null);
+});
+
+test('an unterminated string is closed', function() {
+    const result = parse('{"@type": "Organization", "name": "Acme Co');
+
+    assert.strictEqual(result.complete, false);
+    assert.deepStrictEqual(result.value, { '@type': 'Organization', name: 'Acme Co' });
+});
+
+test('an unterminated string in a nested array is closed with every open bracket', function() {
+    assert.deepStrictEqual(parse('{"sameAs": ["https://example.com/a", "https://exa').value, {
+        sameAs: ['https://example.com/a', 'https://exa']
+    });
+});
+
+test('a dangling backslash is dropped before closing the string', function() {
+    assert.deepStrictEqual(parse('{"name": "Acme\\').value, { name: 'Acme' });
+    assert.deepStrictEqual(parse('{"name": "say \\"hi\\').value, { name: 'say "hi' });
+});
+
+test('a completed escape is kept', function() {
+    assert.deepStrictEqual(parse('{"name": "a\\\\').value, { name: 'a\\' });
+});
+
+test('a trailing comma is cut back', function() {
+    assert.deepStrictEqual(parse('{"a": 1,').value, { a: 1 });
+    assert.deepStrictEqual(parse('[1, 2,').value, [1, 2]);
+});
+
+test('a key without a value is cut back to the last comma', function() {
+    assert.deepStrictEqual(parse('{"a": 1, "b"').value, { a: 1 });
+    assert.deepStrictEqual(parse('{"a": 1, "b":').value, { a: 1 });
+});
+
+test('an incomplete literal such as tru is cut back', function() {
+    assert.deepStrictEqual(parse('{"a": 1, "b": tru').value, { a: 1 });
+    assert.deepStrictEqual(parse('[true, fals').value, [true]);
+    assert.deepStrictEqual(parse('{"a": tru').value, {});
+});
+
+test('a ```json fence before the document is skipped', function() {
+    const partial = parse('```json\n{"@type": "Organization", "name": "Ac');
+    const complete = parse('```json\n{"@type": "Organization"}\n```');
+
+    assert.strictEqual(partial.complete, false);
+    assert.deepStrictEqual(partial.value, { '@type': 'Organization', name: 'Ac' });
+    assert.strictEqual(complete.complete, true);
+    assert.deepStrictEqual(complete.value, { '@type': 'Organization' });
+});
+
+test('a completed document ignores the text after it', function() {
+    const result = parse('{"@graph": [{"@type": "WebPage", "name": "a } b"}]}\n\nLet me know if you need changes. {');
+
+    assert.strictEqual(result.complete, true);
+    assert.deepStrictEqual(result.value, { '@graph': [{ '@type': 'WebPage', name: 'a } b' }] });
+});
+
+test('brackets inside strings do not count', function() {
+    const result = parse('{"text": "[{\\"x\\": 1}", "b": [');
+
+    assert.strictEqual(result.complete, false);
+    assert.deepStrictEqual(result.value, { text: '[{"x": 1}', b: [] });
+});
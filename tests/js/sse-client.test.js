@@ -0,0 +1,261 @@
+/**
+ * AI JSON-LD Generator - SSE Client tests
+ *
+ * Run with: node --test tests/js/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../../assets/js/sse-client.js'), 'utf8');
+
+/**
+ * Load the client into a fresh context, with fetch() replaced by the given stub
+ */
+function loadClient(fetchStub) {
+    const context = {
+        window: {},
+        fetch: fetchStub,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        AbortController: AbortController,
+        TextDecoder: TextDecoder,
+        Error: Error,
+        Object: Object
+    };
+
+    vm.runInNewContext(SOURCE, context);
+
+    return context.window.wpAiSchemaSSE;
+}
+
+/**
+ * Feed chunks to a new parser and collect what it dispatches
+ */
+function parse(chunks) {
+    const events = [];
+    const parser = loadClient().createParser(function(event) {
+        events.push({ type: event.type, data: event.data, lastEventId: event.lastEventId });
+    });
+
+    chunks.forEach(function(chunk) {
+        parser.feed(chunk);
+    });
+
+    return { events: events, parser: parser };
+}
+
+/**
+ * Feed a stream split at every possible position into two chunks
+ */
+function parseEverySplit(text) {
+    const results = [];
+
+    for (let i = 0; i <= text.length; i++) {
+        results.push(parse([text.slice(0, i), text.slice(i)]).events);
+    }
+
+    return results;
+}
+
+/**
+ * A text/event-stream response that sends the given byte chunks
+ */
+function streamResponse(chunks) {
+    const body = new ReadableStream({
+        start(controller) {
+            chunks.forEach(function(chunk) {
+                controller.enqueue(chunk);
+            });
+            controller.close();
+        }
+    });
+
+    return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+test('LF, CR and CRLF line endings give the same events at any chunk boundary', function() {
+    const expected = [
+        { type: 'progress', data: 'one', lastEventId: '' },
+        { type: 'message', data: 'two', lastEventId: '' }
+    ];
+
+    ['\n', '\r', '\r\n'].forEach(function(eol) {
+        const text = ['event: progress', 'data: one', '', 'data: two', '', ''].join(eol);
+
+        parseEverySplit(text).forEach(function(events, split) {
+            assert.deepStrictEqual(events, expected, JSON.stringify(eol) + ' split at ' + split);
+        });
+    });
+});
+
+test('a CRLF split between chunks is one line ending, not two', function() {
+    // A second line ending would be a blank line and dispatch "a" early
+    const result = parse(['data: a\r', '\ndata: b\r\n\r\n']);
+
+    assert.deepStrictEqual(result.events, [{ type: 'message', data: 'a\nb', lastEventId: '' }]);
+});
+
+test('a stream fed one character at a time', function() {
+    const text = 'event: complete\r\ndata: {"a":1}\r\nid: 7\r\n\r\n';
+
+    assert.deepStrictEqual(parse(text.split('')).events, [
+        { type: 'complete', data: '{"a":1}', lastEventId: '7' }
+    ]);
+});
+
+test('multi-line data fields are joined with LF', function() {
+    const result = parse(['data: first\ndata:second\ndata\ndata:  indented\n\n']);
+
+    assert.deepStrictEqual(result.events, [
+        { type: 'message', data: 'first\nsecond\n\n indented', lastEventId: '' }
+    ]);
+});
+
+test('id persists across events and is ignored when it contains NUL', function() {
+    const result = parse(['id: 1\ndata: a\n\ndata: b\n\nid: x\u0000y\ndata: c\n\n']);
+
+    assert.deepStrictEqual(result.events.map(function(event) {
+        return event.lastEventId;
+    }), ['1', '1', '1']);
+    assert.strictEqual(result.parser.getLastEventId(), '1');
+});
+
+test('retry is read only when it is all digits', function() {
+    const result = parse(['retry: 1500\n\n', 'retry: 2s\n\n', 'retry: -1\n\n']);
+
+    assert.strictEqual(result.parser.getRetry(), 1500);
+    assert.deepStrictEqual(result.events, []);
+});
+
+test('a leading BOM is stripped only at the start of the stream', function() {
+    const split = parse(['\uFEFF', 'data: a\n\n']);
+    const whole = parse(['\uFEFFdata: a\n\n\uFEFFdata: b\n\n']);
+
+    assert.deepStrictEqual(split.events, [{ type: 'message', data: 'a', lastEventId: '' }]);
+
+    // A BOM later on is part of the field name, so that line is ignored
+    assert.deepStrictEqual(whole.events, [{ type: 'message', data: 'a', lastEventId: '' }]);
+});
+
+test('comment lines and events without data are not dispatched', function() {
+    const result = parse([': keepalive\n\n', ':\n', 'event: ping\n\n', ': x\ndata: a\n: y\n\n']);
+
+    assert.deepStrictEqual(result.events, [{ type: 'message', data: 'a', lastEventId: '' }]);
+});
+
+test('an unterminated event at the end of the stream is not dispatched', function() {
+    assert.deepStrictEqual(parse(['data: a\n']).events, []);
+});
+
+test('reset() drops a partial event but keeps the last event id', function() {
+    const result = parse(['id: 3\ndata: a\n\ndata: partial\r']);
+
+    result.parser.reset();
+    result.parser.feed('\ndata: b\n\n');
+
+    // The LF after reset starts a fresh stream, so it is a blank line, not the end of a CRLF
+    assert.deepStrictEqual(result.events, [
+        { type: 'message', data: 'a', lastEventId: '3' },
+        { type: 'message', data: 'b', lastEventId: '3' }
+    ]);
+    assert.strictEqual(result.parser.getLastEventId(), '3');
+});
+
+test('connect() decodes multi-byte characters split across byte chunks', async function() {
+    const bytes = new TextEncoder().encode('data: café ✓\n\n');
+    const events = [];
+
+    await new Promise(function(resolve, reject) {
+        const sse = loadClient(function() {
+            // Split inside both the "é" and the "✓"
+            return Promise.resolve(streamResponse([bytes.slice(0, 10), bytes.slice(10, 13), bytes.slice(13)]));
+        });
+
+        sse.connect('https://example.test/stream', {
+            reconnect: false,
+            onEvent: function(event) {
+                events.push(event.data);
+            },
+            onError: reject,
+            onClose: resolve
+        });
+    });
+
+    assert.deepStrictEqual(events, ['café ✓']);
+});
+
+test('connect() reconnects with Last-Event-ID after the stream drops', async function() {
+    const encoder = new TextEncoder();
+    const requests = [];
+    const events = [];
+
+    await new Promise(function(resolve, reject) {
+        const sse = loadClient(function(url, init) {
+            requests.push(init);
+
+            if (requests.length === 1) {
+                return Promise.resolve(streamResponse([
+                    encoder.encode('retry: 10\nid: job-1:4\nevent: progress\ndata: pass 1\n\n'),
+                    encoder.encode('data: cut off')
+                ]));
+            }
+
+            return Promise.resolve(streamResponse([
+                encoder.encode('id: job-1:5\nevent: complete\ndata: done\n\n')
+            ]));
+        });
+
+        const handle = sse.connect('https://example.test/stream', {
+            headers: { 'X-WP-Nonce': 'abc' },
+            body: function() {
+                return 'attempt=' + requests.length;
+            },
+            reconnect: true,
+            onEvent: function(event) {
+                events.push(event.type + ':' + event.data);
+
+                if (event.type === 'complete') {
+                    handle.close();
+                    resolve();
+                }
+            },
+            onError: reject
+        });
+    });
+
+    assert.deepStrictEqual(events, ['progress:pass 1', 'complete:done']);
+    assert.strictEqual(requests.length, 2);
+
+    assert.strictEqual(requests[0].headers['Last-Event-ID'], undefined);
+    assert.strictEqual(requests[0].body, 'attempt=0');
+
+    assert.strictEqual(requests[1].headers['Last-Event-ID'], 'job-1:4');
+    assert.strictEqual(requests[1].headers['X-WP-Nonce'], 'abc');
+    assert.strictEqual(requests[1].headers.Accept, 'text/event-stream');
+    assert.strictEqual(requests[1].body, 'attempt=1');
+});
+
+test('connect() does not reconnect after an HTTP error', async function() {
+    let calls = 0;
+
+    const error = await new Promise(function(resolve) {
+        const sse = loadClient(function() {
+            calls++;
+            return Promise.resolve(new Response('Forbidden', { status: 403 }));
+        });
+
+        sse.connect('https://example.test/stream', {
+            reconnect: true,
+            onError: resolve
+        });
+    });
+
+    assert.strictEqual(error.message, 'HTTP 403');
+    assert.strictEqual(calls, 1);
+});
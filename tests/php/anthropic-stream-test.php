@@ -0,0 +1,186 @@
+<?php
+/**
+ * Anthropic Messages API streaming tests
+ *
+ * Replays recorded Messages API transcripts from fixtures/ through the
+ * streaming handler: over cURL (a file:// endpoint stands in for the API)
+ * and fed directly in small chunks.
+ *
+ * Run with: php tests/php/anthropic-stream-test.php
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+require __DIR__ . '/bootstrap.php';
+
+/**
+ * Anthropic provider that sends generation requests to a local file
+ */
+class WP_AI_Schema_Test_Anthropic_Provider extends WP_AI_Schema_Anthropic_Provider {
+
+    /**
+     * Endpoint URL
+     *
+     * @var string
+     */
+    private $endpoint;
+
+    /**
+     * Constructor
+     *
+     * @param string $endpoint Endpoint URL.
+     */
+    public function __construct( string $endpoint ) {
+        $this->endpoint = $endpoint;
+    }
+
+    /**
+     * Get the generation endpoint URL
+     *
+     * @param array $settings Plugin settings.
+     * @return string
+     */
+    public function get_endpoint( array $settings ): string {
+        return $this->endpoint;
+    }
+}
+
+/**
+ * Create a streaming handler without its WordPress dependencies
+ *
+ * @return WP_AI_Schema_Streaming_Handler
+ */
+function wp_ai_schema_test_handler(): WP_AI_Schema_Streaming_Handler {
+    return ( new ReflectionClass( 'WP_AI_Schema_Streaming_Handler' ) )->newInstanceWithoutConstructor();
+}
+
+/**
+ * Read a private property
+ *
+ * @param object $object   Instance.
+ * @param string $property Property name.
+ * @return mixed
+ */
+function wp_ai_schema_test_property( $object, string $property ) {
+    $reflection = new ReflectionProperty( $object, $property );
+    if ( PHP_VERSION_ID < 80100 ) {
+        $reflection->setAccessible( true );
+    }
+
+    return $reflection->getValue( $object );
+}
+
+/**
+ * Split SSE output written by the handler into events
+ *
+ * @param string $output Captured output.
+ * @return array List of array( event, data ).
+ */
+function wp_ai_schema_test_sse_events( string $output ): array {
+    $events = array();
+
+    foreach ( array_filter( explode( "\n\n", $output ) ) as $block ) {
+        if ( preg_match( '/^event: (.*)$/m', $block, $event ) && preg_match( '/^data: (.*)$/m', $block, $data ) ) {
+            $events[] = array( $event[1], json_decode( $data[1], true ) );
+        }
+    }
+
+    return $events;
+}
+
+/**
+ * Send a pass 2 request to a recorded transcript through stream_provider_request()
+ *
+ * @param string $fixture Fixture file name.
+ * @return array array( result, SSE events written ).
+ */
+function wp_ai_schema_test_stream( string $fixture ): array {
+    $provider = new WP_AI_Schema_Test_Anthropic_Provider( 'file://' . WP_AI_SCHEMA_TESTS_DIR . '/fixtures/' . $fixture );
+    $payload  = array(
+        'page'     => array(
+            'title'   => 'Menu',
+            'url'     => 'https://example.com/menu/',
+            'content' => 'Our menu.',
+        ),
+        'site'     => array( 'name' => 'Café Émile' ),
+        'typeHint' => 'auto',
+    );
+
+    ob_start();
+    $result = wp_ai_schema_call(
+        wp_ai_schema_test_handler(),
+        'stream_provider_request',
+        array( $provider, 'sk-ant-test', array( 'anthropic_model' => 'claude-haiku-4-5' ), $payload, 'pass2', false )
+    );
+
+    return array( $result, wp_ai_schema_test_sse_events( ob_get_clean() ) );
+}
+
+$expected_schema = '{"@context": "https://schema.org", "@graph": [{"@type": "LocalBusiness", "@id": "https://example.com/#organization", '
+    . '"name": "Café Émile", "telephone": "+44 20 7946 0018"}, '
+    . '{"@type": "WebPage", "url": "https://example.com/menu/", "publisher": {"@id": "https://example.com/#organization"}}]}';
+
+wp_ai_schema_test( 'text deltas are joined and forwarded as content events', function() use ( $expected_schema ) {
+    list( $result, $events ) = wp_ai_schema_test_stream( 'anthropic-messages-stream.txt' );
+
+    wp_ai_schema_assert_same( true, $result['success'], 'success' );
+    wp_ai_schema_assert_same( $expected_schema, $result['content'], 'content' );
+
+    $chunks = array();
+    foreach ( $events as $event ) {
+        if ( 'content' === $event[0] ) {
+            $chunks[] = $event[1]['chunk'];
+        }
+    }
+
+    wp_ai_schema_assert_same( 4, count( $chunks ), 'content events (ping and block start/stop send none)' );
+    wp_ai_schema_assert_same( $expected_schema, implode( '', $chunks ), 'content event chunks' );
+} );
+
+wp_ai_schema_test( 'usage combines input tokens from message_start with output tokens from message_delta', function() {
+    list( $result ) = wp_ai_schema_test_stream( 'anthropic-messages-stream.txt' );
+
+    wp_ai_schema_assert_same( array( 'input' => 2412, 'output' => 96 ), $result['usage'], 'usage' );
+} );
+
+wp_ai_schema_test( 'the same transcript fed in 7-byte chunks gives the same content and usage', function() use ( $expected_schema ) {
+    $handler    = wp_ai_schema_test_handler();
+    $transcript = file_get_contents( WP_AI_SCHEMA_TESTS_DIR . '/fixtures/anthropic-messages-stream.txt' );
+
+    ob_start();
+    foreach ( str_split( $transcript, 7 ) as $chunk ) {
+        wp_ai_schema_assert_same( strlen( $chunk ), wp_ai_schema_call( $handler, 'process_stream_chunk', array( $chunk, 'pass2' ) ), 'bytes consumed' );
+    }
+    ob_end_clean();
+
+    wp_ai_schema_assert_same( $expected_schema, wp_ai_schema_test_property( $handler, 'accumulated_content' ), 'content' );
+    wp_ai_schema_assert_same( array( 'input' => 2412, 'output' => 96 ), wp_ai_schema_test_property( $handler, 'stream_usage' ), 'usage' );
+} );
+
+// The passes turn a failed request into the client's error event
+wp_ai_schema_test( 'an error event in the stream fails the request with its message', function() {
+    list( $result, $events ) = wp_ai_schema_test_stream( 'anthropic-messages-stream-error.txt' );
+
+    wp_ai_schema_assert_same( false, $result['success'], 'success' );
+    wp_ai_schema_assert_same( 'Overloaded', $result['error'], 'error' );
+    wp_ai_schema_assert_same( null, $result['content'], 'partial content is dropped' );
+
+    $stream_errors = array_values( array_filter( $events, function( $event ) {
+        return 'debug' === $event[0] && 'stream' === ( $event[1]['error_type'] ?? '' );
+    } ) );
+
+    wp_ai_schema_assert_same( 1, count( $stream_errors ), 'stream error debug events' );
+    wp_ai_schema_assert_same( 'Overloaded', $stream_errors[0][1]['error'], 'debug event error' );
+} );
+
+wp_ai_schema_test( 'a non-streamed Messages API response is parsed into schema text and usage', function() {
+    $provider = new WP_AI_Schema_Test_Anthropic_Provider( '' );
+    $body     = file_get_contents( WP_AI_SCHEMA_TESTS_DIR . '/fixtures/anthropic-messages-response.json' );
+    $result   = wp_ai_schema_call( $provider, 'parse_response', array( $body, 'schema' ) );
+
+    wp_ai_schema_assert_same( true, $result['success'], 'success' );
+    wp_ai_schema_assert_same( '{"@context": "https://schema.org", "@type": "WebPage", "name": "Menu"}', $result['schema'], 'schema' );
+    wp_ai_schema_assert_same( array( 'input' => 1906, 'output' => 23 ), $result['usage'], 'usage' );
+} );
+
+wp_ai_schema_tests_done();
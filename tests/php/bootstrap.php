@@ -0,0 +1,113 @@
+<?php
+/**
+ * Bootstrap for the PHP tests
+ *
+ * Loads plugin classes outside WordPress with just enough of the WordPress
+ * API for code that doesn't touch the database. Tests that need posts,
+ * options or transients belong in a WordPress test suite instead.
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+define( 'ABSPATH', __DIR__ . '/' );
+define( 'HOUR_IN_SECONDS', 3600 );
+
+define( 'WP_AI_SCHEMA_TESTS_DIR', __DIR__ );
+define( 'WP_AI_SCHEMA_PLUGIN_DIR', dirname( __DIR__, 2 ) . '/' );
+
+function __( $text, $domain = 'default' ) {
+    return $text;
+}
+
+function wp_json_encode( $data, $options = 0, $depth = 512 ) {
+    return json_encode( $data, $options, $depth );
+}
+
+/**
+ * Stand-in for the main plugin class (only its logger is used by these classes)
+ */
+final class WP_AI_Schema_Generator {
+
+    /**
+     * Messages logged during the test run
+     *
+     * @var array
+     */
+    public static $logged = array();
+
+    /**
+     * Record a log message
+     *
+     * @param string $message Message.
+     * @param string $level   Log level.
+     */
+    public static function log( string $message, string $level = 'info' ) {
+        self::$logged[] = array( $level, $message );
+    }
+}
+
+require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-encryption.php';
+require_once WP_AI_SCHEMA_PLUGIN_DIR . 'providers/interface-provider.php';
+require_once WP_AI_SCHEMA_PLUGIN_DIR . 'providers/class-abstract-provider.php';
+require_once WP_AI_SCHEMA_PLUGIN_DIR . 'providers/class-anthropic-provider.php';
+require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-prompt-builder.php';
+require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-streaming-handler.php';
+
+$wp_ai_schema_failures = 0;
+
+/**
+ * Run a named test and report the result
+ *
+ * @param string   $name Test name.
+ * @param callable $test Test body; throws on failure.
+ */
+function wp_ai_schema_test( string $name, callable $test ) {
+    global $wp_ai_schema_failures;
+
+    try {
+        $test();
+        echo "ok - {$name}\n";
+    } catch ( Throwable $e ) {
+        $wp_ai_schema_failures++;
+        echo "not ok - {$name}\n    " . $e->getMessage() . "\n";
+    }
+}
+
+/**
+ * Fail the current test unless two values are identical
+ *
+ * @param mixed  $expected Expected value.
+ * @param mixed  $actual   Actual value.
+ * @param string $message  What was compared.
+ */
+function wp_ai_schema_assert_same( $expected, $actual, string $message ) {
+    if ( $expected !== $actual ) {
+        throw new Exception( $message . ': expected ' . var_export( $expected, true ) . ', got ' . var_export( $actual, true ) );
+    }
+}
+
+/**
+ * Exit non-zero if any test failed
+ */
+function wp_ai_schema_tests_done() {
+    global $wp_ai_schema_failures;
+
+    exit( $wp_ai_schema_failures ? 1 : 0 );
+}
+
+/**
+ * Call a private or protected method
+ *
+ * @param object $object Instance.
+ * @param string $method Method name.
+ * @param array  $args   Arguments.
+ * @return mixed Return value.
+ */
+function wp_ai_schema_call( $object, string $method, array $args = array() ) {
+    $reflection = new ReflectionMethod( $object, $method );
+    if ( PHP_VERSION_ID < 80100 ) {
+        $reflection->setAccessible( true );
+    }
+
+    return $reflection->invokeArgs( $object, $args );
+}
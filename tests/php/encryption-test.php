@@ -0,0 +1,63 @@
+<?php
+/**
+ * Passphrase encryption tests (export bundle secrets)
+ *
+ * Run with: php tests/php/encryption-test.php
+ *
+ * @package WP_AI_Schema_Generator
+ */
+
+require __DIR__ . '/bootstrap.php';
+
+$encryption = new WP_AI_Schema_Encryption();
+
+/**
+ * Flip one bit of the decoded value at a byte offset
+ *
+ * @param string $encrypted Base64 encoded value.
+ * @param int    $offset    Byte offset.
+ * @return string Base64 encoded altered value.
+ */
+function wp_ai_schema_test_flip_bit( string $encrypted, int $offset ): string {
+    $raw            = base64_decode( $encrypted );
+    $raw[ $offset ] = chr( ord( $raw[ $offset ] ) ^ 1 );
+
+    return base64_encode( $raw );
+}
+
+wp_ai_schema_test( 'a value encrypted with a passphrase decrypts with it', function() use ( $encryption ) {
+    $encrypted = $encryption->encrypt_with_passphrase( 'sk-ant-api03-secret', 'correct horse' );
+
+    wp_ai_schema_assert_same( 'sk-ant-api03-secret', $encryption->decrypt_with_passphrase( $encrypted, 'correct horse' ), 'decrypted' );
+} );
+
+wp_ai_schema_test( 'the same value encrypts differently each time', function() use ( $encryption ) {
+    wp_ai_schema_assert_same(
+        false,
+        $encryption->encrypt_with_passphrase( 'sk-test', 'pass' ) === $encryption->encrypt_with_passphrase( 'sk-test', 'pass' ),
+        'ciphertexts equal'
+    );
+} );
+
+wp_ai_schema_test( 'a wrong passphrase decrypts to nothing', function() use ( $encryption ) {
+    $encrypted = $encryption->encrypt_with_passphrase( 'sk-test', 'pass' );
+
+    wp_ai_schema_assert_same( '', $encryption->decrypt_with_passphrase( $encrypted, 'Pass' ), 'decrypted' );
+} );
+
+wp_ai_schema_test( 'an altered salt, IV, tag or ciphertext decrypts to nothing', function() use ( $encryption ) {
+    $encrypted = $encryption->encrypt_with_passphrase( 'sk-test-0123456789', 'pass' );
+
+    // Salt, IV, tag and ciphertext start at bytes 0, 16, 28 and 44
+    foreach ( array( 0, 16, 28, 44, 50 ) as $offset ) {
+        wp_ai_schema_assert_same( '', $encryption->decrypt_with_passphrase( wp_ai_schema_test_flip_bit( $encrypted, $offset ), 'pass' ), "byte {$offset} altered" );
+    }
+} );
+
+wp_ai_schema_test( 'a truncated value decrypts to nothing', function() use ( $encryption ) {
+    $encrypted = $encryption->encrypt_with_passphrase( 'sk-test', 'pass' );
+
+    wp_ai_schema_assert_same( '', $encryption->decrypt_with_passphrase( base64_encode( substr( base64_decode( $encrypted ), 0, 44 ) ), 'pass' ), 'decrypted' );
+} );
+
+wp_ai_schema_tests_done();
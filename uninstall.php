@@ -25,6 +25,11 @@ function wp_ai_schema_cleanup_site() {
 
     // Always delete plugin options
     delete_option( 'wp_ai_schema_settings' );
+    delete_option( 'wp_ai_schema_usage_db_version' );
+    delete_option( 'wp_ai_schema_templates' );
+
+    // Drop the monthly usage table
+    $wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}ai_schema_usage" );
 
     // Delete transients
     $wpdb->query(
@@ -44,7 +49,15 @@ function wp_ai_schema_cleanup_site() {
                  '_wp_ai_schema_schema_error',
                  '_wp_ai_schema_schema_hash',
                  '_wp_ai_schema_type_hint',
-                 '_wp_ai_schema_detected_type'
+                 '_wp_ai_schema_detected_type',
+                 '_wp_ai_schema_manual_override',
+                 '_wp_ai_schema_pending',
+                 '_wp_ai_schema_revisions',
+                 '_wp_ai_schema_usage',
+                 '_wp_ai_schema_instructions',
+                 '_wp_ai_schema_pinned_properties',
+                 '_wp_ai_schema_merge_mode',
+                 '_wp_ai_schema_template'
              )"
         );
     }
@@ -46,6 +46,12 @@ define( 'WP_AI_SCHEMA_TEXT_DOMAIN', 'wp-ai-seo-schema-generator' );
  * - OpenAI: providers/class-openai-provider.php
  *   Look for: const MODELS = array(...)
  *
+ * - Anthropic: providers/class-anthropic-provider.php
+ *   Look for: const MODELS = array(...)
+ *
+ * - Custom (OpenAI-compatible): providers/class-custom-provider.php
+ *   Look for: const MODEL_CONFIG = array(...) - one config for every model
+ *
  * Example model config:
  *   'model-name' => array(
  *       'name'              => 'Display Name',
@@ -74,9 +80,16 @@ final class WP_AI_Schema_Generator {
     private $schema_validator;
     private $prompt_builder;
     private $conflict_detector;
+    private $revisions;
+    private $templates;
+    private $usage;
     private $admin;
+    private $dashboard;
+    private $transfer;
     private $metabox;
+    private $editor_sidebar;
     private $ajax;
+    private $bulk;
     private $schema_output;
     private $streaming_handler;
 
@@ -113,6 +126,9 @@ final class WP_AI_Schema_Generator {
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-schema-reference.php';
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-prompt-builder.php';
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-conflict-detector.php';
+        require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-revisions.php';
+        require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-templates.php';
+        require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-usage.php';
 
         // Provider system
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'providers/interface-provider.php';
@@ -120,11 +136,17 @@ final class WP_AI_Schema_Generator {
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'providers/class-provider-registry.php';
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'providers/class-deepseek-provider.php';
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'providers/class-openai-provider.php';
+        require_once WP_AI_SCHEMA_PLUGIN_DIR . 'providers/class-anthropic-provider.php';
+        require_once WP_AI_SCHEMA_PLUGIN_DIR . 'providers/class-custom-provider.php';
 
         // Admin and frontend
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-admin.php';
+        require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-dashboard.php';
+        require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-transfer.php';
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-metabox.php';
+        require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-editor-sidebar.php';
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-ajax.php';
+        require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-bulk.php';
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-schema-output.php';
         require_once WP_AI_SCHEMA_PLUGIN_DIR . 'includes/class-streaming-handler.php';
     }
@@ -138,18 +160,34 @@ final class WP_AI_Schema_Generator {
         $this->content_processor = new WP_AI_Schema_Content_Processor();
         $this->schema_validator  = new WP_AI_Schema_Validator();
         $this->conflict_detector = new WP_AI_Schema_Conflict_Detector();
+        $this->revisions         = new WP_AI_Schema_Revisions();
+        $this->templates         = new WP_AI_Schema_Templates();
+        $this->usage             = new WP_AI_Schema_Usage();
 
         // Provider system
         $this->provider_registry = new WP_AI_Schema_Provider_Registry();
         $this->provider_registry->register( new WP_AI_Schema_DeepSeek_Provider( $this->encryption ) );
         $this->provider_registry->register( new WP_AI_Schema_OpenAI_Provider( $this->encryption ) );
+        $this->provider_registry->register( new WP_AI_Schema_Anthropic_Provider( $this->encryption ) );
+        $this->provider_registry->register( new WP_AI_Schema_Custom_Provider( $this->encryption ) );
 
         // Prompt builder (depends on content processor)
         $this->prompt_builder = new WP_AI_Schema_Prompt_Builder( $this->content_processor );
 
         // Admin components
-        $this->admin   = new WP_AI_Schema_Admin( $this->encryption, $this->provider_registry );
-        $this->metabox = new WP_AI_Schema_Metabox( $this->content_processor );
+        $this->admin   = new WP_AI_Schema_Admin( $this->encryption, $this->provider_registry, $this->usage );
+        $this->dashboard = new WP_AI_Schema_Dashboard( $this->content_processor, $this->schema_validator, $this->conflict_detector );
+        $this->transfer  = new WP_AI_Schema_Transfer(
+            $this->encryption,
+            $this->content_processor,
+            $this->schema_validator,
+            $this->revisions,
+            $this->conflict_detector
+        );
+        $this->metabox = new WP_AI_Schema_Metabox( $this->content_processor, $this->usage );
+
+        // Block editor sidebar (the metabox is only shown in the classic editor)
+        $this->editor_sidebar = new WP_AI_Schema_Editor_Sidebar( $this->content_processor );
 
         // Content analyzer for two-pass generation
         $this->content_analyzer = new WP_AI_Schema_Content_Analyzer(
@@ -163,12 +201,17 @@ final class WP_AI_Schema_Generator {
             $this->prompt_builder,
             $this->provider_registry,
             $this->schema_validator,
-            $this->encryption
+            $this->encryption,
+            $this->revisions,
+            $this->usage
         );
 
         // Wire content analyzer into AJAX handler for two-pass support
         $this->ajax->set_content_analyzer( $this->content_analyzer );
 
+        // Bulk generation screen (queues posts through the AJAX handler)
+        $this->bulk = new WP_AI_Schema_Bulk( $this->content_processor, $this->ajax );
+
         // Frontend output
         $this->schema_output = new WP_AI_Schema_Output( $this->conflict_detector );
 
@@ -177,7 +220,10 @@ final class WP_AI_Schema_Generator {
             $this->provider_registry,
             $this->content_processor,
             $this->encryption,
-            $this->prompt_builder
+            $this->prompt_builder,
+            $this->revisions,
+            $this->usage,
+            $this->schema_validator
         );
     }
 
@@ -188,6 +234,9 @@ final class WP_AI_Schema_Generator {
         // Load text domain
         add_action( 'init', array( $this, 'load_textdomain' ) );
 
+        // Create the usage table on update (activation doesn't run then)
+        add_action( 'init', array( $this->usage, 'maybe_install' ) );
+
         // Register streaming REST routes
         $this->streaming_handler->register_routes();
 
@@ -219,6 +268,8 @@ final class WP_AI_Schema_Generator {
             add_option( 'wp_ai_schema_settings', $this->get_default_settings() );
         }
 
+        $this->usage->install();
+
         // Flush rewrite rules
         flush_rewrite_rules();
     }
@@ -253,9 +304,17 @@ final class WP_AI_Schema_Generator {
             'deepseek_model'             => 'deepseek-chat',
             'openai_api_key'             => '',
             'openai_model'               => 'gpt-5-nano',
+            'anthropic_api_key'          => '',
+            'anthropic_model'            => 'claude-haiku-4-5',
+            'custom_base_url'            => '',
+            'custom_api_key'             => '',
+            'custom_model'               => '',
+            'custom_headers'             => '',
 
             // Generation settings (max_tokens and max_content_chars are constants - see top of file)
             'temperature'                => 0.2,
+            'monthly_budget'             => 0,
+            'model_prices'               => WP_AI_Schema_Usage::DEFAULT_PRICES,
 
             // Output settings
             'output_location'            => 'head',
@@ -292,7 +351,17 @@ final class WP_AI_Schema_Generator {
             return;
         }
 
-        $this->ajax->generate_schema( $post_id, true );
+        // A hand edit saved after this event was scheduled wins
+        if ( $this->content_processor->has_manual_override( $post_id ) ) {
+            return;
+        }
+
+        $result = $this->ajax->generate_schema( $post_id, true );
+
+        // Nobody is there to review a diff - the revision history keeps the old schema
+        if ( $result['success'] && empty( $result['cached'] ) ) {
+            $this->content_processor->accept_pending_schema( $post_id );
+        }
     }
 
     /**
@@ -321,9 +390,17 @@ final class WP_AI_Schema_Generator {
             'deepseek_model'             => 'deepseek-chat',
             'openai_api_key'             => '',
             'openai_model'               => 'gpt-5-nano',
+            'anthropic_api_key'          => '',
+            'anthropic_model'            => 'claude-haiku-4-5',
+            'custom_base_url'            => '',
+            'custom_api_key'             => '',
+            'custom_model'               => '',
+            'custom_headers'             => '',
 
             // Generation settings (max_tokens and max_content_chars are constants - see top of file)
             'temperature'                => 0.2,
+            'monthly_budget'             => 0,
+            'model_prices'               => WP_AI_Schema_Usage::DEFAULT_PRICES,
 
             // Output settings
             'output_location'            => 'head',